@@ -5,9 +5,25 @@
  * Handles boot sequence, property initialization, and DOM element wiring
  */
 
-import { generatePeerId } from "../../../src/common/webrtc-star.js";
+import {
+  generatePeerId,
+  getRoomFromLocation,
+} from "../../../src/common/webrtc-star.js";
+import { DistributionAllocator } from "../../../src/common/distribution.js";
+import { createSeededRandom, deriveSeed } from "../../../src/common/prng.js";
 import { createDefaultState } from "../state/defaults.js";
 import { setupEventHandlers } from "../ui/controls.js";
+import { SessionRecorder } from "../network/recorder.js";
+import { loadMidiMappings } from "../network/midi.js";
+import { loadMidiClockSettings } from "../network/midi-clock.js";
+import { loadCvPresets, loadCvRouting } from "../state/cv-routing.js";
+import { CvInput } from "../network/cv-input.js";
+import { DEFAULT_VOWEL_TABLE } from "../../../src/common/vowel-tables.js";
+import { DEFAULT_VOICE_ENGINE } from "../../../src/common/voice-engines.js";
+import {
+  DEFAULT_SECONDARY_PARAMS,
+  getCtrlRoleFromLocation,
+} from "../network/roles.js";
 
 /**
  * Initialize ControlClient properties and state
@@ -19,6 +35,19 @@ export function initializeProperties(ctrl) {
   /** @type {string} */
   ctrl.peerId = generatePeerId("ctrl");
 
+  /** @type {string} Signaling room (?room=name), shared with synths via the join link */
+  ctrl.room = getRoomFromLocation();
+
+  // Multi-controller role (?role=secondary); see network/roles.js
+  /** @type {string} */
+  ctrl.ctrlRole = getCtrlRoleFromLocation();
+
+  /** @type {string[]} Primary: parameters secondary ctrls may edit */
+  ctrl.secondaryParams = [...DEFAULT_SECONDARY_PARAMS];
+
+  /** @type {string[]} Secondary: parameters the primary has assigned to us */
+  ctrl.editableParams = [];
+
   /** @type {any} WebRTC star connection */
   ctrl.star = null;
 
@@ -31,6 +60,21 @@ export function initializeProperties(ctrl) {
   /** @type {boolean} */
   ctrl.synthesisActive = false;
 
+  /** @type {string} Program's synthesis engine (see voice-engines.js) */
+  ctrl.engine = DEFAULT_VOICE_ENGINE;
+
+  /** @type {string|Object} Program's vowel table: a built-in name or a custom table */
+  ctrl.vowelTable = DEFAULT_VOWEL_TABLE;
+
+  /** @type {{pattern: string[]}|null} Program's consonant pattern, null = none */
+  ctrl.articulation = null;
+
+  /** @type {number} Steps each synth (or role) lags in sung text */
+  ctrl.lyricsStagger = 0;
+
+  /** @type {string} What the stagger counts: "synth" index or "role" */
+  ctrl.lyricsStaggerBy = "synth";
+
   // Audio context for phasor scheduling
   /** @type {AudioContext|null} */
   ctrl.audioContext = null;
@@ -66,6 +110,15 @@ export function initializeProperties(ctrl) {
   ctrl.audioContext = null; // AudioContext for ES-8 CV output
   ctrl.es8Enabled = false; // Enable/disable ES-8 output
   ctrl.es8Node = null; // ES-8 AudioWorklet node
+  ctrl.cvRouting = loadCvRouting(ctrl.liveState); // Channel routing matrix
+  ctrl.cvPresets = loadCvPresets(); // Named routing presets
+
+  // CV input from a DC-coupled interface as a modulation source
+  ctrl.cvInput = new CvInput({
+    onTarget: (target, value) => ctrl.applyControlTarget(target, value),
+    onLevels: (volts) => ctrl.updateCvInputLevels(volts),
+  });
+  ctrl.lastCvLevelUpdate = 0; // Throttle for the level readout
 
   // Parameter staging for EOC application
   ctrl.hasPendingChanges = false; // Track if there are pending parameter changes
@@ -75,6 +128,41 @@ export function initializeProperties(ctrl) {
   ctrl.bulkModeEnabled = false;
   ctrl.bulkChanges = [];
 
+  // Ensemble distribution strategy and synth index/role allocation
+  ctrl.distribution = new DistributionAllocator();
+
+  // Seeded random source for ctrl-side generator previews
+  ctrl.rng = createSeededRandom(
+    deriveSeed(ctrl.distribution.sessionSeed, ctrl.peerId),
+  );
+
+  // HRG/RBG state for ctrl-side resolution (CV outputs), shaped like a synth's
+  ctrl.hrgState = {};
+  ctrl.rbgState = {};
+
+  // Session recording/replay of outgoing broadcasts
+  ctrl.recorder = new SessionRecorder(ctrl);
+
+  /** @type {import('../network/recorder.js').SessionPlayer|null} */
+  ctrl.player = null;
+
+  /** @type {import('../network/recorder.js').Journal|null} Journal to export/replay */
+  ctrl.journal = null;
+
+  // OSC bridge link (see network/osc.js), null unless ?osc is set
+  ctrl.oscBridge = null;
+  ctrl.lastOscPhasorTime = 0; // Throttle for /vaf/phasor
+
+  /** @type {import('../network/midi.js').MidiMapper|null} MIDI input mapping */
+  ctrl.midi = null;
+
+  /** @type {import('../network/midi-clock.js').MidiClockOutput|null} MIDI clock out */
+  ctrl.midiClock = null;
+
+  // Latest SYNC_REPORT per synth peer, shown in the peer list
+  /** @type {Map<string, Object>} */
+  ctrl.syncReports = new Map();
+
   // Kicked state tracking
   /** @type {boolean} */
   ctrl.wasKicked = false;
@@ -94,6 +182,27 @@ export function wireUpDOMElements(ctrl) {
     connectionValue: document.getElementById("connection-status"), // Same element
     synthesisStatus: document.getElementById("synthesis-status"),
     networkDiagnostics: document.getElementById("network-diagnostics"),
+    roomName: document.getElementById("room-name"),
+    synthLink: document.getElementById("synth-link"),
+    oscStatus: document.getElementById("osc-status"),
+    recordBtn: document.getElementById("record-btn"),
+    replayBtn: document.getElementById("replay-btn"),
+    exportJournalBtn: document.getElementById("export-journal-btn"),
+    loadJournalBtn: document.getElementById("load-journal-btn"),
+    loadJournalInput: document.getElementById("load-journal-input"),
+    recorderStatus: document.getElementById("recorder-status"),
+    midiEnableBtn: document.getElementById("midi-enable-btn"),
+    midiLearnBtn: document.getElementById("midi-learn-btn"),
+    midiTarget: document.getElementById("midi-target"),
+    midiCurve: document.getElementById("midi-curve"),
+    midiStatus: document.getElementById("midi-status"),
+    midiMappings: document.getElementById("midi-mappings"),
+    midiOut: document.getElementById("midi-out"),
+    midiClockDiv: document.getElementById("midi-clock-div"),
+    midiStepNotes: document.getElementById("midi-step-notes"),
+    ctrlRole: document.getElementById("ctrl-role"),
+    secondaryParams: document.getElementById("secondary-params"),
+    secondaryLink: document.getElementById("secondary-link"),
     // Removed peers status - now using synth count in connected synths panel
 
     manualModeBtn: document.getElementById("manual-mode-btn"),
@@ -119,6 +228,17 @@ export function wireUpDOMElements(ctrl) {
     // ES-8 controls
     es8EnableBtn: document.getElementById("es8-enable-btn"),
     es8Status: document.getElementById("es8-status"),
+    cvRouting: document.getElementById("cv-routing"),
+    cvPreset: document.getElementById("cv-preset"),
+    cvPresetName: document.getElementById("cv-preset-name"),
+    cvPresetSaveBtn: document.getElementById("cv-preset-save-btn"),
+    cvPresetDeleteBtn: document.getElementById("cv-preset-delete-btn"),
+    cvInputDevice: document.getElementById("cv-input-device"),
+    cvInputBtn: document.getElementById("cv-input-btn"),
+    cvInputChannel: document.getElementById("cv-input-channel"),
+    cvInputTarget: document.getElementById("cv-input-target"),
+    cvInputAddBtn: document.getElementById("cv-input-add-btn"),
+    cvInputMappings: document.getElementById("cv-input-mappings"),
 
     // Parameter controls
     portamentoTime: document.getElementById("portamento-time"),
@@ -144,6 +264,20 @@ export function wireUpDOMElements(ctrl) {
     presetFullDisc: document.getElementById("preset-full-disc"),
     presetFullCont: document.getElementById("preset-full-cont"),
     presetCalibration: document.getElementById("preset-calibration"),
+
+    // Distribution strategy controls
+    distributionMode: document.getElementById("distribution-mode"),
+    distributionRoles: document.getElementById("distribution-roles"),
+    distributionReseedBtn: document.getElementById("distribution-reseed-btn"),
+
+    // Voice controls
+    voiceEngine: document.getElementById("voice-engine"),
+    vowelTable: document.getElementById("vowel-table"),
+    voiceTypes: document.getElementById("voice-types"),
+    articulationPattern: document.getElementById("articulation-pattern"),
+    lyrics: document.getElementById("lyrics"),
+    lyricsStagger: document.getElementById("lyrics-stagger"),
+    lyricsStaggerBy: document.getElementById("lyrics-stagger-by"),
   };
 
   console.log("reresolveBtn element:", ctrl.elements.reresolveBtn);
@@ -166,6 +300,12 @@ export function initializeApplication(ctrl) {
   // Step 3: Setup event handlers
   setupEventHandlers(ctrl);
 
+  // Step 3b: Show the room, ctrl role and the links to join with
+  ctrl.updateRoomDisplay();
+  ctrl.updateRoleDisplay();
+  ctrl.updateCvRoutingDisplay();
+  ctrl.updateCvInputDisplay();
+
   // Step 4: Initialize timing and phasor
   ctrl.calculateCycleLength();
   ctrl.initializePhasor();
@@ -180,4 +320,17 @@ export function initializeApplication(ctrl) {
 
   // Step 6: Auto-connect on page load
   ctrl.connectToNetwork();
+
+  // Step 7: Link to the OSC bridge if requested (?osc)
+  ctrl.connectOscBridge();
+
+  // Step 8: MIDI/CV targets; reconnect MIDI if mappings or a clock output
+  // were saved
+  ctrl.populateControlTargets();
+  ctrl.populateCvInputDevices();
+  if (
+    loadMidiMappings().length > 0 || loadMidiClockSettings().outputName !== ""
+  ) {
+    ctrl.enableMidi();
+  }
 }
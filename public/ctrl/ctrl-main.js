@@ -17,11 +17,13 @@ import {
 } from "../../src/common/message-protocol.js";
 import { initializeApplication } from "./app/init.js";
 import { createDefaultState, createPresetConfigs } from "./state/defaults.js";
+import { parseSinString, validateSinString } from "../../src/common/sin.js";
 import {
-  formatSinArray,
-  parseSinString,
-  validateSinString,
-} from "./utils/sin.js";
+  assertValidArticulation,
+  assertValidEngine,
+  assertValidProgram,
+  assertValidVowelTable,
+} from "../../src/common/program-schema.js";
 import {
   clearAllSceneBanks,
   clearSceneBank,
@@ -34,12 +36,62 @@ import {
   handleJoinRejected as handleJoinRejectedHelper,
   handleKicked as handleKickedHelper,
   sendCompleteStateToNewSynth,
+  updatePeerList as updatePeerListHelper,
 } from "./network/star.js";
 import {
   broadcastControlState as broadcastControlStateHelper,
+  broadcastProgramMeta,
   broadcastSingleParameter as broadcastSingleParameterHelper,
   broadcastSubParameterUpdate as broadcastSubParameterUpdateHelper,
+  createWirePayload,
+  sendDistribution,
 } from "./network/broadcast.js";
+import {
+  connectOscBridge,
+  getOscBridgeUrlFromLocation,
+  oscToCommand,
+} from "./network/osc.js";
+import { describeSource, MIDI_CURVES, MidiMapper } from "./network/midi.js";
+import { listTargets, parseTarget } from "./state/targets.js";
+import { MidiClockOutput } from "./network/midi-clock.js";
+import {
+  createDefaultRouting,
+  normalizeRouting,
+  routedParams,
+  saveCvPreset,
+  saveCvRouting,
+} from "./state/cv-routing.js";
+import {
+  renderCvInputMappings,
+  renderCvRouting,
+  updateCvInputLevels,
+} from "./ui/cv-routing.js";
+import {
+  downloadJournal,
+  parseJournal,
+  SessionPlayer,
+} from "./network/recorder.js";
+import { DistributionModes } from "../../src/common/distribution.js";
+import { VOICE_TYPE_NAMES } from "../../src/common/vowel-tables.js";
+import {
+  formatArticulationPattern,
+  parseArticulationPattern,
+} from "../../src/common/articulation.js";
+import { compileLyrics } from "./state/lyrics.js";
+import { CtrlRoles, DEFAULT_ROOM } from "../../src/common/webrtc-star.js";
+import {
+  forwardEditToPrimary,
+  isEditAllowed,
+  parseParamList,
+  sendCtrlRole,
+} from "./network/roles.js";
+import { createSeededRandom, deriveSeed } from "../../src/common/prng.js";
+import {
+  advanceHRG,
+  createHRGState,
+  hrgValue,
+  resolveRBG,
+} from "../../src/common/generators.js";
 
 /**
  * Control action types for state management
@@ -101,6 +153,16 @@ class ControlClient {
   _updateStagedState(action) {
     console.log("Action dispatched:", action);
 
+    // Secondary ctrls may only touch assigned params; the primary merges and broadcasts
+    if (this.ctrlRole === CtrlRoles.SECONDARY) {
+      if (!isEditAllowed(this.editableParams, action)) {
+        this.log(action.param + " is not assigned to this controller", "error");
+        if (action.param) this._updateUIFromState(action.param);
+        return;
+      }
+      forwardEditToPrimary(this.star, action);
+    }
+
     // Handle scalar edits in place to avoid unnecessary cloning and UI refresh
     if (action.type === "SET_BASE_VALUE") {
       this.stagedState[action.param].baseValue = action.value;
@@ -268,7 +330,7 @@ class ControlClient {
 
     // Send to all connected synths
     if (this.star) {
-      this.star.broadcastToType("synth", message, "control");
+      this.star.broadcastToType("synth", message);
     }
   }
 
@@ -422,7 +484,7 @@ class ControlClient {
     console.log("📡 Creating re-resolve message...");
     const message = MessageBuilder.reresolveAtEOC();
     console.log("📤 Broadcasting re-resolve message:", message);
-    const sent = this.star.broadcastToType("synth", message, "control");
+    const sent = this.star.broadcastToType("synth", message);
     console.log("Re-resolve message sent to " + sent + " synths");
     this.log(
       "🔀 Re-resolve requested for " + sent + " synths at next EOC",
@@ -440,7 +502,7 @@ class ControlClient {
       ? parseFloat(this.elements.portamentoTime.value)
       : null;
     const message = MessageBuilder.immediateReinitialize(portNorm);
-    const sent = this.star.broadcastToType("synth", message, "control");
+    const sent = this.star.broadcastToType("synth", message);
     this.log("Sent IMMEDIATE_REINITIALIZE to " + sent + " synth(s)", "info");
   }
 
@@ -1111,39 +1173,17 @@ class ControlClient {
     this.liveState = JSON.parse(JSON.stringify(this.stagedState));
     console.log("Applying new state:", this.liveState);
     this.broadcastControlState();
+    this.syncSecondaries();
     this.clearPendingChanges();
   }
 
-  // Validate a SIN string like "1-3,5,7-9"
+  // Validate an HRG SIN field like "1-3,5,7-9" (see src/common/sin.js)
   _validateSINString(str) {
-    if (str == null) return { ok: false, error: "empty" };
-    const s = String(str).trim();
-    if (s.length === 0) return { ok: false, error: "empty" };
-    // Quick format check: numbers, optional ranges, comma separated
-    const basic = /^\s*\d+(\s*-\s*\d+)?(\s*,\s*\d+(\s*-\s*\d+)?)*\s*$/;
-    if (!basic.test(s)) return { ok: false, error: "format" };
-    // Semantic check: ranges ascending, all positive
-    const parts = s.split(",");
-    for (const p of parts) {
-      const t = p.trim();
-      if (t.includes("-")) {
-        const [aStr, bStr] = t.split("-").map((v) => v.trim());
-        const a = parseInt(aStr, 10);
-        const b = parseInt(bStr, 10);
-        if (
-          !Number.isFinite(a) || !Number.isFinite(b) || a <= 0 || b <= 0 ||
-          a > b
-        ) {
-          return { ok: false, error: "range" };
-        }
-      } else {
-        const n = parseInt(t, 10);
-        if (!Number.isFinite(n) || n <= 0) {
-          return { ok: false, error: "number" };
-        }
-      }
+    if (str == null || String(str).trim().length === 0) {
+      return { ok: false, error: "empty" };
     }
-    return { ok: true };
+    const { valid, error } = validateSinString(String(str));
+    return valid ? { ok: true } : { ok: false, error };
   }
 
   /**
@@ -1365,11 +1405,21 @@ class ControlClient {
         this.applyPendingTimingChanges();
         this.clearAllPendingChanges();
 
+        // Journal entries are located by cycle and phase
+        this.recorder.nextCycle();
+
         // Send EOC beacon
         this.sendStepBeacon(0);
+
+        // New cycle, new resolved values on routed CV outputs
+        this.sendResolvedValuesToES8();
+
+        this.oscBridge?.send("/vaf/eoc", [this.stepsPerCycle]);
+        this.oscBridge?.send("/vaf/step", [0]);
       } else if (currStepIndex !== prevStepIndex) {
         // Normal step boundary crossing
         this.currentStepIndex = currStepIndex;
+        this.oscBridge?.send("/vaf/step", [currStepIndex]);
 
         // Calculate stride with current timing (post-apply)
         const stepSec = this.cycleLength / this.stepsPerCycle;
@@ -1397,6 +1447,20 @@ class ControlClient {
 
     // Update ES-8 with current phasor state
     this.updateES8State();
+
+    // Phasor out to OSC (~30 Hz is plenty for Max/TouchDesigner)
+    if (
+      this.oscBridge && this.isPlaying &&
+      currentTime - this.lastOscPhasorTime >= 1 / 30
+    ) {
+      this.lastOscPhasorTime = currentTime;
+      this.oscBridge.send("/vaf/phasor", [this.phasor]);
+    }
+
+    // MIDI clock out schedules its clocks slightly ahead of the phasor
+    if (this.isPlaying) {
+      this.midiClock?.tick(this.phasor, this.cycleLength, this.stepsPerCycle);
+    }
   }
 
   updatePhasorDisplay() {
@@ -1440,7 +1504,7 @@ class ControlClient {
         0,
         this.stepsPerCycle,
       );
-      this.star.broadcastToType("synth", beaconMessage, "control");
+      this.star.broadcastToType("synth", beaconMessage);
 
       console.log(
         `🔔 Sent PHASOR_BEACON: startTime ${
@@ -1522,7 +1586,7 @@ class ControlClient {
 
       // Send initial state
       this.updateES8State();
-      this.sendSynthParametersToES8();
+      this.sendCvRoutingToES8();
 
       this.log("ES-8 AudioWorklet initialized", "info");
     } catch (error) {
@@ -1544,18 +1608,118 @@ class ControlClient {
     });
   }
 
-  sendSynthParametersToES8() {
+  sendCvRoutingToES8() {
     if (!this.es8Enabled || !this.es8Node) return;
 
-    const params = this.liveState;
     this.es8Node.port.postMessage({
-      type: "synth-parameters",
-      frequency: params.frequency,
-      vowelX: params.vowelX,
-      vowelY: params.vowelY,
-      zingAmount: params.zingAmount,
-      amplitude: params.amplitude,
+      type: "routing",
+      routing: this.cvRouting,
     });
+    this.sendResolvedValuesToES8();
+  }
+
+  /**
+   * Resolve this cycle's values for parameters routed to CV outputs
+   */
+  sendResolvedValuesToES8() {
+    if (!this.es8Enabled || !this.es8Node) return;
+
+    const values = {};
+    for (const paramName of routedParams(this.cvRouting)) {
+      const paramState = this.liveState[paramName];
+      if (!paramState) continue;
+      const { start, end } = this.resolveParameterValues(
+        paramName,
+        paramState,
+      );
+      values[paramName] = {
+        start,
+        end,
+        interpolation: paramState.interpolation,
+      };
+    }
+    this.es8Node.port.postMessage({ type: "resolved-values", values });
+  }
+
+  /**
+   * Change one CV channel's route
+   * @param {number} channel - Channel index (0-7)
+   * @param {Object} changes - Partial CvRoute
+   */
+  setCvRoute(channel, changes) {
+    const routing = this.cvRouting.map((route, i) =>
+      i === channel ? { ...route, ...changes } : route
+    );
+    this.setCvRouting(routing);
+  }
+
+  /**
+   * Replace the whole CV routing (preset, scene or reset)
+   * @param {Array} routing - CvRoute per channel
+   */
+  setCvRouting(routing) {
+    this.cvRouting = normalizeRouting(routing, this.liveState);
+    saveCvRouting(this.cvRouting);
+    this.sendCvRoutingToES8();
+    this.updateCvRoutingDisplay();
+  }
+
+  /**
+   * @param {string} name - Preset name
+   */
+  saveCvPreset(name) {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      this.log("Name the CV preset before saving", "error");
+      return;
+    }
+    this.cvPresets = saveCvPreset(trimmed, this.cvRouting);
+    this.log("💾 Saved CV routing preset " + trimmed, "success");
+    this.updateCvRoutingDisplay(trimmed);
+  }
+
+  /**
+   * @param {string} name - Preset name ("" = the default layout)
+   */
+  loadCvPreset(name) {
+    const routing = name ? this.cvPresets[name] : createDefaultRouting();
+    if (!routing) return;
+    this.setCvRouting(routing);
+    this.log("📂 CV routing: " + (name || "default"), "info");
+  }
+
+  /**
+   * @param {string} name - Preset name
+   */
+  deleteCvPreset(name) {
+    if (!name || !this.cvPresets[name]) return;
+    this.cvPresets = saveCvPreset(name, null);
+    this.log("🧹 Deleted CV routing preset " + name, "info");
+    this.updateCvRoutingDisplay("");
+  }
+
+  /**
+   * @param {string} [selectedPreset] - Preset to show as selected
+   */
+  updateCvRoutingDisplay(selectedPreset) {
+    const { cvRouting, cvPreset } = this.elements;
+
+    if (cvRouting) {
+      renderCvRouting(
+        cvRouting,
+        this.cvRouting,
+        Object.keys(this.liveState),
+        (channel, changes) => this.setCvRoute(channel, changes),
+      );
+    }
+
+    if (cvPreset) {
+      const selected = selectedPreset ?? cvPreset.value;
+      cvPreset.replaceChildren(new Option("default", ""));
+      for (const name of Object.keys(this.cvPresets)) {
+        cvPreset.add(new Option(name, name, false, name === selected));
+      }
+    }
   }
 
   shutdownES8() {
@@ -1581,6 +1745,16 @@ class ControlClient {
   async handleTransport(action) {
     console.log("Transport action: " + action);
 
+    if (this.ctrlRole === CtrlRoles.SECONDARY) {
+      this.log("Transport is owned by the primary controller", "error");
+      return;
+    }
+
+    // Live transport takes over from a running replay
+    if (this.player?.playing) {
+      this.stopReplay();
+    }
+
     switch (action) {
       case "play":
         // Create audio context on first play if needed
@@ -1592,6 +1766,7 @@ class ControlClient {
 
         this.isPlaying = true;
         this.lastPhasorTime = performance.now() / 1000.0; // Reset time tracking
+        this.midiClock?.start(this.phasor, this.stepsPerCycle);
         this.log("Global phasor started", "info");
 
         // Auto-enable synthesis when playing starts
@@ -1611,7 +1786,7 @@ class ControlClient {
             this.phasor,
             this.audioContext.currentTime,
           );
-          this.star.broadcastToType("synth", playMessage, "control");
+          this.star.broadcastToType("synth", playMessage);
           console.log(
             `▶️ Sent PLAY command from phase ${this.phasor.toFixed(3)}`,
           );
@@ -1628,7 +1803,7 @@ class ControlClient {
               normalizedPhase,
               this.stepsPerCycle,
             );
-            this.star.broadcastToType("synth", beaconMessage, "control");
+            this.star.broadcastToType("synth", beaconMessage);
             console.log(
               `🔔 Sent bootstrap PHASOR_BEACON: phase ${
                 normalizedPhase.toFixed(3)
@@ -1642,12 +1817,13 @@ class ControlClient {
         this.isPlaying = false;
         // Clear all pending changes when paused (changes apply immediately when paused)
         this.clearAllPendingChanges();
+        this.midiClock?.stop();
         this.log("Global phasor paused", "info");
 
         // Send PAUSE command
         if (this.star) {
           const pauseMessage = MessageBuilder.pause(this.phasor);
-          this.star.broadcastToType("synth", pauseMessage, "control");
+          this.star.broadcastToType("synth", pauseMessage);
           console.log(
             `⏸️ Sent PAUSE command at phase ${this.phasor.toFixed(3)}`,
           );
@@ -1661,12 +1837,13 @@ class ControlClient {
         // Clear all pending changes when stopped
         this.clearAllPendingChanges();
         this.updatePhasorDisplay();
+        this.midiClock?.stop(true);
         this.log("Global phasor stopped and reset", "info");
 
         // Send STOP command
         if (this.star) {
           const stopMessage = MessageBuilder.stop();
-          this.star.broadcastToType("synth", stopMessage, "control");
+          this.star.broadcastToType("synth", stopMessage);
           console.log("⏹️ Sent STOP command");
         }
         break;
@@ -1709,7 +1886,7 @@ class ControlClient {
     const portamentoMs = 0.5;
 
     const message = MessageBuilder.scrubPhase(phase, portamentoMs);
-    this.star.broadcastToType("synth", message, "control");
+    this.star.broadcastToType("synth", message);
 
     console.log(
       `🎯 Sent SCRUB_PHASE: ${phase.toFixed(3)} with ${
@@ -1719,8 +1896,8 @@ class ControlClient {
   }
 
   startScrubbing(event) {
-    // Only allow scrubbing when paused
-    if (this.isPlaying) return;
+    // Only allow scrubbing when paused, and only on the primary
+    if (this.isPlaying || this.ctrlRole === CtrlRoles.SECONDARY) return;
 
     this.isScrubbing = true;
     const phase = this.mapPointerToPhase(event);
@@ -1825,6 +2002,8 @@ class ControlClient {
     if (paramState.interpolation === "step") {
       return {
         start: this.resolveGeneratorValue(
+          paramName,
+          "start",
           paramState.startValueGenerator,
           paramState.baseValue,
         ),
@@ -1834,10 +2013,14 @@ class ControlClient {
 
     // For disc/cont interpolation, resolve both start and end
     const startValue = this.resolveGeneratorValue(
+      paramName,
+      "start",
       paramState.startValueGenerator,
       paramState.baseValue,
     );
     const endValue = this.resolveGeneratorValue(
+      paramName,
+      "end",
       paramState.endValueGenerator,
       paramState.baseValue,
     );
@@ -1856,60 +2039,39 @@ class ControlClient {
     };
   }
 
-  resolveGeneratorValue(generator, baseValue) {
-    if (generator.type === "periodic") {
-      // Parse HRG numerators and denominators
-      const numerators = this.parseHRGString(generator.numerators || "1");
-      const denominators = this.parseHRGString(generator.denominators || "1");
-
-      // Select random values based on behavior
-      const numerator = this.selectHRGValue(
-        numerators,
-        generator.sequenceBehavior,
-      );
-      const denominator = this.selectHRGValue(
-        denominators,
-        generator.sequenceBehavior,
-      );
-
-      // Calculate ratio and apply to base value
-      return (baseValue || 220) * (numerator / denominator);
-    } else {
-      // Normalized generator - return random value in range
-      if (typeof generator.range === "number") {
-        return generator.range;
-      } else {
-        const min = generator.range?.min || 0;
-        const max = generator.range?.max || 1;
-        return Math.random() * (max - min) + min;
-      }
+  /**
+   * Resolve one generator position, advancing its sequence like a synth
+   * @param {string} paramName
+   * @param {"start"|"end"} position
+   * @param {GeneratorConfig} generator
+   * @param {number} baseValue
+   * @returns {number}
+   */
+  resolveGeneratorValue(paramName, position, generator, baseValue) {
+    if (generator.type !== "periodic") {
+      return resolveRBG(generator, this.rng, {
+        cache: this.rbgState,
+        key: `${paramName}_${position}`,
+      });
     }
-  }
 
-  parseHRGString(input) {
-    // Parse "1-3,5,7-9" format into [1,2,3,5,7,8,9]
-    const result = [];
-    const parts = input.split(",");
-
-    for (const part of parts) {
-      const trimmed = part.trim();
-      if (trimmed.includes("-")) {
-        const [start, end] = trimmed.split("-").map(Number);
-        for (let i = start; i <= end; i++) {
-          result.push(i);
-        }
-      } else {
-        result.push(Number(trimmed));
-      }
+    // Sequence state restarts whenever the generator config changes
+    const source = JSON.stringify([
+      generator.numerators,
+      generator.denominators,
+      generator.numeratorBehavior,
+      generator.denominatorBehavior,
+    ]);
+    const positions = this.hrgState[paramName] ||= {};
+    if (positions[position]?.source !== source) {
+      positions[position] = {
+        source,
+        state: createHRGState(generator, this.rng),
+      };
     }
 
-    return result;
-  }
-
-  selectHRGValue(values, behavior) {
-    // For now, just return random selection
-    // TODO: Implement proper sequence behaviors (static, ascending, etc.)
-    return values[Math.floor(Math.random() * values.length)];
+    const ratio = advanceHRG(positions[position].state, this.rng);
+    return hrgValue(baseValue || 220, ratio);
   }
 
   handleReset() {
@@ -1931,7 +2093,7 @@ class ControlClient {
     // Broadcast reset to synths
     if (this.star) {
       const message = MessageBuilder.jumpToEOC();
-      this.star.broadcastToType("synth", message, "control");
+      this.star.broadcastToType("synth", message);
     }
 
     // Send beacon for immediate reset
@@ -1944,10 +2106,15 @@ class ControlClient {
     // Build context for helper
     const context = {
       peerId: this.peerId,
+      room: this.room,
+      ctrlRole: this.ctrlRole,
       wasKicked: this.wasKicked,
       kickedReason: this.kickedReason,
       updateConnectionStatus: this.updateConnectionStatus.bind(this),
       log: this.log.bind(this),
+      // Beacon startTimes are in this clock; synths estimate their offset to it
+      getAudioTime: () =>
+        this.audioContext ? this.audioContext.currentTime : null,
     };
 
     // Build callbacks for event handlers
@@ -1965,12 +2132,30 @@ class ControlClient {
         this._updateUIState();
         this.startNetworkDiagnostics();
 
+        // Secondary ctrls learn which params they may edit
+        if (
+          peerId.startsWith("ctrl-") && this.ctrlRole === CtrlRoles.PRIMARY
+        ) {
+          this.syncSecondaries(null, [peerId]);
+        }
+
         // Send complete state to new synths
         if (peerId.startsWith("synth-")) {
+          this.distribution.onSynthJoin(peerId);
           this.sendCompleteStateToSynth(peerId);
+
+          // Unison relies on every synth starting the shared stream together
+          if (this.distribution.mode === DistributionModes.UNISON) {
+            this.broadcastDistribution();
+          } else {
+            sendDistribution(this.star, this.distribution, [peerId]);
+          }
         }
       },
-      onPeerRemoved: () => {
+      onPeerRemoved: (peerId) => {
+        if (peerId && peerId.startsWith("synth-")) {
+          this.distribution.onSynthLeave(peerId);
+        }
         this.updatePeerList();
         this._updateUIState();
 
@@ -1991,6 +2176,29 @@ class ControlClient {
         );
       },
       onDataMessage: (peerId, channelType, message) => {
+        // Multi-controller: edits from secondaries, assignments from the primary
+        if (
+          message.type === MessageTypes.CTRL_EDIT &&
+          this.ctrlRole === CtrlRoles.PRIMARY
+        ) {
+          this._handleCtrlEdit(peerId, message.action);
+          return;
+        }
+        if (
+          message.type === MessageTypes.CTRL_ROLE &&
+          this.ctrlRole === CtrlRoles.SECONDARY
+        ) {
+          this._handleCtrlRole(message);
+          return;
+        }
+
+        // Live sync telemetry from synths
+        if (message.type === MessageTypes.SYNC_REPORT) {
+          this.syncReports.set(peerId, message);
+          this.updatePeerList();
+          return;
+        }
+
         // Handle program updates from synth (after scene load)
         if (
           message.type === MessageTypes.PROGRAM_UPDATE &&
@@ -2009,6 +2217,18 @@ class ControlClient {
           this.log("Received " + message.type + " from " + peerId, "debug");
         }
       },
+      onPeerProtocol: ({ peerId, compatible, version, reason }) => {
+        if (compatible) {
+          this.log(peerId + " speaks protocol v" + version, "debug");
+        } else {
+          this.log(
+            "⛔ " + peerId + " is incompatible (" + reason + ")" +
+              " - it will get no further updates until reloaded",
+            "error",
+          );
+        }
+        this.updatePeerList();
+      },
       onDataChannelMessage: (detail) => {
         if (
           detail.channel === "control" &&
@@ -2026,6 +2246,13 @@ class ControlClient {
     this.star = await connectToNetworkHelper(context, callbacks);
 
     if (this.star) {
+      // Journal outgoing broadcasts (but not the replay of a journal)
+      this.star.addEventListener("broadcast", (event) => {
+        if (this.player?.playing) return;
+        const { message, channelType, targetType } = event.detail;
+        this.recorder.record(message, channelType, targetType);
+      });
+
       this._updateUIState();
     }
   }
@@ -2074,9 +2301,865 @@ class ControlClient {
       this.liveState,
       this.synthesisActive,
       this.log.bind(this),
+      {
+        vowelTable: this.vowelTable,
+        articulation: this.articulation,
+        engine: this.engine,
+      },
+    );
+  }
+
+  /**
+   * Select the program's synthesis engine and send it to the synths
+   * @param {string} engine - One of VOICE_ENGINE_NAMES
+   */
+  setEngine(engine) {
+    this.engine = engine;
+    broadcastProgramMeta(this.star, { engine }, this.log.bind(this));
+    if (this.elements.voiceEngine) this.elements.voiceEngine.value = engine;
+    this.log("🎚️ Engine: " + engine, "info");
+  }
+
+  /**
+   * Select the program's vowel table and send it to the synths
+   * @param {string|Object} table - Built-in table name or custom table
+   */
+  setVowelTable(table) {
+    this.vowelTable = table;
+    broadcastProgramMeta(this.star, { vowelTable: table }, this.log.bind(this));
+    this.updateVowelTableDisplay();
+    this.log(
+      "🗣️ Vowel table: " + (typeof table === "string" ? table : "custom"),
+      "info",
+    );
+  }
+
+  updateVowelTableDisplay() {
+    const select = this.elements.vowelTable;
+    if (!select) return;
+
+    // Custom tables (from scenes) get their own entry
+    select.querySelector('option[value="custom"]')?.remove();
+    if (typeof this.vowelTable === "string") {
+      select.value = this.vowelTable;
+    } else {
+      select.add(new Option("custom", "custom"));
+      select.value = "custom";
+    }
+  }
+
+  /**
+   * Set the program's consonant pattern from text like "t . s . m"
+   * @param {string} text - Empty turns articulation off
+   */
+  setArticulationPattern(text) {
+    let articulation;
+    try {
+      articulation = parseArticulationPattern(text);
+    } catch (error) {
+      this.log("Articulation: " + error.message, "error");
+      this.updateArticulationDisplay();
+      return;
+    }
+    this.setArticulation(this._withStagger(articulation));
+  }
+
+  /**
+   * Compile text or a /phoneme string/ onto the current step grid and
+   * send it to the synths as their articulation
+   * @param {string} text - Empty turns articulation off
+   */
+  setLyrics(text) {
+    let articulation;
+    try {
+      articulation = compileLyrics(text, this.stepsPerCycle);
+    } catch (error) {
+      this.log("Lyrics: " + error.message, "error");
+      this.updateArticulationDisplay();
+      return;
+    }
+    this.setArticulation(this._withStagger(articulation));
+  }
+
+  /**
+   * Stagger the ensemble: each synth (or role) runs `steps` behind
+   * @param {number} steps
+   * @param {string} by - "synth" or "role"
+   */
+  setLyricsStagger(steps, by) {
+    this.lyricsStagger = Math.max(0, Math.floor(steps) || 0);
+    this.lyricsStaggerBy = by === "role" ? "role" : "synth";
+    if (this.articulation) {
+      this.setArticulation(this._withStagger(this.articulation));
+    } else {
+      this.updateArticulationDisplay();
+    }
+  }
+
+  /**
+   * @param {Object|null} articulation
+   * @returns {Object|null} - With the current stagger, if any
+   */
+  _withStagger(articulation) {
+    if (!articulation) return null;
+    const { stagger: _stagger, staggerBy: _staggerBy, ...rest } = articulation;
+    if (this.lyricsStagger === 0) return rest;
+    return {
+      ...rest,
+      stagger: this.lyricsStagger,
+      staggerBy: this.lyricsStaggerBy,
+    };
+  }
+
+  /**
+   * Select the program's articulation and send it to the synths
+   * @param {Object|null} articulation - See articulation.js
+   */
+  setArticulation(articulation) {
+    this.articulation = articulation;
+    // Scenes bring their own stagger
+    if (articulation) {
+      this.lyricsStagger = articulation.stagger ?? 0;
+      this.lyricsStaggerBy = articulation.staggerBy ?? "synth";
+    }
+    broadcastProgramMeta(this.star, { articulation }, this.log.bind(this));
+    this.updateArticulationDisplay();
+    this.log(
+      "👄 Articulation: " + (formatArticulationPattern(articulation) || "off"),
+      "info",
+    );
+  }
+
+  updateArticulationDisplay() {
+    const { articulationPattern, lyrics, lyricsStagger, lyricsStaggerBy } =
+      this.elements;
+    if (articulationPattern) {
+      articulationPattern.value = formatArticulationPattern(this.articulation);
+    }
+    if (lyrics) {
+      lyrics.value = this.articulation?.text ?? "";
+    }
+    if (lyricsStagger) lyricsStagger.value = String(this.lyricsStagger);
+    if (lyricsStaggerBy) lyricsStaggerBy.value = this.lyricsStaggerBy;
+  }
+
+  // Distribution strategy
+
+  setDistributionMode(mode) {
+    this.distribution.setMode(mode);
+    this.log("Distribution mode: " + this.distribution.mode, "info");
+    this.broadcastDistribution();
+  }
+
+  setDistributionRoles(count) {
+    this.distribution.setRoleCount(count);
+    if (this.elements.distributionRoles) {
+      this.elements.distributionRoles.value = String(
+        this.distribution.roleCount,
+      );
+    }
+    this.log("Distribution roles: " + this.distribution.roleCount, "info");
+    // Roles also decide voice types once any are set
+    if (
+      this.distribution.mode === DistributionModes.STRATIFIED ||
+      this.distribution.roleVoices.length > 0
+    ) {
+      this.broadcastDistribution();
+      this.updatePeerList();
+    }
+  }
+
+  /**
+   * Set voice types by role from a list like "bass, tenor, alto"
+   * @param {string} text - Comma-separated; "none" or unknown names = none
+   */
+  setRoleVoices(text) {
+    const voices = text.split(",").map((voice) => voice.trim().toLowerCase())
+      .filter(Boolean);
+    this.distribution.setRoleVoices(voices);
+
+    const display = this.distribution.roleVoices
+      .map((voice) => voice ?? "none")
+      .join(", ");
+    if (this.elements.voiceTypes) {
+      this.elements.voiceTypes.value = display;
+    }
+    this.log("🎙️ Voice types by role: " + (display || "none"), "info");
+    this.broadcastDistribution();
+    this.updatePeerList();
+  }
+
+  /**
+   * Step one synth's voice type: its role's voice, then each voice type
+   * @param {string} peerId
+   */
+  cycleSynthVoice(peerId) {
+    if (!this.distribution.indices.has(peerId)) return;
+
+    const current = this.distribution.voiceOverrides.get(peerId) ?? null;
+    const order = [null, ...VOICE_TYPE_NAMES];
+    const next = order[(order.indexOf(current) + 1) % order.length];
+    this.distribution.setSynthVoice(peerId, next);
+
+    this.log("🎙️ " + peerId + " voice: " + (next ?? "by role"), "info");
+    sendDistribution(this.star, this.distribution, [peerId]);
+    this.updatePeerList();
+  }
+
+  reseedDistribution() {
+    this.distribution.reseed();
+    this.rng = createSeededRandom(
+      deriveSeed(this.distribution.sessionSeed, this.peerId),
+    );
+    this.log("Distribution reseeded", "info");
+    this.broadcastDistribution();
+  }
+
+  broadcastDistribution() {
+    sendDistribution(
+      this.star,
+      this.distribution,
+      null,
+      this.log.bind(this),
     );
   }
 
+  connectOscBridge() {
+    const url = getOscBridgeUrlFromLocation();
+    if (!url) return;
+
+    this.oscBridge = connectOscBridge(url, {
+      onMessage: (address, args) => this.handleOscMessage(address, args),
+      onStatus: (status) => {
+        if (this.elements.oscStatus) {
+          this.elements.oscStatus.textContent = status;
+        }
+        this.log("OSC bridge " + status + " (" + url + ")", "info");
+      },
+    });
+  }
+
+  /**
+   * Route an incoming OSC message onto the matching ctrl action
+   * @param {string} address - OSC address
+   * @param {Array} args - OSC arguments
+   */
+  handleOscMessage(address, args) {
+    const command = oscToCommand(address, args, this.stagedState);
+    if (!command) {
+      this.log("Unhandled OSC address " + address, "debug");
+      return;
+    }
+
+    switch (command.kind) {
+      case "staged":
+        this._updateStagedState(command.action);
+        break;
+      case "apply":
+        this.applyParameterChanges();
+        break;
+      case "transport":
+        if (command.transport === "reset") {
+          this.handleReset();
+        } else {
+          this.handleTransport(command.transport);
+        }
+        break;
+    }
+  }
+
+  async enableMidi() {
+    if (!this.midi) {
+      this.midi = new MidiMapper({
+        onTarget: (target, value) => this.applyControlTarget(target, value),
+        onChange: () => {
+          this.midiClock?.refreshOutput();
+          this.updateMidiDisplay();
+        },
+      });
+    }
+    try {
+      await this.midi.enable();
+      this.midiClock ??= new MidiClockOutput(this.midi.access);
+      if (this.isPlaying) this.midiClock.start(this.phasor, this.stepsPerCycle);
+      this.log(
+        "MIDI enabled: " + (this.midi.inputNames().join(", ") || "no inputs"),
+        "success",
+      );
+    } catch (error) {
+      this.log("MIDI unavailable: " + error.message, "error");
+    }
+    this.updateMidiDisplay();
+  }
+
+  /**
+   * Send MIDI clock to an output ("" turns clock out off)
+   * @param {string} name - MIDIOutput name
+   */
+  selectMidiOutput(name) {
+    if (!this.midiClock) return;
+    this.midiClock.stop();
+    this.midiClock.selectOutput(name);
+    if (this.isPlaying) this.midiClock.start(this.phasor, this.stepsPerCycle);
+    this.log(
+      name ? "MIDI clock out → " + name : "MIDI clock out off",
+      "info",
+    );
+  }
+
+  /**
+   * Change MIDI clock out settings
+   * @param {Object} changes - Partial MidiClockSettings
+   */
+  updateMidiClock(changes) {
+    if (!this.midiClock) return;
+    this.midiClock.update(changes);
+    // Clock division changes the clocks per cycle; pick up from here
+    this.midiClock.resync(this.phasor, this.stepsPerCycle);
+  }
+
+  /**
+   * Arm MIDI learn for the target selected in the panel (or cancel it)
+   */
+  toggleMidiLearn() {
+    if (!this.midi?.enabled) {
+      this.log("Enable MIDI before learning", "error");
+      return;
+    }
+    if (this.midi.learning) {
+      this.midi.cancelLearn();
+      return;
+    }
+
+    const target = this.elements.midiTarget?.value;
+    if (!target || !parseTarget(target, this.stagedState)) return;
+    const curve = this.elements.midiCurve?.value || "linear";
+    this.midi.learn(target, { curve, ...this._defaultTargetScale(target) });
+  }
+
+  /**
+   * Output range a new mapping starts with: the base input's min/max when it
+   * has them, otherwise 0-1
+   * @param {string} target - Target ID
+   * @returns {{min: number, max: number}}
+   */
+  _defaultTargetScale(target) {
+    const parsed = parseTarget(target, this.stagedState);
+    if (parsed?.kind === "base") {
+      const input = document.getElementById(parsed.param + "-base") ||
+        document.getElementById(parsed.param + "-value");
+      const min = parseFloat(input?.getAttribute("min"));
+      const max = parseFloat(input?.getAttribute("max"));
+      if (Number.isFinite(min) && Number.isFinite(max)) return { min, max };
+    }
+    return { min: 0, max: 1 };
+  }
+
+  /**
+   * Apply a mapped MIDI/CV value to its target
+   * @param {string} targetId - Target ID (see state/targets.js)
+   * @param {number} value - Scaled value (1 for triggers)
+   */
+  applyControlTarget(targetId, value) {
+    const target = parseTarget(targetId, this.stagedState);
+    if (!target) return;
+
+    switch (target.kind) {
+      case "base":
+        this._updateStagedState({
+          type: "SET_BASE_VALUE",
+          param: target.param,
+          value,
+        });
+        break;
+      case "range": {
+        const generator =
+          this.stagedState[target.param][target.position + "ValueGenerator"];
+        if (generator?.type !== "normalised") return;
+        const range = typeof generator.range === "number"
+          ? { min: generator.range, max: generator.range }
+          : { ...generator.range };
+        range[target.bound] = value;
+        this._updateStagedState({
+          type: "SET_GENERATOR_CONFIG",
+          param: target.param,
+          position: target.position,
+          config: { range },
+        });
+        break;
+      }
+      case "portamento": {
+        const slider = this.elements.portamentoTime;
+        if (!slider) return;
+        slider.value = String(Math.max(0, Math.min(1, value)));
+        slider.dispatchEvent(new Event("input"));
+        break;
+      }
+      case "transport":
+        if (target.action === "reset") {
+          this.handleReset();
+        } else {
+          this.handleTransport(target.action);
+        }
+        break;
+      case "scene":
+        if (target.op === "save") {
+          this.saveScene(target.slot);
+        } else {
+          this.loadScene(target.slot);
+        }
+        break;
+      case "reinit":
+        this.triggerImmediateReinitialize();
+        break;
+    }
+  }
+
+  updateMidiDisplay() {
+    const { midiEnableBtn, midiLearnBtn, midiStatus, midiMappings } =
+      this.elements;
+    const enabled = !!this.midi?.enabled;
+    const learning = !!this.midi?.learning;
+
+    if (midiEnableBtn) {
+      midiEnableBtn.textContent = enabled ? "midi on" : "enable";
+      midiEnableBtn.classList.toggle("active", enabled);
+    }
+    if (midiLearnBtn) {
+      midiLearnBtn.textContent = learning ? "cancel" : "learn";
+      midiLearnBtn.classList.toggle("active", learning);
+    }
+    if (midiStatus) {
+      if (learning) {
+        midiStatus.textContent = "move a control for " +
+          this.midi.learning.target;
+      } else if (enabled) {
+        midiStatus.textContent = this.midi.inputNames().join(", ") ||
+          "no inputs";
+      } else {
+        midiStatus.textContent = "off";
+      }
+    }
+    this._updateMidiOutputDisplay();
+    if (!midiMappings || !this.midi) return;
+
+    midiMappings.replaceChildren();
+    this.midi.mappings.forEach((mapping, index) => {
+      const row = document.createElement("div");
+      row.className = "midi-mapping";
+
+      const label = document.createElement("span");
+      label.textContent = describeSource(mapping.source) + " → " +
+        mapping.target;
+
+      const curve = document.createElement("select");
+      for (const name of MIDI_CURVES) {
+        curve.add(new Option(name, name, false, name === mapping.curve));
+      }
+      curve.addEventListener("change", () => {
+        this.midi.updateMapping(index, { curve: curve.value });
+      });
+
+      const [min, max] = ["min", "max"].map((key) => {
+        const input = document.createElement("input");
+        input.type = "number";
+        input.className = "text-input";
+        input.value = String(mapping[key]);
+        input.title = key;
+        input.addEventListener("change", () => {
+          this.midi.updateMapping(index, { [key]: parseFloat(input.value) });
+        });
+        return input;
+      });
+
+      const remove = document.createElement("button");
+      remove.className = "button";
+      remove.textContent = "x";
+      remove.addEventListener("click", () => this.midi.removeMapping(index));
+
+      row.append(label, curve, min, max, remove);
+      midiMappings.appendChild(row);
+    });
+  }
+
+  _updateMidiOutputDisplay() {
+    const { midiOut, midiClockDiv, midiStepNotes } = this.elements;
+    if (!this.midiClock) return;
+    const settings = this.midiClock.settings;
+
+    if (midiOut) {
+      midiOut.replaceChildren(new Option("clock off", ""));
+      for (const name of this.midiClock.outputNames()) {
+        midiOut.add(
+          new Option(name, name, false, name === settings.outputName),
+        );
+      }
+    }
+    if (midiClockDiv) midiClockDiv.value = String(settings.clocksPerStep);
+    if (midiStepNotes) midiStepNotes.checked = settings.stepNotes;
+  }
+
+  /**
+   * Fill the MIDI learn and CV input target lists from the current parameters
+   */
+  populateControlTargets() {
+    const targets = listTargets(this.stagedState);
+    const selects = [this.elements.midiTarget, this.elements.cvInputTarget];
+    for (const select of selects) {
+      if (!select) continue;
+      const selected = select.value;
+      select.replaceChildren();
+      for (const target of targets) {
+        select.add(new Option(target, target, false, target === selected));
+      }
+    }
+  }
+
+  async toggleCvInput() {
+    if (this.cvInput.enabled) {
+      this.cvInput.stop();
+      this.log("CV input stopped", "info");
+    } else {
+      try {
+        await this.cvInput.start(this.elements.cvInputDevice?.value);
+        this.log("CV input started", "success");
+        // Device labels are only visible once capture is allowed
+        await this.populateCvInputDevices();
+      } catch (error) {
+        this.log("CV input failed: " + error.message, "error");
+      }
+    }
+    this.updateCvInputDisplay();
+  }
+
+  async populateCvInputDevices() {
+    const select = this.elements.cvInputDevice;
+    if (!select || !navigator.mediaDevices) return;
+
+    const devices = await this.cvInput.listDevices();
+    select.replaceChildren(new Option("default input", ""));
+    devices.forEach((device, i) => {
+      select.add(
+        new Option(
+          device.label || "input " + (i + 1),
+          device.deviceId,
+          false,
+          device.deviceId === this.cvInput.deviceId,
+        ),
+      );
+    });
+  }
+
+  /**
+   * Map the selected CV input channel onto the selected target
+   */
+  addCvInputMapping() {
+    const channel = parseInt(this.elements.cvInputChannel?.value, 10);
+    const target = this.elements.cvInputTarget?.value;
+    if (!(channel >= 0) || !target || !parseTarget(target, this.stagedState)) {
+      return;
+    }
+    this.cvInput.addMapping(channel, target, this._defaultTargetScale(target));
+    this.log("CV in " + (channel + 1) + " → " + target, "info");
+    this.updateCvInputDisplay();
+  }
+
+  updateCvInputDisplay() {
+    const { cvInputBtn, cvInputMappings } = this.elements;
+    const enabled = this.cvInput.enabled;
+
+    if (cvInputBtn) {
+      cvInputBtn.textContent = enabled ? "stop" : "start";
+      cvInputBtn.classList.toggle("active", enabled);
+    }
+    if (cvInputMappings) {
+      renderCvInputMappings(cvInputMappings, this.cvInput.mappings, {
+        onChange: (index, changes) => {
+          this.cvInput.updateMapping(index, changes);
+        },
+        onRemove: (index) => {
+          this.cvInput.removeMapping(index);
+          this.updateCvInputDisplay();
+        },
+      });
+    }
+  }
+
+  /**
+   * @param {number[]} volts - Latest volts per input channel
+   */
+  updateCvInputLevels(volts) {
+    // Levels arrive ~100 times a second; the readout only needs ~10
+    const now = performance.now();
+    if (now - this.lastCvLevelUpdate < 100) return;
+    this.lastCvLevelUpdate = now;
+    if (this.elements.cvInputMappings) {
+      updateCvInputLevels(this.elements.cvInputMappings, volts);
+    }
+  }
+
+  toggleRecording() {
+    if (this.recorder.recording) {
+      this.journal = this.recorder.stop();
+      this.log(
+        "Recording stopped: " + this.journal.entries.length + " messages",
+        "success",
+      );
+    } else {
+      const initialProgram = MessageBuilder.createParameterUpdate(
+        MessageTypes.PROGRAM_UPDATE,
+        {
+          ...createWirePayload(this.liveState, this.synthesisActive),
+          vowelTable: this.vowelTable,
+          articulation: this.articulation,
+          engine: this.engine,
+        },
+      );
+      this.recorder.start(initialProgram);
+      this.log("Recording control stream", "info");
+    }
+    this.updateRecorderDisplay();
+  }
+
+  exportJournal() {
+    const journal = this.recorder.recording
+      ? this.recorder.journal
+      : this.journal;
+    if (!journal) {
+      this.log("Nothing to export - record or load a journal first", "error");
+      return;
+    }
+    downloadJournal(journal);
+  }
+
+  /**
+   * @param {File} file - Journal JSON file
+   */
+  async loadJournalFile(file) {
+    try {
+      this.journal = parseJournal(await file.text());
+      this.log(
+        "Loaded journal " + file.name + " (" + this.journal.entries.length +
+          " messages)",
+        "success",
+      );
+    } catch (error) {
+      this.log("Failed to load journal: " + error.message, "error");
+    }
+    this.updateRecorderDisplay();
+  }
+
+  async toggleReplay() {
+    if (this.player?.playing) {
+      this.stopReplay();
+      return;
+    }
+    if (!this.journal || !this.star) {
+      this.log("Replay needs a journal and a network connection", "error");
+      return;
+    }
+    if (this.recorder.recording) {
+      this.toggleRecording();
+    }
+
+    // The replay drives transport; stop the local phasor so beacons don't mix
+    if (this.isPlaying) {
+      await this.handleTransport("stop");
+    }
+
+    // Replayed beacons are rebased onto this clock (synths sync to it)
+    if (!this.audioContext) {
+      this.audioContext = new AudioContext();
+      await this.audioContext.resume();
+    }
+
+    this.player = new SessionPlayer(this.star, this.journal, {
+      getAudioTime: () =>
+        this.audioContext ? this.audioContext.currentTime : null,
+      onEntry: (message) => this._mirrorReplayedMessage(message),
+      onEnd: () => {
+        this.log("Replay finished", "info");
+        this.updateRecorderDisplay();
+      },
+    });
+    this.player.play();
+    this.log("Replaying journal from " + this.journal.recordedAt, "info");
+    this.updateRecorderDisplay();
+  }
+
+  stopReplay() {
+    if (!this.player) return;
+    this.player.stop();
+    this.player = null;
+    this.log("Replay stopped", "info");
+    this.updateRecorderDisplay();
+  }
+
+  /**
+   * Keep the ctrl UI in step with replayed parameter updates
+   * @param {Object} message - Replayed message
+   */
+  _mirrorReplayedMessage(message) {
+    if (message.type !== MessageTypes.PROGRAM_UPDATE) return;
+    for (const paramName of Object.keys(this.liveState)) {
+      const paramState = message[paramName];
+      if (paramState && typeof paramState === "object") {
+        this.setParameterState(paramName, paramState);
+      }
+    }
+  }
+
+  updateRecorderDisplay() {
+    const { recordBtn, replayBtn, recorderStatus } = this.elements;
+    const recording = this.recorder.recording;
+    const replaying = !!this.player?.playing;
+
+    if (recordBtn) {
+      recordBtn.textContent = recording ? "stop rec" : "rec";
+      recordBtn.classList.toggle("active", recording);
+    }
+    if (replayBtn) {
+      replayBtn.textContent = replaying ? "stop replay" : "replay";
+      replayBtn.classList.toggle("active", replaying);
+    }
+    if (recorderStatus) {
+      if (recording) {
+        recorderStatus.textContent = "recording...";
+      } else if (replaying) {
+        recorderStatus.textContent = "replaying " +
+          this.journal.entries.length + " messages";
+      } else if (this.journal) {
+        recorderStatus.textContent = this.journal.entries.length +
+          " messages, " + this.journal.recordedAt.slice(0, 19);
+      } else {
+        recorderStatus.textContent = "no journal";
+      }
+    }
+  }
+
+  /**
+   * Primary: set which parameters secondary ctrls may edit
+   * @param {string} text - Comma-separated parameter names
+   */
+  setSecondaryParams(text) {
+    this.secondaryParams = parseParamList(text, this.stagedState);
+    if (this.elements.secondaryParams) {
+      this.elements.secondaryParams.value = this.secondaryParams.join(", ");
+    }
+    const sent = this.syncSecondaries();
+    this.log(
+      "Secondary params: " + (this.secondaryParams.join(", ") || "none") +
+        " (" + sent + " secondaries)",
+      "info",
+    );
+  }
+
+  /**
+   * Primary: send secondaries their assignment and current param state
+   * @param {string|null} [excludePeerId] - Secondary that made the change
+   * @param {string[]} [peerIds] - Secondaries to send to (defaults to all)
+   * @returns {number} - Number of secondaries reached
+   */
+  syncSecondaries(excludePeerId = null, peerIds = null) {
+    if (this.ctrlRole !== CtrlRoles.PRIMARY || !this.star) return 0;
+    const targets = (peerIds ||
+      [...this.star.peers.keys()].filter((id) => id.startsWith("ctrl-")))
+      .filter((id) => id !== excludePeerId);
+    return sendCtrlRole(
+      this.star,
+      this.secondaryParams,
+      this.stagedState,
+      targets,
+    );
+  }
+
+  /**
+   * Primary: merge a secondary's edit into staged state and broadcast it
+   * @param {string} peerId - Secondary ctrl
+   * @param {ControlAction} action - Staged-state action
+   */
+  _handleCtrlEdit(peerId, action) {
+    if (!isEditAllowed(this.secondaryParams, action)) {
+      this.log("Rejected edit of " + action.param + " from " + peerId, "error");
+      this.syncSecondaries(null, [peerId]); // Revert the secondary's UI
+      return;
+    }
+
+    this._updateStagedState(action);
+
+    // Paused: nothing waits for EOC, so commit and send this param now
+    if (!this.isPlaying) {
+      this.liveState[action.param] = JSON.parse(
+        JSON.stringify(this.stagedState[action.param]),
+      );
+      this.broadcastSingleParameterUpdate(action.param);
+    }
+
+    this.syncSecondaries(peerId);
+    this.log("Merged " + action.param + " edit from " + peerId, "debug");
+  }
+
+  /**
+   * Secondary: adopt the primary's assignment and parameter state
+   * @param {Object} message - CTRL_ROLE message
+   */
+  _handleCtrlRole(message) {
+    this.editableParams = message.params;
+    for (const [paramName, paramState] of Object.entries(message.state)) {
+      if (paramState && paramName in this.stagedState) {
+        this.setParameterState(paramName, paramState);
+      }
+    }
+    this.updateRoleDisplay();
+  }
+
+  updateRoleDisplay() {
+    const isSecondary = this.ctrlRole === CtrlRoles.SECONDARY;
+
+    if (this.elements.ctrlRole) {
+      this.elements.ctrlRole.textContent = this.ctrlRole;
+    }
+    if (this.elements.secondaryParams) {
+      // Secondaries see (but can't change) what they were assigned
+      this.elements.secondaryParams.disabled = isSecondary;
+      this.elements.secondaryParams.value =
+        (isSecondary ? this.editableParams : this.secondaryParams).join(", ");
+    }
+    if (this.elements.secondaryLink) {
+      const url = new URL("/ctrl/", globalThis.location.href);
+      url.searchParams.set("role", CtrlRoles.SECONDARY);
+      if (this.room !== DEFAULT_ROOM) {
+        url.searchParams.set("room", this.room);
+      }
+      this.elements.secondaryLink.href = url.href;
+      this.elements.secondaryLink.textContent = url.href;
+      this.elements.secondaryLink.style.display = isSecondary ? "none" : "";
+    }
+
+    // Transport and timing belong to the primary
+    for (const btn of ["playBtn", "stopBtn", "resetBtn"]) {
+      if (this.elements[btn]) this.elements[btn].disabled = isSecondary;
+    }
+  }
+
+  updateRoomDisplay() {
+    const url = new URL("/synth/", globalThis.location.href);
+    if (this.room !== DEFAULT_ROOM) {
+      url.searchParams.set("room", this.room);
+    }
+
+    if (this.elements.roomName) {
+      this.elements.roomName.textContent = this.room;
+    }
+    if (this.elements.synthLink) {
+      this.elements.synthLink.href = url.href;
+      this.elements.synthLink.textContent = url.href;
+    }
+    document.title = this.room === DEFAULT_ROOM
+      ? "Voice.Assembly.FM - Ctrl"
+      : `Voice.Assembly.FM - Ctrl (${this.room})`;
+  }
+
   updateConnectionStatus(status) {
     const statusElement = this.elements.connectionStatus;
     const valueElement = this.elements.connectionValue;
@@ -2192,22 +3275,32 @@ class ControlClient {
       return;
     }
 
-    const listHTML = peers.map((peerId) => {
-      const peerStats = stats.peerStats[peerId];
-      const peerType = peerStats.peerType || peerId.split("-")[0]; // Use stored type or extract from peerId
+    // Drop telemetry from peers that have gone away
+    for (const peerId of this.syncReports.keys()) {
+      if (!stats.peerStats[peerId]) {
+        this.syncReports.delete(peerId);
+      }
+    }
 
-      return '<div class="peer-item">' +
-        '<div class="peer-info">' +
-        '<div class="peer-id">' + peerId + "</div>" +
-        '<div class="peer-type">' + peerType + "</div>" +
-        "</div>" +
-        '<div class="peer-stats">' +
-        "<div>Status: " + peerStats.connectionState + "</div>" +
-        "</div>" +
-        "</div>";
-    }).join("");
+    updatePeerListHelper(
+      this.star,
+      this.elements.peerList,
+      this.syncReports,
+      (peerId) => this.voiceForPeer(peerId),
+    );
+  }
 
-    this.elements.peerList.innerHTML = listHTML;
+  /**
+   * Voice type a synth was assigned, for the peer list
+   * @param {string} peerId
+   * @returns {{voiceType: string|null, override: boolean}|null}
+   */
+  voiceForPeer(peerId) {
+    if (!this.distribution.indices.has(peerId)) return null;
+    return {
+      voiceType: this.distribution.assignmentFor(peerId).voiceType,
+      override: this.distribution.voiceOverrides.has(peerId),
+    };
   }
 
   clearPeerList() {
@@ -2347,6 +3440,10 @@ class ControlClient {
       // 1. Get the current applied program state.
       const programToSave = {
         ...this.liveState,
+        cvRouting: this.cvRouting, // Patch travels with the scene
+        vowelTable: this.vowelTable,
+        articulation: this.articulation,
+        engine: this.engine,
         savedAt: Date.now(),
       };
 
@@ -2360,7 +3457,7 @@ class ControlClient {
       // 3. Broadcast the command to all synths.
       if (this.star) {
         const message = MessageBuilder.saveScene(memoryLocation);
-        this.star.broadcastToType("synth", message, "control");
+        this.star.broadcastToType("synth", message);
       }
 
       this.updateSceneMemoryIndicators();
@@ -2405,6 +3502,24 @@ class ControlClient {
         }
       });
 
+      // A malformed bank must not reach the UI or half the ensemble
+      assertValidProgram(filteredProgram, "Scene " + memoryLocation);
+      if (loadedProgram.vowelTable !== undefined) {
+        assertValidVowelTable(
+          loadedProgram.vowelTable,
+          "Scene " + memoryLocation,
+        );
+      }
+      if (loadedProgram.articulation !== undefined) {
+        assertValidArticulation(
+          loadedProgram.articulation,
+          "Scene " + memoryLocation,
+        );
+      }
+      if (loadedProgram.engine !== undefined) {
+        assertValidEngine(loadedProgram.engine, "Scene " + memoryLocation);
+      }
+
       // 2. Update the controller's internal state.
       this.stagedState = filteredProgram;
       this.liveState = JSON.parse(JSON.stringify(filteredProgram));
@@ -2414,6 +3529,22 @@ class ControlClient {
         this._updateUIFromState(paramName);
       });
 
+      // Scenes saved before CV routing existed keep the current patch
+      if (loadedProgram.cvRouting) {
+        this.setCvRouting(loadedProgram.cvRouting);
+      }
+
+      // Likewise for the vowel table; sent ahead of LOAD_SCENE
+      if (loadedProgram.vowelTable !== undefined) {
+        this.setVowelTable(loadedProgram.vowelTable);
+      }
+      if (loadedProgram.articulation !== undefined) {
+        this.setArticulation(loadedProgram.articulation);
+      }
+      if (loadedProgram.engine !== undefined) {
+        this.setEngine(loadedProgram.engine);
+      }
+
       // 4. Broadcast LOAD_SCENE only (contains full program config)
       if (this.star) {
         const portNorm = this.elements.portamentoTime
@@ -2425,14 +3556,14 @@ class ControlClient {
           null, // No snapshot - synth manages its own
           portNorm,
         );
-        this.star.broadcastToType("synth", message, "control");
+        this.star.broadcastToType("synth", message);
       }
 
       this.log("Scene " + memoryLocation + " loaded and broadcast.", "success");
       this.updateSceneMemoryIndicators();
     } catch (error) {
       console.error("Error loading scene:", error);
-      // Error already logged by helper or above
+      this.log("❌ " + error.message, "error");
     }
   }
 
@@ -2444,7 +3575,7 @@ class ControlClient {
     // 2) Broadcast clear to synths
     if (this.star) {
       const msg = MessageBuilder.clearBanks();
-      this.star.broadcastToType("synth", msg, "control");
+      this.star.broadcastToType("synth", msg);
     }
   }
 
@@ -2456,7 +3587,7 @@ class ControlClient {
     // Broadcast to synths
     if (this.star) {
       const msg = MessageBuilder.clearScene(memoryLocation);
-      this.star.broadcastToType("synth", msg, "control");
+      this.star.broadcastToType("synth", msg);
     }
   }
 
@@ -93,7 +93,7 @@ export function broadcastControlState(
     wirePayload,
   );
 
-  star.broadcast(message);
+  star.broadcastToType("synth", message);
   logFn("Sent full program update to synths", "debug");
 }
 
@@ -154,10 +154,32 @@ export function broadcastSingleParameter(
     wirePayload,
   );
 
-  star.broadcast(message);
+  star.broadcastToType("synth", message);
   logFn("Sent single parameter (" + paramName + ") to synths", "debug");
 }
 
+/**
+ * Broadcast program meta fields (vowelTable, articulation, engine) as a
+ * meta-only PROGRAM_UPDATE, leaving the synths' parameters alone
+ * @param {Object} star - WebRTC star instance
+ * @param {Object} fields - Subset of PROGRAM_UPDATE_FIELDS
+ * @param {function} logFn - Logging function
+ */
+export function broadcastProgramMeta(star, fields, logFn) {
+  if (!star) return;
+
+  const message = MessageBuilder.createParameterUpdate(
+    MessageTypes.PROGRAM_UPDATE,
+    fields,
+  );
+
+  const sent = star.broadcastToType("synth", message);
+  logFn(
+    Object.keys(fields).join(", ") + " sent to " + sent + " synths",
+    "debug",
+  );
+}
+
 /**
  * Broadcast sub-parameter update
  * @param {Object} star - WebRTC star instance
@@ -181,7 +203,7 @@ export function broadcastSubParameterUpdate(
     portamentoTime,
   );
 
-  star.broadcast(message);
+  star.broadcastToType("synth", message);
   logFn("Sent sub-parameter update: " + paramPath + " = " + value, "debug");
 }
 
@@ -251,3 +273,33 @@ export function broadcastReResolve(star, logFn) {
   console.log("Re-resolve message sent to " + sent + " synths");
   logFn("Re-resolve sent to " + sent + " synths", "info");
 }
+
+/**
+ * Send each synth its distribution assignment (index, role, seed)
+ * Assignments differ per synth, so this is a per-peer send, not a broadcast
+ * @param {Object} star - WebRTC star instance
+ * @param {import('../../../src/common/distribution.js').DistributionAllocator} allocator - Distribution allocator
+ * @param {string[]} [peerIds] - Synths to send to (defaults to all assigned synths)
+ * @param {function} [logFn] - Logging function
+ */
+export function sendDistribution(star, allocator, peerIds = null, logFn) {
+  if (!star) return;
+
+  const targets = peerIds || [...allocator.indices.keys()];
+  let sent = 0;
+  for (const peerId of targets) {
+    const message = MessageBuilder.distribution(
+      allocator.assignmentFor(peerId),
+    );
+    if (star.sendToPeer(peerId, message)) {
+      sent++;
+    }
+  }
+
+  if (logFn) {
+    logFn(
+      "Distribution '" + allocator.mode + "' sent to " + sent + " synths",
+      "info",
+    );
+  }
+}
@@ -0,0 +1,244 @@
+// @ts-check
+
+/**
+ * CV input for Voice.Assembly.FM Control Client
+ * Captures a DC-coupled audio interface through cv-input.worklet.js and maps
+ * its channels onto ctrl targets (see state/targets.js): CVs follow a voltage
+ * range onto a value range, gates fire trigger targets on rising edges.
+ */
+
+import { isTriggerTarget } from "../state/targets.js";
+
+export const CV_INPUT_STORAGE_KEY = "vaf-cv-inputs";
+export const CV_INPUT_CHANNELS = 8;
+
+// Ignore CV wobble smaller than this fraction of the output range
+const CHANGE_EPSILON = 0.002;
+
+/**
+ * @typedef {Object} CvInputMapping
+ * @property {number} channel - Input channel index (0-7)
+ * @property {string} target - Target ID
+ * @property {number} minV - Volts mapped to min (gates fire at the midpoint)
+ * @property {number} maxV - Volts mapped to max
+ * @property {number} min - Output at minV
+ * @property {number} max - Output at maxV
+ */
+
+/**
+ * @typedef {Object} CvInputSettings
+ * @property {string} deviceId - Audio input device ("" = default)
+ * @property {CvInputMapping[]} mappings
+ */
+
+/**
+ * Load stored device and mappings, dropping malformed entries
+ * @returns {CvInputSettings}
+ */
+export function loadCvInputSettings() {
+  try {
+    const stored = JSON.parse(
+      localStorage.getItem(CV_INPUT_STORAGE_KEY) || "{}",
+    );
+    const mappings = Array.isArray(stored.mappings) ? stored.mappings : [];
+    return {
+      deviceId: typeof stored.deviceId === "string" ? stored.deviceId : "",
+      mappings: mappings.filter((m) =>
+        Number.isInteger(m?.channel) && typeof m.target === "string" &&
+        ["minV", "maxV", "min", "max"].every((k) => typeof m[k] === "number")
+      ),
+    };
+  } catch (error) {
+    console.error("❌ Failed to load CV input settings:", error);
+    return { deviceId: "", mappings: [] };
+  }
+}
+
+/**
+ * Map a voltage onto a mapping's output range (clamped)
+ * @param {CvInputMapping} mapping
+ * @param {number} volts
+ * @returns {number}
+ */
+export function scaleCvValue(mapping, volts) {
+  const span = mapping.maxV - mapping.minV;
+  const norm = span !== 0 ? (volts - mapping.minV) / span : 0;
+  const clamped = Math.max(0, Math.min(1, norm));
+  return mapping.min + (mapping.max - mapping.min) * clamped;
+}
+
+/**
+ * Reads CV from an audio input and routes it to targets
+ */
+export class CvInput {
+  /**
+   * @param {Object} handlers
+   * @param {function(string, number): void} handlers.onTarget - (target ID, value)
+   * @param {function(number[]): void} handlers.onLevels - Latest volts per channel
+   */
+  constructor(handlers) {
+    this.onTarget = handlers.onTarget;
+    this.onLevels = handlers.onLevels;
+
+    const settings = loadCvInputSettings();
+    this.deviceId = settings.deviceId;
+    this.mappings = settings.mappings;
+
+    /** @type {AudioContext|null} Own context so ES-8 output can close its own */
+    this.audioContext = null;
+    /** @type {MediaStream|null} */
+    this.stream = null;
+    /** @type {AudioWorkletNode|null} */
+    this.node = null;
+
+    /** @type {number[]} */
+    this.volts = [];
+    /** @type {Map<CvInputMapping, number>} Last value sent per mapping */
+    this.lastValues = new Map();
+  }
+
+  get enabled() {
+    return !!this.node;
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        CV_INPUT_STORAGE_KEY,
+        JSON.stringify({ deviceId: this.deviceId, mappings: this.mappings }),
+      );
+    } catch (error) {
+      console.error("❌ Failed to save CV input settings:", error);
+    }
+  }
+
+  /**
+   * Audio input devices (labels appear once capture has been allowed)
+   * @returns {Promise<MediaDeviceInfo[]>}
+   */
+  async listDevices() {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter((device) => device.kind === "audioinput");
+  }
+
+  /**
+   * Start capturing
+   * @param {string} [deviceId] - Device to capture (defaults to the stored one)
+   */
+  async start(deviceId = this.deviceId) {
+    this.stop();
+    this.deviceId = deviceId;
+    this.save();
+
+    // Every browser voice-processing stage would distort DC levels
+    this.stream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        deviceId: deviceId ? { exact: deviceId } : undefined,
+        channelCount: { ideal: CV_INPUT_CHANNELS },
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false,
+      },
+    });
+
+    this.audioContext = new AudioContext();
+    await this.audioContext.audioWorklet.addModule(
+      "/ctrl/worklets/cv-input.worklet.js",
+    );
+
+    const source = this.audioContext.createMediaStreamSource(this.stream);
+    this.node = new AudioWorkletNode(
+      this.audioContext,
+      "cv-input-processor",
+      {
+        numberOfInputs: 1,
+        numberOfOutputs: 0,
+        channelCount: CV_INPUT_CHANNELS,
+        channelCountMode: "explicit",
+        channelInterpretation: "discrete",
+      },
+    );
+    this.node.port.onmessage = (event) => {
+      if (event.data.type === "levels") this.handleLevels(event.data.volts);
+    };
+    source.connect(this.node);
+    await this.audioContext.resume();
+  }
+
+  stop() {
+    this.node?.disconnect();
+    this.node = null;
+    this.stream?.getTracks().forEach((track) => track.stop());
+    this.stream = null;
+    this.audioContext?.close();
+    this.audioContext = null;
+    this.volts = [];
+    this.lastValues.clear();
+  }
+
+  /**
+   * @param {number[]} volts - Average volts per channel
+   */
+  handleLevels(volts) {
+    const previous = this.volts;
+    this.volts = volts;
+
+    for (const mapping of this.mappings) {
+      const now = volts[mapping.channel];
+      if (now === undefined) continue;
+
+      if (isTriggerTarget(mapping.target)) {
+        // Gates fire on the rising edge through the midpoint
+        const threshold = (mapping.minV + mapping.maxV) / 2;
+        const before = previous[mapping.channel] ?? now;
+        if (now >= threshold && before < threshold) {
+          this.onTarget(mapping.target, 1);
+        }
+        continue;
+      }
+
+      const value = scaleCvValue(mapping, now);
+      const last = this.lastValues.get(mapping);
+      const epsilon = Math.abs(mapping.max - mapping.min) * CHANGE_EPSILON;
+      if (last === undefined || Math.abs(value - last) > epsilon) {
+        this.lastValues.set(mapping, value);
+        this.onTarget(mapping.target, value);
+      }
+    }
+
+    this.onLevels(volts);
+  }
+
+  /**
+   * @param {number} channel - Input channel index
+   * @param {string} target - Target ID
+   * @param {{min: number, max: number}} scale - Output range
+   */
+  addMapping(channel, target, scale) {
+    this.mappings.push({ channel, target, minV: 0, maxV: 5, ...scale });
+    this.save();
+  }
+
+  /**
+   * @param {number} index
+   * @param {Partial<CvInputMapping>} changes - minV, maxV, min and/or max
+   */
+  updateMapping(index, changes) {
+    const mapping = this.mappings[index];
+    if (!mapping) return;
+    for (const key of ["minV", "maxV", "min", "max"]) {
+      if (Number.isFinite(changes[key])) mapping[key] = changes[key];
+    }
+    this.lastValues.delete(mapping);
+    this.save();
+  }
+
+  /**
+   * @param {number} index
+   */
+  removeMapping(index) {
+    const [removed] = this.mappings.splice(index, 1);
+    if (removed) this.lastValues.delete(removed);
+    this.save();
+  }
+}
@@ -0,0 +1,233 @@
+// @ts-check
+
+/**
+ * MIDI clock output for Voice.Assembly.FM Control Client
+ * Sends 24-ppqn clock derived from the ctrl phasor, start/stop/continue
+ * following the transport, and optional per-step notes, so drum machines and
+ * DAWs can lock to the cycle. A step is a sixteenth note (6 clocks) by default.
+ *
+ * Clocks are scheduled a little ahead with MIDIOutput.send timestamps, so
+ * they stay even despite the phasor only advancing once per animation frame.
+ */
+
+export const MIDI_OUT_STORAGE_KEY = "vaf-midi-out";
+
+const CLOCK = 0xf8;
+const START = 0xfa;
+const CONTINUE = 0xfb;
+const STOP = 0xfc;
+const SONG_POSITION = 0xf2;
+
+// How far ahead of the phasor clocks are scheduled
+const LOOKAHEAD_MS = 50;
+
+/**
+ * @typedef {Object} MidiClockSettings
+ * @property {string} outputName - MIDIOutput name ("" = off)
+ * @property {number} clocksPerStep - 6 = sixteenths, 12 = eighths, 24 = quarters
+ * @property {boolean} stepNotes - Send a note on every step
+ * @property {number} channel - Note channel (1-16)
+ * @property {number} stepNote - Note for ordinary steps
+ * @property {number} eocNote - Note for step 0 (end of cycle)
+ * @property {number} noteLengthMs
+ */
+
+/** @type {MidiClockSettings} */
+export const DEFAULT_MIDI_CLOCK_SETTINGS = {
+  outputName: "",
+  clocksPerStep: 6,
+  stepNotes: false,
+  channel: 10,
+  stepNote: 42, // Closed hi-hat
+  eocNote: 36, // Kick
+  noteLengthMs: 30,
+};
+
+/**
+ * Load stored clock settings over the defaults
+ * @returns {MidiClockSettings}
+ */
+export function loadMidiClockSettings() {
+  try {
+    const stored = JSON.parse(
+      localStorage.getItem(MIDI_OUT_STORAGE_KEY) || "{}",
+    );
+    return { ...DEFAULT_MIDI_CLOCK_SETTINGS, ...stored };
+  } catch (error) {
+    console.error("❌ Failed to load MIDI clock settings:", error);
+    return { ...DEFAULT_MIDI_CLOCK_SETTINGS };
+  }
+}
+
+/**
+ * Sends clock, transport and step notes to one MIDI output
+ */
+export class MidiClockOutput {
+  /**
+   * @param {any} access - MIDIAccess
+   */
+  constructor(access) {
+    this.access = access;
+    this.settings = loadMidiClockSettings();
+    /** @type {any} MIDIOutput */
+    this.output = null;
+
+    // Next clock to schedule, counted from the start of the current cycle
+    // (may run past the cycle length by up to the lookahead)
+    this.nextClock = 0;
+    this.clocksPerCycle = 0;
+    this.lastPhasor = 0;
+    this.running = false;
+
+    this.refreshOutput();
+  }
+
+  /**
+   * Output device names
+   * @returns {string[]}
+   */
+  outputNames() {
+    return [...this.access.outputs.values()].map((output) => output.name);
+  }
+
+  /**
+   * @param {string} name - Output name, "" for none
+   */
+  selectOutput(name) {
+    this.update({ outputName: name });
+    this.refreshOutput();
+  }
+
+  /**
+   * Re-find the selected output (it may have been unplugged or plugged in)
+   */
+  refreshOutput() {
+    const name = this.settings.outputName;
+    this.output = name
+      ? [...this.access.outputs.values()].find((output) =>
+        output.name === name
+      ) || null
+      : null;
+  }
+
+  /**
+   * Change and persist settings
+   * @param {Partial<MidiClockSettings>} changes
+   */
+  update(changes) {
+    this.settings = { ...this.settings, ...changes };
+    try {
+      localStorage.setItem(
+        MIDI_OUT_STORAGE_KEY,
+        JSON.stringify(this.settings),
+      );
+    } catch (error) {
+      console.error("❌ Failed to save MIDI clock settings:", error);
+    }
+  }
+
+  /**
+   * @param {number[]} data
+   * @param {number} [timestamp] - performance.now() time to send at
+   */
+  send(data, timestamp) {
+    if (!this.output) return;
+    try {
+      this.output.send(data, timestamp);
+    } catch (error) {
+      console.error("❌ MIDI send failed:", error);
+    }
+  }
+
+  /**
+   * Transport play: Start from the top of the cycle, otherwise Continue from
+   * the song position of the current step
+   * @param {number} phasor
+   * @param {number} stepsPerCycle
+   */
+  start(phasor, stepsPerCycle) {
+    this.resync(phasor, stepsPerCycle);
+    this.running = true;
+    if (phasor === 0) {
+      this.send([START]);
+      return;
+    }
+    // Song position is counted in sixteenths (6 clocks)
+    const sixteenths = Math.floor(this.nextClock / 6) & 0x3fff;
+    this.send([SONG_POSITION, sixteenths & 0x7f, sixteenths >> 7]);
+    this.send([CONTINUE]);
+  }
+
+  /**
+   * Transport pause/stop
+   * @param {boolean} [rewind] - Also return the song position to zero (stop)
+   */
+  stop(rewind = false) {
+    this.running = false;
+    this.send([STOP]);
+    if (rewind) this.send([SONG_POSITION, 0, 0]);
+  }
+
+  /**
+   * @param {number} phasor
+   * @param {number} stepsPerCycle
+   */
+  resync(phasor, stepsPerCycle) {
+    this.clocksPerCycle = stepsPerCycle * this.settings.clocksPerStep;
+    this.nextClock = Math.ceil(phasor * this.clocksPerCycle);
+    this.lastPhasor = phasor;
+  }
+
+  /**
+   * Schedule clocks (and step notes) due within the lookahead; call once per
+   * phasor update while playing
+   * @param {number} phasor - Current phase (0-1)
+   * @param {number} cycleLength - Seconds per cycle
+   * @param {number} stepsPerCycle
+   */
+  tick(phasor, cycleLength, stepsPerCycle) {
+    if (!this.running || !this.output) return;
+
+    // Wrapped: carry the clocks already scheduled into the new cycle
+    if (phasor < this.lastPhasor - 0.5) {
+      this.nextClock -= this.clocksPerCycle;
+      this.clocksPerCycle = stepsPerCycle * this.settings.clocksPerStep;
+    }
+    this.lastPhasor = phasor;
+
+    const clockMs = cycleLength * 1000 / this.clocksPerCycle;
+    const position = phasor * this.clocksPerCycle;
+    const lookaheadClocks = LOOKAHEAD_MS / clockMs;
+
+    // Scrubs and resets move the phasor; pick the clock up from there
+    if (
+      this.nextClock < position - 1 ||
+      this.nextClock > position + lookaheadClocks + 1
+    ) {
+      this.resync(phasor, stepsPerCycle);
+    }
+
+    const now = performance.now();
+    while (this.nextClock <= position + lookaheadClocks) {
+      const at = Math.max(now, now + (this.nextClock - position) * clockMs);
+      this.send([CLOCK], at);
+      if (this.settings.stepNotes) this.sendStepNote(this.nextClock, at);
+      this.nextClock++;
+    }
+  }
+
+  /**
+   * @param {number} clock - Clock index within the cycle (may exceed it)
+   * @param {number} at - Timestamp
+   */
+  sendStepNote(clock, at) {
+    const { clocksPerStep, channel, stepNote, eocNote, noteLengthMs } =
+      this.settings;
+    if (clock % clocksPerStep !== 0) return;
+
+    const note = clock % this.clocksPerCycle === 0 ? eocNote : stepNote;
+    const status = (channel - 1) & 0x0f;
+    this.send([0x90 | status, note, 100], at);
+    this.send([0x80 | status, note, 0], at + noteLengthMs);
+  }
+}
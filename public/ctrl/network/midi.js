@@ -0,0 +1,295 @@
+// @ts-check
+
+/**
+ * Web MIDI input mapping for Voice.Assembly.FM Control Client
+ * Binds CCs and notes to ctrl targets through a MIDI-learn workflow: arm a
+ * target, move a fader or hit a pad, and the binding is stored (with its
+ * scaling curve and range) in localStorage.
+ * Targets are ctrl target IDs (see state/targets.js).
+ */
+
+import { isTriggerTarget } from "../state/targets.js";
+
+export const MIDI_STORAGE_KEY = "vaf-midi-mappings";
+export const MIDI_CURVES = ["linear", "exp", "log"];
+
+// Steepness of the exp/log curves
+const CURVE_SHAPE = 4;
+
+// CC triggers fire when crossing this (normalised) value upwards
+const TRIGGER_THRESHOLD = 0.5;
+
+/**
+ * @typedef {Object} MidiEvent
+ * @property {string} source - "cc:<channel>:<number>" or "note:<channel>:<number>"
+ * @property {number} value - 0-1 (CC value or note velocity, 0 for note off)
+ */
+
+/**
+ * @typedef {Object} MidiMapping
+ * @property {string} source - MidiEvent source
+ * @property {string} target - Target ID
+ * @property {string} curve - One of MIDI_CURVES
+ * @property {number} min - Output at MIDI value 0
+ * @property {number} max - Output at MIDI value 127
+ */
+
+/** @type {Promise<any>|null} Shared MIDIAccess for input mapping and clock out */
+let midiAccessPromise = null;
+
+/**
+ * Request Web MIDI access once per page
+ * @returns {Promise<any>} - MIDIAccess
+ */
+export function requestMidiAccess() {
+  if (!navigator.requestMIDIAccess) {
+    return Promise.reject(
+      new Error("Web MIDI is not supported in this browser"),
+    );
+  }
+  if (!midiAccessPromise) {
+    midiAccessPromise = navigator.requestMIDIAccess().catch((error) => {
+      midiAccessPromise = null; // Allow retrying after a denied prompt
+      throw error;
+    });
+  }
+  return midiAccessPromise;
+}
+
+/**
+ * Decode a raw MIDI message into a CC or note event
+ * @param {Uint8Array} data - MIDIMessageEvent data
+ * @returns {MidiEvent|null} - null for anything other than CC/note
+ */
+export function parseMidiMessage(data) {
+  if (!data || data.length < 3) return null;
+  const status = data[0] & 0xf0;
+  const channel = (data[0] & 0x0f) + 1;
+
+  if (status === 0xb0) {
+    return { source: "cc:" + channel + ":" + data[1], value: data[2] / 127 };
+  }
+  if (status === 0x90 || status === 0x80) {
+    // Note on with velocity 0 is a note off
+    const velocity = status === 0x90 ? data[2] : 0;
+    return {
+      source: "note:" + channel + ":" + data[1],
+      value: velocity / 127,
+    };
+  }
+  return null;
+}
+
+/**
+ * Human-readable source, e.g. "cc 7 ch1"
+ * @param {string} source
+ * @returns {string}
+ */
+export function describeSource(source) {
+  const [kind, channel, number] = source.split(":");
+  return kind + " " + number + " ch" + channel;
+}
+
+/**
+ * Shape a normalised value with a scaling curve
+ * @param {number} x - 0-1
+ * @param {string} curve - One of MIDI_CURVES
+ * @returns {number} - 0-1
+ */
+export function applyCurve(x, curve) {
+  const scale = Math.exp(CURVE_SHAPE) - 1;
+  switch (curve) {
+    case "exp":
+      return (Math.exp(CURVE_SHAPE * x) - 1) / scale;
+    case "log":
+      return Math.log(1 + x * scale) / CURVE_SHAPE;
+    default:
+      return x;
+  }
+}
+
+/**
+ * Map a normalised MIDI value onto a mapping's output range
+ * @param {MidiMapping} mapping
+ * @param {number} value - 0-1
+ * @returns {number}
+ */
+export function scaleMidiValue(mapping, value) {
+  const shaped = applyCurve(value, mapping.curve);
+  return mapping.min + (mapping.max - mapping.min) * shaped;
+}
+
+/**
+ * Load stored mappings, dropping malformed entries
+ * @returns {MidiMapping[]}
+ */
+export function loadMidiMappings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(MIDI_STORAGE_KEY) || "[]");
+    if (!Array.isArray(stored)) return [];
+    return stored.filter((m) =>
+      typeof m?.source === "string" && typeof m.target === "string" &&
+      MIDI_CURVES.includes(m.curve) && typeof m.min === "number" &&
+      typeof m.max === "number"
+    );
+  } catch (error) {
+    console.error("❌ Failed to load MIDI mappings:", error);
+    return [];
+  }
+}
+
+/**
+ * @param {MidiMapping[]} mappings
+ */
+export function saveMidiMappings(mappings) {
+  try {
+    localStorage.setItem(MIDI_STORAGE_KEY, JSON.stringify(mappings));
+  } catch (error) {
+    console.error("❌ Failed to save MIDI mappings:", error);
+  }
+}
+
+/**
+ * Listens to all MIDI inputs and routes mapped events to targets
+ */
+export class MidiMapper {
+  /**
+   * @param {Object} handlers
+   * @param {function(string, number): void} handlers.onTarget - Mapped (target ID, scaled value)
+   * @param {function(): void} handlers.onChange - Mappings, learn or device state changed
+   */
+  constructor(handlers) {
+    this.onTarget = handlers.onTarget;
+    this.onChange = handlers.onChange;
+
+    /** @type {any} MIDIAccess */
+    this.access = null;
+    this.mappings = loadMidiMappings();
+
+    /** @type {Omit<MidiMapping, "source">|null} Armed by learn() */
+    this.learning = null;
+
+    /** @type {Map<string, number>} Last value per source, for CC triggers */
+    this.lastValues = new Map();
+  }
+
+  get enabled() {
+    return !!this.access;
+  }
+
+  /**
+   * Input device names
+   * @returns {string[]}
+   */
+  inputNames() {
+    if (!this.access) return [];
+    return [...this.access.inputs.values()].map((input) => input.name);
+  }
+
+  /**
+   * Request MIDI access and listen to every input (including hot-plugged ones)
+   */
+  async enable() {
+    if (this.access) return;
+
+    this.access = await requestMidiAccess();
+    this.attachInputs();
+    this.access.addEventListener("statechange", () => {
+      this.attachInputs();
+      this.onChange();
+    });
+    this.onChange();
+  }
+
+  attachInputs() {
+    for (const input of this.access.inputs.values()) {
+      input.onmidimessage = (event) => this.handleMessage(event.data);
+    }
+  }
+
+  /**
+   * Arm learn mode: the next CC or note is bound to the target
+   * @param {string} target - Target ID
+   * @param {{curve: string, min: number, max: number}} scale
+   */
+  learn(target, scale) {
+    this.learning = { target, ...scale };
+    this.onChange();
+  }
+
+  cancelLearn() {
+    this.learning = null;
+    this.onChange();
+  }
+
+  /**
+   * @param {Uint8Array} data
+   */
+  handleMessage(data) {
+    const event = parseMidiMessage(data);
+    if (!event) return;
+
+    if (this.learning) {
+      // Ignore the note off that follows a learned note on
+      if (event.source.startsWith("note:") && event.value === 0) return;
+      this.bind(event.source);
+      return;
+    }
+
+    const previous = this.lastValues.get(event.source) ?? 0;
+    this.lastValues.set(event.source, event.value);
+
+    for (const mapping of this.mappings) {
+      if (mapping.source !== event.source) continue;
+
+      if (isTriggerTarget(mapping.target)) {
+        // Triggers fire on note on / CC rising past the threshold
+        if (event.value >= TRIGGER_THRESHOLD && previous < TRIGGER_THRESHOLD) {
+          this.onTarget(mapping.target, 1);
+        }
+      } else if (!(event.source.startsWith("note:") && event.value === 0)) {
+        this.onTarget(mapping.target, scaleMidiValue(mapping, event.value));
+      }
+    }
+  }
+
+  /**
+   * Complete learn mode, replacing any mapping from the same source
+   * @param {string} source
+   */
+  bind(source) {
+    const mapping = { source, ...this.learning };
+    this.learning = null;
+    this.mappings = this.mappings.filter((m) => m.source !== source);
+    this.mappings.push(mapping);
+    saveMidiMappings(this.mappings);
+    console.log(`🎹 MIDI ${describeSource(source)} → ${mapping.target}`);
+    this.onChange();
+  }
+
+  /**
+   * Edit a mapping's scaling
+   * @param {number} index
+   * @param {Partial<MidiMapping>} changes - curve, min and/or max
+   */
+  updateMapping(index, changes) {
+    const mapping = this.mappings[index];
+    if (!mapping) return;
+    if (changes.curve && MIDI_CURVES.includes(changes.curve)) {
+      mapping.curve = changes.curve;
+    }
+    for (const key of ["min", "max"]) {
+      if (Number.isFinite(changes[key])) mapping[key] = changes[key];
+    }
+    saveMidiMappings(this.mappings);
+  }
+
+  /**
+   * @param {number} index
+   */
+  removeMapping(index) {
+    this.mappings.splice(index, 1);
+    saveMidiMappings(this.mappings);
+    this.onChange();
+  }
+}
@@ -0,0 +1,169 @@
+// @ts-check
+
+/**
+ * OSC bridge link for Voice.Assembly.FM Control Client
+ * Talks to src/server/osc-bridge.ts over WebSocket: incoming OSC addresses are
+ * mapped onto ctrl actions, and phasor/EOC events are sent back out as OSC
+ *
+ * Incoming addresses:
+ *   /vaf/<param>/base <value>               SET_BASE_VALUE
+ *   /vaf/<param>/interpolation <step|disc|cont>
+ *   /vaf/<param>/<start|end>/<key> <value>  SET_GENERATOR_CONFIG
+ *   /vaf/<param>/<start|end>/range <min> <max>
+ *   /vaf/apply                              apply staged changes
+ *   /vaf/transport/<play|pause|stop|reset>
+ *
+ * Outgoing addresses:
+ *   /vaf/phasor <phase>   /vaf/step <index>   /vaf/eoc <stepsPerCycle>
+ */
+
+export const DEFAULT_OSC_BRIDGE_URL = "ws://localhost:8765";
+
+const OSC_PREFIX = "/vaf/";
+const TRANSPORT_ACTIONS = ["play", "pause", "stop", "reset"];
+const INTERPOLATIONS = ["step", "disc", "cont"];
+
+// Generator fields whose OSC values are strings rather than numbers
+const STRING_GENERATOR_KEYS = ["numerators", "denominators", "type"];
+
+/**
+ * Bridge URL from the page URL: ?osc (default bridge) or ?osc=ws://host:port
+ * @returns {string|null} - null when the OSC bridge isn't requested
+ */
+export function getOscBridgeUrlFromLocation() {
+  const params = new URLSearchParams(globalThis.location?.search || "");
+  if (!params.has("osc")) return null;
+  return params.get("osc") || DEFAULT_OSC_BRIDGE_URL;
+}
+
+/**
+ * @typedef {Object} OscCommand
+ * @property {"staged"|"apply"|"transport"} kind
+ * @property {Object} [action] - ControlAction for kind "staged"
+ * @property {string} [transport] - Transport action for kind "transport"
+ */
+
+/**
+ * Map an OSC address + args onto a ctrl command
+ * @param {string} address - e.g. "/vaf/vowelX/start/range"
+ * @param {Array<number|string|boolean|null>} args - OSC arguments
+ * @param {Object} state - Control state (keys are valid parameter names)
+ * @returns {OscCommand|null} - null for unknown addresses
+ */
+export function oscToCommand(address, args, state) {
+  if (!address.startsWith(OSC_PREFIX)) return null;
+  const parts = address.slice(OSC_PREFIX.length).split("/");
+  const value = args[0];
+
+  if (parts.length === 1 && parts[0] === "apply") {
+    return { kind: "apply" };
+  }
+
+  if (parts[0] === "transport" && parts.length === 2) {
+    return TRANSPORT_ACTIONS.includes(parts[1])
+      ? { kind: "transport", transport: parts[1] }
+      : null;
+  }
+
+  const param = parts[0];
+  if (!(param in state)) return null;
+
+  if (parts.length === 2 && parts[1] === "base" && typeof value === "number") {
+    return {
+      kind: "staged",
+      action: { type: "SET_BASE_VALUE", param, value },
+    };
+  }
+
+  if (
+    parts.length === 2 && parts[1] === "interpolation" &&
+    INTERPOLATIONS.includes(String(value))
+  ) {
+    return {
+      kind: "staged",
+      action: { type: "SET_INTERPOLATION", param, interpolation: value },
+    };
+  }
+
+  if (
+    parts.length === 3 && (parts[1] === "start" || parts[1] === "end") &&
+    value !== undefined && value !== null
+  ) {
+    const key = parts[2];
+    let configValue = STRING_GENERATOR_KEYS.includes(key)
+      ? String(value)
+      : value;
+
+    // A normalised range is {min, max}; a lone number would collapse it
+    if (key === "range") {
+      const [min, max] = args;
+      if (typeof min !== "number" || typeof max !== "number") return null;
+      configValue = { min: Math.min(min, max), max: Math.max(min, max) };
+    }
+    return {
+      kind: "staged",
+      action: {
+        type: "SET_GENERATOR_CONFIG",
+        param,
+        position: parts[1],
+        config: { [key]: configValue },
+      },
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Connect to the OSC bridge
+ * @param {string} url - Bridge WebSocket URL
+ * @param {Object} handlers
+ * @param {function(string, Array): void} handlers.onMessage - Incoming OSC (address, args)
+ * @param {function(string): void} handlers.onStatus - "connected" | "disconnected"
+ * @returns {{send: function(string, Array): void, close: function(): void}}
+ */
+export function connectOscBridge(url, handlers) {
+  /** @type {WebSocket|null} */
+  let socket = null;
+  let closed = false;
+  /** @type {ReturnType<typeof setTimeout>|null} */
+  let retryTimer = null;
+
+  const open = () => {
+    socket = new WebSocket(url);
+
+    socket.addEventListener("open", () => handlers.onStatus("connected"));
+
+    socket.addEventListener("message", (event) => {
+      try {
+        const message = JSON.parse(event.data);
+        if (message.type === "osc") {
+          handlers.onMessage(message.address, message.args || []);
+        }
+      } catch (error) {
+        console.error("❌ Bad message from OSC bridge:", error);
+      }
+    });
+
+    // The bridge is a separate process; keep retrying while it's down
+    socket.addEventListener("close", () => {
+      handlers.onStatus("disconnected");
+      if (!closed) retryTimer = setTimeout(open, 2000);
+    });
+  };
+
+  open();
+
+  return {
+    send(address, args = []) {
+      if (socket?.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: "osc", address, args }));
+      }
+    },
+    close() {
+      closed = true;
+      if (retryTimer) clearTimeout(retryTimer);
+      socket?.close();
+    },
+  };
+}
@@ -0,0 +1,363 @@
+// @ts-check
+
+/**
+ * Session Recording and Replay for Voice.Assembly.FM Control Client
+ * Journals every outgoing control broadcast with its time and phasor position,
+ * exports the journal as JSON, and re-broadcasts it to a live ensemble
+ *
+ * Replay follows the phasor: while the replayed transport is running, each
+ * entry goes out when the replay reaches its recorded cycle and phase, so a
+ * replay stays locked to the beacons it sends. While transport is stopped or
+ * paused, and where the phasor was moved back (stop, reset, scrub), entries
+ * keep their recorded wall-clock spacing.
+ */
+
+import { MessageTypes } from "../../../src/common/message-protocol.js";
+
+export const JOURNAL_FORMAT = "voice-assembly-fm/journal";
+export const JOURNAL_VERSION = 1;
+
+/** Message types worth journaling (parameters, transport, timing, scenes) */
+export const RECORDED_TYPES = new Set([
+  MessageTypes.PROGRAM_UPDATE,
+  MessageTypes.SUB_PARAM_UPDATE,
+  MessageTypes.UNIFIED_PARAM_UPDATE,
+  MessageTypes.PLAY,
+  MessageTypes.PAUSE,
+  MessageTypes.STOP,
+  MessageTypes.SCRUB_PHASE,
+  MessageTypes.PHASOR_BEACON,
+  MessageTypes.JUMP_TO_EOC,
+  MessageTypes.RERESOLVE_AT_EOC,
+  MessageTypes.IMMEDIATE_REINITIALIZE,
+  MessageTypes.SAVE_SCENE,
+  MessageTypes.LOAD_SCENE,
+  MessageTypes.CLEAR_BANKS,
+  MessageTypes.CLEAR_SCENE,
+]);
+
+// Fields holding ctrl AudioContext times, shifted onto the replay clock
+const AUDIO_TIME_FIELDS = ["startTime"];
+
+// Messages that start, move or stop the replay's phasor
+const TRANSPORT_TYPES = new Set([
+  MessageTypes.PLAY,
+  MessageTypes.PAUSE,
+  MessageTypes.STOP,
+  MessageTypes.SCRUB_PHASE,
+  MessageTypes.PHASOR_BEACON,
+  MessageTypes.JUMP_TO_EOC,
+]);
+
+// How often the player checks for due entries
+const REPLAY_TICK_MS = 10;
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {number} t - Seconds since recording started
+ * @property {number|null} audioTime - Ctrl AudioContext time when sent
+ * @property {number} cycle - Phasor cycles completed since recording started
+ * @property {number} phase - Ctrl phasor (0-1) when sent
+ * @property {string} channel - Data channel it was sent on (informational;
+ *   replay routes by message type)
+ * @property {string|null} target - Peer type broadcast to (null = all)
+ * @property {Record<string, any>} message - The message as sent
+ */
+
+/**
+ * @typedef {Object} Journal
+ * @property {string} format
+ * @property {number} version
+ * @property {string} recordedAt - ISO date
+ * @property {string} room - Signaling room
+ * @property {number} periodSec - Cycle length at start
+ * @property {number} stepsPerCycle - Steps per cycle at start
+ * @property {number|null} audioTime - Ctrl AudioContext time at start
+ * @property {JournalEntry[]} entries
+ */
+
+/**
+ * Records outgoing broadcasts from a ctrl
+ */
+export class SessionRecorder {
+  /**
+   * @param {Object} ctrl - The ControlClient instance (reads phasor/audio clock)
+   */
+  constructor(ctrl) {
+    this.ctrl = ctrl;
+    this.recording = false;
+    /** @type {Journal|null} */
+    this.journal = null;
+    this.startedAt = 0; // performance.now() at start
+    this.cycle = 0;
+  }
+
+  /**
+   * Start a new journal
+   * @param {Object} initialProgram - PROGRAM_UPDATE describing the state at start
+   */
+  start(initialProgram) {
+    const ctrl = this.ctrl;
+    this.recording = true;
+    this.startedAt = performance.now();
+    this.cycle = 0;
+    this.journal = {
+      format: JOURNAL_FORMAT,
+      version: JOURNAL_VERSION,
+      recordedAt: new Date().toISOString(),
+      room: ctrl.room,
+      periodSec: ctrl.periodSec,
+      stepsPerCycle: ctrl.stepsPerCycle,
+      audioTime: this.audioTime(),
+      entries: [],
+    };
+
+    // Replays start from the program that was live when recording began
+    this.record(initialProgram, "control", "synth");
+  }
+
+  stop() {
+    this.recording = false;
+    return this.journal;
+  }
+
+  /**
+   * Count a completed phasor cycle (called by the ctrl at each EOC, before
+   * the EOC beacon goes out)
+   */
+  nextCycle() {
+    if (this.recording) this.cycle++;
+  }
+
+  /**
+   * Ctrl AudioContext time, if the ctrl has one yet
+   * @returns {number|null}
+   */
+  audioTime() {
+    return this.ctrl.audioContext ? this.ctrl.audioContext.currentTime : null;
+  }
+
+  /**
+   * Journal one outgoing broadcast (ignores unrecorded types)
+   * @param {Object} message
+   * @param {string} channel
+   * @param {string|null} target
+   */
+  record(message, channel, target) {
+    if (!this.recording || !this.journal) return;
+    if (!RECORDED_TYPES.has(message.type)) return;
+
+    this.journal.entries.push({
+      t: (performance.now() - this.startedAt) / 1000,
+      audioTime: this.audioTime(),
+      cycle: this.cycle,
+      phase: this.ctrl.phasor,
+      channel,
+      target,
+      message: JSON.parse(JSON.stringify(message)),
+    });
+  }
+}
+
+/**
+ * Re-broadcasts a journal to the synths on its original phasor timeline
+ */
+export class SessionPlayer {
+  /**
+   * @param {Object} star - WebRTC star instance
+   * @param {Journal} journal - Journal to replay
+   * @param {Object} [options]
+   * @param {function(): (number|null)} [options.getAudioTime] - Ctrl AudioContext clock
+   * @param {function(Object): void} [options.onEntry] - Called with each sent message
+   * @param {function(): void} [options.onEnd] - Called when the journal is exhausted
+   */
+  constructor(star, journal, options = {}) {
+    this.star = star;
+    this.journal = journal;
+    this.getAudioTime = options.getAudioTime || (() => null);
+    this.onEntry = options.onEntry || (() => {});
+    this.onEnd = options.onEnd || (() => {});
+
+    this.playing = false;
+    this.index = 0;
+    this.audioShift = 0;
+    this.timer = null;
+
+    // Replay phasor: recorded position (cycle + phase) at anchorTime,
+    // advancing at one cycle per cycleLength while running
+    this.running = false;
+    this.anchorPosition = 0;
+    this.anchorTime = 0;
+    this.cycleLength = journal.periodSec;
+
+    // Last entry sent, for wall-clock spacing while transport is stopped
+    this.lastSentT = 0;
+    this.lastSentAt = 0;
+    this.lastSentPosition = 0;
+  }
+
+  play() {
+    if (this.playing) return;
+    this.playing = true;
+    this.index = 0;
+    this.running = false;
+    this.cycleLength = this.journal.periodSec;
+    this.lastSentT = 0;
+    this.lastSentAt = performance.now();
+    this.lastSentPosition = 0;
+
+    // Beacons/PLAY carry recorded ctrl audio times; move them onto today's clock
+    const now = this.getAudioTime();
+    this.audioShift = now !== null && this.journal.audioTime !== null
+      ? now - this.journal.audioTime
+      : 0;
+
+    this.timer = setInterval(() => this.tick(), REPLAY_TICK_MS);
+    this.tick();
+  }
+
+  stop() {
+    this.playing = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Replay clock in seconds (the ctrl's AudioContext, which replayed
+   * beacons are rebased onto)
+   * @returns {number}
+   */
+  now() {
+    return this.getAudioTime() ?? performance.now() / 1000;
+  }
+
+  /**
+   * Replay phasor position in cycles since recording started
+   * @returns {number}
+   */
+  position() {
+    if (!this.running) return this.anchorPosition;
+    return this.anchorPosition +
+      (this.now() - this.anchorTime) / this.cycleLength;
+  }
+
+  /**
+   * Whether an entry is due: by phasor position while the replayed transport
+   * runs, otherwise (or if the phasor went back) by its recorded spacing
+   * from the previous entry
+   * @param {JournalEntry} entry
+   * @returns {boolean}
+   */
+  isDue(entry) {
+    const entryPosition = entry.cycle + entry.phase;
+    if (this.running && entryPosition >= this.lastSentPosition) {
+      return entryPosition <= this.position();
+    }
+    return performance.now() - this.lastSentAt >=
+      (entry.t - this.lastSentT) * 1000;
+  }
+
+  tick() {
+    const entries = this.journal.entries;
+
+    while (this.index < entries.length && this.isDue(entries[this.index])) {
+      this.send(entries[this.index]);
+      this.index++;
+    }
+
+    if (this.index >= entries.length) {
+      this.stop();
+      this.onEnd();
+    }
+  }
+
+  /**
+   * @param {JournalEntry} entry
+   */
+  send(entry) {
+    /** @type {Record<string, any>} */
+    const message = { ...entry.message, timestamp: performance.now() };
+    for (const field of AUDIO_TIME_FIELDS) {
+      if (typeof message[field] === "number") {
+        message[field] += this.audioShift;
+      }
+    }
+
+    // Synths only (not secondary ctrls), on today's channel for the type
+    this.star.broadcastToType(entry.target || "synth", message);
+    this.lastSentT = entry.t;
+    this.lastSentAt = performance.now();
+    this.lastSentPosition = entry.cycle + entry.phase;
+    if (TRANSPORT_TYPES.has(message.type)) this.followTransport(entry);
+    this.onEntry(message);
+  }
+
+  /**
+   * Move the replay phasor to match a replayed transport message. It is
+   * anchored at the entry's recorded position, as it was on the ctrl.
+   * @param {JournalEntry} entry
+   */
+  followTransport(entry) {
+    const message = entry.message;
+    if (message.type === MessageTypes.PHASOR_BEACON && message.cycleLength) {
+      this.cycleLength = message.cycleLength;
+    }
+
+    this.anchorPosition = entry.cycle + entry.phase;
+    this.anchorTime = this.now();
+    if (message.type === MessageTypes.PLAY) {
+      this.running = true;
+    } else if (
+      message.type === MessageTypes.PAUSE || message.type === MessageTypes.STOP
+    ) {
+      this.running = false;
+    } else if (message.type === MessageTypes.PHASOR_BEACON) {
+      this.running = true; // Recording may have begun mid-play
+    }
+  }
+}
+
+/**
+ * Parse and sanity-check a journal file
+ * @param {string} text - File contents
+ * @returns {Journal}
+ */
+export function parseJournal(text) {
+  const journal = JSON.parse(text);
+  if (journal?.format !== JOURNAL_FORMAT) {
+    throw new Error("Not a Voice.Assembly.FM journal");
+  }
+  if (journal.version > JOURNAL_VERSION) {
+    throw new Error("Journal version " + journal.version + " is too new");
+  }
+  if (!Array.isArray(journal.entries)) {
+    throw new Error("Journal has no entries");
+  }
+  for (const entry of journal.entries) {
+    if (
+      typeof entry.t !== "number" || !entry.message ||
+      typeof entry.message.type !== "string"
+    ) {
+      throw new Error("Journal entry is malformed");
+    }
+  }
+  return journal;
+}
+
+/**
+ * Save a journal as a JSON download
+ * @param {Journal} journal
+ */
+export function downloadJournal(journal) {
+  const blob = new Blob([JSON.stringify(journal, null, 2)], {
+    type: "application/json",
+  });
+  const stamp = journal.recordedAt.replace(/[:.]/g, "-");
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = "vaf-journal-" + stamp + ".json";
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
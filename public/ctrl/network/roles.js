@@ -0,0 +1,88 @@
+// @ts-check
+
+/**
+ * Multi-controller roles for Voice.Assembly.FM Control Client
+ * The primary ctrl owns transport, timing and the synth connections.
+ * Secondary ctrls dial the primary and may only edit the parameters it
+ * assigns them; their edits are merged into the primary's staged state.
+ */
+
+import { MessageBuilder } from "../../../src/common/message-protocol.js";
+import { CtrlRoles } from "../../../src/common/webrtc-star.js";
+
+/** Parameters secondary ctrls may edit until the primary changes it */
+export const DEFAULT_SECONDARY_PARAMS = ["vowelX", "vowelY"];
+
+/**
+ * Ctrl role from the page URL (?role=secondary), defaulting to primary
+ * @returns {string} - One of CtrlRoles
+ */
+export function getCtrlRoleFromLocation() {
+  const params = new URLSearchParams(globalThis.location?.search || "");
+  return params.get("role") === CtrlRoles.SECONDARY
+    ? CtrlRoles.SECONDARY
+    : CtrlRoles.PRIMARY;
+}
+
+/**
+ * Parse a comma-separated parameter list, keeping only known parameters
+ * @param {string} text - e.g. "vowelX, vowelY"
+ * @param {Object} state - Control state (keys are valid parameter names)
+ * @returns {string[]}
+ */
+export function parseParamList(text, state) {
+  return [
+    ...new Set(
+      String(text).split(",").map((p) => p.trim()).filter((p) => p in state),
+    ),
+  ];
+}
+
+/**
+ * Whether a secondary's action touches only parameters it was assigned
+ * @param {string[]} params - Assigned parameter names
+ * @param {{param?: string}} action - ControlAction
+ * @returns {boolean}
+ */
+export function isEditAllowed(params, action) {
+  return typeof action.param === "string" && params.includes(action.param);
+}
+
+/**
+ * Send secondary ctrls their editable parameters and those parameters' state
+ * @param {Object} star - WebRTC star instance
+ * @param {string[]} params - Editable parameter names
+ * @param {Object} stagedState - Primary's staged state
+ * @param {string[]} [peerIds] - Secondaries to send to (defaults to all)
+ * @returns {number} - Number of secondaries reached
+ */
+export function sendCtrlRole(star, params, stagedState, peerIds = null) {
+  if (!star) return 0;
+
+  /** @type {Object<string, Object>} */
+  const state = {};
+  for (const param of params) {
+    state[param] = stagedState[param];
+  }
+  const message = MessageBuilder.ctrlRole(params, state);
+
+  const targets = peerIds ||
+    [...star.peers.keys()].filter((id) => id.startsWith("ctrl-"));
+  let sent = 0;
+  for (const peerId of targets) {
+    if (star.sendToPeer(peerId, message)) sent++;
+  }
+  return sent;
+}
+
+/**
+ * Forward a secondary's staged-state action to the primary
+ * @param {Object} star - WebRTC star instance
+ * @param {Object} action - ControlAction
+ * @returns {boolean} - True if sent
+ */
+export function forwardEditToPrimary(star, action) {
+  if (!star) return false;
+  const sent = star.broadcastToType("ctrl", MessageBuilder.ctrlEdit(action));
+  return sent > 0;
+}
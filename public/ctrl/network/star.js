@@ -13,10 +13,14 @@ import {
 /**
  * Initialize WebRTC star connection
  * @param {string} peerId - Peer ID
+ * @param {string} [room] - Signaling room to register in
+ * @param {string} [ctrlRole] - Primary or secondary (see CtrlRoles)
  * @returns {Promise<WebRTCStar>} - WebRTC star instance
  */
-export async function initializeWebRTCStar(peerId) {
+export async function initializeWebRTCStar(peerId, room, ctrlRole) {
   const star = new WebRTCStar(peerId, "ctrl");
+  if (room) star.setRoom(room);
+  if (ctrlRole) star.setCtrlRole(ctrlRole);
 
   // Connect to signaling server - use current host
   // Dynamic WebSocket URL that works in production and development
@@ -42,6 +46,7 @@ export async function initializeWebRTCStar(peerId) {
  * @param {function} callbacks.onJoinRejected - Join rejected callback
  * @param {function} callbacks.onDataMessage - Data message callback
  * @param {function} callbacks.onDataChannelMessage - Data channel message callback
+ * @param {function} callbacks.onPeerProtocol - Handshake result callback
  * @param {function} callbacks.log - Logging function
  */
 export function setupStarEventHandlers(star, callbacks) {
@@ -63,7 +68,7 @@ export function setupStarEventHandlers(star, callbacks) {
 
   star.addEventListener("peer-removed", (event) => {
     callbacks.log("Peer disconnected", "info");
-    callbacks.onPeerRemoved();
+    callbacks.onPeerRemoved(event.detail.peerId);
   });
 
   star.addEventListener("kicked", (event) => {
@@ -81,7 +86,7 @@ export function setupStarEventHandlers(star, callbacks) {
     // Handle ping messages
     if (message.type === MessageTypes.PING) {
       const pong = MessageBuilder.pong(message.id, message.timestamp);
-      star.sendToPeer(peerId, pong, "sync");
+      star.sendToPeer(peerId, pong);
     }
 
     callbacks.onDataMessage(peerId, channelType, message);
@@ -90,6 +95,10 @@ export function setupStarEventHandlers(star, callbacks) {
   star.addEventListener("data-channel-message", (event) => {
     callbacks.onDataChannelMessage(event.detail);
   });
+
+  star.addEventListener("peer-protocol", (event) => {
+    callbacks.onPeerProtocol(event.detail);
+  });
 }
 
 /**
@@ -100,6 +109,9 @@ export function setupStarEventHandlers(star, callbacks) {
  * @param {string} context.kickedReason - Kicked reason
  * @param {function} context.updateConnectionStatus - Status update function
  * @param {function} context.log - Logging function
+ * @param {function(): (number|null)} [context.getAudioTime] - Controller AudioContext clock
+ * @param {string} [context.room] - Signaling room
+ * @param {string} [context.ctrlRole] - Primary or secondary ctrl
  * @param {Object} callbacks - Event callbacks for setupStarEventHandlers
  * @returns {Promise<WebRTCStar|null>} - WebRTC star instance or null if failed
  */
@@ -117,7 +129,14 @@ export async function connectToNetwork(context, callbacks) {
     context.updateConnectionStatus("connecting");
     context.log("Connecting to network...", "info");
 
-    const star = await initializeWebRTCStar(context.peerId);
+    const star = await initializeWebRTCStar(
+      context.peerId,
+      context.room,
+      context.ctrlRole,
+    );
+    if (context.getAudioTime) {
+      star.setAudioClock(context.getAudioTime);
+    }
     setupStarEventHandlers(star, callbacks);
 
     // Initially connected - status will be determined by server response
@@ -181,6 +200,8 @@ export function handleJoinRejected(
  * @param {Object} liveState - Current live control state
  * @param {boolean} synthesisActive - Synthesis active flag
  * @param {function} log - Logging function
+ * @param {Object} [meta] - Program meta fields (vowelTable, articulation,
+ *   engine)
  */
 export function sendCompleteStateToNewSynth(
   star,
@@ -188,6 +209,7 @@ export function sendCompleteStateToNewSynth(
   liveState,
   synthesisActive,
   log,
+  meta = {},
 ) {
   if (!star || !peerId.startsWith("synth-")) return;
 
@@ -195,6 +217,7 @@ export function sendCompleteStateToNewSynth(
 
   const wirePayload = {
     synthesisActive: synthesisActive,
+    ...meta,
   };
 
   // Convert each parameter to wire format
@@ -225,19 +248,26 @@ export function sendCompleteStateToNewSynth(
     wirePayload,
   );
 
-  star.sendToPeer(peerId, message, "control");
+  star.sendToPeer(peerId, message);
 }
 
 /**
  * Update peer list display
  * @param {WebRTCStar} star - WebRTC star instance
  * @param {HTMLElement} peerListElement - Peer list element
+ * @param {Map<string, Object>} [syncReports] - Latest SYNC_REPORT per synth
+ * @param {function(string): ({voiceType: string|null, override: boolean}|null)} [voiceFor] - Voice assignment per synth
  */
-export function updatePeerList(star, peerListElement) {
+export function updatePeerList(
+  star,
+  peerListElement,
+  syncReports = new Map(),
+  voiceFor = () => null,
+) {
   if (!star || !peerListElement) return;
 
-  const peers = Array.from(star.peers.keys()).sort();
-  const stats = star.getNetworkDiagnostics();
+  const stats = star.getNetworkStats();
+  const peers = Object.keys(stats.peerStats).sort();
 
   if (peers.length === 0) {
     clearPeerList(peerListElement);
@@ -247,14 +277,20 @@ export function updatePeerList(star, peerListElement) {
   const listHTML = peers.map((peerId) => {
     const peerStats = stats.peerStats[peerId];
     const peerType = peerStats.peerType || peerId.split("-")[0];
+    const report = syncReports.get(peerId);
 
-    return '<div class="peer-item">' +
+    return '<div class="peer-item ' + peerType + '">' +
       '<div class="peer-info">' +
       '<div class="peer-id">' + peerId + "</div>" +
       '<div class="peer-type">' + peerType + "</div>" +
       "</div>" +
       '<div class="peer-stats">' +
       "<div>Status: " + peerStats.connectionState + "</div>" +
+      formatProtocol(peerStats.protocol, peerType) +
+      (peerType === "synth"
+        ? formatVoice(peerId, voiceFor(peerId), peerStats.protocol)
+        : "") +
+      (report ? formatSyncReport(report) : "") +
       "</div>" +
       "</div>";
   }).join("");
@@ -262,6 +298,82 @@ export function updatePeerList(star, peerListElement) {
   peerListElement.innerHTML = listHTML;
 }
 
+/**
+ * Format a peer's handshake result for the peer list
+ * @param {{version: number, compatible: boolean, reason: string|null}|null} protocol
+ * @param {string} peerType
+ * @returns {string} - HTML fragment
+ */
+export function formatProtocol(protocol, peerType) {
+  if (!protocol) {
+    // Synths from before the handshake never send SYNTH_READY
+    return peerType === "synth"
+      ? '<div class="peer-protocol">Protocol: legacy (no handshake)</div>'
+      : "";
+  }
+  if (!protocol.compatible) {
+    return '<div class="peer-protocol incompatible">⛔ Incompatible v' +
+      protocol.version + ": " + protocol.reason + "</div>";
+  }
+  return '<div class="peer-protocol">Protocol: v' + protocol.version +
+    "</div>";
+}
+
+/**
+ * Format a synth's voice type for the peer list. Clicking it cycles
+ * through the voice types (see ControlClient.cycleSynthVoice).
+ * @param {string} peerId
+ * @param {{voiceType: string|null, override: boolean}|null} voice
+ * @param {{features: string[]}|null} protocol
+ * @returns {string} - HTML fragment
+ */
+export function formatVoice(peerId, voice, protocol) {
+  if (!voice) return "";
+  const name = voice.voiceType ?? "none";
+  const source = voice.override ? " (synth)" : " (role)";
+  // Older synths drop the voice type silently
+  const ignored = protocol && !protocol.features.includes("voice-type")
+    ? " ⚠ unsupported"
+    : "";
+  return '<div class="peer-voice" data-peer-id="' + peerId +
+    '" title="click to change voice">Voice: ' + name +
+    (voice.voiceType ? source : "") + ignored + "</div>";
+}
+
+/**
+ * Format a synth's SYNC_REPORT for the peer list
+ * @param {Object} report - SYNC_REPORT message
+ * @returns {string} - HTML fragment
+ */
+export function formatSyncReport(report) {
+  const ms = (/** @type {number|null} */ sec) =>
+    sec === null ? "?" : (sec * 1000).toFixed(1) + "ms";
+
+  // Phase error is a fraction of a cycle; flag anything over 2%
+  const phaseError = report.phaseError === null
+    ? "?"
+    : (report.phaseError * 100).toFixed(1) + "%";
+  const phaseWarning = report.phaseError !== null &&
+      Math.abs(report.phaseError) > 0.02
+    ? " ⚠"
+    : "";
+
+  const battery = report.batteryLevel === null
+    ? ""
+    : " · 🔋" + Math.round(report.batteryLevel * 100) + "%" +
+      (report.charging ? "+" : "");
+  const hidden = report.visibility !== "visible" ? " · 💤 hidden" : "";
+  const underruns = report.underruns > 0 ? " · xruns " + report.underruns : "";
+
+  return '<div class="peer-sync">' +
+    "Phase " + phaseError + phaseWarning +
+    " · offset " + ms(report.clockOffset) +
+    " · rtt " + ms(report.clockRtt) +
+    " · out " + ms(report.outputLatency) +
+    underruns + battery + hidden +
+    "</div>";
+}
+
 /**
  * Clear peer list display
  * @param {HTMLElement} peerListElement - Peer list element
@@ -0,0 +1,169 @@
+// @ts-check
+
+/**
+ * CV/gate routing for the ES-8 output of Voice.Assembly.FM Control Client
+ * Each of the 8 channels is assigned a source and a voltage scaling; the
+ * routing travels to es8-processor.worklet.js and is saved with scenes and as
+ * named presets in localStorage.
+ */
+
+export const CV_CHANNELS = 8;
+export const CV_ROUTING_KEY = "vaf-cv-routing";
+export const CV_PRESETS_KEY = "vaf-cv-presets";
+
+/**
+ * Channel sources:
+ *   off         0V
+ *   phasor      ramp over the cycle (minV..maxV)
+ *   eoc         trigger at the start of each cycle
+ *   gate        high for the first half of each step
+ *   step-index  staircase, one level per step (minV..maxV)
+ *   param       resolved parameter value, interpolated over the cycle
+ */
+export const CV_SOURCES = [
+  "off",
+  "phasor",
+  "eoc",
+  "gate",
+  "step-index",
+  "param",
+];
+
+/** Parameter scaling: "linear" maps inMin..inMax onto minV..maxV */
+export const CV_SCALINGS = ["linear", "voct"];
+
+/**
+ * @typedef {Object} CvRoute
+ * @property {string} source - One of CV_SOURCES
+ * @property {string} [param] - Parameter name (source "param")
+ * @property {string} scaling - One of CV_SCALINGS (source "param")
+ * @property {number} inMin - Parameter value at minV (linear)
+ * @property {number} inMax - Parameter value at maxV (linear)
+ * @property {number} minV - Volts at the bottom of the ramp/staircase/range
+ * @property {number} maxV - Volts at the top (also trigger/gate height)
+ * @property {number} refHz - Frequency at 0V (voct)
+ */
+
+/**
+ * @param {Partial<CvRoute>} [route]
+ * @returns {CvRoute}
+ */
+export function createRoute(route = {}) {
+  return {
+    source: "off",
+    scaling: "linear",
+    inMin: 0,
+    inMax: 1,
+    minV: 0,
+    maxV: 5,
+    refHz: 261.63, // C4
+    ...route,
+  };
+}
+
+/**
+ * The original hard-wired layout: step gate on 6, phasor on 7, EOC on 8
+ * @returns {CvRoute[]}
+ */
+export function createDefaultRouting() {
+  const routing = Array.from({ length: CV_CHANNELS }, () => createRoute());
+  routing[5] = createRoute({ source: "gate", maxV: 10 });
+  routing[6] = createRoute({ source: "phasor", maxV: 10 });
+  routing[7] = createRoute({ source: "eoc", maxV: 10 });
+  return routing;
+}
+
+/**
+ * Check a routing, filling missing fields and dropping unknown sources
+ * @param {any} routing
+ * @param {Object} state - Control state (keys are valid parameter names)
+ * @returns {CvRoute[]}
+ */
+export function normalizeRouting(routing, state) {
+  const routes = Array.isArray(routing) ? routing : [];
+  return Array.from({ length: CV_CHANNELS }, (_, i) => {
+    const route = createRoute(routes[i] || {});
+    if (!CV_SOURCES.includes(route.source)) route.source = "off";
+    if (route.source === "param" && !(route.param in state)) {
+      route.source = "off";
+    }
+    if (!CV_SCALINGS.includes(route.scaling)) route.scaling = "linear";
+    return route;
+  });
+}
+
+/**
+ * Parameters some channel outputs (resolved values are only sent for these)
+ * @param {CvRoute[]} routing
+ * @returns {string[]}
+ */
+export function routedParams(routing) {
+  return [
+    ...new Set(
+      routing.filter((r) => r.source === "param").map((r) => r.param),
+    ),
+  ];
+}
+
+/**
+ * Current routing from localStorage, or the default layout
+ * @param {Object} state - Control state
+ * @returns {CvRoute[]}
+ */
+export function loadCvRouting(state) {
+  try {
+    const stored = localStorage.getItem(CV_ROUTING_KEY);
+    return stored
+      ? normalizeRouting(JSON.parse(stored), state)
+      : createDefaultRouting();
+  } catch (error) {
+    console.error("❌ Failed to load CV routing:", error);
+    return createDefaultRouting();
+  }
+}
+
+/**
+ * @param {CvRoute[]} routing
+ */
+export function saveCvRouting(routing) {
+  try {
+    localStorage.setItem(CV_ROUTING_KEY, JSON.stringify(routing));
+  } catch (error) {
+    console.error("❌ Failed to save CV routing:", error);
+  }
+}
+
+/**
+ * Named routing presets
+ * @returns {Object<string, CvRoute[]>}
+ */
+export function loadCvPresets() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CV_PRESETS_KEY) || "{}");
+    return stored && typeof stored === "object" ? stored : {};
+  } catch (error) {
+    console.error("❌ Failed to load CV presets:", error);
+    return {};
+  }
+}
+
+/**
+ * Save (or with routing null, delete) a named preset
+ * @param {string} name
+ * @param {CvRoute[]|null} routing
+ * @returns {Object<string, CvRoute[]>} - All presets
+ */
+export function saveCvPreset(name, routing) {
+  const presets = loadCvPresets();
+  if (routing) {
+    presets[name] = routing;
+  } else {
+    delete presets[name];
+  }
+  try {
+    localStorage.setItem(CV_PRESETS_KEY, JSON.stringify(presets));
+  } catch (error) {
+    console.error("❌ Failed to save CV presets:", error);
+  }
+  return presets;
+}
@@ -0,0 +1,234 @@
+// @ts-check
+
+/**
+ * Lyrics for Voice.Assembly.FM Control Client
+ * Compiles a line of text or a phoneme string into an articulation
+ * program (see src/common/articulation.js): one syllable per sung step,
+ * carrying its onset consonant and its vowel's place on the vowelX/vowelY
+ * plane. Syllables are spread evenly over the cycle's steps.
+ *
+ * Text ("sing to me") goes through a few English spelling rules; l, r, w
+ * and consonant y are sung through rather than articulated.
+ *
+ * A phoneme string sits between slashes ("/ta-- si mo-/"): consonants
+ * from CONSONANT_NAMES, vowels a e i o u and @ (schwa), and "-" to hold
+ * the current syllable for one more step. Whitespace is ignored.
+ *
+ * Each syllable keeps only the consonant nearest its vowel; consonants
+ * left after the last vowel get a step of their own.
+ */
+
+import {
+  CONSONANT_NAMES,
+  MAX_PATTERN_LENGTH,
+} from "../../../src/common/articulation.js";
+import { VOWEL_POSITIONS } from "../../../src/common/vowel-tables.js";
+
+/**
+ * @typedef {Object} Phoneme
+ * @property {"consonant"|"vowel"|"hold"} kind
+ * @property {string} [name]
+ */
+
+/**
+ * @typedef {Object} Syllable
+ * @property {string} consonant - Consonant name or ""
+ * @property {string|null} vowel - Vowel name, null to hold the last one
+ */
+
+// Spelling → phonemes, longest match first. "" drops the letters.
+// th has no consonant of its own; f is the nearest in sound.
+/** @type {Array<[string, string[]]>} */
+const SPELLINGS = [
+  ["sh", ["sh"]],
+  ["ch", ["sh"]],
+  ["th", ["f"]],
+  ["ph", ["f"]],
+  ["ck", ["k"]],
+  ["ng", ["ng"]],
+  ["qu", ["k"]],
+  ["kn", ["n"]],
+  ["wh", []],
+  ["gh", []],
+  ["ee", ["i"]],
+  ["ea", ["i"]],
+  ["ie", ["i"]],
+  ["oo", ["u"]],
+  ["ou", ["u"]],
+  ["ow", ["o"]],
+  ["oa", ["o"]],
+  ["ai", ["e"]],
+  ["ay", ["e"]],
+  ["au", ["o"]],
+  ["aw", ["o"]],
+  ["j", ["zh"]],
+  ["q", ["k"]],
+  ["x", ["k", "s"]],
+  ["l", []],
+  ["r", []],
+  ["w", []],
+];
+
+const VOWEL_LETTERS = "aeiou";
+
+/**
+ * @param {string} name
+ * @returns {Phoneme}
+ */
+function phoneme(name) {
+  return VOWEL_POSITIONS[name]
+    ? { kind: "vowel", name }
+    : { kind: "consonant", name };
+}
+
+/**
+ * Phonemes for one word of text
+ * @param {string} word - Lowercase letters only
+ * @returns {Phoneme[]}
+ */
+function spellWord(word) {
+  // Silent final e ("time", "make"), unless it is the only vowel ("the")
+  if (
+    word.length > 2 && word.endsWith("e") &&
+    !VOWEL_LETTERS.includes(word[word.length - 2]) &&
+    [...word.slice(0, -2)].some((letter) => VOWEL_LETTERS.includes(letter))
+  ) {
+    word = word.slice(0, -1);
+  }
+
+  /** @type {Phoneme[]} */
+  const phonemes = [];
+  let i = 0;
+  while (i < word.length) {
+    const spelling = SPELLINGS.find(([letters]) => word.startsWith(letters, i));
+    if (spelling) {
+      phonemes.push(...spelling[1].map(phoneme));
+      i += spelling[0].length;
+      continue;
+    }
+
+    const letter = word[i];
+    const next = word[i + 1];
+    if (letter === "c") {
+      phonemes.push(phoneme(next && "eiy".includes(next) ? "s" : "k"));
+    } else if (letter === "y") {
+      // Vowel unless a vowel follows ("my" vs "yes")
+      if (!next || !VOWEL_LETTERS.includes(next)) phonemes.push(phoneme("i"));
+    } else if (
+      VOWEL_LETTERS.includes(letter) || CONSONANT_NAMES.includes(letter)
+    ) {
+      phonemes.push(phoneme(letter));
+    }
+    i++;
+  }
+  return phonemes;
+}
+
+/**
+ * Phonemes for a line of text
+ * @param {string} text
+ * @returns {Phoneme[]}
+ */
+export function textToPhonemes(text) {
+  return text.toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(Boolean)
+    .flatMap(spellWord);
+}
+
+/**
+ * Phonemes for a phoneme string (without its slashes)
+ * @param {string} text
+ * @returns {Phoneme[]}
+ * @throws {Error} - Unknown symbol
+ */
+export function parsePhonemes(text) {
+  // Longest symbols first so "sh" is not read as "s", "h"
+  const symbols = [...CONSONANT_NAMES, ...Object.keys(VOWEL_POSITIONS)]
+    .sort((a, b) => b.length - a.length);
+  const source = text.toLowerCase().replace(/\s+/g, "");
+
+  /** @type {Phoneme[]} */
+  const phonemes = [];
+  let i = 0;
+  while (i < source.length) {
+    if (source[i] === "-") {
+      phonemes.push({ kind: "hold" });
+      i++;
+      continue;
+    }
+    const symbol = symbols.find((s) => source.startsWith(s, i));
+    if (!symbol) {
+      throw new Error(`Unknown phoneme "${source[i]}" at ${i + 1}`);
+    }
+    phonemes.push(phoneme(symbol));
+    i += symbol.length;
+  }
+  return phonemes;
+}
+
+/**
+ * Group phonemes into sung steps
+ * @param {Phoneme[]} phonemes
+ * @returns {Syllable[]}
+ */
+export function syllabify(phonemes) {
+  /** @type {Syllable[]} */
+  const syllables = [];
+  let onset = "";
+
+  for (const p of phonemes) {
+    if (p.kind === "consonant") {
+      onset = p.name || ""; // Nearest the vowel wins
+    } else {
+      syllables.push({
+        consonant: onset,
+        vowel: p.kind === "vowel" ? p.name || null : null,
+      });
+      onset = "";
+    }
+  }
+  if (onset) syllables.push({ consonant: onset, vowel: null });
+  return syllables;
+}
+
+/**
+ * Compile text or a /phoneme string/ into an articulation program
+ * @param {string} text
+ * @param {number} stepsPerCycle - Step grid the syllables are spread over
+ * @returns {import('../../../src/common/articulation.js').Articulation|null}
+ *   Null for empty input (articulation off)
+ * @throws {Error} - Unknown phoneme, or more syllables than steps
+ */
+export function compileLyrics(text, stepsPerCycle) {
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+
+  const isPhonemes = trimmed.length > 1 && trimmed.startsWith("/") &&
+    trimmed.endsWith("/");
+  const syllables = syllabify(
+    isPhonemes ? parsePhonemes(trimmed.slice(1, -1)) : textToPhonemes(trimmed),
+  );
+  if (syllables.length === 0) {
+    throw new Error(`Nothing to sing in "${trimmed}"`);
+  }
+
+  const steps = Math.min(stepsPerCycle, MAX_PATTERN_LENGTH);
+  if (syllables.length > steps) {
+    throw new Error(
+      `"${trimmed}" needs ${syllables.length} steps; the cycle has ${steps}`,
+    );
+  }
+
+  /** @type {string[]} */
+  const pattern = new Array(steps).fill("");
+  /** @type {Array<number[]|null>} */
+  const vowels = new Array(steps).fill(null);
+  syllables.forEach((syllable, index) => {
+    const step = Math.floor((index * steps) / syllables.length);
+    pattern[step] = syllable.consonant;
+    vowels[step] = syllable.vowel ? [...VOWEL_POSITIONS[syllable.vowel]] : null;
+  });
+
+  return { pattern, vowels, text: trimmed };
+}
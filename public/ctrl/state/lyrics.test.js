@@ -0,0 +1,42 @@
+/**
+ * Tests for lyrics compilation (deno task test)
+ */
+
+import { deepStrictEqual } from "node:assert/strict";
+import { compileLyrics, syllabify, textToPhonemes } from "./lyrics.js";
+import { VOWEL_POSITIONS } from "../../../src/common/vowel-tables.js";
+
+/**
+ * @param {string} text
+ * @returns {string[]} - "consonant+vowel" per syllable
+ */
+function sung(text) {
+  return syllabify(textToPhonemes(text)).map((s) =>
+    `${s.consonant}+${s.vowel ?? ""}`
+  );
+}
+
+Deno.test("short words keep their only vowel", () => {
+  deepStrictEqual(sung("the"), ["f+e"]);
+  deepStrictEqual(sung("she"), ["sh+e"]);
+  deepStrictEqual(sung("me"), ["m+e"]);
+});
+
+Deno.test("silent final e is dropped after another vowel", () => {
+  deepStrictEqual(sung("time"), ["t+i", "m+"]);
+  deepStrictEqual(sung("make"), ["m+a", "k+"]);
+});
+
+Deno.test("every word of a line gets a step", () => {
+  const articulation = compileLyrics("the quick brown fox", 16);
+  const sungSteps = articulation?.pattern
+    .map((consonant, step) => [consonant, articulation.vowels[step]])
+    .filter(([consonant, vowel]) => consonant || vowel);
+  deepStrictEqual(sungSteps, [
+    ["f", VOWEL_POSITIONS.e],
+    ["k", VOWEL_POSITIONS.i],
+    ["b", VOWEL_POSITIONS.o],
+    ["f", VOWEL_POSITIONS.o],
+    ["s", null],
+  ]);
+});
@@ -0,0 +1,118 @@
+// @ts-check
+
+/**
+ * Control targets for Voice.Assembly.FM Control Client
+ * String IDs naming something an external controller (MIDI, CV input) can
+ * drive; ControlClient.applyControlTarget performs them.
+ *
+ * Target IDs:
+ *   base:<param>                        SET_BASE_VALUE
+ *   range:<param>:<start|end>:<min|max> normalised range bound
+ *   portamento                          portamento knob (0-1)
+ *   transport:<play|pause|stop|reset>   trigger
+ *   scene:<save|load>:<slot>            trigger
+ *   reinit                              trigger (immediate re-initialize)
+ */
+
+const TRANSPORT_ACTIONS = ["play", "pause", "stop", "reset"];
+const SCENE_SLOTS = 10;
+
+/**
+ * @typedef {Object} ControlTarget
+ * @property {"base"|"range"|"portamento"|"transport"|"scene"|"reinit"} kind
+ * @property {string} [param]
+ * @property {string} [position] - "start" | "end"
+ * @property {string} [bound] - "min" | "max"
+ * @property {string} [action] - Transport action
+ * @property {string} [op] - "save" | "load"
+ * @property {number} [slot] - Scene slot
+ */
+
+/**
+ * Parse a target ID
+ * @param {string} id - e.g. "range:vowelX:start:min"
+ * @param {Object} state - Control state (keys are valid parameter names)
+ * @returns {ControlTarget|null} - null for malformed or unknown targets
+ */
+export function parseTarget(id, state) {
+  const parts = String(id).split(":");
+
+  switch (parts[0]) {
+    case "base":
+      return parts[1] in state ? { kind: "base", param: parts[1] } : null;
+    case "range":
+      if (
+        !(parts[1] in state) || !["start", "end"].includes(parts[2]) ||
+        !["min", "max"].includes(parts[3])
+      ) {
+        return null;
+      }
+      return {
+        kind: "range",
+        param: parts[1],
+        position: parts[2],
+        bound: parts[3],
+      };
+    case "portamento":
+      return { kind: "portamento" };
+    case "reinit":
+      return { kind: "reinit" };
+    case "transport":
+      return TRANSPORT_ACTIONS.includes(parts[1])
+        ? { kind: "transport", action: parts[1] }
+        : null;
+    case "scene": {
+      const slot = parseInt(parts[2], 10);
+      if (
+        !["save", "load"].includes(parts[1]) || !(slot >= 0) ||
+        slot >= SCENE_SLOTS
+      ) {
+        return null;
+      }
+      return { kind: "scene", op: parts[1], slot };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether a target fires once per press rather than following a value
+ * @param {string} id - Target ID
+ * @returns {boolean}
+ */
+export function isTriggerTarget(id) {
+  return id.startsWith("transport:") || id.startsWith("scene:") ||
+    id === "reinit";
+}
+
+/**
+ * All learnable target IDs for the current parameter set
+ * @param {Object} state - Control state
+ * @returns {string[]}
+ */
+export function listTargets(state) {
+  const targets = [];
+  for (const [param, paramState] of Object.entries(state)) {
+    targets.push("base:" + param);
+    for (const position of ["start", "end"]) {
+      // Only normalised generators have a range to bind
+      const generator = paramState?.[position + "ValueGenerator"];
+      if (generator?.type === "normalised") {
+        targets.push("range:" + param + ":" + position + ":min");
+        targets.push("range:" + param + ":" + position + ":max");
+      }
+    }
+  }
+  targets.push("portamento");
+  targets.push("reinit");
+  for (const action of TRANSPORT_ACTIONS) {
+    targets.push("transport:" + action);
+  }
+  for (const op of ["save", "load"]) {
+    for (let slot = 0; slot < SCENE_SLOTS; slot++) {
+      targets.push("scene:" + op + ":" + slot);
+    }
+  }
+  return targets;
+}
@@ -10,6 +10,9 @@ import {
   setupHrgParameterControls,
 } from "./schema.js";
 import { initializeSchemaBasedUI } from "./generator.js";
+import { listStrategies } from "../../../src/common/distribution.js";
+import { VOWEL_TABLES } from "../../../src/common/vowel-tables.js";
+import { VOICE_ENGINES } from "../../../src/common/voice-engines.js";
 
 /**
  * Setup event handlers for the main UI controls
@@ -102,10 +105,237 @@ export function setupEventHandlers(ctrl) {
     });
   }
 
+  // Distribution strategy controls
+  setupDistributionControls(ctrl);
+
+  // Voice (vowel table, voice types)
+  setupVoiceControls(ctrl);
+
+  // Multi-controller role
+  setupRoleControls(ctrl);
+
+  // Session recorder
+  setupRecorderControls(ctrl);
+
+  // MIDI input mapping
+  setupMidiControls(ctrl);
+
   // Musical controls
   setupMusicalControls(ctrl);
 }
 
+/**
+ * Setup distribution strategy controls (mode, roles, reseed)
+ * @param {Object} ctrl - The ControlClient instance
+ */
+export function setupDistributionControls(ctrl) {
+  const { distributionMode, distributionRoles, distributionReseedBtn } =
+    ctrl.elements;
+
+  if (distributionMode) {
+    distributionMode.innerHTML = listStrategies()
+      .map((s) => '<option value="' + s.name + '">' + s.label + "</option>")
+      .join("");
+    distributionMode.value = ctrl.distribution.mode;
+    distributionMode.addEventListener("change", (e) => {
+      ctrl.setDistributionMode(e.target.value);
+    });
+  }
+
+  if (distributionRoles) {
+    distributionRoles.value = String(ctrl.distribution.roleCount);
+    distributionRoles.addEventListener("change", (e) => {
+      ctrl.setDistributionRoles(parseInt(e.target.value, 10));
+    });
+  }
+
+  if (distributionReseedBtn) {
+    distributionReseedBtn.addEventListener("click", () => {
+      ctrl.reseedDistribution();
+    });
+  }
+}
+
+/**
+ * Setup voice controls (engine, vowel table, voice types per role and per
+ * synth, articulation pattern, lyrics)
+ * @param {Object} ctrl - The ControlClient instance
+ */
+export function setupVoiceControls(ctrl) {
+  const {
+    voiceEngine,
+    vowelTable,
+    voiceTypes,
+    articulationPattern,
+    lyrics,
+    lyricsStagger,
+    lyricsStaggerBy,
+    peerList,
+  } = ctrl.elements;
+
+  if (voiceEngine) {
+    voiceEngine.innerHTML = Object.entries(VOICE_ENGINES)
+      .map(([name, engine]) =>
+        '<option value="' + name + '">' + engine.label + "</option>"
+      )
+      .join("");
+    voiceEngine.value = ctrl.engine;
+    voiceEngine.addEventListener("change", (e) => {
+      ctrl.setEngine(e.target.value);
+    });
+  }
+
+  if (vowelTable) {
+    vowelTable.innerHTML = Object.entries(VOWEL_TABLES)
+      .map(([name, table]) =>
+        '<option value="' + name + '">' + table.label + "</option>"
+      )
+      .join("");
+    ctrl.updateVowelTableDisplay();
+    vowelTable.addEventListener("change", (e) => {
+      ctrl.setVowelTable(e.target.value);
+    });
+  }
+
+  if (voiceTypes) {
+    voiceTypes.value = ctrl.distribution.roleVoices
+      .map((voice) => voice ?? "none")
+      .join(", ");
+    voiceTypes.addEventListener("change", (e) => {
+      ctrl.setRoleVoices(e.target.value);
+    });
+  }
+
+  ctrl.updateArticulationDisplay();
+  if (articulationPattern) {
+    articulationPattern.addEventListener("change", (e) => {
+      ctrl.setArticulationPattern(e.target.value);
+    });
+  }
+
+  if (lyrics) {
+    lyrics.addEventListener("change", (e) => {
+      ctrl.setLyrics(e.target.value);
+    });
+  }
+
+  if (lyricsStagger && lyricsStaggerBy) {
+    const onStaggerChange = () => {
+      ctrl.setLyricsStagger(
+        parseInt(lyricsStagger.value, 10),
+        lyricsStaggerBy.value,
+      );
+    };
+    lyricsStagger.addEventListener("change", onStaggerChange);
+    lyricsStaggerBy.addEventListener("change", onStaggerChange);
+  }
+
+  // The peer list is re-rendered constantly, so listen on the container
+  if (peerList) {
+    peerList.addEventListener("click", (e) => {
+      const voice = e.target.closest?.(".peer-voice");
+      if (voice) ctrl.cycleSynthVoice(voice.dataset.peerId);
+    });
+  }
+}
+
+/**
+ * Setup multi-controller controls (secondary parameter assignment)
+ * @param {Object} ctrl - The ControlClient instance
+ */
+export function setupRoleControls(ctrl) {
+  const { secondaryParams } = ctrl.elements;
+
+  if (secondaryParams) {
+    secondaryParams.value = ctrl.secondaryParams.join(", ");
+    secondaryParams.addEventListener("change", (e) => {
+      ctrl.setSecondaryParams(e.target.value);
+    });
+  }
+}
+
+/**
+ * Setup session recorder controls (record, replay, export, load)
+ * @param {Object} ctrl - The ControlClient instance
+ */
+export function setupRecorderControls(ctrl) {
+  const {
+    recordBtn,
+    replayBtn,
+    exportJournalBtn,
+    loadJournalBtn,
+    loadJournalInput,
+  } = ctrl.elements;
+
+  if (recordBtn) {
+    recordBtn.addEventListener("click", () => ctrl.toggleRecording());
+  }
+
+  if (replayBtn) {
+    replayBtn.addEventListener("click", () => ctrl.toggleReplay());
+  }
+
+  if (exportJournalBtn) {
+    exportJournalBtn.addEventListener("click", () => ctrl.exportJournal());
+  }
+
+  if (loadJournalBtn && loadJournalInput) {
+    loadJournalBtn.addEventListener("click", () => loadJournalInput.click());
+    loadJournalInput.addEventListener("change", (e) => {
+      const file = e.target.files?.[0];
+      if (file) ctrl.loadJournalFile(file);
+      e.target.value = "";
+    });
+  }
+}
+
+/**
+ * Setup MIDI controls (enable, learn target, curve, clock out)
+ * @param {Object} ctrl - The ControlClient instance
+ */
+export function setupMidiControls(ctrl) {
+  const {
+    midiEnableBtn,
+    midiLearnBtn,
+    midiTarget,
+    midiOut,
+    midiClockDiv,
+    midiStepNotes,
+  } = ctrl.elements;
+
+  if (midiEnableBtn) {
+    midiEnableBtn.addEventListener("click", () => ctrl.enableMidi());
+  }
+
+  if (midiLearnBtn) {
+    midiLearnBtn.addEventListener("click", () => ctrl.toggleMidiLearn());
+  }
+
+  // Range targets depend on generator types, which change as the user edits
+  if (midiTarget) {
+    midiTarget.addEventListener("focus", () => ctrl.populateControlTargets());
+  }
+
+  // MIDI clock out
+  if (midiOut) {
+    midiOut.addEventListener("change", (e) => {
+      ctrl.selectMidiOutput(e.target.value);
+    });
+  }
+
+  if (midiClockDiv) {
+    midiClockDiv.addEventListener("change", (e) => {
+      ctrl.updateMidiClock({ clocksPerStep: parseInt(e.target.value, 10) });
+    });
+  }
+
+  if (midiStepNotes) {
+    midiStepNotes.addEventListener("change", (e) => {
+      ctrl.updateMidiClock({ stepNotes: e.target.checked });
+    });
+  }
+}
+
 /**
  * Setup control parameter controls (timing, transport, etc.)
  * @param {Object} ctrl - The ControlClient instance
@@ -248,6 +478,40 @@ export function setupMusicalControls(ctrl) {
     );
   }
 
+  // CV input
+  const { cvInputBtn, cvInputAddBtn, cvInputTarget } = ctrl.elements;
+  if (cvInputBtn) {
+    cvInputBtn.addEventListener("click", () => ctrl.toggleCvInput());
+  }
+  if (cvInputAddBtn) {
+    cvInputAddBtn.addEventListener("click", () => ctrl.addCvInputMapping());
+  }
+  if (cvInputTarget) {
+    cvInputTarget.addEventListener(
+      "focus",
+      () => ctrl.populateControlTargets(),
+    );
+  }
+
+  // CV routing presets (the matrix itself is rendered by ui/cv-routing.js)
+  const { cvPreset, cvPresetName, cvPresetSaveBtn, cvPresetDeleteBtn } =
+    ctrl.elements;
+  if (cvPreset) {
+    cvPreset.addEventListener("change", (e) => {
+      ctrl.loadCvPreset(e.target.value);
+    });
+  }
+  if (cvPresetSaveBtn && cvPresetName) {
+    cvPresetSaveBtn.addEventListener("click", () => {
+      ctrl.saveCvPreset(cvPresetName.value);
+    });
+  }
+  if (cvPresetDeleteBtn && cvPreset) {
+    cvPresetDeleteBtn.addEventListener("click", () => {
+      ctrl.deleteCvPreset(cvPreset.value);
+    });
+  }
+
   // Bulk mode controls
   if (ctrl.elements.bulkModeCheckbox) {
     ctrl.elements.bulkModeCheckbox.addEventListener("change", () => {
@@ -0,0 +1,196 @@
+// @ts-check
+
+/**
+ * CV Routing Matrix UI for Voice.Assembly.FM Control Client
+ * One row per ES-8 output channel: source, scaling and voltage range; plus
+ * the list of CV input mappings
+ */
+
+import { CV_SCALINGS, CV_SOURCES } from "../state/cv-routing.js";
+
+/**
+ * @param {string[]} values
+ * @param {string} selected
+ * @param {function(string): string} [label]
+ * @returns {HTMLSelectElement}
+ */
+function createSelect(values, selected, label = (v) => v) {
+  const select = document.createElement("select");
+  select.className = "interp-select";
+  for (const value of values) {
+    select.add(new Option(label(value), value, false, value === selected));
+  }
+  return select;
+}
+
+/**
+ * @param {number} value
+ * @param {string} title
+ * @param {function(number): void} onChange
+ * @returns {HTMLInputElement}
+ */
+function createNumberInput(value, title, onChange) {
+  const input = document.createElement("input");
+  input.type = "number";
+  input.className = "text-input";
+  input.value = String(value);
+  input.title = title;
+  input.addEventListener("change", () => {
+    const parsed = parseFloat(input.value);
+    if (Number.isFinite(parsed)) onChange(parsed);
+  });
+  return input;
+}
+
+/**
+ * Render the routing matrix
+ * @param {HTMLElement} container
+ * @param {import('../state/cv-routing.js').CvRoute[]} routing
+ * @param {string[]} params - Parameter names a channel can output
+ * @param {function(number, Object): void} onChange - (channel index, route changes)
+ */
+export function renderCvRouting(container, routing, params, onChange) {
+  container.replaceChildren();
+
+  routing.forEach((route, index) => {
+    const row = document.createElement("div");
+    row.className = "cv-route";
+
+    const label = document.createElement("span");
+    label.className = "cv-channel";
+    label.textContent = String(index + 1);
+
+    // Parameters are offered as "param:<name>" alongside the plain sources
+    const sourceValues = [
+      ...CV_SOURCES.filter((s) => s !== "param"),
+      ...params.map((p) => "param:" + p),
+    ];
+    const selected = route.source === "param"
+      ? "param:" + route.param
+      : route.source;
+    const source = createSelect(
+      sourceValues,
+      selected,
+      (v) => v.replace("param:", ""),
+    );
+    source.addEventListener("change", () => {
+      const [kind, param] = source.value.split(":");
+      onChange(index, { source: kind, param });
+    });
+    row.append(label, source);
+
+    if (route.source === "param") {
+      const scaling = createSelect(CV_SCALINGS, route.scaling);
+      scaling.addEventListener("change", () => {
+        onChange(index, { scaling: scaling.value });
+      });
+      row.append(scaling);
+
+      if (route.scaling === "voct") {
+        row.append(
+          createNumberInput(
+            route.refHz,
+            "Hz at 0V",
+            (refHz) => onChange(index, { refHz }),
+          ),
+        );
+      } else {
+        row.append(
+          createNumberInput(
+            route.inMin,
+            "value at min V",
+            (inMin) => onChange(index, { inMin }),
+          ),
+          createNumberInput(
+            route.inMax,
+            "value at max V",
+            (inMax) => onChange(index, { inMax }),
+          ),
+        );
+      }
+    }
+
+    // Triggers and gates only have a height; ramps and values have a range
+    const voct = route.source === "param" && route.scaling === "voct";
+    if (route.source !== "off" && !voct) {
+      if (route.source !== "eoc" && route.source !== "gate") {
+        row.append(
+          createNumberInput(
+            route.minV,
+            "min V",
+            (minV) => onChange(index, { minV }),
+          ),
+        );
+      }
+      row.append(
+        createNumberInput(
+          route.maxV,
+          "max V",
+          (maxV) => onChange(index, { maxV }),
+        ),
+      );
+    }
+
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Render the CV input mappings, each with a live level readout
+ * @param {HTMLElement} container
+ * @param {import('../network/cv-input.js').CvInputMapping[]} mappings
+ * @param {Object} handlers
+ * @param {function(number, Object): void} handlers.onChange - (mapping index, changes)
+ * @param {function(number): void} handlers.onRemove - (mapping index)
+ */
+export function renderCvInputMappings(container, mappings, handlers) {
+  container.replaceChildren();
+
+  mappings.forEach((mapping, index) => {
+    const row = document.createElement("div");
+    row.className = "cv-route";
+
+    const label = document.createElement("span");
+    label.textContent = "in " + (mapping.channel + 1) + " → " +
+      mapping.target;
+
+    const level = document.createElement("span");
+    level.className = "cv-level";
+    level.dataset.channel = String(mapping.channel);
+    level.textContent = "--";
+
+    const inputs = [
+      ["minV", "min V"],
+      ["maxV", "max V"],
+      ["min", "value at min V"],
+      ["max", "value at max V"],
+    ].map(([key, title]) =>
+      createNumberInput(
+        mapping[key],
+        title,
+        (value) => handlers.onChange(index, { [key]: value }),
+      )
+    );
+
+    const remove = document.createElement("button");
+    remove.className = "button";
+    remove.textContent = "x";
+    remove.addEventListener("click", () => handlers.onRemove(index));
+
+    row.append(label, level, ...inputs, remove);
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Update the level readouts rendered by renderCvInputMappings
+ * @param {HTMLElement} container
+ * @param {number[]} volts - Volts per input channel
+ */
+export function updateCvInputLevels(container, volts) {
+  for (const level of container.querySelectorAll(".cv-level")) {
+    const el = /** @type {HTMLElement} */ (level);
+    const value = volts[Number(el.dataset.channel)];
+    el.textContent = value === undefined ? "--" : value.toFixed(2) + "V";
+  }
+}
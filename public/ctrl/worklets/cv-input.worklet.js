@@ -0,0 +1,47 @@
+/**
+ * CV Input AudioWorklet Processor
+ * Reads the channels of a DC-coupled audio interface (e.g. ES-8 inputs) and
+ * reports each channel's average level to the main thread, which maps them
+ * onto ctrl targets. Input ±1.0 is ±10V.
+ */
+
+const REPORT_SAMPLES = 512; // ~10ms at 48kHz
+
+class CvInputProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.sums = [];
+    this.count = 0;
+  }
+
+  process(inputs, _outputs, _parameters) {
+    const input = inputs[0];
+    if (!input || input.length === 0) return true;
+
+    if (this.sums.length !== input.length) {
+      this.sums = new Array(input.length).fill(0);
+    }
+
+    for (let ch = 0; ch < input.length; ch++) {
+      const samples = input[ch];
+      let sum = 0;
+      for (let i = 0; i < samples.length; i++) {
+        sum += samples[i];
+      }
+      this.sums[ch] += sum;
+    }
+    this.count += input[0].length;
+
+    if (this.count >= REPORT_SAMPLES) {
+      // Average over the window smooths converter noise on slow CVs
+      const volts = this.sums.map((sum) => (sum / this.count) * 10);
+      this.port.postMessage({ type: "levels", volts });
+      this.sums.fill(0);
+      this.count = 0;
+    }
+
+    return true;
+  }
+}
+
+registerProcessor("cv-input-processor", CvInputProcessor);
@@ -2,30 +2,33 @@
  * ES-8 AudioWorklet Processor
  * Generates sample-accurate CV and gate signals for Expert Sleepers ES-8
  * Based on the es_8_test reference implementation
+ *
+ * Channel roles come from a routing matrix (see ctrl/state/cv-routing.js);
+ * each channel outputs phasor, EOC trigger, step gate, step index staircase
+ * or a resolved parameter value. Output ±1.0 is ±10V.
  */
 
+const CHANNELS = 8;
+
 class ES8Processor extends AudioWorkletProcessor {
   constructor() {
     super();
 
     // ES-8 state
     this.phasor = 0.0;
-    this.cpm = 30;
     this.stepsPerCycle = 16;
     this.cycleLength = 2.0;
     this.isEnabled = false;
 
-    // Musical parameters
-    this.frequency = 220;
-    this.vowelX = 0.5;
-    this.vowelY = 0.5;
-    this.zingAmount = 0.0;
-    this.amplitude = 1.0;
+    // Channel routing (array of CvRoute), all off until the ctrl sends one
+    this.routing = [];
+
+    // Resolved parameter values: { [param]: { start, end, interpolation } }
+    this.values = {};
 
-    // Gate/trigger states
+    // Trigger states
     this.previousStep = -1;
-    this.gateStates = new Array(8).fill(false);
-    this.triggerSamples = new Array(8).fill(0);
+    this.triggerSamples = new Array(CHANNELS).fill(0);
     this.triggerDuration = 960; // ~20ms at 48kHz
 
     // Listen for messages from main thread
@@ -39,17 +42,16 @@ class ES8Processor extends AudioWorkletProcessor {
 
         case "phasor-update":
           this.phasor = params.phasor;
-          this.cpm = params.cpm;
           this.stepsPerCycle = params.stepsPerCycle;
           this.cycleLength = params.cycleLength;
           break;
 
-        case "musical-parameters":
-          this.frequency = params.frequency || this.frequency;
-          this.vowelX = params.vowelX || this.vowelX;
-          this.vowelY = params.vowelY || this.vowelY;
-          this.zingAmount = params.zingAmount || this.zingAmount;
-          this.amplitude = params.amplitude || this.amplitude;
+        case "routing":
+          this.routing = params.routing;
+          break;
+
+        case "resolved-values":
+          this.values = params.values;
           break;
       }
     };
@@ -58,81 +60,98 @@ class ES8Processor extends AudioWorkletProcessor {
   generateTrigger(channel, active) {
     if (active && this.triggerSamples[channel] < this.triggerDuration) {
       this.triggerSamples[channel]++;
-      return 1.0; // +10V equivalent
+      return 1.0;
     } else if (!active) {
       this.triggerSamples[channel] = 0;
     }
     return 0.0;
   }
 
+  /**
+   * Current value of a routed parameter, interpolated over the cycle
+   */
+  paramValue(param) {
+    const resolved = this.values[param];
+    if (!resolved) return null;
+    if (resolved.interpolation === "step" || resolved.end === undefined) {
+      return resolved.start;
+    }
+    // disc/cont share the synth voices' cosine curve
+    const shaped = (1 - Math.cos(Math.PI * this.phasor)) / 2;
+    return resolved.start + (resolved.end - resolved.start) * shaped;
+  }
+
+  /**
+   * Volts for a parameter route
+   */
+  paramVolts(route) {
+    const value = this.paramValue(route.param);
+    if (value === null) return 0;
+
+    if (route.scaling === "voct") {
+      return value > 0 ? Math.log2(value / route.refHz) : 0;
+    }
+    const span = route.inMax - route.inMin;
+    const norm = span !== 0 ? (value - route.inMin) / span : 0;
+    return route.minV + (route.maxV - route.minV) * norm;
+  }
+
   process(_inputs, outputs, _parameters) {
-    if (!this.isEnabled || !outputs[0] || outputs[0].length < 8) {
+    if (!this.isEnabled || !outputs[0] || outputs[0].length < CHANNELS) {
       return true;
     }
 
     const output = outputs[0];
     const bufferSize = output[0].length;
 
+    // Parameter values only move with the phasor, which updates per block
+    const paramVolts = this.routing.map((route) =>
+      route.source === "param" ? this.paramVolts(route) : 0
+    );
+
     for (let sampleIndex = 0; sampleIndex < bufferSize; sampleIndex++) {
       // Calculate current step position
       const currentStep = Math.floor(this.phasor * this.stepsPerCycle);
       const stepPhase = (this.phasor * this.stepsPerCycle) % 1.0;
 
-      // Detect step changes for trigger generation
+      // Detect step changes so triggers restart
       const stepChanged = currentStep !== this.previousStep;
       if (stepChanged) {
         this.previousStep = currentStep;
-
-        // Reset trigger counters for new triggers
-        // Reset pulse (channel 7) - cycle start
-        if (currentStep === 0) {
-          this.triggerSamples[7] = 0;
-        }
-
-        // Step clock gate (channel 5) - reset on every step
-        this.triggerSamples[5] = 0;
+        this.triggerSamples.fill(0);
       }
 
-      // Generate output for each channel
-      for (let ch = 0; ch < 8 && ch < output.length; ch++) {
-        let value = 0.0;
-
-        switch (ch) {
-          case 0: // Empty
-            value = 0.0;
-            break;
-
-          case 1: // Empty
-            value = 0.0;
-            break;
-
-          case 2: // Empty
-            value = 0.0;
-            break;
+      for (let ch = 0; ch < CHANNELS && ch < output.length; ch++) {
+        const route = this.routing[ch];
+        let volts = 0.0;
 
-          case 3: // Empty
-            value = 0.0;
+        switch (route?.source) {
+          case "phasor": // Ramp over the cycle
+            volts = route.minV + (route.maxV - route.minV) * this.phasor;
             break;
 
-          case 4: // Empty
-            value = 0.0;
+          case "eoc": // Trigger at cycle start
+            volts = this.generateTrigger(ch, currentStep === 0) * route.maxV;
             break;
 
-          case 5: // Step clock (gate high for first half of each step)
-            value = this.generateTrigger(5, stepPhase < 0.5);
+          case "gate": // High for the first half of each step
+            volts = stepPhase < 0.5 ? route.maxV : 0;
             break;
 
-          case 6: // Phasor CV (0-1V sawtooth)
-            value = this.phasor;
+          case "step-index": { // One level per step
+            const steps = Math.max(1, this.stepsPerCycle - 1);
+            volts = route.minV +
+              (route.maxV - route.minV) * Math.min(1, currentStep / steps);
             break;
+          }
 
-          case 7: // Reset pulse (cycle start trigger)
-            value = this.generateTrigger(7, currentStep === 0);
+          case "param":
+            volts = paramVolts[ch];
             break;
         }
 
         // Ensure value stays in valid range
-        output[ch][sampleIndex] = Math.max(-1, Math.min(1, value));
+        output[ch][sampleIndex] = Math.max(-1, Math.min(1, volts / 10));
       }
     }
 
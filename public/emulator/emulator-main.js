@@ -0,0 +1,203 @@
+/**
+ * Voice.Assembly.FM Emulator
+ * Spins up N headless synth clients in one tab for load-testing the ctrl.
+ * Each virtual voice is a real SynthClient: own peer ID, WebRTCStar
+ * connection, message handlers and resolution code, sharing one AudioContext.
+ */
+
+import { SynthClient } from "/synth/synth-main.js";
+
+const MAX_VOICES = 64;
+
+class Emulator {
+  constructor() {
+    this.audioContext = null;
+    this.mixBus = null; // All voices sum here; gain 0 unless audio out is on
+    this.voices = []; // { synth, gain, analyser, buffer, el }
+    this.meterFrame = null;
+
+    this.elements = {
+      voiceCount: document.getElementById("voice-count"),
+      spawnBtn: document.getElementById("spawn-btn"),
+      stopBtn: document.getElementById("stop-btn"),
+      audioOut: document.getElementById("audio-out"),
+      voiceList: document.getElementById("voice-list"),
+      summary: document.getElementById("summary"),
+    };
+
+    this.elements.spawnBtn.addEventListener("click", () => {
+      const count = parseInt(this.elements.voiceCount.value, 10) || 1;
+      this.spawn(count);
+    });
+    this.elements.stopBtn.addEventListener("click", () => this.stopAll());
+    this.elements.audioOut.addEventListener(
+      "change",
+      () => this.updateAudioOut(),
+    );
+
+    globalThis.addEventListener("beforeunload", () => this.stopAll());
+  }
+
+  /**
+   * Create the shared AudioContext (must run from a user gesture)
+   */
+  async ensureAudio() {
+    if (this.audioContext) {
+      if (this.audioContext.state === "suspended") {
+        await this.audioContext.resume();
+      }
+      return;
+    }
+
+    this.audioContext = new AudioContext();
+    this.mixBus = this.audioContext.createGain();
+    this.mixBus.connect(this.audioContext.destination);
+    this.updateAudioOut();
+  }
+
+  updateAudioOut() {
+    if (!this.mixBus) return;
+    // Scale down so a full ensemble doesn't clip the mix
+    const gain = this.elements.audioOut.checked
+      ? 1 / Math.max(1, Math.sqrt(this.voices.length))
+      : 0;
+    this.mixBus.gain.setTargetAtTime(gain, this.audioContext.currentTime, 0.05);
+  }
+
+  /**
+   * Add virtual voices
+   * @param {number} count - Number of voices to add
+   */
+  async spawn(count) {
+    await this.ensureAudio();
+
+    const available = MAX_VOICES - this.voices.length;
+    const toSpawn = Math.min(count, available);
+    if (toSpawn < count) {
+      console.warn(`⚠️ Voice limit reached, spawning ${toSpawn} of ${count}`);
+    }
+
+    for (let i = 0; i < toSpawn; i++) {
+      try {
+        await this.spawnVoice();
+      } catch (error) {
+        console.error("❌ Failed to spawn virtual voice:", error);
+      }
+    }
+
+    this.updateAudioOut();
+    this.startMetering();
+  }
+
+  async spawnVoice() {
+    const gain = this.audioContext.createGain();
+    const analyser = this.audioContext.createAnalyser();
+    analyser.fftSize = 512;
+    gain.connect(analyser);
+    gain.connect(this.mixBus);
+
+    const synth = new SynthClient({
+      headless: true,
+      audioContext: this.audioContext,
+      destination: gain,
+    });
+    await synth.initializeAudio();
+
+    const voice = {
+      synth,
+      gain,
+      analyser,
+      buffer: new Float32Array(analyser.fftSize),
+      el: this.createVoiceElement(synth),
+    };
+    this.voices.push(voice);
+    this.elements.voiceList.appendChild(voice.el.root);
+
+    console.log(`🎭 Spawned virtual voice ${synth.peerId}`);
+  }
+
+  createVoiceElement(synth) {
+    const root = document.createElement("div");
+    root.className = "voice";
+
+    const id = document.createElement("div");
+    id.className = "voice-id";
+    id.textContent = synth.peerId;
+
+    const stats = document.createElement("div");
+    stats.className = "voice-stats";
+
+    const meter = document.createElement("div");
+    meter.className = "meter";
+    const fill = document.createElement("div");
+    fill.className = "meter-fill";
+    meter.appendChild(fill);
+
+    root.append(id, stats, meter);
+    return { root, stats, fill };
+  }
+
+  stopAll() {
+    for (const voice of this.voices) {
+      voice.synth.cleanup();
+      voice.gain.disconnect();
+      voice.el.root.remove();
+    }
+    this.voices = [];
+
+    if (this.meterFrame) {
+      cancelAnimationFrame(this.meterFrame);
+      this.meterFrame = null;
+    }
+    this.elements.summary.textContent = "0 voices";
+  }
+
+  startMetering() {
+    if (this.meterFrame) return;
+
+    const tick = () => {
+      this.updateMeters();
+      this.meterFrame = requestAnimationFrame(tick);
+    };
+    this.meterFrame = requestAnimationFrame(tick);
+  }
+
+  updateMeters() {
+    let connected = 0;
+
+    for (const voice of this.voices) {
+      const { synth, analyser, buffer, el } = voice;
+
+      analyser.getFloatTimeDomainData(buffer);
+      let sum = 0;
+      for (let i = 0; i < buffer.length; i++) {
+        sum += buffer[i] * buffer[i];
+      }
+      const rms = Math.sqrt(sum / buffer.length);
+      // -60 dBFS .. 0 dBFS onto 0..100%
+      const db = 20 * Math.log10(Math.max(rms, 1e-6));
+      el.fill.style.width = `${Math.max(0, (db + 60) / 60) * 100}%`;
+
+      const hasCtrl = synth.star
+        ? [...synth.star.peers.values()].some((peer) =>
+          peer.peerType === "ctrl" &&
+          peer.connection.connectionState === "connected"
+        )
+        : false;
+      if (hasCtrl) connected++;
+      el.root.classList.toggle("connected", hasCtrl);
+
+      const { synthIndex, role, roleCount, mode } = synth.distribution;
+      const roleText = roleCount > 1 ? ` r${role}/${roleCount}` : "";
+      el.stats.textContent = `${hasCtrl ? "ctrl" : "--"} φ${
+        synth.workletPhasor.toFixed(2)
+      } #${synthIndex} ${mode}${roleText} ${db.toFixed(0)}dB`;
+    }
+
+    this.elements.summary.textContent =
+      `${this.voices.length} voices, ${connected} connected`;
+  }
+}
+
+// Make it globally available for debugging
+globalThis.emulator = new Emulator();
@@ -69,6 +69,10 @@ export function handleDataMessage(peerId, channelType, message, context) {
       context.handleImmediateReinitialize(message);
       break;
 
+    case MessageTypes.DISTRIBUTION:
+      context.handleDistribution(message);
+      break;
+
     case MessageTypes.SAVE_SCENE:
       context.handleSaveScene(message);
       break;
@@ -105,6 +109,10 @@ export function handleDataMessage(peerId, channelType, message, context) {
       context.handlePhasorBeacon(message);
       break;
 
+    case MessageTypes.SCRUB_PHASE:
+      context.handleScrubPhase(message);
+      break;
+
     default:
       break;
   }
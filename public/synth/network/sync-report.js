@@ -0,0 +1,116 @@
+/**
+ * Sync quality telemetry for Voice.Assembly.FM Synth Client
+ * Periodically reports phase error, clock offset and device state to the controller
+ */
+
+import { MessageBuilder } from "../../../src/common/message-protocol.js";
+
+const REPORT_INTERVAL_MS = 2000;
+
+// Audio clock falling this far behind wall clock between reports counts as an underrun
+const STALL_THRESHOLD_SEC = 0.05;
+
+/**
+ * Start periodic SYNC_REPORT messages to the controller
+ * @param {Object} context - Synth context
+ */
+export function startSyncReporting(context) {
+  if (context.syncReportTimer) return;
+
+  context.underrunCount = context.underrunCount || 0;
+  context._lastClockCheck = null;
+
+  // Battery status is optional (not available on iOS Safari / Firefox)
+  if (!context.battery && navigator.getBattery) {
+    navigator.getBattery()
+      .then((battery) => {
+        context.battery = battery;
+      })
+      .catch(() => {});
+  }
+
+  context.syncReportTimer = setInterval(() => {
+    sendSyncReport(context);
+  }, REPORT_INTERVAL_MS);
+}
+
+/**
+ * Stop periodic SYNC_REPORT messages
+ * @param {Object} context - Synth context
+ */
+export function stopSyncReporting(context) {
+  if (context.syncReportTimer) {
+    clearInterval(context.syncReportTimer);
+    context.syncReportTimer = null;
+  }
+}
+
+/**
+ * Count audio clock stalls since the previous check
+ * Uses the browser's playback stats where available, otherwise compares
+ * AudioContext time against wall-clock time
+ * @param {Object} context - Synth context
+ */
+function updateUnderrunCount(context) {
+  const audioContext = context.audioContext;
+  if (!audioContext || audioContext.state !== "running") {
+    context._lastClockCheck = null;
+    return;
+  }
+
+  if (audioContext.playbackStats?.underrunEvents !== undefined) {
+    context.underrunCount = audioContext.playbackStats.underrunEvents;
+    return;
+  }
+
+  const now = {
+    audio: audioContext.currentTime,
+    wall: performance.now() / 1000,
+  };
+  const last = context._lastClockCheck;
+  if (last) {
+    const audioElapsed = now.audio - last.audio;
+    const wallElapsed = now.wall - last.wall;
+    if (wallElapsed - audioElapsed > STALL_THRESHOLD_SEC) {
+      context.underrunCount++;
+    }
+  }
+  context._lastClockCheck = now;
+}
+
+/**
+ * Build a SYNC_REPORT message from current synth state
+ * @param {Object} context - Synth context
+ * @returns {Object} - SYNC_REPORT message
+ */
+export function buildSyncReport(context) {
+  updateUnderrunCount(context);
+
+  const clock = context.clockSync ? context.clockSync.getStats() : null;
+  const audioContext = context.audioContext;
+  const outputLatency = audioContext
+    ? (audioContext.outputLatency || 0) + (audioContext.baseLatency || 0)
+    : null;
+
+  return MessageBuilder.syncReport({
+    phaseError: Number.isFinite(context.lastPhaseError)
+      ? context.lastPhaseError
+      : null,
+    clockOffset: clock?.ready ? clock.offset : null,
+    clockRtt: clock?.ready ? clock.rtt : null,
+    outputLatency,
+    underruns: context.underrunCount || 0,
+    batteryLevel: context.battery ? context.battery.level : null,
+    charging: context.battery ? context.battery.charging : null,
+    visibility: document.visibilityState,
+  });
+}
+
+/**
+ * Send a SYNC_REPORT to all connected controllers
+ * @param {Object} context - Synth context
+ */
+export function sendSyncReport(context) {
+  if (!context.star) return;
+  context.star.broadcastToType("ctrl", buildSyncReport(context));
+}
@@ -7,12 +7,13 @@
 
 /**
  * Schedule a phasor ramp using AudioParam automation
- * @param {Object} context - Synth context with phasorWorklet and audioContext
+ * @param {Object} context - Synth context with phasorWorklet, audioContext and clockSync
  * @param {Object} schedule - Schedule parameters
  * @param {number} schedule.startTime - Start time in controller's AudioContext time
  * @param {number} schedule.cycleLength - Duration of one cycle in seconds
  * @param {number} schedule.phase - Starting phase (0-1)
- * @param {number} [latencyOffset] - Optional latency compensation in seconds
+ * @param {number} [latencyOffset] - Latency compensation in seconds, used only
+ *   while the clock offset estimate is not yet available
  */
 export function schedulePhasorRamp(context, schedule, latencyOffset = 0) {
   if (!context.phasorWorklet) {
@@ -27,8 +28,11 @@ export function schedulePhasorRamp(context, schedule, latencyOffset = 0) {
   }
 
   // Convert controller time to local audio context time
-  // Account for any clock drift and network latency
-  const localStartTime = schedule.startTime - latencyOffset;
+  const localStartTime = controllerToLocalTime(
+    context,
+    schedule.startTime,
+    latencyOffset,
+  );
   const { currentTime } = context.audioContext;
 
   // If the start time is in the past, adjust to start immediately
@@ -54,6 +58,26 @@ export function schedulePhasorRamp(context, schedule, latencyOffset = 0) {
   );
 }
 
+/**
+ * Map a controller AudioContext time onto the local AudioContext clock
+ * @param {Object} context - Synth context with optional clockSync
+ * @param {number} controllerTime - Time in controller's AudioContext time
+ * @param {number} [latencyOffset] - Fallback latency compensation in seconds
+ * @returns {number} Local AudioContext time
+ */
+export function controllerToLocalTime(
+  context,
+  controllerTime,
+  latencyOffset = 0,
+) {
+  if (context.clockSync && context.clockSync.isReady()) {
+    return context.clockSync.toLocalTime(controllerTime);
+  }
+
+  // No offset estimate yet - legacy behaviour treats the clocks as aligned
+  return controllerTime - latencyOffset;
+}
+
 /**
  * Schedule immediate phasor jump (for scrubbing)
  * @param {Object} context - Synth context
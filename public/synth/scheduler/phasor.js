@@ -2,14 +2,17 @@
  * Phasor synchronization and cycle scheduling for Voice.Assembly.FM Synth Client
  */
 
+import { upgradePhasorSync } from "../../../src/common/message-protocol.js";
+
 /**
  * Handle phasor synchronization messages
  * @param {Object} message - Phasor sync message
  * @param {Object} context - Synth context
  */
-export function handlePhasorSync(message, context) {
+export function handlePhasorSync(rawMessage, context) {
+  // Legacy senders gave cpm; upgrade to a cycle length in seconds
+  const message = upgradePhasorSync(rawMessage);
   context.receivedPhasor = message.phasor;
-  context.receivedCpm = message.cpm; // Legacy, may be null
   context.receivedStepsPerCycle = message.stepsPerCycle;
   context.receivedCycleLength = message.cycleLength;
   context.receivedIsPlaying = message.isPlaying !== undefined
@@ -50,13 +53,11 @@ export function handlePhasorSync(message, context) {
     }
 
     if (context.programNode) {
-      const periodDisplay = message.cpm
-        ? `${message.cpm} CPM`
-        : `${context.receivedCycleLength}s period`;
-      console.log(`⏰ Received phasor sync: ${periodDisplay}`);
+      console.log(
+        `⏰ Received phasor sync: ${context.receivedCycleLength}s period`,
+      );
 
       const newTimingConfig = {
-        cpm: message.cpm,
         stepsPerCycle: message.stepsPerCycle,
         cycleLength: message.cycleLength,
         phasor: message.phasor,
@@ -179,13 +180,11 @@ export function updateTransportState(context) {
 
   // Update timing config for program node
   if (context.programNode) {
-    const periodDisplay = context.receivedCpm
-      ? `${context.receivedCpm} CPM`
-      : `${context.receivedCycleLength}s period`;
-    console.log(`⏰ Received phasor sync: ${periodDisplay}`);
+    console.log(
+      `⏰ Received phasor sync: ${context.receivedCycleLength}s period`,
+    );
 
     const newTimingConfig = {
-      cpm: context.receivedCpm,
       stepsPerCycle: context.receivedStepsPerCycle,
       cycleLength: context.receivedCycleLength,
       phasor: context.receivedPhasor,
@@ -8,6 +8,11 @@ import {
 } from "./resolve.js";
 import { applyResolvedProgram } from "../audio/scheduler.js";
 import { resetPhasorState } from "../scheduler/phasor.js";
+import {
+  deserializeHRGState,
+  serializeHRGState,
+} from "../../../src/common/generators.js";
+import { assertValidProgram } from "../../../src/common/program-schema.js";
 
 // Helper for deep cloning
 function deepClone(obj) {
@@ -84,6 +89,7 @@ export function restoreSceneSnapshot(snapshot, context) {
   if (!snapshot || snapshot.v !== 2) {
     throw new Error("Unsupported scene snapshot version (expected v2)");
   }
+  assertValidProgram(snapshot.program, "Scene snapshot program");
 
   context.programConfig = deepClone(snapshot.program || {});
 
@@ -306,74 +312,6 @@ export function handleLoadScene(payload, context) {
 // Utility helpers -----------------------------------------------------------
 // ---------------------------------------------------------------------------
 
-function serializeHRGState(state) {
-  const serialized = {
-    numerators: [...(state.numerators || [])],
-    denominators: [...(state.denominators || [])],
-    numeratorBehavior: state.numeratorBehavior,
-    denominatorBehavior: state.denominatorBehavior,
-    indexN: state.indexN ?? 0,
-    indexD: state.indexD ?? 0,
-    orderN: state.orderN ? [...state.orderN] : null,
-    orderD: state.orderD ? [...state.orderD] : null,
-  };
-
-  console.log(
-    `🔸 serializeHRG: indexN=${state.indexN} → ${serialized.indexN}, indexD=${state.indexD} → ${serialized.indexD}`,
-  );
-
-  return serialized;
-}
-
-function deserializeHRGState(serialized, generator) {
-  // CRITICAL: Always use saved arrays if they exist, never regenerate
-  // If arrays are missing, this is a fallback - but should rarely happen
-  const numerators = serialized.numerators?.length
-    ? [...serialized.numerators]
-    : parseSequence(generator?.numerators || "1");
-  const denominators = serialized.denominators?.length
-    ? [...serialized.denominators]
-    : parseSequence(generator?.denominators || "1");
-
-  // Debug: Check what we're getting
-  console.log(
-    `🔍 deserializeHRG INPUT: indexN=${serialized.indexN}, indexD=${serialized.indexD}`,
-  );
-
-  const clamp = (value, arr) =>
-    Math.max(0, Math.min(value ?? 0, arr.length - 1));
-
-  const finalIndexN = clamp(serialized.indexN, numerators);
-  const finalIndexD = clamp(serialized.indexD, denominators);
-
-  console.log(
-    `🔍 deserializeHRG OUTPUT: nums=[${numerators}], denoms=[${denominators}], indexN=${finalIndexN}, indexD=${finalIndexD}`,
-  );
-
-  return {
-    numerators,
-    denominators,
-    numeratorBehavior: serialized.numeratorBehavior || "static",
-    denominatorBehavior: serialized.denominatorBehavior || "static",
-    indexN: finalIndexN,
-    indexD: finalIndexD,
-    orderN: serialized.orderN ? [...serialized.orderN] : null,
-    orderD: serialized.orderD ? [...serialized.orderD] : null,
-  };
-}
-
-function parseSequence(str) {
-  return str.split(",").flatMap((part) => {
-    if (part.includes("-")) {
-      const [start, end] = part.split("-").map(Number);
-      const result = [];
-      for (let i = start; i <= end; i++) result.push(i);
-      return result;
-    }
-    return [Number(part)];
-  });
-}
-
 // deepClone already defined above
 
 /**
@@ -14,11 +14,40 @@
  * - _resolveRBG(): Handles RBG with peek mode for save/load
  */
 
-import { generatePeerId, WebRTCStar } from "../../src/common/webrtc-star.js";
+import {
+  generatePeerId,
+  getRoomFromLocation,
+  WebRTCStar,
+} from "../../src/common/webrtc-star.js";
+import { ClockSync } from "../../src/common/clock-sync.js";
+import { sinValues } from "../../src/common/sin.js";
+import {
+  createDefaultAssignment,
+  getStrategy,
+  seedForAssignment,
+} from "../../src/common/distribution.js";
+import {
+  createSeededRandom,
+  hashSeed,
+  randomInRange,
+} from "../../src/common/prng.js";
+import {
+  advanceHRG,
+  createHRGState,
+  hrgValue,
+  peekHRG,
+  resolveRBG,
+  restartHRGState,
+  setHRGBehavior,
+  setHRGValues,
+} from "../../src/common/generators.js";
 import {
   MessageBuilder,
-  MessageTypes,
+  PROGRAM_UPDATE_FIELDS,
 } from "../../src/common/message-protocol.js";
+import { DEFAULT_VOWEL_TABLE } from "../../src/common/vowel-tables.js";
+import { staggerOffset } from "../../src/common/articulation.js";
+import { DEFAULT_VOICE_ENGINE } from "../../src/common/voice-engines.js";
 import { XYOscilloscope } from "./src/visualization/xy-oscilloscope.js";
 import {
   applyPendingScene as applyPendingSceneAtEoc,
@@ -32,6 +61,11 @@ import {
 import { resolveProgramSnapshot } from "./state/resolve.js";
 import { applyResolvedProgram } from "./audio/scheduler.js";
 import { resetPhasorState } from "./scheduler/phasor.js";
+import { handleDataMessage as routeDataMessage } from "./network/handler.js";
+import {
+  startSyncReporting,
+  stopSyncReporting,
+} from "./network/sync-report.js";
 import {
   cancelPhasorAutomation,
   estimateControllerLatency,
@@ -45,9 +79,18 @@ import {
   restoreSceneFromSnapshot,
 } from "./state/store.js";
 
-class SynthClient {
-  constructor() {
+export class SynthClient {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.headless] - No DOM, wake lock or oscilloscope (emulator voices)
+   * @param {AudioContext} [options.audioContext] - Shared AudioContext instead of creating one
+   * @param {AudioNode} [options.destination] - Output node instead of audioContext.destination
+   */
+  constructor(options = {}) {
     this.peerId = generatePeerId("synth");
+    this.headless = options.headless ?? false;
+    this.sharedAudioContext = options.audioContext ?? null;
+    this.outputDestination = options.destination ?? null;
 
     // Required parameter set for complete programConfig
     this.REQUIRED_PARAMS = [
@@ -75,6 +118,9 @@ class SynthClient {
     this.formantNode = null; // Legacy - will be replaced by voiceNode
     this.voiceNode = null; // Voice worklet with envelope generation and DSP synthesis
     this.synthesisActive = false; // Track if synthesis is active
+    this.vowelTable = DEFAULT_VOWEL_TABLE; // Table name or custom table
+    this.articulation = null; // Per-step consonant pattern, null = none
+    this.engine = DEFAULT_VOICE_ENGINE; // Synthesis engine name
     this.noiseNode = null;
 
     // Parameter output mapping for routing
@@ -103,7 +149,6 @@ class SynthClient {
 
     // Program configuration
     this.program = null;
-    this.randomSeed = this.hashString(this.peerId); // Unique seed per synth
     this.lastProgramUpdate = null; // cache last full program update for scenes
     this.pendingSceneState = null; // apply at next cycle reset to avoid clicks
     this._pendingSceneAtEoc = null; // new versioned scene staging
@@ -114,11 +159,18 @@ class SynthClient {
     this.receivedBeatsPerCycle = 4;
     this.receivedCycleLength = 2.0;
     this.receivedStepsPerCycle = 16; // Default until first PHASOR_BEACON
-    this.receivedCpm = 30; // Default cycles per minute
+    this.lastScrubTimestamp = -Infinity; // Ctrl timestamp of last applied scrub
     this.lastPhasorMessage = 0;
     this.phasorRate = 0.5; // Phasor increment per second (1.0 / cycleLength)
     this.interpolatedPhasor = 0.0; // Current interpolated phasor value
     this.phasorUpdateId = null; // RequestAnimationFrame ID for interpolation
+    this.clockSync = new ClockSync(); // Controller audio clock -> our audio clock
+
+    // Sync quality telemetry (see network/sync-report.js)
+    this.lastPhaseError = null; // Most recent phase error vs expected ctrl phasor
+    this.underrunCount = 0; // Audio clock stalls detected
+    this.battery = null; // BatteryManager, if available
+    this.syncReportTimer = null;
 
     // Envelope control state
     this.isPaused = false;
@@ -157,8 +209,8 @@ class SynthClient {
     this.clickVolume = 0.3; // Volume for rhythmic click sounds
     this.receivedBeatsPerCycle = 4; // Store beats per cycle from ctrl for rhythm
 
-    // UI Elements
-    this.elements = {
+    // UI Elements (none when running headless in the emulator)
+    this.elements = this.headless ? {} : {
       joinState: document.getElementById("join-state"),
       activeState: document.getElementById("active-state"),
       joinButton: document.getElementById("join-button"),
@@ -206,8 +258,10 @@ class SynthClient {
       }
     };
 
-    this.setupEventHandlers();
-    this.setupKeyboardShortcuts();
+    if (!this.headless) {
+      this.setupEventHandlers();
+      this.setupKeyboardShortcuts();
+    }
 
     // Scene Memory: Simple in-memory snapshots (ephemeral)
     this.sceneSnapshots = []; // Array of 10 scene slots, lost on refresh
@@ -221,6 +275,12 @@ class SynthClient {
     this.rbgState = {}; // RBG random value state per parameter (for static behavior)
     this.reresolveAtNextEOC = false; // Flag to re-randomize static HRG indices
 
+    // Ensemble distribution (assigned by ctrl, see src/common/distribution.js)
+    this.distribution = createDefaultAssignment();
+    this.randomSeed = 0; // Seed from session seed + peer ID (see _reseed)
+    this.rng = null; // Seeded random source for HRG/RBG resolution
+    this._reseed();
+
     // Note: No persistent synth ID - using ephemeral session
 
     // Auto-connect to network on page load
@@ -274,6 +334,7 @@ class SynthClient {
     try {
       // Connect to network immediately
       await this.connectToNetwork();
+      startSyncReporting(this);
 
       // Show join button for audio initialization
       this.setState("join");
@@ -315,7 +376,7 @@ class SynthClient {
   }
 
   async initializeAudio() {
-    this.audioContext = new AudioContext();
+    this.audioContext = this.sharedAudioContext || new AudioContext();
 
     // Resume context if suspended
     if (this.audioContext.state === "suspended") {
@@ -325,7 +386,7 @@ class SynthClient {
     // Load phasor AudioWorklet processor
     try {
       await this.audioContext.audioWorklet.addModule(
-        "./worklets/phasor-processor.worklet.js",
+        new URL("./worklets/phasor-processor.worklet.js", import.meta.url),
       );
     } catch (error) {
       console.error("❌ Failed to load phasor processor:", error);
@@ -334,7 +395,9 @@ class SynthClient {
 
     // Create master gain node
     this.masterGain = this.audioContext.createGain();
-    this.masterGain.connect(this.audioContext.destination);
+    this.masterGain.connect(
+      this.outputDestination || this.audioContext.destination,
+    );
     this.updateVolume();
 
     // Create phasor worklet for sample-accurate timing
@@ -344,14 +407,16 @@ class SynthClient {
     await this.initializeFormantSynthesis();
 
     // Request screen wake lock to keep screen awake during performance
-    await this.requestWakeLock();
+    if (!this.headless) {
+      await this.requestWakeLock();
+    }
   }
 
   async initializeFormantSynthesis() {
     try {
       // Load voice worklet
       await this.audioContext.audioWorklet.addModule(
-        "./worklets/voice-worklet.js",
+        new URL("./worklets/voice-worklet.js", import.meta.url),
       );
 
       // Create voice worklet with envelope generation and DSP synthesis
@@ -397,6 +462,16 @@ class SynthClient {
         }
       }
 
+      // Worklet-side generators draw from the same seed
+      this.voiceNode.port.postMessage({
+        type: "SET_SEED",
+        seed: this.randomSeed,
+      });
+      this.setVowelTable(this.vowelTable);
+      this.setVoiceType(this.distribution.voiceType ?? null);
+      this.setArticulation(this.articulation);
+      this.setEngine(this.engine);
+
       // Apply any stored state that was received before audio was ready
       this.applyStoredState();
     } catch (error) {
@@ -427,6 +502,10 @@ class SynthClient {
   async connectToNetwork() {
     // Create star network
     this.star = new WebRTCStar(this.peerId, "synth");
+    this.star.setRoom(getRoomFromLocation());
+    this.star.setAudioClock(() =>
+      this.audioContext ? this.audioContext.currentTime : null
+    );
     this.setupStarEventHandlers();
 
     // Connect to signaling server - use current host
@@ -450,13 +529,31 @@ class SynthClient {
   setupStarEventHandlers() {
     this.star.addEventListener("peer-connected", (event) => {
       // Hide loading indicator and update status
-      this.elements.loading.style.display = "none";
+      if (this.elements.loading) {
+        this.elements.loading.style.display = "none";
+      }
       this.updateConnectionStatus("connected", "Connected to network");
     });
 
     this.star.addEventListener("peer-removed", (event) => {
     });
 
+    // A ctrl that can't talk to this build stays silent, so say why
+    this.star.addEventListener("peer-protocol", (event) => {
+      const { compatible, reason } = event.detail;
+      if (compatible) return;
+      this.updateConnectionStatus(
+        "error",
+        `Incompatible controller: ${reason}. Reload both pages to update.`,
+      );
+    });
+
+    this.star.addEventListener("clock-sample", (event) => {
+      const { peerType, localSend, remoteTime, localReceive } = event.detail;
+      if (peerType !== "ctrl") return;
+      this.clockSync.addSample(localSend, remoteTime, localReceive);
+    });
+
     this.star.addEventListener("data-message", (event) => {
       const { peerId, channelType, message } = event.detail;
       this.handleDataMessage(peerId, channelType, message);
@@ -464,77 +561,7 @@ class SynthClient {
   }
 
   handleDataMessage(peerId, channelType, message) {
-    switch (message.type) {
-      case MessageTypes.PROGRAM_UPDATE:
-        this.handleProgramUpdate(message);
-        break;
-
-      case MessageTypes.SUB_PARAM_UPDATE:
-        this.handleSubParameterUpdate(message);
-        break;
-
-      case MessageTypes.UNIFIED_PARAM_UPDATE:
-        this.handleUnifiedParamUpdate(message);
-        break;
-
-      case MessageTypes.PROGRAM:
-        this.handleProgramConfig(message);
-        break;
-
-      case MessageTypes.RERESOLVE_AT_EOC:
-        console.log(
-          "🔀 RERESOLVE_AT_EOC received - will re-randomize static HRG indices at next EOC",
-        );
-        this.reresolveAtNextEOC = true;
-        break;
-
-      case MessageTypes.IMMEDIATE_REINITIALIZE:
-        this.handleImmediateReinitialize(message);
-        break;
-
-      case MessageTypes.SAVE_SCENE:
-        this.handleSaveScene(message);
-        break;
-
-      case MessageTypes.LOAD_SCENE:
-        this.handleLoadScene(message);
-        break;
-
-      case MessageTypes.CLEAR_BANKS:
-        this.clearAllBanks();
-        break;
-
-      case MessageTypes.CLEAR_SCENE:
-        this.clearBank(message.memoryLocation);
-        break;
-
-      case MessageTypes.JUMP_TO_EOC:
-        this.handleJumpToEOC(message);
-        break;
-
-      case MessageTypes.PLAY:
-        this.handlePlay(message);
-        break;
-
-      case MessageTypes.PAUSE:
-        this.handlePause(message);
-        break;
-
-      case MessageTypes.STOP:
-        this.handleStop(message);
-        break;
-
-      case MessageTypes.PHASOR_BEACON:
-        this.handlePhasorBeacon(message);
-        break;
-
-      case MessageTypes.SCRUB_PHASE:
-        this.handleScrubPhase(message);
-        break;
-
-      default:
-        break;
-    }
+    routeDataMessage(peerId, channelType, message, this);
   }
 
   handleDirectParamUpdate(message) {
@@ -614,6 +641,61 @@ class SynthClient {
     }
   }
 
+  /**
+   * Switch the voice worklet to a vowel table. Applied at once like
+   * synthesis on/off: it changes timbre, not resolved values.
+   * @param {string|Object} table - Table name or custom table
+   */
+  setVowelTable(table) {
+    this.vowelTable = table;
+    this.voiceNode?.port.postMessage({ type: "SET_VOWEL_TABLE", table });
+    if (this.verbose) {
+      console.log(
+        `🗣️ Vowel table: ${typeof table === "string" ? table : "custom"}`,
+      );
+    }
+  }
+
+  /**
+   * Switch the voice worklet's consonant pattern (null turns it off).
+   * Staggered text is offset by this synth's distribution assignment.
+   * @param {Object|null} articulation - See articulation.js
+   */
+  setArticulation(articulation) {
+    this.articulation = articulation;
+    this.voiceNode?.port.postMessage({
+      type: "SET_ARTICULATION",
+      articulation,
+      stepOffset: staggerOffset(articulation, this.distribution),
+    });
+    if (this.verbose) {
+      console.log(
+        `👄 Articulation: ${articulation?.pattern.join(" ") || "off"}`,
+      );
+    }
+  }
+
+  /**
+   * Switch the voice worklet's synthesis engine
+   * @param {string} engine - See voice-engines.js
+   */
+  setEngine(engine) {
+    this.engine = engine;
+    this.voiceNode?.port.postMessage({ type: "SET_ENGINE", engine });
+    if (this.verbose) {
+      console.log(`🎚️ Engine: ${engine}`);
+    }
+  }
+
+  /**
+   * Pass this synth's voice type (from its distribution assignment) to
+   * the voice worklet, which picks the voice's table and register
+   * @param {string|null} voiceType
+   */
+  setVoiceType(voiceType) {
+    this.voiceNode?.port.postMessage({ type: "SET_VOICE_TYPE", voiceType });
+  }
+
   /**
    * Activate synthesis immediately when enabled while paused
    * Ensures audio output starts right away regardless of transport state
@@ -792,21 +874,28 @@ class SynthClient {
       }
     }
 
+    if (message.vowelTable !== undefined) {
+      this.setVowelTable(message.vowelTable);
+    }
+    if (message.articulation !== undefined) {
+      this.setArticulation(message.articulation);
+    }
+    if (message.engine !== undefined) {
+      this.setEngine(message.engine);
+    }
+
+    // Meta-only updates (e.g. a new vowel table) leave the program alone
+    const paramNames = Object.keys(message).filter(
+      (key) => !PROGRAM_UPDATE_FIELDS.includes(key),
+    );
+    if (paramNames.length === 0 && message.synthesisActive === undefined) {
+      return;
+    }
+
     // Step 3: Process parameter payload
     this.programConfig = this.programConfig || {};
 
-    for (const paramName in message) {
-      // Skip meta fields
-      if (
-        [
-          "type",
-          "timestamp",
-          "synthesisActive",
-          "isManualMode",
-          "portamentoTime",
-        ].includes(paramName)
-      ) continue;
-
+    for (const paramName of paramNames) {
       const paramData = message[paramName];
 
       // Error guard: reject forbidden scope field
@@ -1077,11 +1166,7 @@ class SynthClient {
     }
 
     // Update the HRG state for this component
-    if (component === "numerator") {
-      this._updateHRGNumerators(paramName, position);
-    } else {
-      this._updateHRGDenominators(paramName, position);
-    }
+    this._updateHRGValues(paramName, position, component);
 
     // If not staging, compute new value and send to worklet
     if (!stagingMode) {
@@ -1128,9 +1213,9 @@ class SynthClient {
    */
   _updateHRGBehavior(paramName, position, paramPath) {
     if (paramPath.includes("numeratorBehavior")) {
-      this._updateHRGNumeratorBehavior(paramName, position);
+      this._updateHRGComponentBehavior(paramName, position, "numerator");
     } else if (paramPath.includes("denominatorBehavior")) {
-      this._updateHRGDenominatorBehavior(paramName, position);
+      this._updateHRGComponentBehavior(paramName, position, "denominator");
     }
   }
 
@@ -1289,6 +1374,7 @@ class SynthClient {
             expectedCtrlPhasor,
             this.workletPhasor,
           );
+          this.lastPhaseError = phaseError;
 
           // Update phase display
           this.updatePhaseDisplay();
@@ -1349,11 +1435,18 @@ class SynthClient {
       this.phasorWorklet.parameters.get("stepsPerCycle").value = spc;
     }
 
+    // Consonant onsets follow the same step grid
+    this.voiceNode?.port.postMessage({
+      type: "SET_STEPS",
+      stepsPerCycle: Number.isFinite(this.receivedStepsPerCycle)
+        ? this.receivedStepsPerCycle
+        : 16,
+    });
+
     // Also update program worklet with phasor timing
     if (this.programNode) {
       this.programNode.port.postMessage({
         type: "SET_PHASOR",
-        cpm: Number.isFinite(this.receivedCpm) ? this.receivedCpm : 30,
         stepsPerCycle: Number.isFinite(this.receivedStepsPerCycle)
           ? this.receivedStepsPerCycle
           : 16,
@@ -1549,6 +1642,7 @@ class SynthClient {
 
   setState(newState) {
     this.currentState = newState;
+    if (this.headless) return;
 
     switch (newState) {
       case "join":
@@ -1578,6 +1672,7 @@ class SynthClient {
 
   updateConnectionStatus(status, message = "") {
     const element = this.elements.connectionStatus;
+    if (!element) return;
 
     element.classList.remove("connected", "syncing", "error");
     element.classList.add(status);
@@ -1782,6 +1877,8 @@ class SynthClient {
     // Release wake lock
     this.releaseWakeLock();
 
+    stopSyncReporting(this);
+
     // Clean up WebRTC connections
     if (this.star) {
       this.star.cleanup();
@@ -1804,22 +1901,24 @@ class SynthClient {
   }
 
   // Randomization utility methods
-  hashString(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32bit integer
-    }
-    return Math.abs(hash);
-  }
-
   generateRandomValueInRange(min, max, key) {
     // Generate a deterministic but unique random value for this synth and parameter
     // Use a stable seed that doesn't change between parameter broadcasts
-    const seed = this.randomSeed ^ this.hashString(key);
-    const random = Math.abs(Math.sin(seed)) % 1;
-    return min + (max - min) * random;
+    const random = createSeededRandom(hashSeed(this.randomSeed, key));
+    return randomInRange(random, min, max);
+  }
+
+  // Derive the PRNG seed from the current distribution and share it with the worklet
+  _reseed() {
+    this.randomSeed = seedForAssignment(this.distribution, this.peerId);
+    this.rng = createSeededRandom(this.randomSeed);
+
+    if (this.voiceNode) {
+      this.voiceNode.port.postMessage({
+        type: "SET_SEED",
+        seed: this.randomSeed,
+      });
+    }
   }
 
   // Immediate Re-initialization Methods
@@ -2089,10 +2188,10 @@ class SynthClient {
       phase: message.phase,
     };
 
-    // Estimate latency for time synchronization
+    // Fallback latency guess, only used until clock sync has converged
     const latencyOffset = estimateControllerLatency(this);
 
-    // Schedule the phasor ramp
+    // Schedule the phasor ramp (startTime mapped via this.clockSync)
     schedulePhasorRamp(this, schedule, latencyOffset);
 
     // Update phasor worklet parameters
@@ -2104,6 +2203,12 @@ class SynthClient {
           message.stepsPerCycle;
       }
     }
+    if (typeof message.stepsPerCycle === "number") {
+      this.voiceNode?.port.postMessage({
+        type: "SET_STEPS",
+        stepsPerCycle: message.stepsPerCycle,
+      });
+    }
   }
 
   handleScrubPhase(message) {
@@ -2132,6 +2237,16 @@ class SynthClient {
       return;
     }
 
+    // Scrubs travel unordered, so a late one must not undo a newer glide.
+    // Reordering spans milliseconds; a far older timestamp is a ctrl that
+    // restarted its clock (page reload), so it is applied.
+    const age = this.lastScrubTimestamp - message.timestamp;
+    if (age > 0 && age < 1000) {
+      console.log("🚫 Ignoring stale scrub");
+      return;
+    }
+    this.lastScrubTimestamp = message.timestamp;
+
     const now = this.audioContext.currentTime;
     const targetPhase = message.phase;
     const portamentoSeconds = message.portamentoMs / 1000;
@@ -2474,31 +2589,70 @@ class SynthClient {
     }
   }
 
-  // Parse SIN (Simple Integer Notation) strings like "1,3,5" or "1-6"
-  _parseSIN(sinString) {
-    if (!sinString || typeof sinString !== "string") return [1];
+  // Random source for generator resolution (seeded per distribution strategy)
+  _random() {
+    return this.rng();
+  }
 
-    const results = [];
-    const parts = sinString.split(",");
+  // HRG value set for this synth: parse, then reshape per distribution strategy
+  _hrgValues(sin) {
+    const values = sinValues(sin || "1");
+    const distributed = getStrategy(this.distribution.mode).transformValues(
+      values,
+      this.distribution,
+    );
+    return distributed.length > 0 ? distributed : values;
+  }
 
-    for (const part of parts) {
-      const trimmed = part.trim();
-      if (trimmed.includes("-")) {
-        // Handle ranges like "1-6"
-        const [start, end] = trimmed.split("-").map((n) => parseInt(n.trim()));
-        if (!isNaN(start) && !isNaN(end)) {
-          for (let i = start; i <= end; i++) {
-            results.push(i);
-          }
-        }
-      } else {
-        // Handle single numbers
-        const num = parseInt(trimmed);
-        if (!isNaN(num)) results.push(num);
-      }
+  // Sample an RBG range, reshaped per distribution strategy
+  _sampleRange(range) {
+    const { min, max } = getStrategy(this.distribution.mode).transformRange(
+      range,
+      this.distribution,
+    );
+    return min + this._random() * (max - min);
+  }
+
+  handleDistribution(message) {
+    const { type: _type, timestamp: _timestamp, ...assignment } = message;
+    const previous = this.distribution;
+    this.distribution = assignment;
+    this.setVoiceType(assignment.voiceType ?? null);
+    if (this.articulation?.stagger) {
+      this.setArticulation(this.articulation); // New index or role
+    }
+
+    console.log(
+      `🎭 Distribution: ${assignment.mode} (synth ${assignment.synthIndex}, ${assignment.synthCount} total, role ${assignment.role}/${assignment.roleCount}, voice ${
+        assignment.voiceType ?? "none"
+      })`,
+    );
+
+    // A new voice type alone changes timbre, not resolved values
+    const sameStreams = [
+      "mode",
+      "sessionSeed",
+      "synthIndex",
+      "synthCount",
+      "role",
+      "roleCount",
+    ].every((field) => previous[field] === assignment[field]);
+    if (sameStreams) return;
+
+    this._reseed();
+
+    if (Object.keys(this.programConfig).length === 0) return;
+
+    // Rebuild generator state from scratch so seeded streams line up
+    this.hrgState = {};
+    this.rbgState = {};
+    for (const [paramName, paramConfig] of Object.entries(this.programConfig)) {
+      this._initializeHRGState(paramName, paramConfig);
     }
 
-    return results.length > 0 ? results : [1];
+    if (this.voiceNode && this.programConfigComplete) {
+      this.handleImmediateReinitialize();
+    }
   }
 
   // Initialize HRG state for a parameter
@@ -2506,85 +2660,29 @@ class SynthClient {
     const generator = config.startValueGenerator;
     if (!generator || generator.type !== "periodic") return;
 
-    // Prefer arrays if available, fall back to parsing strings
-    const numerators = Array.isArray(generator.numerators)
-      ? [...generator.numerators]
-      : this._parseSIN(generator.numerators || "1");
-    const denominators = Array.isArray(generator.denominators)
-      ? [...generator.denominators]
-      : this._parseSIN(generator.denominators || "1");
+    const valuesOf = (sin) => this._hrgValues(sin);
+    const start = createHRGState(generator, this.rng, valuesOf);
+    this.hrgState[param] = { start };
 
     console.log(
-      `🎲 HRG init for ${param}: nums=${
-        Array.isArray(generator.numerators) ? "array" : "string"
-      } [${numerators}], denoms=${
-        Array.isArray(generator.denominators) ? "array" : "string"
-      } [${denominators}]`,
+      `🎲 HRG init for ${param}: nums=[${start.numerators}], denoms=[${start.denominators}]`,
     );
-    const numeratorBehavior = generator.numeratorBehavior || "static";
-    const denominatorBehavior = generator.denominatorBehavior || "static";
-
-    this.hrgState[param] = {
-      start: {
-        numerators,
-        denominators,
-        numeratorBehavior,
-        denominatorBehavior,
-        indexN: numeratorBehavior === "static" || numeratorBehavior === "random"
-          ? Math.floor(Math.random() * numerators.length)
-          : 0,
-        indexD:
-          denominatorBehavior === "static" || denominatorBehavior === "random"
-            ? Math.floor(Math.random() * denominators.length)
-            : 0,
-        orderN: numeratorBehavior === "shuffle"
-          ? this._shuffleArray([...numerators])
-          : null,
-        orderD: denominatorBehavior === "shuffle"
-          ? this._shuffleArray([...denominators])
-          : null,
-      },
-    };
 
     // Initialize end state if disc/cont interpolation
     if (
       this.isCosInterp(config.interpolation) &&
       config.endValueGenerator?.type === "periodic"
     ) {
-      const endGen = config.endValueGenerator;
-      // Prefer arrays if available, fall back to parsing strings
-      const endNumerators = Array.isArray(endGen.numerators)
-        ? [...endGen.numerators]
-        : this._parseSIN(endGen.numerators || "1");
-      const endDenominators = Array.isArray(endGen.denominators)
-        ? [...endGen.denominators]
-        : this._parseSIN(endGen.denominators || "1");
-      const endNumBehavior = endGen.numeratorBehavior || "static";
-      const endDenBehavior = endGen.denominatorBehavior || "static";
-
-      this.hrgState[param].end = {
-        numerators: endNumerators,
-        denominators: endDenominators,
-        numeratorBehavior: endNumBehavior,
-        denominatorBehavior: endDenBehavior,
-        indexN: endNumBehavior === "static" || endNumBehavior === "random"
-          ? Math.floor(Math.random() * endNumerators.length)
-          : 0,
-        indexD: endDenBehavior === "static" || endDenBehavior === "random"
-          ? Math.floor(Math.random() * endDenominators.length)
-          : 0,
-        orderN: endNumBehavior === "shuffle"
-          ? this._shuffleArray([...endNumerators])
-          : null,
-        orderD: endDenBehavior === "shuffle"
-          ? this._shuffleArray([...endDenominators])
-          : null,
-      };
+      this.hrgState[param].end = createHRGState(
+        config.endValueGenerator,
+        this.rng,
+        valuesOf,
+      );
     }
   }
 
-  // Re-initialize only a specific HRG position (start or end) for selective updates
-  _reinitHRGPosition(param, position) {
+  // Periodic generator for a position, throwing if the param is unknown
+  _hrgGenerator(param, position) {
     const config = this.programConfig[param];
     if (!config) {
       throw new Error(`CRITICAL: Missing config for ${param}`);
@@ -2593,52 +2691,24 @@ class SynthClient {
     const generator = position === "start"
       ? config.startValueGenerator
       : config.endValueGenerator;
-    if (!generator || generator.type !== "periodic") return;
+    return generator?.type === "periodic" ? generator : null;
+  }
+
+  // Re-initialize only a specific HRG position (start or end) for selective updates
+  _reinitHRGPosition(param, position) {
+    const generator = this._hrgGenerator(param, position);
+    if (!generator) return;
 
     // Check if HRG state already exists (e.g., loaded from scene)
     const existingState = this.hrgState[param]?.[position];
 
     // If state exists, only randomize indices, preserve arrays
     if (existingState && existingState.numerators?.length) {
-      const numeratorBehavior = generator.numeratorBehavior || "static";
-      const denominatorBehavior = generator.denominatorBehavior || "static";
-
-      // Update behaviors
-      existingState.numeratorBehavior = numeratorBehavior;
-      existingState.denominatorBehavior = denominatorBehavior;
-
-      // Randomize indices only
-      if (numeratorBehavior === "static" || numeratorBehavior === "random") {
-        existingState.indexN = Math.floor(
-          Math.random() * existingState.numerators.length,
-        );
-        existingState.orderN = null;
-      } else if (numeratorBehavior === "shuffle") {
-        existingState.orderN = this._shuffleArray([
-          ...existingState.numerators,
-        ]);
-        existingState.indexN = 0;
-      } else {
-        existingState.indexN = 0;
-        existingState.orderN = null;
-      }
-
-      if (
-        denominatorBehavior === "static" || denominatorBehavior === "random"
-      ) {
-        existingState.indexD = Math.floor(
-          Math.random() * existingState.denominators.length,
-        );
-        existingState.orderD = null;
-      } else if (denominatorBehavior === "shuffle") {
-        existingState.orderD = this._shuffleArray([
-          ...existingState.denominators,
-        ]);
-        existingState.indexD = 0;
-      } else {
-        existingState.indexD = 0;
-        existingState.orderD = null;
-      }
+      existingState.numeratorBehavior = generator.numeratorBehavior ||
+        "static";
+      existingState.denominatorBehavior = generator.denominatorBehavior ||
+        "static";
+      restartHRGState(existingState, this.rng);
 
       console.log(
         `🔄 Re-randomized HRG indices for ${param}.${position}: N=[${existingState.indexN}], D=[${existingState.indexD}] (arrays preserved)`,
@@ -2647,312 +2717,60 @@ class SynthClient {
     }
 
     // No existing state - generate fresh arrays
-    // Prefer arrays if available, fall back to parsing strings
-    const numerators = Array.isArray(generator.numerators)
-      ? [...generator.numerators]
-      : this._parseSIN(generator.numerators || "1");
-    const denominators = Array.isArray(generator.denominators)
-      ? [...generator.denominators]
-      : this._parseSIN(generator.denominators || "1");
-    const numeratorBehavior = generator.numeratorBehavior || "static";
-    const denominatorBehavior = generator.denominatorBehavior || "static";
-
-    // Ensure HRG state exists
     if (!this.hrgState[param]) {
       this.hrgState[param] = {};
     }
-
-    // Create new state
-    this.hrgState[param][position] = {
-      numerators,
-      denominators,
-      numeratorBehavior,
-      denominatorBehavior,
-      indexN: numeratorBehavior === "static"
-        ? Math.floor(Math.random() * numerators.length)
-        : 0,
-      indexD: denominatorBehavior === "static"
-        ? Math.floor(Math.random() * denominators.length)
-        : 0,
-      orderN: numeratorBehavior === "shuffle"
-        ? this._shuffleArray([...numerators])
-        : null,
-      orderD: denominatorBehavior === "shuffle"
-        ? this._shuffleArray([...denominators])
-        : null,
-    };
-
-    console.log(
-      `🔄 Generated fresh HRG ${position} for ${param}: N=[${
-        this.hrgState[param][position].indexN
-      }] from [${numerators}], D=[${
-        this.hrgState[param][position].indexD
-      }] from [${denominators}]`,
+    const state = createHRGState(
+      generator,
+      this.rng,
+      (sin) => this._hrgValues(sin),
     );
-  }
-
-  // Update only HRG numerators for a specific parameter position
-  _updateHRGNumerators(param, position) {
-    const config = this.programConfig[param];
-    if (!config) {
-      throw new Error(`CRITICAL: Missing config for ${param}`);
-    }
-
-    const generator = position === "start"
-      ? config.startValueGenerator
-      : config.endValueGenerator;
-    if (!generator || generator.type !== "periodic") return;
-
-    // Ensure HRG state exists
-    if (!this.hrgState[param]) {
-      this.hrgState[param] = {};
-    }
-    if (!this.hrgState[param][position]) {
-      // If no state exists, fall back to full initialization
-      this._reinitHRGPosition(param, position);
-      return;
-    }
-
-    const state = this.hrgState[param][position];
-    // Prefer arrays if available
-    const newNumerators = Array.isArray(generator.numerators)
-      ? [...generator.numerators]
-      : this._parseSIN(generator.numerators || "1");
-
-    // Update numerators array and re-randomize ONLY numerator index
-    state.numerators = newNumerators;
-    if (state.numeratorBehavior === "static") {
-      state.indexN = Math.floor(Math.random() * newNumerators.length);
-    } else if (state.numeratorBehavior === "shuffle") {
-      state.orderN = this._shuffleArray([...newNumerators]);
-      state.indexN = 0; // Reset to start of new shuffle
-    }
-    // For ascending/descending, keep current indexN but it will wrap naturally
+    this.hrgState[param][position] = state;
 
     console.log(
-      `🔄 Updated HRG numerators for ${param}.${position}: new array [${newNumerators}], indexN=${state.indexN}`,
+      `🔄 Generated fresh HRG ${position} for ${param}: N=[${state.indexN}] from [${state.numerators}], D=[${state.indexD}] from [${state.denominators}]`,
     );
   }
 
-  // Update only HRG denominators for a specific parameter position
-  _updateHRGDenominators(param, position) {
-    const config = this.programConfig[param];
-    if (!config) {
-      throw new Error(`CRITICAL: Missing config for ${param}`);
-    }
-
-    const generator = position === "start"
-      ? config.startValueGenerator
-      : config.endValueGenerator;
-    if (!generator || generator.type !== "periodic") return;
+  // Update only HRG numerators or denominators for a parameter position
+  _updateHRGValues(param, position, component) {
+    const generator = this._hrgGenerator(param, position);
+    if (!generator) return;
 
-    // Ensure HRG state exists
-    if (!this.hrgState[param]) {
-      this.hrgState[param] = {};
-    }
-    if (!this.hrgState[param][position]) {
+    const state = this.hrgState[param]?.[position];
+    if (!state) {
       // If no state exists, fall back to full initialization
       this._reinitHRGPosition(param, position);
       return;
     }
 
-    const state = this.hrgState[param][position];
-    // Prefer arrays if available
-    const newDenominators = Array.isArray(generator.denominators)
-      ? [...generator.denominators]
-      : this._parseSIN(generator.denominators || "1");
-
-    // Update denominators array and re-randomize ONLY denominator index
-    state.denominators = newDenominators;
-    if (state.denominatorBehavior === "static") {
-      state.indexD = Math.floor(Math.random() * newDenominators.length);
-    } else if (state.denominatorBehavior === "shuffle") {
-      state.orderD = this._shuffleArray([...newDenominators]);
-      state.indexD = 0; // Reset to start of new shuffle
-    }
-    // For ascending/descending, keep current indexD but it will wrap naturally
-
-    console.log(
-      `🔄 Updated HRG denominators for ${param}.${position}: new array [${newDenominators}], indexD=${state.indexD}`,
-    );
-  }
-
-  // Update only numerator behavior for a specific parameter position
-  _updateHRGNumeratorBehavior(param, position) {
-    const config = this.programConfig[param];
-    if (!config) {
-      throw new Error(`CRITICAL: Missing config for ${param}`);
-    }
-
-    const generator = position === "start"
-      ? config.startValueGenerator
-      : config.endValueGenerator;
-    if (!generator || generator.type !== "periodic") return;
-
-    // Ensure HRG state exists
-    if (!this.hrgState[param]?.[position]) {
-      this._reinitHRGPosition(param, position);
-      return;
-    }
-
-    const state = this.hrgState[param][position];
-    const newBehavior = generator.numeratorBehavior || "static";
-
-    // Update behavior and re-randomize ONLY numerator index
-    state.numeratorBehavior = newBehavior;
-    if (newBehavior === "static") {
-      state.indexN = Math.floor(Math.random() * state.numerators.length);
-      state.orderN = null;
-    } else if (newBehavior === "shuffle") {
-      state.orderN = this._shuffleArray([...state.numerators]);
-      state.indexN = 0;
-    } else {
-      // Don't reset indexN for ascending/descending - preserve sequence continuity
-      // This allows proper LCM emergence when numerators/denominators have different lengths
-      state.orderN = null;
-    }
+    const values = this._hrgValues(generator[component + "s"]);
+    setHRGValues(state, component, values, this.rng);
 
     console.log(
-      `🔄 Updated HRG numerator behavior for ${param}.${position}: ${newBehavior}, indexN=${state.indexN}`,
+      `🔄 Updated HRG ${component}s for ${param}.${position}: new array [${values}], index N=${state.indexN} D=${state.indexD}`,
     );
   }
 
-  // Update only denominator behavior for a specific parameter position
-  _updateHRGDenominatorBehavior(param, position) {
-    const config = this.programConfig[param];
-    if (!config) {
-      throw new Error(`CRITICAL: Missing config for ${param}`);
-    }
-
-    const generator = position === "start"
-      ? config.startValueGenerator
-      : config.endValueGenerator;
-    if (!generator || generator.type !== "periodic") return;
+  // Update only numerator or denominator behavior for a parameter position
+  _updateHRGComponentBehavior(param, position, component) {
+    const generator = this._hrgGenerator(param, position);
+    if (!generator) return;
 
-    // Ensure HRG state exists
-    if (!this.hrgState[param]?.[position]) {
+    const state = this.hrgState[param]?.[position];
+    if (!state) {
       this._reinitHRGPosition(param, position);
       return;
     }
 
-    const state = this.hrgState[param][position];
-    const newBehavior = generator.denominatorBehavior || "static";
-
-    // Update behavior and re-randomize ONLY denominator index
-    state.denominatorBehavior = newBehavior;
-    if (newBehavior === "static") {
-      state.indexD = Math.floor(Math.random() * state.denominators.length);
-      state.orderD = null;
-    } else if (newBehavior === "shuffle") {
-      state.orderD = this._shuffleArray([...state.denominators]);
-      state.indexD = 0;
-    } else {
-      // Don't reset indexD for ascending/descending - preserve sequence continuity
-      // This allows proper LCM emergence when numerators/denominators have different lengths
-      state.orderD = null;
-    }
+    const behavior = generator[component + "Behavior"] || "static";
+    setHRGBehavior(state, component, behavior, this.rng);
 
     console.log(
-      `🔄 Updated HRG denominator behavior for ${param}.${position}: ${newBehavior}, indexD=${state.indexD}`,
+      `🔄 Updated HRG ${component} behavior for ${param}.${position}: ${behavior}, index N=${state.indexN} D=${state.indexD}`,
     );
   }
 
-  // Restore HRG state from saved sequence data (preserves per-synth uniqueness)
-  _restoreHRGState(param, seqState, config) {
-    const generator = config.startValueGenerator;
-    if (!generator || generator.type !== "periodic") return;
-
-    // Use saved behaviors if available, otherwise fall back to config
-    const numeratorBehavior = seqState.numeratorBehavior ||
-      generator.numeratorBehavior || "static";
-    const denominatorBehavior = seqState.denominatorBehavior ||
-      generator.denominatorBehavior || "static";
-
-    // For shuffle behavior, the saved orderN/orderD ARE the arrays to use
-    // For other behaviors, parse from config but use saved indices
-    let numerators, denominators;
-
-    if (numeratorBehavior === "shuffle" && seqState.orderN) {
-      numerators = seqState.orderN; // Use saved shuffled array
-    } else {
-      // Prefer arrays if available
-      numerators = Array.isArray(generator.numerators)
-        ? [...generator.numerators]
-        : this._parseSIN(generator.numerators || "1");
-    }
-
-    if (denominatorBehavior === "shuffle" && seqState.orderD) {
-      denominators = seqState.orderD; // Use saved shuffled array
-    } else {
-      // Prefer arrays if available
-      denominators = Array.isArray(generator.denominators)
-        ? [...generator.denominators]
-        : this._parseSIN(generator.denominators || "1");
-    }
-
-    this.hrgState[param] = {
-      start: {
-        numerators,
-        denominators,
-        numeratorBehavior,
-        denominatorBehavior,
-        indexN: seqState.indexN,
-        indexD: seqState.indexD,
-        orderN: seqState.orderN,
-        orderD: seqState.orderD,
-      },
-    };
-
-    // Initialize end state if disc/cont interpolation
-    if (
-      this.isCosInterp(config.interpolation) &&
-      config.endValueGenerator?.type === "periodic"
-    ) {
-      const endGen = config.endValueGenerator;
-      // Prefer arrays if available, fall back to parsing strings
-      const endNumerators = Array.isArray(endGen.numerators)
-        ? [...endGen.numerators]
-        : this._parseSIN(endGen.numerators || "1");
-      const endDenominators = Array.isArray(endGen.denominators)
-        ? [...endGen.denominators]
-        : this._parseSIN(endGen.denominators || "1");
-      const endNumBehavior = endGen.numeratorBehavior || "static";
-      const endDenBehavior = endGen.denominatorBehavior || "static";
-
-      this.hrgState[param].end = {
-        numerators: endNumerators,
-        denominators: endDenominators,
-        numeratorBehavior: endNumBehavior,
-        denominatorBehavior: endDenBehavior,
-        indexN: endNumBehavior === "static" || endNumBehavior === "random"
-          ? Math.floor(Math.random() * endNumerators.length)
-          : 0,
-        indexD: endDenBehavior === "static" || endDenBehavior === "random"
-          ? Math.floor(Math.random() * endDenominators.length)
-          : 0,
-        orderN: endNumBehavior === "shuffle"
-          ? this._shuffleArray([...endNumerators])
-          : null,
-        orderD: endDenBehavior === "shuffle"
-          ? this._shuffleArray([...endDenominators])
-          : null,
-      };
-    }
-
-    console.log(
-      `🔄 Restored HRG state for ${param} using saved sequences - behavior: ${numeratorBehavior}/${denominatorBehavior}, index: ${seqState.indexN}/${seqState.indexD}`,
-    );
-  }
-
-  // Shuffle array using Fisher-Yates algorithm
-  _shuffleArray(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [array[i], array[j]] = [array[j], array[i]];
-    }
-    return array;
-  }
-
   /**
    * Check if programConfig has all required parameters
    * Updates this.programConfigComplete flag
@@ -3280,8 +3098,7 @@ class SynthClient {
           return gen.range;
         }
         if (gen.range?.min !== undefined && gen.range?.max !== undefined) {
-          return gen.range.min +
-            Math.random() * (gen.range.max - gen.range.min);
+          return this._sampleRange(gen.range);
         }
         throw new Error(`CRITICAL: Missing range for normalised ${paramName}`);
       }
@@ -3313,8 +3130,7 @@ class SynthClient {
         } else if (
           startGen.range?.min !== undefined && startGen.range?.max !== undefined
         ) {
-          start = startGen.range.min +
-            Math.random() * (startGen.range.max - startGen.range.min);
+          start = this._sampleRange(startGen.range);
         } else {
           throw new Error(
             `CRITICAL: Missing range for normalised start ${paramName}`,
@@ -3335,8 +3151,7 @@ class SynthClient {
         } else if (
           endGen.range?.min !== undefined && endGen.range?.max !== undefined
         ) {
-          end = endGen.range.min +
-            Math.random() * (endGen.range.max - endGen.range.min);
+          end = this._sampleRange(endGen.range);
         } else {
           throw new Error(
             `CRITICAL: Missing range for normalised end ${paramName}`,
@@ -3356,19 +3171,23 @@ class SynthClient {
     );
   }
 
-  // Pure HRG resolver - does NOT advance sequence indices (for paused parameter resolution)
-  peekHRGValue(paramName, position) {
+  // Program config for an HRG resolution, throwing if it can't be resolved
+  _hrgConfig(caller, paramName) {
     const cfg = this.programConfig[paramName];
     if (!cfg) {
-      throw new Error(
-        `CRITICAL: peekHRGValue - missing config for ${paramName}`,
-      );
+      throw new Error(`CRITICAL: ${caller} - missing config for ${paramName}`);
     }
     if (!Number.isFinite(cfg.baseValue)) {
       throw new Error(
-        `CRITICAL: peekHRGValue - missing baseValue for ${paramName}`,
+        `CRITICAL: ${caller} - missing baseValue for ${paramName}`,
       );
     }
+    return cfg;
+  }
+
+  // Pure HRG resolver - does NOT advance sequence indices (for paused parameter resolution)
+  peekHRGValue(paramName, position) {
+    const cfg = this._hrgConfig("peekHRGValue", paramName);
 
     const state = this.hrgState[paramName]?.[position];
     if (!state) {
@@ -3377,56 +3196,7 @@ class SynthClient {
       );
     }
 
-    // Get current values WITHOUT advancing indices
-    const { numerators, denominators, numeratorBehavior, denominatorBehavior } =
-      state;
-
-    let numerator, denominator;
-
-    // Get current numerator without advancing
-    if (numeratorBehavior === "static") {
-      numerator = numerators[state.indexN] || numerators[0] || 1;
-    } else if (numeratorBehavior === "ascending") {
-      numerator = numerators[state.indexN % numerators.length];
-    } else if (numeratorBehavior === "descending") {
-      numerator =
-        numerators[(numerators.length - 1 - state.indexN) % numerators.length];
-    } else if (numeratorBehavior === "shuffle") {
-      numerator = state.orderN[state.indexN % state.orderN.length];
-    } else if (numeratorBehavior === "random") {
-      // For random, use the stored index (last random selection)
-      // If no index stored, default to first element
-      numerator = numerators[state.indexN] || numerators[0] || 1;
-    }
-
-    // Get current denominator without advancing
-    if (denominatorBehavior === "static") {
-      denominator = denominators[state.indexD] || denominators[0] || 1;
-    } else if (denominatorBehavior === "ascending") {
-      denominator = denominators[state.indexD % denominators.length];
-    } else if (denominatorBehavior === "descending") {
-      denominator = denominators[
-        (denominators.length - 1 - state.indexD) % denominators.length
-      ];
-    } else if (denominatorBehavior === "shuffle") {
-      denominator = state.orderD[state.indexD % state.orderD.length];
-    } else if (denominatorBehavior === "random") {
-      // For random, use the stored index (last random selection)
-      // If no index stored, default to first element
-      denominator = denominators[state.indexD] || denominators[0] || 1;
-    }
-
-    const base = Number(cfg.baseValue);
-    const frequency = base * (numerator / (denominator || 1));
-
-    // Debug logging for mismatch investigation
-    if (paramName === "frequency") {
-      console.log(
-        `🔬 peekHRGValue(${paramName}, ${position}): base=${base}, num=${numerator}, denom=${denominator}, result=${frequency}`,
-      );
-    }
-
-    return frequency;
+    return hrgValue(Number(cfg.baseValue), peekHRG(state));
   }
 
   // Resolve HRG value and advance sequence
@@ -3442,124 +3212,18 @@ class SynthClient {
       );
     }
 
-    const { numerators, denominators, numeratorBehavior, denominatorBehavior } =
-      state;
-
-    // Get current values
-    let numerator, denominator;
-
-    if (numeratorBehavior === "static") {
-      numerator = numerators[state.indexN];
-    } else if (numeratorBehavior === "ascending") {
-      numerator = numerators[state.indexN % numerators.length];
-      state.indexN++;
-    } else if (numeratorBehavior === "descending") {
-      numerator =
-        numerators[(numerators.length - 1 - state.indexN) % numerators.length];
-      state.indexN++;
-    } else if (numeratorBehavior === "shuffle") {
-      numerator = state.orderN[state.indexN % state.orderN.length];
-      state.indexN++;
-      if (state.indexN >= state.orderN.length) {
-        state.orderN = this._shuffleArray([...numerators]);
-        state.indexN = 0;
-      }
-    } else if (numeratorBehavior === "random") {
-      const randomIndex = Math.floor(Math.random() * numerators.length);
-      numerator = numerators[randomIndex];
-      state.indexN = randomIndex; // Store for peekHRGValue
-    }
-
-    if (denominatorBehavior === "static") {
-      denominator = denominators[state.indexD];
-    } else if (denominatorBehavior === "ascending") {
-      denominator = denominators[state.indexD % denominators.length];
-      state.indexD++;
-    } else if (denominatorBehavior === "descending") {
-      denominator = denominators[
-        (denominators.length - 1 - state.indexD) % denominators.length
-      ];
-      state.indexD++;
-    } else if (denominatorBehavior === "shuffle") {
-      denominator = state.orderD[state.indexD % state.orderD.length];
-      state.indexD++;
-      if (state.indexD >= state.orderD.length) {
-        state.orderD = this._shuffleArray([...denominators]);
-        state.indexD = 0;
-      }
-    } else if (denominatorBehavior === "random") {
-      const randomIndex = Math.floor(Math.random() * denominators.length);
-      denominator = denominators[randomIndex];
-      state.indexD = randomIndex; // Store for peekHRGValue
-    }
-
-    const cfg = this.programConfig[param];
-    if (!cfg) {
-      throw new Error(
-        `CRITICAL: HRG resolution for ${param} - missing program config`,
-      );
-    }
-    if (!Number.isFinite(cfg.baseValue)) {
-      throw new Error(
-        `CRITICAL: HRG resolution for ${param} - missing baseValue`,
-      );
-    }
-
-    const base = Number(cfg.baseValue);
-    const frequency = base * (numerator / (denominator || 1));
-
-    return frequency;
+    const cfg = this._hrgConfig("HRG resolution", param);
+    return hrgValue(Number(cfg.baseValue), advanceHRG(state, this.rng));
   }
 
   // Resolve RBG value with behavior support
   _resolveRBG(generator, paramName = null, position = null, peek = false) {
-    let result;
-
-    // Handle fixed values
-    if (typeof generator.range === "number") {
-      result = generator.range;
-      // RBG resolved (fixed value)
-      return result;
-    }
-
-    if (!generator.range || typeof generator.range !== "object") {
-      throw new Error(
-        `CRITICAL: RBG generator missing range - ${JSON.stringify(generator)}`,
-      );
-    }
-
-    const behavior = generator.sequenceBehavior || "random"; // Default to randomize each EOC
-    const stateKey = paramName && position ? `${paramName}_${position}` : null;
-
-    if (behavior === "static" && stateKey) {
-      // Static behavior: generate once and reuse
-      if (!this.rbgState[stateKey]) {
-        const range = generator.range.max - generator.range.min;
-        this.rbgState[stateKey] = generator.range.min + (Math.random() * range);
-        // RBG resolved (static, new)
-      } else {
-        // RBG resolved (static, cached)
-      }
-      result = this.rbgState[stateKey];
-    } else if (stateKey) {
-      // Random behavior: store value for save/load
-      if (peek && this.rbgState[stateKey] !== undefined) {
-        // Peek mode: return existing value without generating new one
-        result = this.rbgState[stateKey];
-      } else {
-        // Generate new value and store it
-        const range = generator.range.max - generator.range.min;
-        result = generator.range.min + (Math.random() * range);
-        this.rbgState[stateKey] = result; // Store for peeking
-        // RBG resolved (random)
-      }
-    } else {
-      // No state key - just generate random value (backwards compat)
-      const range = generator.range.max - generator.range.min;
-      result = generator.range.min + (Math.random() * range);
-    }
-
-    return result;
+    return resolveRBG(generator, this.rng, {
+      cache: this.rbgState,
+      key: paramName && position ? `${paramName}_${position}` : null,
+      peek,
+      sampleRange: (range) => this._sampleRange(range),
+    });
   }
 
   // Apply direct value to parameter via unified messaging
@@ -3707,31 +3371,6 @@ class SynthClient {
     return resolvedParams;
   }
 
-  _parseSIN(sinString) {
-    // Simple parser for SIN (Simple Integer Notation) strings
-    if (!sinString || typeof sinString !== "string") return [1];
-
-    const results = [];
-    const parts = sinString.split(",");
-
-    for (const part of parts) {
-      const trimmed = part.trim();
-      if (trimmed.includes("-")) {
-        const [start, end] = trimmed.split("-").map((n) => parseInt(n.trim()));
-        if (!isNaN(start) && !isNaN(end)) {
-          for (let i = start; i <= end; i++) {
-            results.push(i);
-          }
-        }
-      } else {
-        const num = parseInt(trimmed);
-        if (!isNaN(num)) results.push(num);
-      }
-    }
-
-    return results.length > 0 ? results : [1];
-  }
-
   // Utility functions for path-based config updates
 
   /**
@@ -3810,13 +3449,3 @@ class SynthClient {
     return this._getByPath(obj, path) !== undefined;
   }
 }
-
-/**
- * Simple XY Oscilloscope for visualizing formant outputs
- */
-
-// Initialize the synth client
-const synthClient = new SynthClient();
-
-// Make it globally available for debugging
-globalThis.synthClient = synthClient;
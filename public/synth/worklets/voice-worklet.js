@@ -2,6 +2,18 @@
  * Voice Worklet - DSP Synthesis with AudioParam Control
  *
  * Handles formant synthesis combining PM (Phase/Frequency Modulation) and Zing paths.
+ * Formants F1–F5 come from the program's vowel table (vowel-tables.js),
+ * or the synth's voice type table, shifted for register; the Zing path
+ * uses F1–F3. An articulation layer (articulation.js) adds consonant
+ * onsets - noise bursts, frication, nasal murmur and formant glides - on
+ * the phasor steps the program's pattern marks. Sung text also gives each
+ * step a vowel target, which then replaces the vowelX/vowelY envelopes.
+ *
+ * ENGINES (voice-engines.js): the program picks what sounds - the FM
+ * formant + Zing paths above, an LF glottal pulse, a wavetable or a
+ * plucked string. The last three share a bank of resonant formant
+ * filters. All engines run on the same phase, frequency, vibrato,
+ * amplitude and vowel envelopes.
  *
  * PARAMETER CONTROL:
  * - All envelope parameters are now controlled via AudioParams (k-rate)
@@ -13,6 +25,60 @@
  * but actual values come from AudioParams for sample-accurate control.
  */
 
+import { createSeededRandom, hashSeed } from "../../../src/common/prng.js";
+import { sinValues } from "../../../src/common/sin.js";
+import {
+  advanceHRG,
+  createHRGState,
+  hrgValue,
+  peekHRG,
+  resolveRBG,
+  setHRGBehavior,
+  setHRGValues,
+} from "../../../src/common/generators.js";
+import {
+  DEFAULT_VOWEL_TABLE,
+  FORMANT_COUNT,
+  interpolateVowel,
+  registerFormants,
+  resolveVowelTable,
+  tableForVoice,
+  VOICE_TYPES,
+} from "../../../src/common/vowel-tables.js";
+import {
+  ArticulationClasses,
+  consonantForStep,
+  vowelForStep,
+} from "../../../src/common/articulation.js";
+import {
+  buildWavetable,
+  DEFAULT_VOICE_ENGINE,
+  LF_RD_MAX,
+  LF_RD_MIN,
+  lfPulse,
+  VOICE_ENGINES,
+  WAVETABLE_FRAMES,
+} from "../../../src/common/voice-engines.js";
+
+// Articulation shaping
+const CLOSURE_F1 = 250; // F1 (Hz) with the vocal tract closed or narrowed
+const VOICE_ONSET = 0.02; // Voice fade-in after a consonant (s)
+const FRICATION_FADE = 0.015; // Frication noise attack/release (s)
+const MURMUR_AMP = 0.15; // F2+ level during a nasal murmur
+const BURST_DECAY = 5; // Burst decays by e^-5 over its duration
+const VOWEL_GLIDE = 0.02; // Time constant of glides between sung vowels (s)
+
+// Engines
+const LF_TABLE_SIZE = 1024; // Samples per glottal pulse period
+const LF_RD_STEP = 0.05; // Rd resolution; the pulse is rebuilt per step
+const BREATH_LEVEL = 0.5; // Aspiration noise at full zingAmount
+const WAVETABLE_SIZE = 1024; // Samples per wavetable cycle
+const WAVETABLE_BASE_FREQ = 55; // Highest f0 of the fullest table (Hz)
+const WAVETABLE_LEVELS = 8; // One band-limited table per octave
+const STRING_LENGTH = 8192; // Plucked string delay line (≥ 96 kHz / 20 Hz)
+const MIN_BANDWIDTH = 20; // Narrowest formant resonator (Hz)
+const NO_BANDS = [0, 0, 0]; // F1–F3 bands of a fully dry engine
+
 class VoiceWorkletProcessor extends AudioWorkletProcessor {
   static get parameterDescriptors() {
     return [
@@ -156,6 +222,9 @@ class VoiceWorkletProcessor extends AudioWorkletProcessor {
     // RBG (Range-Based Generator) cached values for static behavior
     this.rbgState = {};
 
+    // Seeded random source for HRG/RBG (reseeded by main thread via SET_SEED)
+    this.random = createSeededRandom(0);
+
     // Phase tracking for envelope calculations
     this.lastPhase = 0;
 
@@ -173,56 +242,86 @@ class VoiceWorkletProcessor extends AudioWorkletProcessor {
     this.twoPi = 2 * Math.PI;
     this.halfPi = Math.PI / 2;
 
-    // Shared vowel formant frequency table (F1, F2, F3 in Hz)
-    this.vowelFreqCorners = {
-      backClose: [240, 596, 2400], // 'u' - back, close
-      backOpen: [730, 1090, 2440], // 'ɔ' - back, open
-      frontClose: [270, 2290, 3010], // 'i' - front, close
-      frontOpen: [850, 1610, 2850], // 'æ' - front, open
-    };
-
-    // Vowel-specific formant amplitude corners (F1, F2, F3 relative amplitudes)
-    this.vowelAmpCorners = {
-      backClose: [0.3, 0.2, 0.1], // 'u' - low formants, weak F2/F3
-      backOpen: [1.0, 0.5, 0.2], // 'ɔ' - strong F1, moderate F2
-      frontClose: [0.4, 1.0, 0.3], // 'i' - strong F2, weak F1
-      frontOpen: [0.8, 0.7, 0.3], // 'æ' - strong F1 and F2
-    };
-
-    // Current interpolated formant frequencies and amplitudes
-    this.formantFreqs = [800, 1150, 2900]; // Default to neutral vowel
-    this.formantAmps = [0.6, 0.6, 0.25]; // Default amplitudes
-
-    // Formant synthesis parameters
-    this.formants = [
-      {
-        targetFreq: 800, // F1
-        bandwidth: 80,
-        amplitude: 0.8,
-        carrierEven: { harmonicNum: 4, amplitude: 0.0 },
-        carrierOdd: { harmonicNum: 3, amplitude: 0.8 },
-      },
-      {
-        targetFreq: 1150, // F2
-        bandwidth: 90,
-        amplitude: 0.6,
-        carrierEven: { harmonicNum: 6, amplitude: 0.0 },
-        carrierOdd: { harmonicNum: 5, amplitude: 0.6 },
-      },
-      {
-        targetFreq: 2900, // F3
-        bandwidth: 120,
-        amplitude: 0.2,
-        carrierEven: { harmonicNum: 14, amplitude: 0.0 },
-        carrierOdd: { harmonicNum: 13, amplitude: 0.2 },
-      },
-    ];
+    // Vowel table (program-selectable, see vowel-tables.js) and the
+    // formant set last interpolated from it
+    this.programVowelTable = DEFAULT_VOWEL_TABLE;
+    this.vowelTable = resolveVowelTable(DEFAULT_VOWEL_TABLE);
+    this.vowelFormants = null;
+    this.lastVowelX = null;
+    this.lastVowelY = null;
+
+    // Voice type from the distribution assignment (null = none) and the
+    // fundamental its register shift was last computed for
+    this.voiceTypeName = null;
+    this.voiceType = null;
+    this.registerFreq = null;
+    this.registerFreqs = new Array(FORMANT_COUNT).fill(0);
+
+    // Current interpolated formant frequencies and amplitudes (F1–F5)
+    this.formantFreqs = new Array(FORMANT_COUNT).fill(0);
+    this.formantAmps = new Array(FORMANT_COUNT).fill(0);
+
+    // Formant synthesis parameters (F1–F5), filled from the vowel table
+    this.formants = Array.from({ length: FORMANT_COUNT }, () => ({
+      targetFreq: 0,
+      bandwidth: 0,
+      amplitude: 0,
+      carrierEven: { harmonicNum: 2, amplitude: 0.0 },
+      carrierOdd: { harmonicNum: 1, amplitude: 0.0 },
+    }));
+
+    // Articulation: the program's consonant pattern, the phasor's step
+    // grid (set by the main thread) and the onset currently sounding
+    this.articulation = null;
+    this.stepOffset = 0; // Steps this synth runs behind (staggered text)
+    this.stepsPerCycle = 16;
+    this.lastStep = -1;
+    this.vowelTarget = null; // [x, y] from sung text, null = envelopes
+    this.sungX = 0.5;
+    this.sungY = 0.5;
+    this.consonant = null;
+    this.consonantTime = 0; // Seconds since the onset
+    this.consonantEnd = 0;
+    this.articulationGain = 1; // Voice level while a consonant sounds
+    // Band-pass (TPT state-variable filter) shaping the consonant noise
+    this.consonantNoise = { a1: 0, a2: 0, a3: 0, k: 1, ic1: 0, ic2: 0 };
+
+    // Synthesis engine (program-selectable, see voice-engines.js)
+    this.engine = DEFAULT_VOICE_ENGINE;
+
+    // Parallel formant resonators (TPT state-variable band-passes) for
+    // the glottal, wavetable and plucked engines, and their F1–F3 output
+    this.resonators = Array.from({ length: FORMANT_COUNT }, () => ({
+      freq: 0,
+      bandwidth: 0,
+      a1: 0,
+      a2: 0,
+      a3: 0,
+      k: 1,
+      ic1: 0,
+      ic2: 0,
+    }));
+    this.resonatorBands = [0, 0, 0];
+
+    // Glottal engine: one LF pulse period for the current Rd
+    this.glottalRd = null;
+    this.glottalPulse = new Float32Array(LF_TABLE_SIZE);
+
+    // Wavetable engine: [level][frame], built when the engine is selected
+    this.wavetables = null;
+
+    // Plucked engine: the string's delay line and loop filter state
+    this.string = new Float32Array(STRING_LENGTH);
+    this.stringWrite = 0;
+    this.stringLast = 0;
+    this.pluckBurst = new Float32Array(STRING_LENGTH);
+    this.pluckPending = false;
 
     // Debug counter
     this.debugCounter = 0;
 
-    // Initialize formant carriers
-    this.updateFormantCarriers();
+    // Initialize formants and carriers at the centre of the vowel plane
+    this.updateVowelFormants(0.5, 0.5);
 
     // Set up port message handling
     this.port.onmessage = (event) => {
@@ -380,125 +479,28 @@ class VoiceWorkletProcessor extends AudioWorkletProcessor {
     const state = this.hrgState[paramName]?.[position];
     if (!state) return undefined;
 
-    // Get current indices (before advancing)
-    const numeratorIndex = this.getSequenceIndex(state, "numerator");
-    const denominatorIndex = this.getSequenceIndex(state, "denominator");
-
-    const numerator = state.numerators[numeratorIndex];
-    const denominator = state.denominators[denominatorIndex];
+    // Advancing returns the current value and steps on; otherwise just peek
+    const ratio = advance ? advanceHRG(state, this.random) : peekHRG(state);
 
     // Cache the resolved components for minimal recomputation
-    state.currentNumerator = numerator;
-    state.currentDenominator = denominator || 1;
-    state.currentRatio = state.currentNumerator / state.currentDenominator;
+    state.currentNumerator = ratio.numerator;
+    state.currentDenominator = ratio.denominator;
+    state.currentRatio = ratio.numerator / ratio.denominator;
 
     // Calculate frequency based on base frequency
     const config = this.programConfig[paramName];
     const baseFreq = config.baseValue || 220;
-    const frequency = baseFreq * state.currentRatio;
-
-    // Advance indices if requested (only for cont mode start should not advance)
-    if (advance) {
-      this.advanceSequenceIndex(state, "numerator");
-      this.advanceSequenceIndex(state, "denominator");
-    }
-
-    return frequency;
+    return hrgValue(baseFreq, ratio);
   }
 
   /**
    * Resolve RBG (Range-Based Generator) value
    */
   resolveRBG(generator, paramName, position) {
-    const key = `${paramName}_${position}`;
-
-    if (generator.sequenceBehavior === "static") {
-      // Return cached value or generate new one
-      if (this.rbgState[key] === undefined) {
-        this.rbgState[key] = this.generateRBGValue(generator);
-      }
-      return this.rbgState[key];
-    } else if (generator.sequenceBehavior === "random") {
-      // Always generate new random value
-      return this.generateRBGValue(generator);
-    }
-
-    return this.generateRBGValue(generator);
-  }
-
-  /**
-   * Generate RBG value from range specification
-   */
-  generateRBGValue(generator) {
-    const range = generator.range;
-
-    if (typeof range === "number") {
-      return range;
-    } else if (
-      range && typeof range === "object" && range.min !== undefined &&
-      range.max !== undefined
-    ) {
-      return range.min + Math.random() * (range.max - range.min);
-    }
-
-    return 0;
-  }
-
-  /**
-   * Get current sequence index based on behavior
-   */
-  getSequenceIndex(state, type) {
-    const behavior = type === "numerator"
-      ? state.numeratorBehavior
-      : state.denominatorBehavior;
-    const index = type === "numerator" ? state.indexN : state.indexD;
-    const sequence = type === "numerator"
-      ? state.numerators
-      : state.denominators;
-    const order = type === "numerator" ? state.orderN : state.orderD;
-
-    switch (behavior) {
-      case "static":
-        return 0;
-      case "ascending":
-        return index % sequence.length;
-      case "descending":
-        return (sequence.length - 1 - index) % sequence.length;
-      case "shuffle":
-        return order ? order[index % order.length] : 0;
-      case "random":
-        return Math.floor(Math.random() * sequence.length);
-      default:
-        return 0;
-    }
-  }
-
-  /**
-   * Advance sequence index for behaviors that need it
-   */
-  advanceSequenceIndex(state, type) {
-    const behavior = type === "numerator"
-      ? state.numeratorBehavior
-      : state.denominatorBehavior;
-
-    if (
-      behavior === "ascending" || behavior === "descending" ||
-      behavior === "shuffle"
-    ) {
-      if (type === "numerator") {
-        state.indexN = (state.indexN + 1) % state.numerators.length;
-        // Reshuffle when we complete a cycle
-        if (behavior === "shuffle" && state.indexN === 0 && state.orderN) {
-          this.shuffleArray(state.orderN);
-        }
-      } else {
-        state.indexD = (state.indexD + 1) % state.denominators.length;
-        // Reshuffle when we complete a cycle
-        if (behavior === "shuffle" && state.indexD === 0 && state.orderD) {
-          this.shuffleArray(state.orderD);
-        }
-      }
-    }
+    return resolveRBG(generator, this.random, {
+      cache: this.rbgState,
+      key: `${paramName}_${position}`,
+    });
   }
 
   /**
@@ -523,6 +525,11 @@ class VoiceWorkletProcessor extends AudioWorkletProcessor {
         this.handleResetEnv(msg);
         break;
 
+      case "SET_SEED":
+        // Own stream, derived from the synth's seed
+        this.random = createSeededRandom(hashSeed(msg.seed, "voice-worklet"));
+        break;
+
       case "PROGRAM":
         this.handleProgram(msg);
         break;
@@ -539,6 +546,33 @@ class VoiceWorkletProcessor extends AudioWorkletProcessor {
         this.handleApplyNow(msg);
         break;
 
+      case "SET_VOWEL_TABLE":
+        this.programVowelTable = msg.table;
+        this.applyVowelTable();
+        break;
+
+      case "SET_ARTICULATION":
+        this.articulation = msg.articulation;
+        this.stepOffset = msg.stepOffset || 0;
+        if (!this.articulation?.vowels) this.vowelTarget = null;
+        break;
+
+      case "SET_STEPS":
+        this.stepsPerCycle = Math.max(1, Math.floor(msg.stepsPerCycle) || 1);
+        break;
+
+      case "SET_VOICE_TYPE":
+        this.voiceTypeName = VOICE_TYPES[msg.voiceType] ? msg.voiceType : null;
+        this.voiceType = this.voiceTypeName
+          ? VOICE_TYPES[this.voiceTypeName]
+          : null;
+        this.applyVowelTable();
+        break;
+
+      case "SET_ENGINE":
+        this.setEngine(msg.engine);
+        break;
+
       default:
         console.warn(`Voice worklet: Unknown message type: ${msg.type}`);
     }
@@ -715,13 +749,13 @@ class VoiceWorkletProcessor extends AudioWorkletProcessor {
     const state = this.hrgState[paramName]?.[position];
     if (!state) return;
 
-    if (component === "numerator") {
-      // Re-parse numerators from config
-      state.numerators = this.parseSIN(generator.numerators || "1");
-    } else {
-      // Re-parse denominators from config
-      state.denominators = this.parseSIN(generator.denominators || "1");
-    }
+    // Re-parse the component's values from config
+    setHRGValues(
+      state,
+      component,
+      sinValues(generator[component + "s"] || "1"),
+      this.random,
+    );
 
     // Update envelope value using fresh resolution to cache new ratio
     const hrgState = this.hrgState[paramName];
@@ -807,7 +841,12 @@ class VoiceWorkletProcessor extends AudioWorkletProcessor {
       : config.endValueGenerator;
 
     if (state && generator) {
-      state.numeratorBehavior = generator.numeratorBehavior || "static";
+      setHRGBehavior(
+        state,
+        "numerator",
+        generator.numeratorBehavior,
+        this.random,
+      );
     }
   }
 
@@ -819,21 +858,15 @@ class VoiceWorkletProcessor extends AudioWorkletProcessor {
       : config.endValueGenerator;
 
     if (state && generator) {
-      state.denominatorBehavior = generator.denominatorBehavior || "static";
+      setHRGBehavior(
+        state,
+        "denominator",
+        generator.denominatorBehavior,
+        this.random,
+      );
     }
   }
 
-  /**
-   * Parse space-separated integers/number (SIN) format
-   */
-  parseSIN(input) {
-    if (!input || typeof input !== "string") return [1];
-    return input.trim().split(/\s+/).map((x) => {
-      const num = parseInt(x, 10);
-      return isNaN(num) ? 1 : Math.max(1, num);
-    });
-  }
-
   /**
    * Handle COMMIT_STAGED message - update config WITHOUT resetting envelope states
    * This preserves continuity during EOC commits
@@ -952,112 +985,205 @@ class VoiceWorkletProcessor extends AudioWorkletProcessor {
    * Initialize periodic generator state
    */
   initializePeriodicGenerator(paramName, position, generator) {
-    const numerators = this.parseSequence(generator.numerators || "1");
-    const denominators = this.parseSequence(generator.denominators || "1");
-
-    this.hrgState[paramName][position] = {
-      numerators,
-      denominators,
-      numeratorBehavior: generator.numeratorBehavior || "static",
-      denominatorBehavior: generator.denominatorBehavior || "static",
-      indexN: 0,
-      indexD: 0,
-      orderN: null,
-      orderD: null,
-    };
+    this.hrgState[paramName][position] = createHRGState(
+      generator,
+      this.random,
+    );
+  }
 
-    // Initialize shuffle orders if needed
-    this.initializeShuffleOrders(this.hrgState[paramName][position]);
+  /**
+   * Update portamento coefficient for a parameter
+   */
+  updatePortamentoCoeff(param) {
+    const env = this.env[param];
+    if (env.portamentoMs > 0) {
+      // Calculate alpha for exponential smoothing: alpha = 1 - exp(-1 / (fs * tau))
+      const tau = env.portamentoMs / 1000; // Convert ms to seconds
+      env.alpha = 1 - Math.exp(-1 / (this.sampleRate * tau));
+    } else {
+      // Instant change
+      env.alpha = 1;
+    }
   }
 
   /**
-   * Parse sequence string into array of numbers
+   * Resolve the table to sing from: the voice type's, unless the program
+   * brought a custom one
    */
-  parseSequence(sequenceStr) {
-    return sequenceStr.split(",").flatMap((part) => {
-      if (part.includes("-")) {
-        const [start, end] = part.split("-").map(Number);
-        const result = [];
-        for (let i = start; i <= end; i++) {
-          result.push(i);
-        }
-        return result;
-      }
-      return [Number(part)];
-    });
+  applyVowelTable() {
+    this.vowelTable = resolveVowelTable(
+      tableForVoice(this.programVowelTable, this.voiceTypeName),
+    );
+    this.lastVowelX = null; // Re-interpolate on the next sample
   }
 
   /**
-   * Initialize shuffle orders for behaviors that need them
+   * Update vowel formants based on morphing position
    */
-  initializeShuffleOrders(state) {
-    if (state.numeratorBehavior === "shuffle") {
-      state.orderN = [...Array(state.numerators.length).keys()];
-      this.shuffleArray(state.orderN);
+  updateVowelFormants(vowelX, vowelY) {
+    const moved = vowelX !== this.lastVowelX || vowelY !== this.lastVowelY;
+    // A voice type's formants also follow the fundamental
+    const retuned = this.voiceType !== null &&
+      this.fundamentalFreq !== this.registerFreq;
+
+    // Envelopes hold still most of the time; skip the interpolation then
+    if (!moved && !retuned) return;
+
+    if (moved) {
+      this.lastVowelX = vowelX;
+      this.lastVowelY = vowelY;
+
+      // Scattered-data interpolation between the table's vowel points
+      this.vowelFormants = interpolateVowel(
+        this.vowelTable,
+        vowelX,
+        vowelY,
+        this.vowelFormants,
+      );
     }
-    if (state.denominatorBehavior === "shuffle") {
-      state.orderD = [...Array(state.denominators.length).keys()];
-      this.shuffleArray(state.orderD);
+
+    const { bandwidths, amps } = this.vowelFormants;
+    let freqs = this.vowelFormants.freqs;
+    if (this.voiceType) {
+      this.registerFreq = this.fundamentalFreq;
+      freqs = registerFormants(
+        freqs,
+        this.voiceType,
+        this.fundamentalFreq,
+        this.registerFreqs,
+      );
     }
+
+    for (let f = 0; f < FORMANT_COUNT; f++) {
+      this.formantFreqs[f] = freqs[f];
+      this.formantAmps[f] = amps[f];
+      this.formants[f].targetFreq = freqs[f];
+      this.formants[f].bandwidth = bandwidths[f];
+      this.formants[f].amplitude = amps[f];
+    }
+
+    this.updateFormantCarriers();
   }
 
   /**
-   * Fisher-Yates shuffle algorithm
+   * Start a consonant onset
+   * @param {Object} consonant - From CONSONANTS in articulation.js
    */
-  shuffleArray(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [array[i], array[j]] = [array[j], array[i]];
+  startConsonant(consonant) {
+    this.consonant = consonant;
+    this.consonantTime = 0;
+
+    // Voiceless plosives aspirate for the burst before the voice returns
+    let voiceReturn = VOICE_ONSET;
+    if (consonant.class === ArticulationClasses.PLOSIVE && !consonant.voiced) {
+      voiceReturn += consonant.burst;
     }
+    this.consonantEnd = consonant.hold +
+      Math.max(consonant.transition, consonant.burst, voiceReturn);
+
+    const noise = this.consonantNoise;
+    const freq = Math.min(consonant.noiseFreq, this.sampleRate * 0.45);
+    const g = Math.tan((Math.PI * freq) / this.sampleRate);
+    noise.k = 1 / consonant.noiseQ;
+    noise.a1 = 1 / (1 + g * (g + noise.k));
+    noise.a2 = g * noise.a1;
+    noise.a3 = g * noise.a2;
+    noise.ic1 = 0;
+    noise.ic2 = 0;
   }
 
   /**
-   * Update portamento coefficient for a parameter
+   * Finish the consonant and put the vowel's formants back
    */
-  updatePortamentoCoeff(param) {
-    const env = this.env[param];
-    if (env.portamentoMs > 0) {
-      // Calculate alpha for exponential smoothing: alpha = 1 - exp(-1 / (fs * tau))
-      const tau = env.portamentoMs / 1000; // Convert ms to seconds
-      env.alpha = 1 - Math.exp(-1 / (this.sampleRate * tau));
-    } else {
-      // Instant change
-      env.alpha = 1;
+  endConsonant() {
+    this.consonant = null;
+    this.articulationGain = 1;
+    for (let f = 0; f < FORMANT_COUNT; f++) {
+      this.formants[f].targetFreq = this.formantFreqs[f];
+      this.formants[f].amplitude = this.formantAmps[f];
     }
+    this.updateFormantCarriers();
   }
 
   /**
-   * Update vowel formants based on morphing position
+   * Advance the sounding consonant by one sample. Sets
+   * this.articulationGain for the voice, glides the formants from the
+   * consonant's place into the vowel and returns the consonant's noise.
+   * @returns {number}
    */
-  updateVowelFormants(vowelX, vowelY) {
-    const freqCorners = this.vowelFreqCorners;
-    const ampCorners = this.vowelAmpCorners;
-
-    // Bilinear interpolation between corner vowels
-    for (let f = 0; f < 3; f++) { // F1, F2, F3
-      // Interpolate frequencies
-      const backFreqInterp = freqCorners.backClose[f] * (1 - vowelY) +
-        freqCorners.backOpen[f] * vowelY;
-      const frontFreqInterp = freqCorners.frontClose[f] * (1 - vowelY) +
-        freqCorners.frontOpen[f] * vowelY;
-      const finalFreq = backFreqInterp * (1 - vowelX) +
-        frontFreqInterp * vowelX;
-
-      // Interpolate amplitudes
-      const backAmpInterp = ampCorners.backClose[f] * (1 - vowelY) +
-        ampCorners.backOpen[f] * vowelY;
-      const frontAmpInterp = ampCorners.frontClose[f] * (1 - vowelY) +
-        ampCorners.frontOpen[f] * vowelY;
-      const finalAmp = backAmpInterp * (1 - vowelX) + frontAmpInterp * vowelX;
-
-      // Update both frequency and amplitude
-      this.formantFreqs[f] = finalFreq;
-      this.formantAmps[f] = finalAmp;
-      this.formants[f].targetFreq = finalFreq;
-      this.formants[f].amplitude = finalAmp;
+  articulateSample() {
+    const consonant = this.consonant;
+    const time = this.consonantTime;
+    if (time >= this.consonantEnd) {
+      this.endConsonant();
+      return 0;
     }
+    this.consonantTime += 1 / this.sampleRate;
+
+    const released = time - consonant.hold; // < 0 while holding
+    const onset = released < 0 ? 0 : Math.min(released / VOICE_ONSET, 1);
+    let voice = 1;
+    let noise = 0;
+    let murmur = 1;
+
+    switch (consonant.class) {
+      case ArticulationClasses.PLOSIVE: {
+        if (released >= 0 && released < consonant.burst) {
+          noise = consonant.noiseGain *
+            Math.exp((-BURST_DECAY * released) / consonant.burst);
+        }
+        if (consonant.voiced) {
+          voice = 0.15 + 0.85 * onset; // Voice bar through the closure
+        } else {
+          const aspirated = released - consonant.burst;
+          voice = aspirated < 0 ? 0 : Math.min(aspirated / VOICE_ONSET, 1);
+        }
+        break;
+      }
 
+      case ArticulationClasses.FRICATIVE: {
+        if (released < 0) {
+          const fade = Math.min(time, -released) / FRICATION_FADE;
+          noise = consonant.noiseGain * Math.min(fade, 1);
+        }
+        const floor = consonant.voiced ? 0.4 : 0;
+        voice = floor + (1 - floor) * onset;
+        break;
+      }
+
+      case ArticulationClasses.NASAL:
+        voice = 0.5 + 0.5 * onset;
+        murmur = MURMUR_AMP + (1 - MURMUR_AMP) * onset;
+        break;
+    }
+    this.articulationGain = voice;
+
+    // Raised-cosine glide from the consonant's place into the vowel
+    const progress = released < 0
+      ? 0
+      : Math.min(released / Math.max(consonant.transition, 1e-3), 1);
+    const glide = 0.5 - 0.5 * Math.cos(Math.PI * progress);
+
+    const f1 = this.formantFreqs[0];
+    const closureF1 = Math.min(CLOSURE_F1, f1);
+    this.formants[0].targetFreq = closureF1 + (f1 - closureF1) * glide;
+    this.formants[1].targetFreq = consonant.locus +
+      (this.formantFreqs[1] - consonant.locus) * glide;
+    for (let f = 1; f < FORMANT_COUNT; f++) {
+      this.formants[f].amplitude = this.formantAmps[f] * murmur;
+    }
     this.updateFormantCarriers();
+
+    if (noise === 0) return 0;
+
+    // One step of the band-pass, normalised to unity gain at the centre
+    const state = this.consonantNoise;
+    const v3 = Math.random() * 2 - 1 - state.ic2;
+    const v1 = state.a1 * state.ic1 + state.a2 * v3;
+    const v2 = state.ic2 + state.a2 * state.ic1 + state.a3 * v3;
+    state.ic1 = 2 * v1 - state.ic1;
+    state.ic2 = 2 * v2 - state.ic2;
+    return noise * state.k * v1;
   }
 
   /**
@@ -1327,6 +1453,329 @@ class VoiceWorkletProcessor extends AudioWorkletProcessor {
       : Math.sin(this.twoPi * phase);
   }
 
+  /**
+   * Switch synthesis engine; its filters and string start from silence.
+   * Wavetables are built here, outside process(), so the first sample
+   * doesn't pay for them.
+   * @param {string} name - One of VOICE_ENGINE_NAMES
+   */
+  setEngine(name) {
+    this.engine = VOICE_ENGINES[name] ? name : DEFAULT_VOICE_ENGINE;
+    if (this.engine === "wavetable" && !this.wavetables) {
+      this.buildWavetables();
+    }
+    for (const resonator of this.resonators) {
+      resonator.ic1 = 0;
+      resonator.ic2 = 0;
+    }
+    if (this.engine === "karplus") {
+      this.string.fill(0);
+      this.stringLast = 0;
+      this.pluckPending = true;
+    }
+  }
+
+  /**
+   * Render one sample of the voice with the program's engine, advancing
+   * from this.masterPhase
+   * @returns {{total: number, f1: number, f2: number, f3: number}}
+   */
+  renderVoice(symmetry, zingAmount, zingMorph) {
+    switch (this.engine) {
+      case "glottal":
+        return this.renderGlottal(symmetry, zingAmount);
+      case "wavetable":
+        return this.renderWavetable(symmetry, zingAmount, zingMorph);
+      case "karplus":
+        return this.renderPluck(symmetry, zingAmount, zingMorph);
+      default:
+        return this.renderFormant(symmetry, zingAmount, zingMorph);
+    }
+  }
+
+  /**
+   * Formant engine: FM formant carriers blended with Zing by zingAmount
+   */
+  renderFormant(symmetry, zingAmount, zingMorph) {
+    // Internal gain compensation constants
+    const formantGain = 3.0;
+    const zingGain = 0.4;
+    const modDepth = 0.5; // Fixed at optimal value
+
+    // Generate shared modulator signal
+    const modulator = this.generateModulator(this.masterPhase);
+
+    // Generate both synthesis paths with individual formant tracking
+    const {
+      total: formantOutput,
+      f1: formantF1,
+      f2: formantF2,
+      f3: formantF3,
+    } = this.generateFormantSynthesis(
+      this.masterPhase,
+      modulator,
+      symmetry,
+    );
+
+    // Convert normalized zingMorph (0-1) to bipolar (-1 to 1)
+    const bipolarZingMorph = (zingMorph - 0.5) * 2.0;
+
+    const { total: zingOutput, f1: zingF1, f2: zingF2, f3: zingF3 } = this
+      .generateZingSynthesis(
+        this.masterPhase,
+        bipolarZingMorph,
+        modDepth,
+        symmetry,
+      );
+
+    // Apply individual synthesis path gains
+    const scaledFormantOutput = formantOutput * formantGain;
+    const scaledZingOutput = zingOutput * zingGain;
+    const scaledFormantF1 = formantF1 * formantGain;
+    const scaledFormantF2 = formantF2 * formantGain;
+    const scaledFormantF3 = formantF3 * formantGain;
+    const scaledZingF1 = zingF1 * zingGain;
+    const scaledZingF2 = zingF2 * zingGain;
+    const scaledZingF3 = zingF3 * zingGain;
+
+    // Blend between synthesis paths
+    const blendedOutput = scaledFormantOutput * (1.0 - zingAmount) +
+      scaledZingOutput * zingAmount;
+    const blendedF1 = scaledFormantF1 * (1.0 - zingAmount) +
+      scaledZingF1 * zingAmount;
+    const blendedF2 = scaledFormantF2 * (1.0 - zingAmount) +
+      scaledZingF2 * zingAmount;
+    const blendedF3 = scaledFormantF3 * (1.0 - zingAmount) +
+      scaledZingF3 * zingAmount;
+
+    return {
+      total: blendedOutput,
+      f1: blendedF1,
+      f2: blendedF2,
+      f3: blendedF3,
+    };
+  }
+
+  /**
+   * Glottal engine: LF pulse (plus breath) through the formant resonators
+   */
+  renderGlottal(symmetry, zingAmount) {
+    // Every pulse carries the same energy, so level follows f0; even it
+    // out around 220 Hz
+    const glottalGain = 2.2 * Math.min(220 / this.fundamentalFreq, 4);
+
+    // Symmetry sets voice quality: tense (0) … lax (1)
+    const tension = Math.min(Math.max(symmetry, 0), 1);
+    const rd = Math.round(
+      (LF_RD_MIN + tension * (LF_RD_MAX - LF_RD_MIN)) / LF_RD_STEP,
+    ) * LF_RD_STEP;
+    if (rd !== this.glottalRd) {
+      this.glottalRd = rd;
+      lfPulse(rd, this.glottalPulse);
+    }
+
+    const breath = (Math.random() * 2 - 1) * zingAmount * BREATH_LEVEL;
+    const source = this.readTable(this.glottalPulse, this.masterPhase) +
+      breath;
+    const total = this.filterFormants(source);
+    const [f1, f2, f3] = this.resonatorBands;
+
+    return {
+      total: total * glottalGain,
+      f1: f1 * glottalGain,
+      f2: f2 * glottalGain,
+      f3: f3 * glottalGain,
+    };
+  }
+
+  /**
+   * Wavetable engine: zingMorph scans the frames, symmetry warps the
+   * phase, zingAmount sends the table through the formant resonators
+   */
+  renderWavetable(symmetry, zingAmount, zingMorph) {
+    // Fullest table whose harmonics stay below Nyquist at this f0
+    const level = Math.min(
+      Math.max(
+        Math.ceil(Math.log2(this.fundamentalFreq / WAVETABLE_BASE_FREQ)),
+        0,
+      ),
+      WAVETABLE_LEVELS - 1,
+    );
+    const frames = this.wavetables[level];
+
+    const position = Math.min(Math.max(zingMorph, 0), 1) *
+      (WAVETABLE_FRAMES - 1);
+    const frame = Math.min(Math.floor(position), WAVETABLE_FRAMES - 2);
+    const mix = position - frame;
+    const phase = this.applySymmetry(this.masterPhase, symmetry);
+    const dry = this.readTable(frames[frame], phase) * (1 - mix) +
+      this.readTable(frames[frame + 1], phase) * mix;
+
+    return this.blendFormants(dry, zingAmount, 0.15, 2.5);
+  }
+
+  /**
+   * Plucked engine: Karplus-Strong string re-plucked on each cycle and
+   * sung step. Symmetry sets pluck brightness, zingMorph how long the
+   * string rings, zingAmount the formant resonators.
+   */
+  renderPluck(symmetry, zingAmount, zingMorph) {
+    const period = Math.min(
+      this.sampleRate / this.fundamentalFreq,
+      STRING_LENGTH - 2,
+    );
+    if (this.pluckPending) this.pluck(period, symmetry);
+
+    // One period back; the averaging loop filter adds the last half sample
+    let read = this.stringWrite - (period - 0.5);
+    if (read < 0) read += STRING_LENGTH;
+    const i0 = Math.floor(read);
+    const i1 = (i0 + 1) & (STRING_LENGTH - 1);
+    const delayed = this.string[i0] +
+      (this.string[i1] - this.string[i0]) * (read - i0);
+
+    // Loss per pass for a -60 dB ring of 0.3 s (zingMorph 0) … 6 s (1)
+    const ring = 0.3 * Math.pow(20, Math.min(Math.max(zingMorph, 0), 1));
+    const loss = Math.exp(-6.9 / (this.fundamentalFreq * ring));
+    const output = loss * 0.5 * (delayed + this.stringLast);
+    this.stringLast = delayed;
+    this.string[this.stringWrite] = output;
+    this.stringWrite = (this.stringWrite + 1) & (STRING_LENGTH - 1);
+
+    return this.blendFormants(output, zingAmount, 0.6, 5.0);
+  }
+
+  /**
+   * Excite the string with one period of low-passed noise
+   * @param {number} period - String length in samples
+   * @param {number} brightness - 0 dull … 1 bright
+   */
+  pluck(period, brightness) {
+    this.pluckPending = false;
+    const length = Math.ceil(period);
+    const coeff = 0.1 + 0.9 * Math.min(Math.max(brightness, 0), 1);
+
+    // Noise goes into the period about to be read, over what still rings
+    let noise = 0;
+    let sum = 0;
+    const burst = this.pluckBurst;
+    for (let i = 0; i < length; i++) {
+      noise += coeff * (Math.random() * 2 - 1 - noise);
+      burst[i] = noise;
+      sum += noise;
+    }
+    const mean = sum / length; // No DC left circulating in the loop
+    for (let i = 0; i < length; i++) {
+      const index = (this.stringWrite - length + i + STRING_LENGTH) &
+        (STRING_LENGTH - 1);
+      this.string[index] = this.string[index] * 0.5 + burst[i] - mean;
+    }
+  }
+
+  /**
+   * Blend a dry source with itself through the formant resonators
+   * @param {number} dry
+   * @param {number} amount - 0 dry … 1 through the resonators
+   * @param {number} dryGain
+   * @param {number} wetGain
+   * @returns {{total: number, f1: number, f2: number, f3: number}}
+   */
+  blendFormants(dry, amount, dryGain, wetGain) {
+    const wet = Math.min(Math.max(amount, 0), 1);
+    const direct = dry * dryGain * (1 - wet);
+    const filtered = wet > 0 ? this.filterFormants(dry) * wetGain * wet : 0;
+    const [f1, f2, f3] = wet > 0 ? this.resonatorBands : NO_BANDS;
+    return {
+      total: direct + filtered,
+      f1: direct + f1 * wetGain * wet,
+      f2: direct + f2 * wetGain * wet,
+      f3: direct + f3 * wetGain * wet,
+    };
+  }
+
+  /**
+   * Run a source through the parallel F1–F5 resonators at the current
+   * formant frequencies, bandwidths and amplitudes. Leaves the F1–F3
+   * bands in this.resonatorBands.
+   * @param {number} input
+   * @returns {number}
+   */
+  filterFormants(input) {
+    let total = 0;
+    for (let f = 0; f < FORMANT_COUNT; f++) {
+      const formant = this.formants[f];
+      const state = this.resonators[f];
+      if (
+        formant.targetFreq !== state.freq ||
+        formant.bandwidth !== state.bandwidth
+      ) {
+        this.tuneResonator(state, formant.targetFreq, formant.bandwidth);
+      }
+
+      // One step of the band-pass, normalised to unity gain at the centre
+      const v3 = input - state.ic2;
+      const v1 = state.a1 * state.ic1 + state.a2 * v3;
+      const v2 = state.ic2 + state.a2 * state.ic1 + state.a3 * v3;
+      state.ic1 = 2 * v1 - state.ic1;
+      state.ic2 = 2 * v2 - state.ic2;
+      const band = state.k * v1 * formant.amplitude;
+
+      total += band;
+      if (f < 3) this.resonatorBands[f] = band;
+    }
+    return total;
+  }
+
+  /**
+   * Retune a formant resonator (formants move with the vowel, register
+   * and consonant glides)
+   */
+  tuneResonator(state, freq, bandwidth) {
+    state.freq = freq;
+    state.bandwidth = bandwidth;
+    const centre = Math.min(
+      Math.max(freq, MIN_BANDWIDTH),
+      this.sampleRate * 0.45,
+    );
+    const g = Math.tan((Math.PI * centre) / this.sampleRate);
+    state.k = Math.max(bandwidth, MIN_BANDWIDTH) / centre;
+    state.a1 = 1 / (1 + g * (g + state.k));
+    state.a2 = g * state.a1;
+    state.a3 = g * state.a2;
+  }
+
+  /**
+   * Build the band-limited wavetables, one set of frames per octave
+   */
+  buildWavetables() {
+    this.wavetables = [];
+    for (let level = 0; level < WAVETABLE_LEVELS; level++) {
+      const topFreq = WAVETABLE_BASE_FREQ * Math.pow(2, level);
+      const harmonics = Math.floor((this.sampleRate * 0.45) / topFreq);
+      const frames = [];
+      for (let frame = 0; frame < WAVETABLE_FRAMES; frame++) {
+        frames.push(buildWavetable(frame, harmonics, WAVETABLE_SIZE));
+      }
+      this.wavetables.push(frames);
+    }
+  }
+
+  /**
+   * Read a single-cycle table (power-of-two size) at a phase, linearly
+   * interpolated
+   * @param {Float32Array} table
+   * @param {number} phase - 0 … 1
+   * @returns {number}
+   */
+  readTable(table, phase) {
+    const size = table.length;
+    const position = phase * size;
+    const i0 = Math.floor(position) & (size - 1);
+    const i1 = (i0 + 1) & (size - 1);
+    const frac = position - Math.floor(position);
+    return table[i0] + (table[i1] - table[i0]) * frac;
+  }
+
   process(inputs, outputs, parameters) {
     const output = outputs[0];
     if (!output || output.length === 0) return true;
@@ -1348,9 +1797,8 @@ class VoiceWorkletProcessor extends AudioWorkletProcessor {
     const active = parameters.active[0];
 
     // Internal gain compensation constants
-    const formantGain = 3.0;
-    const zingGain = 0.4;
-    const modDepth = 0.5; // Fixed at optimal value
+    const consonantGain = 12.0; // Band-passed noise is quieter than white
+    const vowelGlide = 1 - Math.exp(-1 / (VOWEL_GLIDE * this.sampleRate));
 
     for (let sample = 0; sample < blockSize; sample++) {
       const currentPhase = phase[sample];
@@ -1371,6 +1819,33 @@ class VoiceWorkletProcessor extends AudioWorkletProcessor {
 
       if (wrapped) {
         this.resolveAllParametersAtWrap();
+        this.pluckPending = true; // Each cycle is a new note for the string
+      }
+
+      // ===== STEP ONSETS =====
+
+      const step = Math.min(
+        Math.floor(currentPhase * this.stepsPerCycle),
+        this.stepsPerCycle - 1,
+      );
+      if (step !== this.lastStep) {
+        this.lastStep = step;
+        const patternStep = step - this.stepOffset;
+        const consonant = active
+          ? consonantForStep(this.articulation, patternStep)
+          : null;
+        if (consonant) this.startConsonant(consonant);
+
+        const vowel = vowelForStep(this.articulation, patternStep);
+        if (vowel) {
+          if (!this.vowelTarget) {
+            // Glide in from wherever the envelopes had the vowel
+            this.sungX = this.env.vowelX.current;
+            this.sungY = this.env.vowelY.current;
+          }
+          this.vowelTarget = vowel;
+        }
+        if (consonant || vowel) this.pluckPending = true;
       }
 
       // ===== ENVELOPE GENERATION =====
@@ -1402,8 +1877,15 @@ class VoiceWorkletProcessor extends AudioWorkletProcessor {
 
       // Compute current envelope values from AudioParams
       const frequency = computeEnvelope("frequency");
-      const vowelX = computeEnvelope("vowelX");
-      const vowelY = computeEnvelope("vowelY");
+      let vowelX = computeEnvelope("vowelX");
+      let vowelY = computeEnvelope("vowelY");
+      if (this.vowelTarget) {
+        // Sung text: step targets replace the vowel envelopes
+        this.sungX += vowelGlide * (this.vowelTarget[0] - this.sungX);
+        this.sungY += vowelGlide * (this.vowelTarget[1] - this.sungY);
+        vowelX = this.sungX;
+        vowelY = this.sungY;
+      }
       const amplitude = computeEnvelope("amplitude");
       const zingAmount = computeEnvelope("zingAmount");
       const zingMorph = computeEnvelope("zingMorph");
@@ -1458,60 +1940,21 @@ class VoiceWorkletProcessor extends AudioWorkletProcessor {
       // Update vowel formants based on current envelope values
       this.updateVowelFormants(vowelX, vowelY);
 
+      // Consonant onsets reshape the formants just set and add noise
+      const consonantNoise = this.consonant ? this.articulateSample() : 0;
+
       // Calculate frequency increment per sample for internal phasor
       const freqIncrement = freqFinal / this.sampleRate;
 
       // Update shared master phasor (UPHO architecture)
       this.masterPhase = (this.masterPhase + freqIncrement) % 1.0;
 
-      // Generate shared modulator signal
-      const modulator = this.generateModulator(this.masterPhase);
-
-      // Generate both synthesis paths with individual formant tracking
-      const {
-        total: formantOutput,
-        f1: formantF1,
-        f2: formantF2,
-        f3: formantF3,
-      } = this.generateFormantSynthesis(
-        this.masterPhase,
-        modulator,
-        symmetry,
-      );
-
-      // Convert normalized zingMorph (0-1) to bipolar (-1 to 1)
-      const bipolarZingMorph = (zingMorph - 0.5) * 2.0;
-
-      const { total: zingOutput, f1: zingF1, f2: zingF2, f3: zingF3 } = this
-        .generateZingSynthesis(
-          this.masterPhase,
-          bipolarZingMorph,
-          modDepth,
-          symmetry,
-        );
-
-      // Apply individual synthesis path gains
-      const scaledFormantOutput = formantOutput * formantGain;
-      const scaledZingOutput = zingOutput * zingGain;
-      const scaledFormantF1 = formantF1 * formantGain;
-      const scaledFormantF2 = formantF2 * formantGain;
-      const scaledFormantF3 = formantF3 * formantGain;
-      const scaledZingF1 = zingF1 * zingGain;
-      const scaledZingF2 = zingF2 * zingGain;
-      const scaledZingF3 = zingF3 * zingGain;
-
-      // Blend between synthesis paths
-      const blendedOutput = scaledFormantOutput * (1.0 - zingAmount) +
-        scaledZingOutput * zingAmount;
-      const blendedF1 = scaledFormantF1 * (1.0 - zingAmount) +
-        scaledZingF1 * zingAmount;
-      const blendedF2 = scaledFormantF2 * (1.0 - zingAmount) +
-        scaledZingF2 * zingAmount;
-      const blendedF3 = scaledFormantF3 * (1.0 - zingAmount) +
-        scaledZingF3 * zingAmount;
+      // Render the program's engine
+      const voice = this.renderVoice(symmetry, zingAmount, zingMorph);
 
       // Parallel paths: voice with amplitude, noise with whiteNoise envelope
-      const voiceOutput = blendedOutput * 10.0 * amplitude;
+      const voiceOutput = voice.total * 10.0 * amplitude *
+        this.articulationGain;
 
       const whiteNoise = computeEnvelope("whiteNoise");
       const noiseLevel = Math.min(
@@ -1521,7 +1964,8 @@ class VoiceWorkletProcessor extends AudioWorkletProcessor {
       const noiseSample = (Math.random() * 2 - 1) * noiseLevel * 10.0;
 
       // Mix the parallel paths
-      const finalOutput = voiceOutput + noiseSample;
+      const finalOutput = voiceOutput + noiseSample +
+        consonantNoise * consonantGain * amplitude;
       outputChannel[sample] = finalOutput;
 
       // Duplicate main output on channel 1
@@ -1533,12 +1977,12 @@ class VoiceWorkletProcessor extends AudioWorkletProcessor {
 
       // Output parallel paths: voice (with amplitude) + noise (independent) for visualization
       if (f1FullChannel) {
-        f1FullChannel[sample] = blendedF1 * 10.0 * amplitude + noiseX;
+        f1FullChannel[sample] = voice.f1 * 10.0 * amplitude + noiseX;
       }
       if (f2FullChannel) {
-        f2FullChannel[sample] = blendedF2 * 10.0 * amplitude + noiseY;
+        f2FullChannel[sample] = voice.f2 * 10.0 * amplitude + noiseY;
       }
-      if (f3FullChannel) f3FullChannel[sample] = blendedF3 * 10.0 * amplitude;
+      if (f3FullChannel) f3FullChannel[sample] = voice.f3 * 10.0 * amplitude;
     }
 
     // Update lastPhase for next block's wrap detection
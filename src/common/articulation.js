@@ -0,0 +1,280 @@
+/**
+ * Articulation for Voice.Assembly.FM
+ * Consonant onsets the voice worklet can fire on phasor steps: plosives
+ * (closure, noise burst, formant transition), fricatives (sustained
+ * band-passed noise) and nasals (low murmur, then transition). Shared by
+ * ctrl (pattern entry), synth main thread (validation) and voice worklet
+ * (synthesis).
+ *
+ * A program's articulation is `{ pattern }`: one entry per step, either a
+ * consonant name or "" for no onset. Step n plays pattern[n % length], so
+ * a short pattern repeats across the cycle.
+ *
+ * Sung text (compiled by the ctrl, see public/ctrl/state/lyrics.js) adds
+ * `vowels`, a vowelX/vowelY target per step (null holds the last one), and
+ * may stagger the ensemble: each synth runs `stagger` steps behind the one
+ * before it, counted by synth index or by distribution role.
+ */
+
+export const ArticulationClasses = {
+  PLOSIVE: "plosive",
+  FRICATIVE: "fricative",
+  NASAL: "nasal",
+};
+
+// Longest pattern a program may carry
+export const MAX_PATTERN_LENGTH = 64;
+
+// Pattern text for "no onset on this step"
+const REST = ".";
+
+/**
+ * @typedef {Object} Consonant
+ * @property {string} class - One of ArticulationClasses
+ * @property {boolean} voiced - Voicing continues (quietly) through the onset
+ * @property {number} noiseFreq - Noise band centre in Hz (0 = no noise)
+ * @property {number} noiseQ - Noise band resonance (higher = narrower)
+ * @property {number} noiseGain - Noise level relative to the voice
+ * @property {number} hold - Closure (plosive), frication or murmur time in s
+ * @property {number} burst - Burst/aspiration decay time in s (plosives)
+ * @property {number} transition - Formant glide into the vowel in s
+ * @property {number} locus - F2 at the start of the glide in Hz
+ */
+
+/**
+ * @param {string} cls
+ * @param {boolean} voiced
+ * @param {Partial<Consonant>} fields
+ * @returns {Consonant}
+ */
+function consonant(cls, voiced, fields) {
+  return {
+    class: cls,
+    voiced,
+    noiseFreq: 0,
+    noiseQ: 1,
+    noiseGain: 0,
+    hold: 0,
+    burst: 0,
+    transition: 0.05,
+    locus: 1200,
+    ...fields,
+  };
+}
+
+const PLOSIVE = ArticulationClasses.PLOSIVE;
+const FRICATIVE = ArticulationClasses.FRICATIVE;
+const NASAL = ArticulationClasses.NASAL;
+
+// Labial, alveolar and velar places set the burst band and F2 locus;
+// voiceless plosives get a longer (aspirated) burst
+/** @type {Record<string, Consonant>} */
+export const CONSONANTS = {
+  p: consonant(PLOSIVE, false, {
+    noiseFreq: 800,
+    noiseGain: 0.6,
+    hold: 0.04,
+    burst: 0.04,
+    locus: 800,
+  }),
+  b: consonant(PLOSIVE, true, {
+    noiseFreq: 800,
+    noiseGain: 0.4,
+    hold: 0.03,
+    burst: 0.01,
+    locus: 800,
+  }),
+  t: consonant(PLOSIVE, false, {
+    noiseFreq: 4000,
+    noiseQ: 2,
+    noiseGain: 0.8,
+    hold: 0.04,
+    burst: 0.04,
+    locus: 1800,
+  }),
+  d: consonant(PLOSIVE, true, {
+    noiseFreq: 4000,
+    noiseQ: 2,
+    noiseGain: 0.5,
+    hold: 0.03,
+    burst: 0.01,
+    locus: 1800,
+  }),
+  k: consonant(PLOSIVE, false, {
+    noiseFreq: 2000,
+    noiseQ: 3,
+    noiseGain: 0.8,
+    hold: 0.04,
+    burst: 0.05,
+    locus: 2200,
+  }),
+  g: consonant(PLOSIVE, true, {
+    noiseFreq: 2000,
+    noiseQ: 3,
+    noiseGain: 0.5,
+    hold: 0.03,
+    burst: 0.015,
+    locus: 2200,
+  }),
+  f: consonant(FRICATIVE, false, {
+    noiseFreq: 5000,
+    noiseQ: 0.7,
+    noiseGain: 0.3,
+    hold: 0.09,
+    transition: 0.03,
+    locus: 900,
+  }),
+  v: consonant(FRICATIVE, true, {
+    noiseFreq: 5000,
+    noiseQ: 0.7,
+    noiseGain: 0.2,
+    hold: 0.07,
+    transition: 0.03,
+    locus: 900,
+  }),
+  s: consonant(FRICATIVE, false, {
+    noiseFreq: 6500,
+    noiseQ: 4,
+    noiseGain: 0.7,
+    hold: 0.1,
+    transition: 0.03,
+    locus: 1700,
+  }),
+  z: consonant(FRICATIVE, true, {
+    noiseFreq: 6500,
+    noiseQ: 4,
+    noiseGain: 0.4,
+    hold: 0.08,
+    transition: 0.03,
+    locus: 1700,
+  }),
+  sh: consonant(FRICATIVE, false, {
+    noiseFreq: 3000,
+    noiseQ: 3,
+    noiseGain: 0.7,
+    hold: 0.1,
+    transition: 0.04,
+    locus: 2000,
+  }),
+  zh: consonant(FRICATIVE, true, {
+    noiseFreq: 3000,
+    noiseQ: 3,
+    noiseGain: 0.4,
+    hold: 0.08,
+    transition: 0.04,
+    locus: 2000,
+  }),
+  h: consonant(FRICATIVE, false, {
+    noiseFreq: 1500,
+    noiseQ: 0.5,
+    noiseGain: 0.4,
+    hold: 0.06,
+    transition: 0.02,
+    locus: 1500,
+  }),
+  m: consonant(NASAL, true, { hold: 0.07, locus: 900 }),
+  n: consonant(NASAL, true, { hold: 0.07, locus: 1700 }),
+  ng: consonant(NASAL, true, { hold: 0.07, locus: 2300 }),
+};
+
+export const CONSONANT_NAMES = Object.keys(CONSONANTS);
+
+export const STAGGER_BY = ["synth", "role"];
+
+/**
+ * @typedef {Object} Articulation
+ * @property {string[]} pattern - Consonant name or "" per step
+ * @property {Array<number[]|null>} [vowels] - [x, y] target per step
+ * @property {number} [stagger] - Steps each synth lags the previous one
+ * @property {string} [staggerBy] - "synth" (index, default) or "role"
+ * @property {string} [text] - What was compiled, for display
+ */
+
+/**
+ * Parse pattern text like "t . s . m . k ." (whitespace or commas
+ * between steps, "." or "-" for a rest)
+ * @param {string} text
+ * @returns {Articulation|null} - Null for an empty pattern (articulation off)
+ * @throws {Error} - Unknown consonant or too many steps
+ */
+export function parseArticulationPattern(text) {
+  const tokens = text.split(/[\s,]+/).filter(Boolean);
+  if (tokens.length === 0) return null;
+  if (tokens.length > MAX_PATTERN_LENGTH) {
+    throw new Error(
+      `Articulation pattern has ${tokens.length} steps (max ${MAX_PATTERN_LENGTH})`,
+    );
+  }
+
+  const pattern = tokens.map((token) => {
+    if (token === REST || token === "-") return "";
+    const name = token.toLowerCase();
+    if (!CONSONANTS[name]) {
+      throw new Error(
+        `Unknown consonant "${token}" (use ${CONSONANT_NAMES.join(", ")})`,
+      );
+    }
+    return name;
+  });
+  return { pattern };
+}
+
+/**
+ * Pattern text for display, the inverse of parseArticulationPattern
+ * @param {Articulation|null} articulation
+ * @returns {string}
+ */
+export function formatArticulationPattern(articulation) {
+  if (!articulation) return "";
+  return articulation.pattern.map((name) => name || REST).join(" ");
+}
+
+/**
+ * Pattern position for a step (steps may be negative once staggered)
+ * @param {number} step
+ * @param {number} length
+ * @returns {number}
+ */
+function patternIndex(step, length) {
+  return ((step % length) + length) % length;
+}
+
+/**
+ * Consonant for a phasor step, or null for none
+ * @param {Articulation|null} articulation
+ * @param {number} step
+ * @returns {Consonant|null}
+ */
+export function consonantForStep(articulation, step) {
+  const pattern = articulation?.pattern;
+  if (!pattern || pattern.length === 0) return null;
+  const name = pattern[patternIndex(step, pattern.length)];
+  return name ? CONSONANTS[name] || null : null;
+}
+
+/**
+ * Vowel target for a phasor step, or null to hold the current one
+ * @param {Articulation|null} articulation
+ * @param {number} step
+ * @returns {number[]|null} - [x, y]
+ */
+export function vowelForStep(articulation, step) {
+  const vowels = articulation?.vowels;
+  if (!vowels || vowels.length === 0) return null;
+  return vowels[patternIndex(step, vowels.length)] || null;
+}
+
+/**
+ * How many steps a synth runs behind the pattern
+ * @param {Articulation|null} articulation
+ * @param {{synthIndex: number, role: number}} assignment
+ * @returns {number}
+ */
+export function staggerOffset(articulation, assignment) {
+  const stagger = articulation?.stagger || 0;
+  if (stagger === 0) return 0;
+  const position = articulation.staggerBy === "role"
+    ? assignment.role
+    : assignment.synthIndex;
+  return stagger * (position || 0);
+}
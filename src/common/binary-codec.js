@@ -0,0 +1,368 @@
+/**
+ * Binary Codec for Voice.Assembly.FM
+ * Compact encoding for the high-rate control messages (scrubbing, live
+ * parameter edits, phasor beacons). Only used with peers that negotiated
+ * the "binary-codec" feature; everything else stays JSON.
+ *
+ * Layout: [u8 codec version][u8 message code][payload], little-endian.
+ * Times and phases are float64 (phases must stay inside [0, 1) and
+ * beacons are compared against the ctrl's own clock); portamento times
+ * are float32.
+ *
+ * The ID tables below are append-only: peers look names up by index, so
+ * reordering them would silently remap parameters. A change to an
+ * existing layout needs a new CODEC_VERSION and a new feature name.
+ */
+
+import { MessageTypes } from "./message-protocol.js";
+
+export const CODEC_VERSION = 1;
+
+// Message type → wire code
+const MESSAGE_CODES = {
+  [MessageTypes.SCRUB_PHASE]: 1,
+  [MessageTypes.SUB_PARAM_UPDATE]: 2,
+  [MessageTypes.UNIFIED_PARAM_UPDATE]: 3,
+  [MessageTypes.PHASOR_BEACON]: 4,
+};
+
+// Parameter name → numeric ID (index)
+export const PARAM_IDS = [
+  "frequency",
+  "vowelX",
+  "vowelY",
+  "zingAmount",
+  "zingMorph",
+  "symmetry",
+  "amplitude",
+  "whiteNoise",
+  "vibratoWidth",
+  "vibratoRate",
+];
+
+// Sub-parameter path (after the parameter name) → numeric ID (index)
+export const SUB_PATH_IDS = [
+  "baseValue",
+  "interpolation",
+  "startValueGenerator.type",
+  "startValueGenerator.range",
+  "startValueGenerator.sequenceBehavior",
+  "startValueGenerator.numerators",
+  "startValueGenerator.denominators",
+  "startValueGenerator.numeratorBehavior",
+  "startValueGenerator.denominatorBehavior",
+  "endValueGenerator.type",
+  "endValueGenerator.range",
+  "endValueGenerator.sequenceBehavior",
+  "endValueGenerator.numerators",
+  "endValueGenerator.denominators",
+  "endValueGenerator.numeratorBehavior",
+  "endValueGenerator.denominatorBehavior",
+];
+
+// Must match INTERPOLATIONS in program-schema.js
+const INTERPOLATION_IDS = ["step", "disc", "cont"];
+
+// Sub-parameter value tags
+const VALUE_NUMBER = 0;
+const VALUE_STRING = 1;
+
+const NO_STEPS = 0; // stepsPerCycle null/unset
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Whether a message type has a binary form at all
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function hasBinaryForm(type) {
+  return MESSAGE_CODES[type] !== undefined;
+}
+
+/**
+ * Sequential little-endian writer over a growable buffer
+ */
+class Writer {
+  constructor(size = 32) {
+    this.view = new DataView(new ArrayBuffer(size));
+    this.offset = 0;
+  }
+
+  reserve(bytes) {
+    const needed = this.offset + bytes;
+    if (needed <= this.view.byteLength) return;
+    const grown = new Uint8Array(Math.max(needed, this.view.byteLength * 2));
+    grown.set(new Uint8Array(this.view.buffer));
+    this.view = new DataView(grown.buffer);
+  }
+
+  u8(value) {
+    this.reserve(1);
+    this.view.setUint8(this.offset, value);
+    this.offset += 1;
+  }
+
+  u16(value) {
+    this.reserve(2);
+    this.view.setUint16(this.offset, value, true);
+    this.offset += 2;
+  }
+
+  f32(value) {
+    this.reserve(4);
+    this.view.setFloat32(this.offset, value, true);
+    this.offset += 4;
+  }
+
+  f64(value) {
+    this.reserve(8);
+    this.view.setFloat64(this.offset, value, true);
+    this.offset += 8;
+  }
+
+  bytes(array) {
+    this.reserve(array.length);
+    new Uint8Array(this.view.buffer, this.offset, array.length).set(array);
+    this.offset += array.length;
+  }
+
+  finish() {
+    return this.view.buffer.slice(0, this.offset);
+  }
+}
+
+/**
+ * Sequential little-endian reader; throws on truncated input
+ */
+class Reader {
+  constructor(buffer) {
+    this.view = new DataView(buffer);
+    this.offset = 0;
+  }
+
+  take(bytes) {
+    if (this.offset + bytes > this.view.byteLength) {
+      throw new Error("Binary message truncated");
+    }
+    const at = this.offset;
+    this.offset += bytes;
+    return at;
+  }
+
+  u8() {
+    return this.view.getUint8(this.take(1));
+  }
+
+  u16() {
+    return this.view.getUint16(this.take(2), true);
+  }
+
+  f32() {
+    return this.view.getFloat32(this.take(4), true);
+  }
+
+  f64() {
+    return this.view.getFloat64(this.take(8), true);
+  }
+
+  bytes(length) {
+    const at = this.take(length);
+    return new Uint8Array(this.view.buffer, at, length);
+  }
+}
+
+/**
+ * Look up a table entry's ID, or -1 when it has none
+ * @param {string[]} table
+ * @param {*} name
+ * @returns {number}
+ */
+function idOf(table, name) {
+  return typeof name === "string" ? table.indexOf(name) : -1;
+}
+
+/**
+ * @param {string[]} table
+ * @param {number} id
+ * @param {string} kind - For the error message
+ * @returns {string}
+ */
+function nameOf(table, id, kind) {
+  const name = table[id];
+  if (name === undefined) {
+    throw new Error(`Unknown ${kind} ID in binary message: ${id}`);
+  }
+  return name;
+}
+
+/**
+ * Encode a message, or return null when it has no binary form (other
+ * types, unknown parameters or paths, non-number/string values) and
+ * must be sent as JSON
+ * @param {Object} message - Validated message
+ * @returns {ArrayBuffer|null}
+ */
+export function encodeBinaryMessage(message) {
+  const code = MESSAGE_CODES[message.type];
+  if (code === undefined) return null;
+
+  const writer = new Writer();
+  writer.u8(CODEC_VERSION);
+  writer.u8(code);
+
+  switch (message.type) {
+    case MessageTypes.SCRUB_PHASE:
+      writer.f64(message.phase);
+      writer.f32(message.portamentoMs);
+      break;
+
+    case MessageTypes.SUB_PARAM_UPDATE: {
+      const dot = message.paramPath.indexOf(".");
+      const paramId = idOf(PARAM_IDS, message.paramPath.slice(0, dot));
+      const pathId = idOf(SUB_PATH_IDS, message.paramPath.slice(dot + 1));
+      if (dot < 0 || paramId < 0 || pathId < 0) return null;
+
+      writer.u8(paramId);
+      writer.u8(pathId);
+      writer.f32(message.portamentoTime);
+      if (typeof message.value === "number") {
+        writer.u8(VALUE_NUMBER);
+        writer.f64(message.value);
+      } else if (typeof message.value === "string") {
+        const bytes = textEncoder.encode(message.value);
+        if (bytes.length > 0xffff) return null;
+        writer.u8(VALUE_STRING);
+        writer.u16(bytes.length);
+        writer.bytes(bytes);
+      } else {
+        return null;
+      }
+      break;
+    }
+
+    case MessageTypes.UNIFIED_PARAM_UPDATE: {
+      const paramId = idOf(PARAM_IDS, message.param);
+      const interpolationId = idOf(INTERPOLATION_IDS, message.interpolation);
+      if (paramId < 0 || interpolationId < 0) return null;
+
+      writer.u8(paramId);
+      writer.u8(interpolationId);
+      writer.u8(message.isPlaying ? 1 : 0);
+      writer.f64(message.startValue);
+      writer.f64(message.endValue ?? NaN); // NaN = no end value
+      writer.f32(message.portamentoTime);
+      writer.f64(message.currentPhase);
+      break;
+    }
+
+    case MessageTypes.PHASOR_BEACON: {
+      const steps = message.stepsPerCycle ?? NO_STEPS;
+      if (!Number.isInteger(steps) || steps > 0xffff) return null;
+
+      writer.f64(message.startTime);
+      writer.f64(message.cycleLength);
+      writer.f64(message.phase);
+      writer.u16(steps);
+      break;
+    }
+  }
+
+  writer.f64(message.timestamp ?? 0);
+  return writer.finish();
+}
+
+/**
+ * Decode a binary message back into the same object JSON would give
+ * @param {ArrayBuffer} buffer
+ * @returns {Object}
+ * @throws {Error} - Unknown codec version, message code or ID, or truncated
+ */
+export function decodeBinaryMessage(buffer) {
+  const reader = new Reader(buffer);
+
+  const version = reader.u8();
+  if (version !== CODEC_VERSION) {
+    throw new Error(`Unsupported binary codec version: ${version}`);
+  }
+
+  const code = reader.u8();
+  let message;
+
+  switch (code) {
+    case MESSAGE_CODES[MessageTypes.SCRUB_PHASE]:
+      message = {
+        type: MessageTypes.SCRUB_PHASE,
+        phase: reader.f64(),
+        portamentoMs: reader.f32(),
+      };
+      break;
+
+    case MESSAGE_CODES[MessageTypes.SUB_PARAM_UPDATE]: {
+      const param = nameOf(PARAM_IDS, reader.u8(), "parameter");
+      const path = nameOf(SUB_PATH_IDS, reader.u8(), "sub-parameter path");
+      const portamentoTime = reader.f32();
+      const tag = reader.u8();
+      let value;
+      if (tag === VALUE_NUMBER) {
+        value = reader.f64();
+      } else if (tag === VALUE_STRING) {
+        value = textDecoder.decode(reader.bytes(reader.u16()));
+      } else {
+        throw new Error(`Unknown value tag in binary message: ${tag}`);
+      }
+      message = {
+        type: MessageTypes.SUB_PARAM_UPDATE,
+        paramPath: `${param}.${path}`,
+        value,
+        portamentoTime,
+      };
+      break;
+    }
+
+    case MESSAGE_CODES[MessageTypes.UNIFIED_PARAM_UPDATE]: {
+      const param = nameOf(PARAM_IDS, reader.u8(), "parameter");
+      const interpolation = nameOf(
+        INTERPOLATION_IDS,
+        reader.u8(),
+        "interpolation",
+      );
+      const isPlaying = reader.u8() === 1;
+      const startValue = reader.f64();
+      const endValue = reader.f64();
+      message = {
+        type: MessageTypes.UNIFIED_PARAM_UPDATE,
+        param,
+        startValue,
+        endValue: Number.isNaN(endValue) ? undefined : endValue,
+        interpolation,
+        isPlaying,
+        portamentoTime: reader.f32(),
+        currentPhase: reader.f64(),
+      };
+      break;
+    }
+
+    case MESSAGE_CODES[MessageTypes.PHASOR_BEACON]: {
+      const startTime = reader.f64();
+      const cycleLength = reader.f64();
+      const phase = reader.f64();
+      const steps = reader.u16();
+      message = {
+        type: MessageTypes.PHASOR_BEACON,
+        startTime,
+        cycleLength,
+        phase,
+        stepsPerCycle: steps === NO_STEPS ? null : steps,
+      };
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown binary message code: ${code}`);
+  }
+
+  message.timestamp = reader.f64();
+  return message;
+}
@@ -0,0 +1,155 @@
+/**
+ * Clock Offset Estimation for Voice.Assembly.FM
+ * NTP-style mapping between a remote peer's AudioContext clock and ours,
+ * fed by the audio timestamps carried on PING/PONG messages
+ */
+
+export class ClockSync {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.windowSize] - Number of samples kept for estimation
+   * @param {number} [options.bestFraction] - Fraction of lowest-RTT samples used
+   * @param {number} [options.minSamples] - Samples required before the estimate is trusted
+   * @param {number} [options.resetThreshold] - Offset jump (s) treated as a clock reset
+   */
+  constructor(options = {}) {
+    this.windowSize = options.windowSize ?? 32;
+    this.bestFraction = options.bestFraction ?? 0.5;
+    this.minSamples = options.minSamples ?? 4;
+    this.resetThreshold = options.resetThreshold ?? 0.25;
+
+    this.samples = []; // { localTime, offset, rtt }
+    this.offset = 0; // remote - local, at referenceTime (seconds)
+    this.drift = 0; // d(offset)/d(localTime), dimensionless
+    this.referenceTime = 0; // local time the offset refers to
+    this.rtt = null; // best RTT in the window (seconds)
+    this.resetCount = 0;
+  }
+
+  /**
+   * Add a PING/PONG exchange
+   * @param {number} localSend - Our audio time when the ping was sent (t0)
+   * @param {number} remoteTime - Remote audio time when the ping was answered (t1)
+   * @param {number} localReceive - Our audio time when the pong arrived (t3)
+   * @returns {boolean} - True if the sample was accepted
+   */
+  addSample(localSend, remoteTime, localReceive) {
+    const rtt = localReceive - localSend;
+    if (!Number.isFinite(rtt) || rtt < 0) return false;
+
+    const localTime = (localSend + localReceive) / 2;
+    const offset = remoteTime - localTime;
+
+    // Remote AudioContext was recreated (or ours was) - start over
+    if (
+      this.isReady() &&
+      Math.abs(offset - this.getOffset(localTime)) >
+        this.resetThreshold + rtt / 2
+    ) {
+      this.reset();
+      this.resetCount++;
+    }
+
+    this.samples.push({ localTime, offset, rtt });
+    if (this.samples.length > this.windowSize) {
+      this.samples.shift();
+    }
+
+    this._estimate();
+    return true;
+  }
+
+  /**
+   * Recompute offset and drift from the lowest-RTT samples
+   * Asymmetric queueing only ever inflates RTT, so the fastest exchanges
+   * carry the least offset error
+   */
+  _estimate() {
+    const count = Math.max(
+      1,
+      Math.ceil(this.samples.length * this.bestFraction),
+    );
+    const best = [...this.samples]
+      .sort((a, b) => a.rtt - b.rtt)
+      .slice(0, count);
+
+    this.rtt = best[0].rtt;
+
+    const meanTime = best.reduce((sum, s) => sum + s.localTime, 0) /
+      best.length;
+    const meanOffset = best.reduce((sum, s) => sum + s.offset, 0) /
+      best.length;
+
+    // Least-squares slope of offset over local time gives drift
+    let num = 0;
+    let den = 0;
+    for (const s of best) {
+      num += (s.localTime - meanTime) * (s.offset - meanOffset);
+      den += (s.localTime - meanTime) ** 2;
+    }
+
+    // Need a few seconds of spread before drift is meaningful
+    this.drift = den > 1 ? num / den : 0;
+    this.offset = meanOffset;
+    this.referenceTime = meanTime;
+  }
+
+  /**
+   * Whether enough samples have been collected to trust the estimate
+   * @returns {boolean}
+   */
+  isReady() {
+    return this.samples.length >= this.minSamples;
+  }
+
+  /**
+   * Estimated offset (remote - local) at a given local time
+   * @param {number} localTime - Local audio time
+   * @returns {number}
+   */
+  getOffset(localTime = this.referenceTime) {
+    return this.offset + this.drift * (localTime - this.referenceTime);
+  }
+
+  /**
+   * Convert remote audio time to local audio time
+   * @param {number} remoteTime - Remote audio time
+   * @returns {number}
+   */
+  toLocalTime(remoteTime) {
+    // remote = local + offset + drift * (local - ref), solved for local
+    return (remoteTime - this.offset + this.drift * this.referenceTime) /
+      (1 + this.drift);
+  }
+
+  /**
+   * Convert local audio time to remote audio time
+   * @param {number} localTime - Local audio time
+   * @returns {number}
+   */
+  toRemoteTime(localTime) {
+    return localTime + this.getOffset(localTime);
+  }
+
+  /**
+   * Snapshot of the current estimate for diagnostics
+   */
+  getStats() {
+    return {
+      ready: this.isReady(),
+      offset: this.offset,
+      drift: this.drift,
+      rtt: this.rtt,
+      samples: this.samples.length,
+      resets: this.resetCount,
+    };
+  }
+
+  reset() {
+    this.samples = [];
+    this.offset = 0;
+    this.drift = 0;
+    this.referenceTime = 0;
+    this.rtt = null;
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * Distribution Strategies for Voice.Assembly.FM
+ * Decide how one broadcast program becomes different (or identical) values
+ * across the ensemble. The ctrl assigns each synth an index/role; each synth
+ * applies its strategy when resolving HRG/RBG generators.
+ */
+
+import { createSeededRandom, deriveSeed, hashSeed } from "./prng.js";
+import { VOICE_TYPES } from "./vowel-tables.js";
+
+/**
+ * @typedef {Object} DistributionAssignment
+ * @property {string} mode - Strategy name
+ * @property {number} sessionSeed - Shared seed for the session
+ * @property {number} synthIndex - Stable index of this synth (join order, lowest free)
+ * @property {number} synthCount - Number of synths currently assigned
+ * @property {number} role - Role (stratum) for this synth
+ * @property {number} roleCount - Number of roles
+ * @property {string|null} voiceType - Voice type (see VOICE_TYPES), null for none
+ */
+
+/**
+ * @typedef {Object} DistributionStrategy
+ * @property {string} name - Strategy name (used on the wire)
+ * @property {string} label - Short UI label
+ * @property {function(DistributionAssignment, string): number} seed - PRNG seed for a synth (assignment, peerId)
+ * @property {function(number[], DistributionAssignment): number[]} transformValues - Reshape an HRG value set
+ * @property {function({min: number, max: number}, DistributionAssignment): {min: number, max: number}} transformRange - Reshape an RBG range
+ */
+
+export const DistributionModes = {
+  FREE_STOCHASTIC: "free-stochastic",
+  UNISON: "unison",
+  SEEDED: "seeded",
+  STRATIFIED: "stratified",
+};
+
+/**
+ * Take a contiguous slice of a value set for one role
+ * Sets smaller than the role count hand out single values round-robin
+ * @param {number[]} values
+ * @param {number} role
+ * @param {number} roleCount
+ * @returns {number[]}
+ */
+export function stratifyValues(values, role, roleCount) {
+  if (roleCount <= 1 || values.length === 0) return values;
+  if (values.length < roleCount) {
+    return [values[role % values.length]];
+  }
+  const start = Math.floor((role * values.length) / roleCount);
+  const end = Math.floor(((role + 1) * values.length) / roleCount);
+  return values.slice(start, end);
+}
+
+/**
+ * Split a range into equal sub-ranges, one per role
+ * @param {{min: number, max: number}} range
+ * @param {number} role
+ * @param {number} roleCount
+ * @returns {{min: number, max: number}}
+ */
+export function stratifyRange(range, role, roleCount) {
+  if (roleCount <= 1) return range;
+  const width = (range.max - range.min) / roleCount;
+  return {
+    min: range.min + width * role,
+    max: range.min + width * (role + 1),
+  };
+}
+
+const identityValues = (values) => values;
+const identityRange = (range) => range;
+
+/** @type {Map<string, DistributionStrategy>} */
+const strategies = new Map();
+
+/**
+ * Register a strategy (built-ins below; custom strategies can be added the same way)
+ * @param {DistributionStrategy} strategy
+ */
+export function registerStrategy(strategy) {
+  strategies.set(strategy.name, strategy);
+}
+
+/**
+ * Look up a strategy, falling back to free-stochastic
+ * @param {string} name
+ * @returns {DistributionStrategy}
+ */
+export function getStrategy(name) {
+  return strategies.get(name) ||
+    /** @type {DistributionStrategy} */ (strategies.get(
+      DistributionModes.FREE_STOCHASTIC,
+    ));
+}
+
+/**
+ * List registered strategies (for UI)
+ * @returns {DistributionStrategy[]}
+ */
+export function listStrategies() {
+  return [...strategies.values()];
+}
+
+// Every synth rolls its own dice (reproducible from session seed + peer ID)
+registerStrategy({
+  name: DistributionModes.FREE_STOCHASTIC,
+  label: "free",
+  seed: (a, peerId) => deriveSeed(a.sessionSeed, peerId),
+  transformValues: identityValues,
+  transformRange: identityRange,
+});
+
+// Everyone shares one stream, so identical programs resolve identically
+registerStrategy({
+  name: DistributionModes.UNISON,
+  label: "unison",
+  seed: (a) => hashSeed(a.sessionSeed, "unison"),
+  transformValues: identityValues,
+  transformRange: identityRange,
+});
+
+// Reproducible per synth: same session seed + index gives the same values
+registerStrategy({
+  name: DistributionModes.SEEDED,
+  label: "seeded",
+  seed: (a) => hashSeed(a.sessionSeed, a.synthIndex),
+  transformValues: identityValues,
+  transformRange: identityRange,
+});
+
+// Synths split into roles, each drawing from its own slice of every generator
+registerStrategy({
+  name: DistributionModes.STRATIFIED,
+  label: "roles",
+  seed: (a, peerId) => deriveSeed(a.sessionSeed, peerId),
+  transformValues: (values, a) => stratifyValues(values, a.role, a.roleCount),
+  transformRange: (range, a) => stratifyRange(range, a.role, a.roleCount),
+});
+
+/**
+ * Seed for a synth under an assignment
+ * @param {DistributionAssignment} assignment
+ * @param {string} peerId
+ * @returns {number}
+ */
+export function seedForAssignment(assignment, peerId) {
+  return getStrategy(assignment.mode).seed(assignment, peerId);
+}
+
+/**
+ * Build the random source for an assignment
+ * @param {DistributionAssignment} assignment
+ * @param {string} peerId
+ * @returns {function(): number}
+ */
+export function createRandomForAssignment(assignment, peerId) {
+  return createSeededRandom(seedForAssignment(assignment, peerId));
+}
+
+/**
+ * Default assignment for a synth that has not heard from a controller
+ * @returns {DistributionAssignment}
+ */
+export function createDefaultAssignment() {
+  return {
+    mode: DistributionModes.FREE_STOCHASTIC,
+    sessionSeed: 0,
+    synthIndex: 0,
+    synthCount: 1,
+    role: 0,
+    roleCount: 1,
+    voiceType: null,
+  };
+}
+
+/**
+ * Ctrl-side allocator: tracks synth indices and hands out assignments
+ */
+export class DistributionAllocator {
+  constructor() {
+    this.mode = DistributionModes.FREE_STOCHASTIC;
+    this.sessionSeed = hashSeed(Date.now(), Math.random());
+    this.roleCount = 2;
+    this.indices = new Map(); // peerId -> synthIndex
+    this.roleVoices = []; // Voice type per role, repeating over the roles
+    this.voiceOverrides = new Map(); // peerId -> voice type
+  }
+
+  /**
+   * Assign the lowest free index to a joining synth
+   * @param {string} peerId
+   * @returns {DistributionAssignment}
+   */
+  onSynthJoin(peerId) {
+    if (!this.indices.has(peerId)) {
+      const used = new Set(this.indices.values());
+      let index = 0;
+      while (used.has(index)) index++;
+      this.indices.set(peerId, index);
+    }
+    return this.assignmentFor(peerId);
+  }
+
+  /**
+   * Free a departing synth's index
+   * @param {string} peerId
+   */
+  onSynthLeave(peerId) {
+    this.indices.delete(peerId);
+    this.voiceOverrides.delete(peerId);
+  }
+
+  /**
+   * @param {string} mode
+   */
+  setMode(mode) {
+    this.mode = getStrategy(mode).name;
+  }
+
+  /**
+   * @param {number} count
+   */
+  setRoleCount(count) {
+    this.roleCount = Math.max(1, Math.floor(count) || 1);
+  }
+
+  /**
+   * Voice types by role; a shorter list repeats (bass, tenor, bass, …)
+   * @param {Array<string|null>} voices - Names in VOICE_TYPES; others mean none
+   */
+  setRoleVoices(voices) {
+    this.roleVoices = voices.map((voice) => VOICE_TYPES[voice] ? voice : null);
+  }
+
+  /**
+   * Give one synth its own voice type, or null to follow its role again
+   * @param {string} peerId
+   * @param {string|null} voiceType
+   */
+  setSynthVoice(peerId, voiceType) {
+    if (voiceType && VOICE_TYPES[voiceType]) {
+      this.voiceOverrides.set(peerId, voiceType);
+    } else {
+      this.voiceOverrides.delete(peerId);
+    }
+  }
+
+  /**
+   * @param {string} peerId
+   * @param {number} role
+   * @returns {string|null}
+   */
+  voiceTypeFor(peerId, role) {
+    const override = this.voiceOverrides.get(peerId);
+    if (override) return override;
+    if (this.roleVoices.length === 0) return null;
+    return this.roleVoices[role % this.roleVoices.length];
+  }
+
+  reseed() {
+    this.sessionSeed = hashSeed(this.sessionSeed, Date.now(), Math.random());
+  }
+
+  /**
+   * @param {string} peerId
+   * @returns {DistributionAssignment}
+   */
+  assignmentFor(peerId) {
+    const synthIndex = this.indices.get(peerId) ?? 0;
+    const role = synthIndex % this.roleCount;
+    return {
+      mode: this.mode,
+      sessionSeed: this.sessionSeed,
+      synthIndex,
+      synthCount: this.indices.size,
+      role,
+      roleCount: this.roleCount,
+      voiceType: this.voiceTypeFor(peerId, role),
+    };
+  }
+}
@@ -0,0 +1,347 @@
+/**
+ * Program generators for Voice.Assembly.FM
+ * Shared by ctrl, synth main thread and voice worklet so HRG sequences and
+ * RBG values are created, advanced, saved and resolved the same way
+ * everywhere.
+ *
+ * HRG (periodic) state per parameter position:
+ *   { numerators, denominators, numeratorBehavior, denominatorBehavior,
+ *     indexN, indexD, orderN, orderD }
+ * orderN/orderD hold a shuffled copy of the values while a component's
+ * behavior is "shuffle", otherwise null.
+ *
+ * Behaviors: static (one random pick, kept), ascending, descending,
+ * shuffle (every value once per pass, reshuffled on wrap) and random
+ * (a fresh pick on every advance).
+ */
+
+import { randomInRange, randomInt, shuffleInPlace } from "./prng.js";
+import { sinValues } from "./sin.js";
+
+export const SEQUENCE_BEHAVIORS = [
+  "static",
+  "ascending",
+  "descending",
+  "shuffle",
+  "random",
+];
+
+// State keys for each HRG component
+const COMPONENTS = {
+  numerator: {
+    values: "numerators",
+    behavior: "numeratorBehavior",
+    index: "indexN",
+    order: "orderN",
+  },
+  denominator: {
+    values: "denominators",
+    behavior: "denominatorBehavior",
+    index: "indexD",
+    order: "orderD",
+  },
+};
+
+/**
+ * @typedef {Object} HRGState
+ * @property {number[]} numerators
+ * @property {number[]} denominators
+ * @property {string} numeratorBehavior
+ * @property {string} denominatorBehavior
+ * @property {number} indexN
+ * @property {number} indexD
+ * @property {number[]|null} orderN - Shuffled numerators (shuffle only)
+ * @property {number[]|null} orderD - Shuffled denominators (shuffle only)
+ */
+
+/**
+ * @param {string} component - "numerator" or "denominator"
+ */
+function componentKeys(component) {
+  const keys = COMPONENTS[component];
+  if (!keys) {
+    throw new Error(`Unknown HRG component: ${component}`);
+  }
+  return keys;
+}
+
+/**
+ * Put a component at the start of its sequence for its behavior:
+ * a random index for static/random, a fresh order for shuffle
+ * @param {HRGState} state
+ * @param {string} component
+ * @param {function(): number} random
+ */
+function restartComponent(state, component, random) {
+  const keys = componentKeys(component);
+  const values = state[keys.values];
+  const behavior = state[keys.behavior];
+
+  if (behavior === "static" || behavior === "random") {
+    state[keys.index] = randomInt(random, values.length);
+    state[keys.order] = null;
+  } else if (behavior === "shuffle") {
+    state[keys.index] = 0;
+    state[keys.order] = shuffleInPlace([...values], random);
+  } else {
+    state[keys.index] = 0;
+    state[keys.order] = null;
+  }
+}
+
+/**
+ * Current value of a component without advancing
+ * @param {HRGState} state
+ * @param {string} component
+ * @returns {number}
+ */
+function currentValue(state, component) {
+  const keys = componentKeys(component);
+  const values = state[keys.values];
+  const index = state[keys.index] || 0;
+
+  switch (state[keys.behavior]) {
+    case "descending":
+      return values[values.length - 1 - (index % values.length)];
+    case "shuffle": {
+      const order = state[keys.order] || values;
+      return order[index % order.length];
+    }
+    default: // static, ascending and random (last pick)
+      return values[index % values.length];
+  }
+}
+
+/**
+ * Step a component to its next value
+ * @param {HRGState} state
+ * @param {string} component
+ * @param {function(): number} random
+ */
+function advanceComponent(state, component, random) {
+  const keys = componentKeys(component);
+  const values = state[keys.values];
+
+  switch (state[keys.behavior]) {
+    case "ascending":
+    case "descending":
+      state[keys.index] = ((state[keys.index] || 0) + 1) % values.length;
+      break;
+    case "shuffle":
+      state[keys.index] = (state[keys.index] || 0) + 1;
+      if (!state[keys.order] || state[keys.index] >= values.length) {
+        state[keys.order] = shuffleInPlace([...values], random);
+        state[keys.index] = 0;
+      }
+      break;
+    case "random":
+      state[keys.index] = randomInt(random, values.length);
+      break;
+  }
+}
+
+/**
+ * Create HRG state for a periodic generator
+ * @param {Object} generator - { numerators, denominators, numeratorBehavior, denominatorBehavior }
+ * @param {function(): number} random - Random source
+ * @param {function(*): number[]} [valuesOf] - Expands a numerator/denominator field (synths reshape per distribution)
+ * @returns {HRGState}
+ */
+export function createHRGState(generator, random, valuesOf = sinValues) {
+  const state = {
+    numerators: valuesOf(generator.numerators || "1"),
+    denominators: valuesOf(generator.denominators || "1"),
+    numeratorBehavior: generator.numeratorBehavior || "static",
+    denominatorBehavior: generator.denominatorBehavior || "static",
+    indexN: 0,
+    indexD: 0,
+    orderN: null,
+    orderD: null,
+  };
+  restartHRGState(state, random);
+  return state;
+}
+
+/**
+ * Re-randomize indices and shuffle orders, keeping the value arrays
+ * @param {HRGState} state
+ * @param {function(): number} random
+ */
+export function restartHRGState(state, random) {
+  restartComponent(state, "numerator", random);
+  restartComponent(state, "denominator", random);
+}
+
+/**
+ * Replace one component's values. Static/random re-pick and shuffle
+ * reshuffles; ascending/descending keep their position.
+ * @param {HRGState} state
+ * @param {string} component - "numerator" or "denominator"
+ * @param {number[]} values
+ * @param {function(): number} random
+ */
+export function setHRGValues(state, component, values, random) {
+  const keys = componentKeys(component);
+  state[keys.values] = values;
+  const behavior = state[keys.behavior];
+  if (behavior === "ascending" || behavior === "descending") {
+    state[keys.index] = (state[keys.index] || 0) % values.length;
+  } else {
+    restartComponent(state, component, random);
+  }
+}
+
+/**
+ * Change one component's behavior. Ascending/descending keep their index
+ * so numerator and denominator sequences of different lengths stay offset.
+ * @param {HRGState} state
+ * @param {string} component - "numerator" or "denominator"
+ * @param {string} behavior
+ * @param {function(): number} random
+ */
+export function setHRGBehavior(state, component, behavior, random) {
+  const keys = componentKeys(component);
+  state[keys.behavior] = behavior || "static";
+  if (behavior === "ascending" || behavior === "descending") {
+    state[keys.order] = null;
+  } else {
+    restartComponent(state, component, random);
+  }
+}
+
+/**
+ * Current numerator/denominator without advancing
+ * @param {HRGState} state
+ * @returns {{numerator: number, denominator: number}}
+ */
+export function peekHRG(state) {
+  return {
+    numerator: currentValue(state, "numerator") ?? 1,
+    denominator: currentValue(state, "denominator") || 1,
+  };
+}
+
+/**
+ * Resolve the next numerator/denominator. Random picks first, then
+ * returns the pick (so a later peek sees it); sequences return the
+ * current value, then step on.
+ * @param {HRGState} state
+ * @param {function(): number} random
+ * @returns {{numerator: number, denominator: number}}
+ */
+export function advanceHRG(state, random) {
+  for (const component of Object.keys(COMPONENTS)) {
+    if (state[componentKeys(component).behavior] === "random") {
+      advanceComponent(state, component, random);
+    }
+  }
+  const ratio = peekHRG(state);
+  for (const component of Object.keys(COMPONENTS)) {
+    if (state[componentKeys(component).behavior] !== "random") {
+      advanceComponent(state, component, random);
+    }
+  }
+  return ratio;
+}
+
+/**
+ * Apply an HRG ratio to a base value
+ * @param {number} baseValue
+ * @param {{numerator: number, denominator: number}} ratio
+ * @returns {number}
+ */
+export function hrgValue(baseValue, ratio) {
+  return baseValue * (ratio.numerator / (ratio.denominator || 1));
+}
+
+/**
+ * Plain copy of HRG state for scenes and the wire
+ * @param {HRGState} state
+ * @returns {HRGState}
+ */
+export function serializeHRGState(state) {
+  return {
+    numerators: [...(state.numerators || [])],
+    denominators: [...(state.denominators || [])],
+    numeratorBehavior: state.numeratorBehavior,
+    denominatorBehavior: state.denominatorBehavior,
+    indexN: state.indexN ?? 0,
+    indexD: state.indexD ?? 0,
+    orderN: state.orderN ? [...state.orderN] : null,
+    orderD: state.orderD ? [...state.orderD] : null,
+  };
+}
+
+/**
+ * Rebuild HRG state from a serialized copy. Saved arrays win; the
+ * generator is only a fallback when they are missing.
+ * @param {Object} serialized
+ * @param {Object} [generator] - Fallback periodic generator
+ * @param {function(*): number[]} [valuesOf]
+ * @returns {HRGState}
+ */
+export function deserializeHRGState(
+  serialized,
+  generator,
+  valuesOf = sinValues,
+) {
+  const numerators = serialized.numerators?.length
+    ? [...serialized.numerators]
+    : valuesOf(generator?.numerators || "1");
+  const denominators = serialized.denominators?.length
+    ? [...serialized.denominators]
+    : valuesOf(generator?.denominators || "1");
+
+  const clamp = (value, arr) =>
+    Math.max(0, Math.min(value ?? 0, arr.length - 1));
+
+  return {
+    numerators,
+    denominators,
+    numeratorBehavior: serialized.numeratorBehavior || "static",
+    denominatorBehavior: serialized.denominatorBehavior || "static",
+    indexN: clamp(serialized.indexN, numerators),
+    indexD: clamp(serialized.indexD, denominators),
+    orderN: serialized.orderN ? [...serialized.orderN] : null,
+    orderD: serialized.orderD ? [...serialized.orderD] : null,
+  };
+}
+
+/**
+ * Resolve an RBG (normalised) generator. Fixed numbers pass through;
+ * static samples once per key; random samples on every call and stores
+ * the value so peeks (scene save/load) can reuse it.
+ * @param {Object} generator - { range, sequenceBehavior }
+ * @param {function(): number} random
+ * @param {Object} [options]
+ * @param {Record<string, number>} [options.cache] - Values per key
+ * @param {string|null} [options.key] - Cache key, e.g. "frequency_start"
+ * @param {boolean} [options.peek] - Reuse the cached value if there is one
+ * @param {function({min: number, max: number}): number} [options.sampleRange] - Sampler (defaults to uniform)
+ * @returns {number}
+ */
+export function resolveRBG(generator, random, options = {}) {
+  const { cache, key, peek = false } = options;
+  const sampleRange = options.sampleRange ||
+    ((range) => randomInRange(random, range.min, range.max));
+
+  if (typeof generator.range === "number") {
+    return generator.range;
+  }
+  if (!generator.range || typeof generator.range !== "object") {
+    throw new Error(
+      `RBG generator missing range - ${JSON.stringify(generator)}`,
+    );
+  }
+  if (!cache || !key) {
+    return sampleRange(generator.range);
+  }
+
+  const cached = cache[key];
+  const behavior = generator.sequenceBehavior || "random";
+  if (cached !== undefined && (behavior === "static" || peek)) {
+    return cached;
+  }
+  cache[key] = sampleRange(generator.range);
+  return cache[key];
+}
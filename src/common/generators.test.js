@@ -0,0 +1,186 @@
+/**
+ * Tests for the program generators (deno task test)
+ */
+
+import {
+  deepStrictEqual,
+  equal,
+  notEqual,
+  ok,
+  throws,
+} from "node:assert/strict";
+import {
+  advanceHRG,
+  createHRGState,
+  deserializeHRGState,
+  peekHRG,
+  resolveRBG,
+  serializeHRGState,
+} from "./generators.js";
+import { createSeededRandom } from "./prng.js";
+
+/**
+ * @param {string} numeratorBehavior
+ * @param {string} [numerators]
+ */
+function hrg(numeratorBehavior, numerators = "1-4") {
+  const random = createSeededRandom(7);
+  const state = createHRGState(
+    { numerators, denominators: "1", numeratorBehavior },
+    random,
+  );
+  return { state, random };
+}
+
+/**
+ * Numerators from n advances, checking each peek matches the advance
+ * @param {import("./generators.js").HRGState} state
+ * @param {function(): number} random
+ * @param {number} n
+ */
+function advanceNumerators(state, random, n) {
+  const numerators = [];
+  for (let i = 0; i < n; i++) {
+    const peeked = peekHRG(state);
+    const ratio = advanceHRG(state, random);
+    if (state.numeratorBehavior !== "random") {
+      deepStrictEqual(ratio, peeked);
+    }
+    numerators.push(ratio.numerator);
+  }
+  return numerators;
+}
+
+Deno.test("HRG static keeps one value", () => {
+  const { state, random } = hrg("static");
+  const first = peekHRG(state).numerator;
+  ok([1, 2, 3, 4].includes(first));
+  deepStrictEqual(advanceNumerators(state, random, 6), Array(6).fill(first));
+});
+
+Deno.test("HRG ascending walks up and wraps", () => {
+  const { state, random } = hrg("ascending", "1-3");
+  deepStrictEqual(peekHRG(state), { numerator: 1, denominator: 1 });
+  deepStrictEqual(advanceNumerators(state, random, 5), [1, 2, 3, 1, 2]);
+});
+
+Deno.test("HRG descending walks down and wraps", () => {
+  const { state, random } = hrg("descending", "1-3");
+  deepStrictEqual(peekHRG(state), { numerator: 3, denominator: 1 });
+  deepStrictEqual(advanceNumerators(state, random, 5), [3, 2, 1, 3, 2]);
+});
+
+Deno.test("HRG shuffle plays every value once per pass", () => {
+  const { state, random } = hrg("shuffle");
+  const values = advanceNumerators(state, random, 12);
+  for (let pass = 0; pass < 3; pass++) {
+    const slice = values.slice(pass * 4, pass * 4 + 4);
+    deepStrictEqual([...slice].sort(), [1, 2, 3, 4]);
+  }
+});
+
+Deno.test("HRG random picks on advance and peek sees the pick", () => {
+  const { state, random } = hrg("random", "1-8");
+  const values = [];
+  for (let i = 0; i < 20; i++) {
+    const ratio = advanceHRG(state, random);
+    deepStrictEqual(peekHRG(state), ratio);
+    ok(ratio.numerator >= 1 && ratio.numerator <= 8);
+    values.push(ratio.numerator);
+  }
+  ok(new Set(values).size > 1);
+});
+
+Deno.test("HRG peek does not advance", () => {
+  const { state } = hrg("ascending");
+  const before = serializeHRGState(state);
+  peekHRG(state);
+  peekHRG(state);
+  deepStrictEqual(serializeHRGState(state), before);
+});
+
+Deno.test("HRG state survives a serialize/deserialize round trip", () => {
+  for (const behavior of ["static", "ascending", "descending", "shuffle"]) {
+    const { state, random } = hrg(behavior, "1-6");
+    advanceNumerators(state, random, 3);
+
+    const serialized = JSON.parse(JSON.stringify(serializeHRGState(state)));
+    const restored = deserializeHRGState(serialized);
+    deepStrictEqual(restored, serializeHRGState(state));
+
+    // Both continue identically from the same random source state
+    const seed = createSeededRandom(11);
+    const reseed = createSeededRandom(11);
+    deepStrictEqual(
+      advanceNumerators(restored, reseed, 8),
+      advanceNumerators(state, seed, 8),
+    );
+  }
+});
+
+Deno.test("HRG serialized copies do not share arrays", () => {
+  const { state } = hrg("shuffle");
+  const serialized = serializeHRGState(state);
+  serialized.numerators.push(99);
+  notEqual(state.numerators.length, serialized.numerators.length);
+
+  const restored = deserializeHRGState(serialized);
+  restored.numerators.pop();
+  equal(serialized.numerators.length, 5);
+});
+
+Deno.test("HRG deserialize falls back to the generator and clamps", () => {
+  const restored = deserializeHRGState(
+    { numeratorBehavior: "ascending", indexN: 10, indexD: -3 },
+    { numerators: "2-4", denominators: "3" },
+  );
+  deepStrictEqual(restored.numerators, [2, 3, 4]);
+  deepStrictEqual(restored.denominators, [3]);
+  equal(restored.indexN, 2);
+  equal(restored.indexD, 0);
+  equal(restored.denominatorBehavior, "static");
+});
+
+Deno.test("RBG fixed numbers pass through", () => {
+  const random = createSeededRandom(3);
+  equal(resolveRBG({ range: 0.25 }, random), 0.25);
+  throws(() => resolveRBG({}, random), /missing range/);
+});
+
+Deno.test("RBG static samples once per key", () => {
+  const random = createSeededRandom(3);
+  const generator = { range: { min: 0, max: 1 }, sequenceBehavior: "static" };
+  const cache = {};
+  const first = resolveRBG(generator, random, { cache, key: "vowelX_start" });
+  ok(first >= 0 && first < 1);
+  for (let i = 0; i < 5; i++) {
+    equal(resolveRBG(generator, random, { cache, key: "vowelX_start" }), first);
+  }
+  notEqual(resolveRBG(generator, random, { cache, key: "vowelX_end" }), first);
+});
+
+Deno.test("RBG random resamples and peek reuses the last sample", () => {
+  const random = createSeededRandom(3);
+  const generator = { range: { min: 2, max: 4 }, sequenceBehavior: "random" };
+  const cache = {};
+  const samples = [];
+  for (let i = 0; i < 5; i++) {
+    const value = resolveRBG(generator, random, { cache, key: "k" });
+    ok(value >= 2 && value < 4);
+    equal(cache.k, value);
+    equal(
+      resolveRBG(generator, random, { cache, key: "k", peek: true }),
+      value,
+    );
+    samples.push(value);
+  }
+  equal(new Set(samples).size, samples.length);
+});
+
+Deno.test("RBG peek samples when nothing is cached", () => {
+  const random = createSeededRandom(3);
+  const generator = { range: { min: 0, max: 1 }, sequenceBehavior: "random" };
+  const cache = {};
+  const value = resolveRBG(generator, random, { cache, key: "k", peek: true });
+  equal(cache.k, value);
+});
@@ -4,6 +4,14 @@
  * Updated: Added MUSICAL_PARAMETERS support - v2024.1
  */
 
+import {
+  assertValidArticulation,
+  assertValidEngine,
+  assertValidProgram,
+  assertValidVowelTable,
+} from "./program-schema.js";
+import { VOICE_TYPE_NAMES } from "./vowel-tables.js";
+
 export const MessageTypes = {
   // WebRTC Signaling
   OFFER: "offer",
@@ -30,15 +38,26 @@ export const MessageTypes = {
   STOP: "stop",
   SCRUB_PHASE: "scrub-phase",
 
+  // Telemetry
+  SYNC_REPORT: "sync-report",
+
   // System Control
   CALIBRATION_MODE: "calibration-mode",
   SYNTH_READY: "synth-ready",
+  SYNTH_WELCOME: "synth-welcome",
   PROGRAM: "program",
 
   // Worklet Control (obsolete message types removed - now using SET_ENV/SET_ALL_ENV)
   RERESOLVE_AT_EOC: "reresolve-at-eoc",
   IMMEDIATE_REINITIALIZE: "immediate-reinitialize",
 
+  // Ensemble Distribution
+  DISTRIBUTION: "distribution",
+
+  // Multi-Controller (primary <-> secondary ctrl)
+  CTRL_ROLE: "ctrl-role",
+  CTRL_EDIT: "ctrl-edit",
+
   // Scene Memory
   SAVE_SCENE: "save-scene",
   LOAD_SCENE: "load-scene",
@@ -46,22 +65,180 @@ export const MessageTypes = {
   CLEAR_SCENE: "clear-scene",
 };
 
-export class MessageBuilder {
-  static ping(timestamp = performance.now()) {
+// Data channels opened on every peer connection. "sync" carries
+// latest-value-wins traffic, where a late message is worse than a lost
+// one; "control" is reliable and ordered.
+export const DATA_CHANNELS = {
+  sync: { ordered: false, maxRetransmits: 0 },
+  control: { ordered: true },
+};
+
+// Message type → data channel; unlisted types go on "control".
+// PHASOR_BEACON stays on "control": synths ignore a beacon that arrives
+// before the PLAY it follows.
+export const MESSAGE_CHANNELS = {
+  [MessageTypes.PING]: "sync",
+  [MessageTypes.PONG]: "sync",
+  [MessageTypes.SCRUB_PHASE]: "sync",
+  [MessageTypes.SYNC_REPORT]: "sync",
+};
+
+/**
+ * Data channel a message type travels on
+ * @param {string} type
+ * @returns {string} - A DATA_CHANNELS key
+ */
+export function channelFor(type) {
+  return MESSAGE_CHANNELS[type] ?? "control";
+}
+
+// Wire protocol version. Bump it when a payload changes in a way older
+// peers would misread, and raise MIN_PROTOCOL_VERSION when this build can
+// no longer talk to an older one. Peers from before the handshake are v1.
+export const PROTOCOL_VERSION = 2;
+export const MIN_PROTOCOL_VERSION = 1;
+
+// Optional capabilities, negotiated down to those both peers support
+export const PROTOCOL_FEATURES = [
+  "program-schema",
+  "scene-snapshot-v2",
+  "audio-clock-ping",
+  "distribution",
+  "sync-report",
+  "binary-codec",
+  "voice-type",
+];
+
+/**
+ * @typedef {Object} ProtocolInfo
+ * @property {number} protocolVersion
+ * @property {number} minProtocolVersion - Oldest version the peer accepts
+ * @property {string[]} features
+ */
+
+/**
+ * Protocol fields of a handshake message, treating missing ones as v1
+ * @param {Object} message - SYNTH_READY or SYNTH_WELCOME
+ * @returns {ProtocolInfo}
+ */
+export function readProtocolInfo(message) {
+  const protocolVersion = message.protocolVersion ?? 1;
+  return {
+    protocolVersion,
+    minProtocolVersion: message.minProtocolVersion ?? protocolVersion,
+    features: message.features ?? [],
+  };
+}
+
+/**
+ * Whether this build and a remote peer can talk to each other
+ * @param {ProtocolInfo} remote
+ * @returns {{compatible: boolean, reason: string|null}}
+ */
+export function checkProtocolCompatibility(remote) {
+  if (remote.protocolVersion < MIN_PROTOCOL_VERSION) {
+    return {
+      compatible: false,
+      reason:
+        `peer speaks protocol v${remote.protocolVersion}, this build needs v${MIN_PROTOCOL_VERSION} or newer`,
+    };
+  }
+  if (remote.minProtocolVersion > PROTOCOL_VERSION) {
     return {
+      compatible: false,
+      reason:
+        `peer needs protocol v${remote.minProtocolVersion} or newer, this build speaks v${PROTOCOL_VERSION}`,
+    };
+  }
+  return { compatible: true, reason: null };
+}
+
+/**
+ * Features both this build and a remote peer support
+ * @param {string[]} remoteFeatures
+ * @returns {string[]}
+ */
+export function negotiateFeatures(remoteFeatures) {
+  return PROTOCOL_FEATURES.filter((f) => remoteFeatures.includes(f));
+}
+
+/**
+ * Upgrade a phasor sync payload: legacy senders gave cycles per minute
+ * (cpm) instead of a cycle length in seconds
+ * @param {Object} message
+ * @returns {Object}
+ */
+export function upgradePhasorSync(message) {
+  if (!Number.isFinite(message.cpm) || message.cpm <= 0) return message;
+  const { cpm, ...rest } = message;
+  return {
+    ...rest,
+    cycleLength: Number.isFinite(rest.cycleLength)
+      ? rest.cycleLength
+      : 60 / cpm,
+  };
+}
+
+// Per-type upgrades applied to every received message before validation
+const MESSAGE_MIGRATIONS = {
+  [MessageTypes.PHASOR_BEACON]: upgradePhasorSync,
+};
+
+/**
+ * Upgrade an older peer's payload to the current shape
+ * @param {Object} message
+ * @returns {Object} - Upgraded message (the same object if nothing changed)
+ */
+export function migrateMessage(message) {
+  const migrate = MESSAGE_MIGRATIONS[message?.type];
+  return migrate ? migrate(message) : message;
+}
+
+// PROGRAM_UPDATE fields that are not parameters
+export const PROGRAM_UPDATE_FIELDS = [
+  "type",
+  "timestamp",
+  "synthesisActive",
+  "isManualMode",
+  "portamentoTime",
+  "vowelTable", // Table name or custom table (see vowel-tables.js)
+  "articulation", // Per-step consonant pattern (see articulation.js)
+  "engine", // Synthesis engine name (see voice-engines.js)
+];
+
+export class MessageBuilder {
+  static ping(timestamp = performance.now(), audioTime = null) {
+    const message = {
       type: MessageTypes.PING,
       timestamp,
       id: Math.random().toString(36).substring(2),
     };
+    // Sender's AudioContext time, echoed back for clock-offset estimation
+    if (typeof audioTime === "number") {
+      message.audioTime = audioTime;
+    }
+    return message;
   }
 
-  static pong(pingId, pingTimestamp, timestamp = performance.now()) {
-    return {
+  static pong(
+    pingId,
+    pingTimestamp,
+    timestamp = performance.now(),
+    pingAudioTime = null,
+    audioTime = null,
+  ) {
+    const message = {
       type: MessageTypes.PONG,
       pingId,
       pingTimestamp,
       timestamp,
     };
+    // Only meaningful when both ends have a running AudioContext
+    if (typeof pingAudioTime === "number" && typeof audioTime === "number") {
+      message.pingAudioTime = pingAudioTime;
+      message.audioTime = audioTime;
+    }
+    return message;
   }
 
   static createParameterUpdate(type, params) {
@@ -102,6 +279,27 @@ export class MessageBuilder {
   static synthReady() {
     return {
       type: MessageTypes.SYNTH_READY,
+      protocolVersion: PROTOCOL_VERSION,
+      minProtocolVersion: MIN_PROTOCOL_VERSION,
+      features: PROTOCOL_FEATURES,
+      timestamp: performance.now(),
+    };
+  }
+
+  /**
+   * Ctrl reply to SYNTH_READY
+   * @param {boolean} accepted - False when the versions are incompatible
+   * @param {string[]} features - Negotiated features
+   * @param {string|null} [reason] - Why the synth was rejected
+   */
+  static synthWelcome(accepted, features, reason = null) {
+    return {
+      type: MessageTypes.SYNTH_WELCOME,
+      accepted,
+      protocolVersion: PROTOCOL_VERSION,
+      minProtocolVersion: MIN_PROTOCOL_VERSION,
+      features,
+      reason,
       timestamp: performance.now(),
     };
   }
@@ -132,6 +330,46 @@ export class MessageBuilder {
     };
   }
 
+  static distribution(assignment) {
+    return {
+      type: MessageTypes.DISTRIBUTION,
+      mode: assignment.mode,
+      sessionSeed: assignment.sessionSeed,
+      synthIndex: assignment.synthIndex,
+      synthCount: assignment.synthCount,
+      role: assignment.role,
+      roleCount: assignment.roleCount,
+      voiceType: assignment.voiceType ?? null,
+      timestamp: performance.now(),
+    };
+  }
+
+  /**
+   * Primary -> secondary: which parameters it may edit, with their current state
+   * @param {string[]} params - Editable parameter names
+   * @param {Object} state - Staged state for those parameters
+   */
+  static ctrlRole(params, state = {}) {
+    return {
+      type: MessageTypes.CTRL_ROLE,
+      params,
+      state,
+      timestamp: performance.now(),
+    };
+  }
+
+  /**
+   * Secondary -> primary: a staged-state action to merge and broadcast
+   * @param {Object} action - ControlAction (see public/ctrl/state/update.js)
+   */
+  static ctrlEdit(action) {
+    return {
+      type: MessageTypes.CTRL_EDIT,
+      action,
+      timestamp: performance.now(),
+    };
+  }
+
   static saveScene(memoryLocation) {
     return {
       type: MessageTypes.SAVE_SCENE,
@@ -247,6 +485,31 @@ export class MessageBuilder {
       timestamp: performance.now(),
     };
   }
+
+  // Telemetry
+  static syncReport({
+    phaseError = null,
+    clockOffset = null,
+    clockRtt = null,
+    outputLatency = null,
+    underruns = 0,
+    batteryLevel = null,
+    charging = null,
+    visibility = "visible",
+  }) {
+    return {
+      type: MessageTypes.SYNC_REPORT,
+      phaseError,
+      clockOffset,
+      clockRtt,
+      outputLatency,
+      underruns,
+      batteryLevel,
+      charging,
+      visibility,
+      timestamp: performance.now(),
+    };
+  }
 }
 
 export function validateMessage(message) {
@@ -268,6 +531,11 @@ export function validateMessage(message) {
       if (typeof message.timestamp !== "number") {
         throw new Error("Ping message must have numeric timestamp");
       }
+      if (
+        message.audioTime !== undefined && typeof message.audioTime !== "number"
+      ) {
+        throw new Error("Ping audioTime must be numeric");
+      }
       break;
 
     case MessageTypes.PONG:
@@ -278,79 +546,79 @@ export function validateMessage(message) {
       ) {
         throw new Error("Pong message missing required fields");
       }
+      if (
+        (message.audioTime !== undefined &&
+          typeof message.audioTime !== "number") ||
+        (message.pingAudioTime !== undefined &&
+          typeof message.pingAudioTime !== "number")
+      ) {
+        throw new Error("Pong audio timestamps must be numeric");
+      }
       break;
 
-    case MessageTypes.PROGRAM_UPDATE:
-      // Enforce unified parameter structure - no scope field allowed
+    case MessageTypes.PROGRAM_UPDATE: {
+      // Everything except these fields is a ParameterState
+      const params = {};
       for (const [key, value] of Object.entries(message)) {
-        if (
-          [
-            "type",
-            "timestamp",
-            "synthesisActive",
-            "isManualMode",
-            "portamentoTime",
-          ].includes(key)
-        ) {
-          continue; // Skip non-parameter fields
-        }
+        if (PROGRAM_UPDATE_FIELDS.includes(key)) continue;
 
-        if (value && typeof value === "object") {
-          // Check for forbidden scope field
-          if ("scope" in value) {
-            throw new Error(
-              `BREAKING: Parameter '${key}' contains forbidden 'scope' field. Use interpolation + generators instead.`,
-            );
-          }
-
-          // Validate unified parameter structure
-          if (
-            !value.interpolation ||
-            !["step", "disc", "cont"].includes(value.interpolation)
-          ) {
-            throw new Error(
-              `Parameter '${key}' must have interpolation: 'step', 'disc', or 'cont'`,
-            );
-          }
-
-          if (
-            !value.startValueGenerator ||
-            typeof value.startValueGenerator !== "object"
-          ) {
-            throw new Error(`Parameter '${key}' must have startValueGenerator`);
-          }
-
-          if (
-            value.interpolation === "cosine" &&
-            (!value.endValueGenerator ||
-              typeof value.endValueGenerator !== "object")
-          ) {
-            throw new Error(
-              `Parameter '${key}' with cosine interpolation must have endValueGenerator`,
-            );
-          }
-
-          // For periodic generators, require baseValue
-          if (
-            value.startValueGenerator.type === "periodic" &&
-            value.baseValue === undefined
-          ) {
-            throw new Error(
-              `Parameter '${key}' with periodic generator must have baseValue`,
-            );
-          }
+        // Old scope-based parameters get a pointed error
+        if (value && typeof value === "object" && "scope" in value) {
+          throw new Error(
+            `BREAKING: Parameter '${key}' contains forbidden 'scope' field. Use interpolation + generators instead.`,
+          );
         }
+        params[key] = value;
+      }
+      assertValidProgram(params, "PROGRAM_UPDATE");
+      if (message.vowelTable !== undefined) {
+        assertValidVowelTable(message.vowelTable, "PROGRAM_UPDATE");
+      }
+      if (message.articulation !== undefined) {
+        assertValidArticulation(message.articulation, "PROGRAM_UPDATE");
+      }
+      if (message.engine !== undefined) {
+        assertValidEngine(message.engine, "PROGRAM_UPDATE");
       }
       break;
+    }
 
     case MessageTypes.JUMP_TO_EOC:
       // No additional fields required
       break;
 
+    case MessageTypes.SYNTH_READY:
+    case MessageTypes.SYNTH_WELCOME:
+      for (const field of ["protocolVersion", "minProtocolVersion"]) {
+        if (
+          message[field] !== undefined &&
+          (!Number.isInteger(message[field]) || message[field] < 1)
+        ) {
+          throw new Error(
+            `${message.type} ${field} must be a positive integer`,
+          );
+        }
+      }
+      if (
+        message.features !== undefined &&
+        (!Array.isArray(message.features) ||
+          !message.features.every((f) => typeof f === "string"))
+      ) {
+        throw new Error(`${message.type} features must be string[]`);
+      }
+      if (
+        message.type === MessageTypes.SYNTH_WELCOME &&
+        typeof message.accepted !== "boolean"
+      ) {
+        throw new Error("SYNTH_WELCOME must have boolean accepted");
+      }
+      break;
+
     case MessageTypes.PROGRAM:
       if (!message.config || typeof message.config !== "object") {
         throw new Error("Program message must have config object");
       }
+      assertValidProgram(message.config, "PROGRAM config");
       break;
 
     // SET_STEP_VALUES, SET_COS_SEGMENTS, and RESTORE_SEQUENCE_STATE validation removed - obsolete message types
@@ -363,6 +631,63 @@ export function validateMessage(message) {
       // No required fields - simple trigger message
       break;
 
+    case MessageTypes.DISTRIBUTION:
+      if (typeof message.mode !== "string") {
+        throw new Error("DISTRIBUTION message must have string mode");
+      }
+      for (
+        const field of [
+          "sessionSeed",
+          "synthIndex",
+          "synthCount",
+          "role",
+          "roleCount",
+        ]
+      ) {
+        if (!Number.isInteger(message[field]) || message[field] < 0) {
+          throw new Error(
+            `DISTRIBUTION ${field} must be a non-negative integer`,
+          );
+        }
+      }
+      if (message.roleCount < 1) {
+        throw new Error("DISTRIBUTION roleCount must be at least 1");
+      }
+      if (
+        message.voiceType != null &&
+        !VOICE_TYPE_NAMES.includes(message.voiceType)
+      ) {
+        throw new Error(
+          `DISTRIBUTION voiceType must be one of ${
+            VOICE_TYPE_NAMES.join(", ")
+          } or null`,
+        );
+      }
+      break;
+
+    case MessageTypes.CTRL_ROLE:
+      if (
+        !Array.isArray(message.params) ||
+        !message.params.every((p) => typeof p === "string")
+      ) {
+        throw new Error("CTRL_ROLE message must have string[] params");
+      }
+      if (!message.state || typeof message.state !== "object") {
+        throw new Error("CTRL_ROLE message must have state object");
+      }
+      assertValidProgram(message.state, "CTRL_ROLE state");
+      break;
+
+    case MessageTypes.CTRL_EDIT:
+      if (
+        !message.action || typeof message.action !== "object" ||
+        typeof message.action.type !== "string" ||
+        typeof message.action.param !== "string"
+      ) {
+        throw new Error("CTRL_EDIT message must have action with type/param");
+      }
+      break;
+
     case MessageTypes.SAVE_SCENE:
       if (
         typeof message.memoryLocation !== "number" ||
@@ -382,6 +707,13 @@ export function validateMessage(message) {
           "Load scene message requires memoryLocation (0-9) and program object",
         );
       }
+      assertValidProgram(message.program, "LOAD_SCENE program");
+      if (message.snapshot) {
+        assertValidProgram(
+          message.snapshot.program,
+          "LOAD_SCENE snapshot program",
+        );
+      }
       break;
 
     case MessageTypes.CLEAR_BANKS:
@@ -476,6 +808,31 @@ export function validateMessage(message) {
         throw new Error("SCRUB_PHASE portamentoMs must be non-negative");
       }
       break;
+
+    case MessageTypes.SYNC_REPORT:
+      for (
+        const field of [
+          "phaseError",
+          "clockOffset",
+          "clockRtt",
+          "outputLatency",
+          "batteryLevel",
+        ]
+      ) {
+        if (message[field] !== null && typeof message[field] !== "number") {
+          throw new Error(`SYNC_REPORT ${field} must be a number or null`);
+        }
+      }
+      if (typeof message.underruns !== "number" || message.underruns < 0) {
+        throw new Error("SYNC_REPORT underruns must be a non-negative number");
+      }
+      if (message.charging !== null && typeof message.charging !== "boolean") {
+        throw new Error("SYNC_REPORT charging must be a boolean or null");
+      }
+      if (typeof message.visibility !== "string") {
+        throw new Error("SYNC_REPORT visibility must be a string");
+      }
+      break;
   }
 
   return true;
@@ -2,6 +2,7 @@
  * Type definitions for Voice.Assembly.FM parameter system
  * This file contains only JSDoc typedef definitions for browser use
  * No runtime exports - pure type definitions for editor support
+ * Runtime validation of the same shapes lives in program-schema.js
  */
 
 /**
@@ -0,0 +1,82 @@
+/**
+ * Seedable PRNG for Voice.Assembly.FM
+ * Shared by ctrl, synth main thread and voice worklet so stochastic choices
+ * can be reproduced from a session seed and peer ID
+ */
+
+/**
+ * Hash any mix of strings/numbers into a 32-bit unsigned seed (FNV-1a)
+ * @param {...(string|number)} parts
+ * @returns {number}
+ */
+export function hashSeed(...parts) {
+  let hash = 0x811c9dc5;
+  const str = parts.join("|");
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Seed for one peer within a session
+ * @param {number} sessionSeed - Shared session seed
+ * @param {string} peerId - Peer ID
+ * @returns {number}
+ */
+export function deriveSeed(sessionSeed, peerId) {
+  return hashSeed(sessionSeed, peerId);
+}
+
+/**
+ * Create a seeded random source (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {function(): number} - Returns floats in [0, 1), like Math.random
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random integer in [0, n)
+ * @param {function(): number} random - Random source
+ * @param {number} n - Upper bound (exclusive)
+ * @returns {number}
+ */
+export function randomInt(random, n) {
+  return Math.floor(random() * n);
+}
+
+/**
+ * Random float in [min, max)
+ * @param {function(): number} random - Random source
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+export function randomInRange(random, min, max) {
+  return min + random() * (max - min);
+}
+
+/**
+ * Fisher-Yates shuffle in place
+ * @template T
+ * @param {T[]} array - Array to shuffle
+ * @param {function(): number} random - Random source
+ * @returns {T[]} - The same array
+ */
+export function shuffleInPlace(array, random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = randomInt(random, i + 1);
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
@@ -0,0 +1,436 @@
+/**
+ * Program Schema for Voice.Assembly.FM
+ * JSON Schemas for ParameterState and GeneratorConfig (see
+ * parameter-types.js) plus a small validator for the subset of JSON Schema
+ * they use, so ctrl and synths reject the same malformed programs with
+ * precise error paths like "frequency.startValueGenerator.range.min".
+ *
+ * Supported keywords: type, enum, const, minimum, maximum, minItems,
+ * maxItems, required, properties, additionalProperties, items, allOf,
+ * if/then/else and format ("sin").
+ * Properties whose value is undefined count as absent, as after
+ * JSON.stringify.
+ */
+
+import { SEQUENCE_BEHAVIORS } from "./generators.js";
+import { validateSinString } from "./sin.js";
+import { FORMANT_COUNT, VOWEL_TABLE_NAMES } from "./vowel-tables.js";
+import {
+  CONSONANT_NAMES,
+  MAX_PATTERN_LENGTH,
+  STAGGER_BY,
+} from "./articulation.js";
+import { VOICE_ENGINE_NAMES } from "./voice-engines.js";
+
+export const INTERPOLATIONS = ["step", "disc", "cont"];
+
+// Numerator/denominator sets: a SIN string or an already-parsed array
+const SIN_FIELD = {
+  type: ["string", "array"],
+  format: "sin",
+  items: { type: "number" },
+};
+
+// A fixed value or a {min, max} range
+const RANGE_SCHEMA = {
+  type: ["number", "object"],
+  required: ["min", "max"],
+  properties: {
+    min: { type: "number" },
+    max: { type: "number" },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * GeneratorConfig. Extra keys are allowed: switching a generator's type in
+ * the ctrl merges configs, so stale keys from the other type can remain.
+ */
+export const GENERATOR_SCHEMA = {
+  title: "GeneratorConfig",
+  type: "object",
+  required: ["type"],
+  properties: {
+    type: { enum: ["periodic", "normalised"] },
+  },
+  allOf: [
+    {
+      if: { properties: { type: { const: "periodic" } } },
+      then: {
+        properties: {
+          numerators: SIN_FIELD,
+          denominators: SIN_FIELD,
+          numeratorBehavior: { enum: SEQUENCE_BEHAVIORS },
+          denominatorBehavior: { enum: SEQUENCE_BEHAVIORS },
+        },
+      },
+    },
+    {
+      if: { properties: { type: { const: "normalised" } } },
+      then: {
+        required: ["range"],
+        properties: {
+          range: RANGE_SCHEMA,
+          sequenceBehavior: { enum: ["static", "random"] },
+        },
+      },
+    },
+  ],
+};
+
+// "The generator at this position is periodic"
+function periodicAt(position) {
+  return {
+    required: [position],
+    properties: {
+      [position]: { properties: { type: { const: "periodic" } } },
+    },
+  };
+}
+
+export const PARAMETER_SCHEMA = {
+  title: "ParameterState",
+  type: "object",
+  required: ["interpolation", "startValueGenerator"],
+  properties: {
+    interpolation: { enum: INTERPOLATIONS },
+    baseValue: { type: "number" },
+    startValueGenerator: GENERATOR_SCHEMA,
+    endValueGenerator: GENERATOR_SCHEMA,
+  },
+  additionalProperties: false,
+  allOf: [
+    {
+      if: {
+        required: ["interpolation"],
+        properties: { interpolation: { enum: ["disc", "cont"] } },
+      },
+      then: { required: ["endValueGenerator"] },
+    },
+    {
+      if: periodicAt("startValueGenerator"),
+      then: { required: ["baseValue"] },
+    },
+    {
+      if: periodicAt("endValueGenerator"),
+      then: { required: ["baseValue"] },
+    },
+  ],
+};
+
+/** Program: parameter name → ParameterState */
+export const PROGRAM_SCHEMA = {
+  title: "Program",
+  type: "object",
+  additionalProperties: PARAMETER_SCHEMA,
+};
+
+// Per-formant values (F1 first)
+const FORMANT_FIELD = {
+  type: "array",
+  minItems: 1,
+  maxItems: FORMANT_COUNT,
+  items: { type: "number", minimum: 0 },
+};
+
+const VOWEL_POINT_SCHEMA = {
+  title: "VowelPoint",
+  type: "object",
+  required: ["x", "y", "freqs"],
+  properties: {
+    ipa: { type: "string" },
+    x: { type: "number", minimum: 0, maximum: 1 },
+    y: { type: "number", minimum: 0, maximum: 1 },
+    freqs: FORMANT_FIELD,
+    bandwidths: FORMANT_FIELD,
+    amps: FORMANT_FIELD,
+  },
+  additionalProperties: false,
+};
+
+/** Program vowel table: a built-in table name or a custom table */
+export const VOWEL_TABLE_SCHEMA = {
+  title: "VowelTable",
+  type: ["string", "object"],
+  if: { type: "string" },
+  then: { enum: VOWEL_TABLE_NAMES },
+  else: {
+    required: ["points"],
+    properties: {
+      name: { type: "string" },
+      label: { type: "string" },
+      points: { type: "array", minItems: 1, items: VOWEL_POINT_SCHEMA },
+    },
+    additionalProperties: false,
+  },
+};
+
+// A point on the vowel plane
+const VOWEL_POSITION_SCHEMA = {
+  type: "array",
+  minItems: 2,
+  maxItems: 2,
+  items: { type: "number", minimum: 0, maximum: 1 },
+};
+
+/**
+ * Program articulation: a per-step consonant pattern (plus vowel targets
+ * for sung text), or null for none
+ */
+export const ARTICULATION_SCHEMA = {
+  title: "Articulation",
+  type: ["object", "null"],
+  required: ["pattern"],
+  properties: {
+    pattern: {
+      type: "array",
+      maxItems: MAX_PATTERN_LENGTH,
+      items: { enum: ["", ...CONSONANT_NAMES] },
+    },
+    vowels: {
+      type: "array",
+      maxItems: MAX_PATTERN_LENGTH,
+      items: {
+        type: ["array", "null"],
+        if: { type: "array" },
+        then: VOWEL_POSITION_SCHEMA,
+      },
+    },
+    stagger: { type: "integer", minimum: 0 },
+    staggerBy: { enum: STAGGER_BY },
+    text: { type: "string" },
+  },
+  additionalProperties: false,
+};
+
+/** Program synthesis engine (see voice-engines.js) */
+export const ENGINE_SCHEMA = {
+  title: "Engine",
+  type: "string",
+  enum: VOICE_ENGINE_NAMES,
+};
+
+/**
+ * @typedef {Object} SchemaError
+ * @property {string} path - Dotted path to the offending value ("" = root)
+ * @property {string} message
+ */
+
+/**
+ * Thrown when a program or scene fails validation
+ */
+export class ProgramValidationError extends Error {
+  /**
+   * @param {string} label - What was being validated, e.g. "Scene 3"
+   * @param {SchemaError[]} errors
+   */
+  constructor(label, errors) {
+    super(`${label} is invalid: ${errors.map(formatSchemaError).join("; ")}`);
+    this.name = "ProgramValidationError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * @param {SchemaError} error
+ * @returns {string}
+ */
+export function formatSchemaError(error) {
+  return error.path ? `${error.path}: ${error.message}` : error.message;
+}
+
+/**
+ * JSON type name of a value ("integer" values are also "number")
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * @param {*} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * @param {string} path
+ * @param {string|number} key
+ * @returns {string}
+ */
+function joinPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [path] - Path of value, prefixed onto error paths
+ * @returns {SchemaError[]} - Empty when valid
+ */
+export function validateSchema(value, schema, path = "") {
+  const errors = [];
+  const fail = (message, at = path) => errors.push({ path: at, message });
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(`must be ${types.join(" or ")} (got ${typeOf(value)})`);
+      return errors; // Nothing else applies to the wrong type
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map((v) => `"${v}"`).join(", ")}`);
+  }
+
+  if (
+    schema.minimum !== undefined && typeof value === "number" &&
+    value < schema.minimum
+  ) {
+    fail(`must be at least ${schema.minimum}`);
+  }
+
+  if (
+    schema.maximum !== undefined && typeof value === "number" &&
+    value > schema.maximum
+  ) {
+    fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} item(s)`);
+    }
+  }
+
+  if (schema.format === "sin" && typeof value === "string") {
+    const result = validateSinString(value);
+    if (!result.valid) fail(`invalid SIN: ${result.error}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, joinPath(path, index)));
+    });
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        fail("is required", joinPath(path, key));
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (child === undefined) continue;
+      const childPath = joinPath(path, key);
+      if (properties[key]) {
+        errors.push(...validateSchema(child, properties[key], childPath));
+      } else if (schema.additionalProperties === false) {
+        fail("is not allowed", childPath);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...validateSchema(child, schema.additionalProperties, childPath),
+        );
+      }
+    }
+  }
+
+  for (const sub of schema.allOf || []) {
+    errors.push(...validateSchema(value, sub, path));
+  }
+
+  if (schema.if) {
+    const branch = validateSchema(value, schema.if, path).length === 0
+      ? schema.then
+      : schema.else;
+    if (branch) errors.push(...validateSchema(value, branch, path));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a program (parameter name → ParameterState)
+ * @param {*} program
+ * @param {string} [path] - Path prefix for errors
+ * @returns {SchemaError[]}
+ */
+export function validateProgram(program, path = "") {
+  return validateSchema(program, PROGRAM_SCHEMA, path);
+}
+
+/**
+ * Throw unless a program is valid
+ * @param {*} program
+ * @param {string} label - What is being validated, for the error message
+ * @throws {ProgramValidationError}
+ */
+export function assertValidProgram(program, label) {
+  const errors = validateProgram(program);
+  if (errors.length > 0) {
+    throw new ProgramValidationError(label, errors);
+  }
+}
+
+/**
+ * Throw unless a program's vowel table is valid
+ * @param {*} table
+ * @param {string} label - What is being validated, for the error message
+ * @throws {ProgramValidationError}
+ */
+export function assertValidVowelTable(table, label) {
+  const errors = validateSchema(table, VOWEL_TABLE_SCHEMA, "vowelTable");
+  if (errors.length > 0) {
+    throw new ProgramValidationError(label, errors);
+  }
+}
+
+/**
+ * Throw unless a program's articulation is valid
+ * @param {*} articulation
+ * @param {string} label - What is being validated, for the error message
+ * @throws {ProgramValidationError}
+ */
+export function assertValidArticulation(articulation, label) {
+  const errors = validateSchema(
+    articulation,
+    ARTICULATION_SCHEMA,
+    "articulation",
+  );
+  if (errors.length > 0) {
+    throw new ProgramValidationError(label, errors);
+  }
+}
+
+/**
+ * Throw unless a program's synthesis engine is valid
+ * @param {*} engine
+ * @param {string} label - What is being validated, for the error message
+ * @throws {ProgramValidationError}
+ */
+export function assertValidEngine(engine, label) {
+  const errors = validateSchema(engine, ENGINE_SCHEMA, "engine");
+  if (errors.length > 0) {
+    throw new ProgramValidationError(label, errors);
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * Simple Integer Notation (SIN) parser and formatter
+ * Shared by ctrl, synth main thread and voice worklet so HRG numerator and
+ * denominator sets expand the same way everywhere.
+ *
+ * Grammar (comma-separated items, whitespace ignored):
+ *   5          single value; decimals (1.5), fractions (3/2)
+ *   1-4        range, inclusive → 1,2,3,4
+ *   8-4        descending range → 8,7,6,5,4
+ *   1-9:2      stepped range → 1,3,5,7,9
+ *   1-12!7     exclusion → 1-12 without 7 (several allowed: 1-12!7!9-10)
+ *   3x2        repetition weight → 3,3 (also on ranges: 1-3x2)
+ *
+ * Values are frequency ratio terms, so every value must be above zero.
+ */
+
+// Guard against typos like 1-100000 expanding into huge arrays
+export const MAX_SIN_VALUES = 1024;
+
+const NUMBER = String.raw`\d+(?:\.\d+)?(?:/\d+(?:\.\d+)?)?`;
+const ITEM_PATTERN = new RegExp(
+  `^(${NUMBER})(?:-(${NUMBER})(?::(${NUMBER}))?)?` +
+    `((?:!${NUMBER}(?:-${NUMBER})?)*)(?:x(\\d+))?$`,
+);
+const EXCLUSION_PATTERN = new RegExp(`!(${NUMBER})(?:-(${NUMBER}))?`, "g");
+
+// Values are rounded so stepped fractional ranges land on exact numbers
+const PRECISION = 1e9;
+
+/**
+ * @param {string} text - Number, decimal or fraction like "3/2"
+ * @returns {number}
+ */
+function parseNumber(text) {
+  const [num, den] = text.split("/");
+  const value = den === undefined
+    ? parseFloat(num)
+    : parseFloat(num) / parseFloat(den);
+  if (!Number.isFinite(value)) {
+    throw new Error(`Invalid number: "${text}"`);
+  }
+  return Math.round(value * PRECISION) / PRECISION;
+}
+
+/**
+ * Expand a range, ascending or descending
+ * @param {number} start
+ * @param {number} end
+ * @param {number} step - Magnitude of the step
+ * @param {string} item - Source text for errors
+ * @returns {number[]}
+ */
+function expandRange(start, end, step, item) {
+  if (step <= 0) {
+    throw new Error(`Invalid step in range: "${item}"`);
+  }
+  const count = Math.floor(Math.abs(end - start) / step + 1e-9) + 1;
+  if (count > MAX_SIN_VALUES) {
+    throw new Error(`Range too large: "${item}"`);
+  }
+  const direction = end >= start ? 1 : -1;
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const value = start + direction * i * step;
+    values.push(Math.round(value * PRECISION) / PRECISION);
+  }
+  return values;
+}
+
+/**
+ * Parse one comma-separated item
+ * @param {string} item - Item with whitespace removed
+ * @returns {number[]}
+ */
+function parseItem(item) {
+  const match = ITEM_PATTERN.exec(item);
+  if (!match) {
+    throw new Error(`Invalid SIN item: "${item}"`);
+  }
+  const [, startText, endText, stepText, exclusionText, weightText] = match;
+
+  const start = parseNumber(startText);
+  const step = stepText === undefined ? 1 : Math.abs(parseNumber(stepText));
+  let values = endText === undefined
+    ? [start]
+    : expandRange(start, parseNumber(endText), step, item);
+
+  // Exclusions remove single values or whole sub-ranges
+  const exclusions = exclusionText.matchAll(EXCLUSION_PATTERN);
+  for (const [, fromText, toText] of exclusions) {
+    const from = parseNumber(fromText);
+    const to = toText === undefined ? from : parseNumber(toText);
+    const low = Math.min(from, to);
+    const high = Math.max(from, to);
+    values = values.filter((v) => v < low || v > high);
+  }
+
+  const weight = weightText === undefined ? 1 : parseInt(weightText, 10);
+  if (weight < 1) {
+    throw new Error(`Invalid repetition weight: "${item}"`);
+  }
+  return values.flatMap((v) => Array(weight).fill(v));
+}
+
+/**
+ * Parse a SIN string into an array of numbers
+ * @param {string} sin - SIN string like "1-3,5,7-9"
+ * @returns {number[]} - Parsed array of numbers
+ * @throws {Error} - If the string is invalid
+ */
+export function parseSinString(sin) {
+  if (!sin || typeof sin !== "string") {
+    return [1]; // Default to [1] for empty/invalid input
+  }
+
+  const results = [];
+  for (const part of sin.split(",")) {
+    const item = part.replace(/\s+/g, "");
+    if (!item) continue; // Skip empty parts
+    const values = parseItem(item);
+    if (values.some((v) => v <= 0)) {
+      throw new Error(`SIN values must be above zero: "${item}"`);
+    }
+    results.push(...values);
+    if (results.length > MAX_SIN_VALUES) {
+      throw new Error(`SIN expands to more than ${MAX_SIN_VALUES} values`);
+    }
+  }
+
+  if (results.length === 0) {
+    return [1]; // Default if nothing valid was parsed
+  }
+
+  return results;
+}
+
+/**
+ * Values for an HRG numerator/denominator field, which may already be an
+ * array (parsed by the ctrl) or still a SIN string. Never throws: invalid
+ * input falls back to [1] so a bad field can't stop resolution.
+ * @param {string|number[]|undefined} input
+ * @returns {number[]}
+ */
+export function sinValues(input) {
+  if (Array.isArray(input)) {
+    const values = input.map(Number).filter((v) => Number.isFinite(v) && v > 0);
+    return values.length > 0 ? values : [1];
+  }
+  try {
+    return parseSinString(typeof input === "number" ? String(input) : input);
+  } catch (error) {
+    console.warn(`⚠️ ${error.message}, using [1]`);
+    return [1];
+  }
+}
+
+/**
+ * Format an array of numbers back to a SIN string
+ * Attempts to compress consecutive ranges for readability
+ * @param {number[]} arr - Array of numbers
+ * @returns {string} - Formatted SIN string
+ */
+export function formatSinArray(arr) {
+  if (!arr || arr.length === 0) {
+    return "1";
+  }
+
+  // Sort and deduplicate
+  const sorted = [...new Set(arr)].sort((a, b) => a - b);
+
+  const parts = [];
+  let rangeStart = sorted[0];
+  let rangeEnd = sorted[0];
+
+  for (let i = 1; i <= sorted.length; i++) {
+    const current = sorted[i];
+
+    if (i === sorted.length || current !== rangeEnd + 1) {
+      // End of a range or the array
+      if (rangeStart === rangeEnd) {
+        parts.push(rangeStart.toString());
+      } else if (rangeEnd === rangeStart + 1) {
+        // Two consecutive numbers - list them separately
+        parts.push(rangeStart.toString());
+        parts.push(rangeEnd.toString());
+      } else {
+        // Range of 3+ numbers
+        parts.push(`${rangeStart}-${rangeEnd}`);
+      }
+
+      if (i < sorted.length) {
+        rangeStart = current;
+        rangeEnd = current;
+      }
+    } else {
+      rangeEnd = current;
+    }
+  }
+
+  return parts.join(",");
+}
+
+/**
+ * Validate a SIN string without parsing completely
+ * @param {string} sin - SIN string to validate
+ * @returns {{valid: boolean, error?: string}} - Validation result
+ */
+export function validateSinString(sin) {
+  try {
+    const result = parseSinString(sin);
+    if (result.length === 0) {
+      return { valid: false, error: "Empty result" };
+    }
+    return { valid: true };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * Voice Engines for Voice.Assembly.FM
+ * The synthesis engines a program can pick for the voice worklet, plus
+ * the single-cycle tables they play. Shared by ctrl (selection), synth
+ * main thread (validation) and voice worklet (synthesis).
+ *
+ * Every engine follows the same frequency (with vibrato), amplitude,
+ * vowel and articulation; the symmetry and Zing envelopes are the
+ * engine's own timbre controls:
+ *
+ * - formant: PM formant carriers blended with Zing ring modulation
+ * - glottal: LF-model glottal pulse through resonant F1–F5 filters;
+ *   symmetry sets the pulse from tense to lax, zingAmount adds breath
+ * - wavetable: band-limited tables scanned by zingMorph (sine → triangle
+ *   → square → saw), symmetry warps the phase, zingAmount sends the table
+ *   through the formant filters
+ * - karplus: plucked string, re-plucked each cycle and on sung steps;
+ *   symmetry sets pluck brightness, zingMorph how long it rings,
+ *   zingAmount the formant filters
+ */
+
+export const DEFAULT_VOICE_ENGINE = "formant";
+
+export const VOICE_ENGINES = {
+  formant: { label: "FM formant + Zing" },
+  glottal: { label: "Glottal pulse (LF)" },
+  wavetable: { label: "Wavetable" },
+  karplus: { label: "Plucked (Karplus-Strong)" },
+};
+
+export const VOICE_ENGINE_NAMES = Object.keys(VOICE_ENGINES);
+
+// Rd range of the LF model, tense (pressed) … lax (breathy)
+export const LF_RD_MIN = 0.3;
+export const LF_RD_MAX = 2.7;
+
+/**
+ * One period of the LF-model glottal flow derivative (Fant, Liljencrants
+ * & Lin 1985), shaped by the single Rd parameter (Fant 1995). The
+ * negative peak at glottal closure is -1; net flow over the period is 0.
+ * @param {number} rd - LF_RD_MIN … LF_RD_MAX
+ * @param {Float32Array} out - Filled with one period
+ * @returns {Float32Array} out
+ */
+export function lfPulse(rd, out) {
+  rd = Math.min(Math.max(rd, LF_RD_MIN), LF_RD_MAX);
+
+  // Rd → timing as fractions of the period
+  const ra = (-1 + 4.8 * rd) / 100;
+  const rk = (22.4 + 11.8 * rd) / 100;
+  const rg = (0.25 * rk) / ((0.11 * rd) / (0.5 + 1.2 * rk) - ra);
+  const tp = 1 / (2 * rg); // Peak flow
+  const te = tp * (1 + rk); // Closure (excitation)
+  const ta = ra; // Return phase time constant
+  const closed = 1 - te;
+  const wg = Math.PI / tp;
+
+  // Return phase decay: epsilon * ta = 1 - e^(-epsilon * closed)
+  let epsilon = 1 / ta;
+  for (let i = 0; i < 20; i++) {
+    const decay = Math.exp(-epsilon * closed);
+    const step = (epsilon * ta - 1 + decay) / (ta - closed * decay);
+    epsilon -= step;
+    if (Math.abs(step) < 1e-9) break;
+  }
+  const tail = Math.exp(-epsilon * closed);
+  const returnArea = (-1 / (epsilon * ta)) *
+    ((1 - tail) / epsilon - closed * tail);
+
+  // Open phase E0·e^(αt)·sin(wg·t), scaled to reach -1 at te
+  const sinTe = Math.sin(wg * te);
+  const cosTe = Math.cos(wg * te);
+  const openArea = (alpha) =>
+    (-(alpha * sinTe - wg * cosTe + wg * Math.exp(-alpha * te))) /
+    ((alpha * alpha + wg * wg) * sinTe);
+
+  // Growth α that makes the flow return to zero (openArea falls with α)
+  let low = -wg;
+  let high = 20 * wg;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (openArea(mid) + returnArea > 0) low = mid;
+    else high = mid;
+  }
+  const alpha = (low + high) / 2;
+  const e0 = -1 / (Math.exp(alpha * te) * sinTe);
+
+  const size = out.length;
+  for (let i = 0; i < size; i++) {
+    const t = i / size;
+    out[i] = t <= te
+      ? e0 * Math.exp(alpha * t) * Math.sin(wg * t)
+      : (-1 / (epsilon * ta)) *
+        (Math.exp(-epsilon * (t - te)) - tail);
+  }
+  return out;
+}
+
+// Wavetable shapes in scan order: harmonic number → amplitude
+const WAVETABLE_SHAPES = [
+  (h) => (h === 1 ? 1 : 0), // Sine
+  (h) => (h % 2 ? (((h - 1) / 2) % 2 ? -1 : 1) / (h * h) : 0), // Triangle
+  (h) => (h % 2 ? 1 / h : 0), // Square
+  (h) => 1 / h, // Saw
+];
+
+export const WAVETABLE_FRAMES = WAVETABLE_SHAPES.length;
+
+/**
+ * One band-limited cycle of a wavetable frame, peak normalised to 1
+ * @param {number} frame - 0 … WAVETABLE_FRAMES - 1
+ * @param {number} harmonics - Highest harmonic to include
+ * @param {number} size - Samples per cycle (power of two)
+ * @returns {Float32Array}
+ */
+export function buildWavetable(frame, harmonics, size) {
+  const shape = WAVETABLE_SHAPES[frame];
+  const table = new Float32Array(size);
+  const sine = new Float32Array(size);
+  for (let i = 0; i < size; i++) sine[i] = Math.sin((2 * Math.PI * i) / size);
+
+  const top = Math.min(Math.max(harmonics, 1), size / 2 - 1);
+  for (let h = 1; h <= top; h++) {
+    const amp = shape(h);
+    if (amp === 0) continue;
+    for (let i = 0; i < size; i++) {
+      table[i] += amp * sine[(h * i) & (size - 1)];
+    }
+  }
+
+  let peak = 0;
+  for (let i = 0; i < size; i++) peak = Math.max(peak, Math.abs(table[i]));
+  if (peak > 0) {
+    for (let i = 0; i < size; i++) table[i] /= peak;
+  }
+  return table;
+}
@@ -0,0 +1,495 @@
+/**
+ * Vowel Tables for Voice.Assembly.FM
+ * Vowel points placed on the vowelX/vowelY plane, each with F1–F5
+ * frequencies, bandwidths and amplitudes. Shared by ctrl (selection),
+ * synth main thread (validation) and voice worklet (interpolation).
+ *
+ * Plane: x = 0 back … 1 front, y = 0 close … 1 open, matching the
+ * original four corners (u, ɔ, i, æ). A table of exactly those four
+ * corners blends bilinearly, as the original voice did; any other table
+ * uses inverse-distance (Shepard) interpolation, so it can hold any
+ * number of vowels anywhere on the plane.
+ *
+ * Choir tables use the classic bass/tenor/alto/soprano formant data
+ * (F1–F5, amplitudes in dB relative to F1).
+ *
+ * Voice types (assigned per synth by the ctrl) pick one of the choir
+ * tables and make the formants register-aware: outside the voice's
+ * comfortable range the whole set shifts with the fundamental, and F1
+ * never sits below f0 (singers tune F1 to the fundamental on high notes).
+ */
+
+export const FORMANT_COUNT = 5;
+
+export const DEFAULT_VOWEL_TABLE = "classic";
+
+// Bandwidth for formants a custom table leaves out (Hz)
+const DEFAULT_BANDWIDTH = 100;
+
+// Shepard weighting exponent; higher = flatter around each vowel
+const IDW_POWER = 2;
+
+// How strongly formants follow f0 outside a voice's range (0 = not at all)
+const REGISTER_EXPONENT = 0.25;
+
+/**
+ * @typedef {Object} VowelPoint
+ * @property {string} ipa - IPA label
+ * @property {number} x - 0 back … 1 front
+ * @property {number} y - 0 close … 1 open
+ * @property {number[]} freqs - Formant frequencies in Hz (F1 first)
+ * @property {number[]} [bandwidths] - Formant bandwidths in Hz
+ * @property {number[]} [amps] - Linear formant amplitudes (default 1)
+ */
+
+/**
+ * @typedef {Object} VowelTable
+ * @property {string} [name]
+ * @property {string} [label]
+ * @property {VowelPoint[]} points
+ * @property {VowelPoint[]|null} [corners] - [back close, back open, front
+ *   close, front open] when the points are exactly the plane's corners
+ */
+
+/**
+ * Vowel point from dB amplitudes
+ * @param {string} ipa
+ * @param {number[]} position - [x, y]
+ * @param {number[]} freqs
+ * @param {number[]} bandwidths
+ * @param {number[]} ampsDb - Relative to F1
+ * @returns {VowelPoint}
+ */
+function vowel(ipa, position, freqs, bandwidths, ampsDb) {
+  return {
+    ipa,
+    x: position[0],
+    y: position[1],
+    freqs,
+    bandwidths,
+    amps: ampsDb.map((db) => Math.pow(10, db / 20)),
+  };
+}
+
+// IPA chart positions for the five choir vowels
+const A = [0.6, 1];
+const E = [1, 0.33];
+const I = [1, 0];
+const O = [0, 0.33];
+const U = [0, 0];
+
+/**
+ * Vowel name → [x, y] on the vowel plane ("@" is schwa, the centre)
+ * @type {Record<string, number[]>}
+ */
+export const VOWEL_POSITIONS = {
+  a: A,
+  e: E,
+  i: I,
+  o: O,
+  u: U,
+  "@": [0.5, 0.5],
+};
+
+/** @type {Record<string, VowelTable>} */
+export const VOWEL_TABLES = {
+  // The original four-corner space, three formants
+  classic: {
+    label: "classic",
+    points: [
+      {
+        ipa: "u",
+        x: 0,
+        y: 0,
+        freqs: [240, 596, 2400],
+        bandwidths: [80, 90, 120],
+        amps: [0.3, 0.2, 0.1],
+      },
+      {
+        ipa: "ɔ",
+        x: 0,
+        y: 1,
+        freqs: [730, 1090, 2440],
+        bandwidths: [80, 90, 120],
+        amps: [1.0, 0.5, 0.2],
+      },
+      {
+        ipa: "i",
+        x: 1,
+        y: 0,
+        freqs: [270, 2290, 3010],
+        bandwidths: [80, 90, 120],
+        amps: [0.4, 1.0, 0.3],
+      },
+      {
+        ipa: "æ",
+        x: 1,
+        y: 1,
+        freqs: [850, 1610, 2850],
+        bandwidths: [80, 90, 120],
+        amps: [0.8, 0.7, 0.3],
+      },
+    ],
+  },
+
+  bass: {
+    label: "bass",
+    points: [
+      vowel(
+        "a",
+        A,
+        [600, 1040, 2250, 2450, 2750],
+        [60, 70, 110, 120, 130],
+        [0, -7, -9, -9, -20],
+      ),
+      vowel(
+        "e",
+        E,
+        [400, 1620, 2400, 2800, 3100],
+        [40, 80, 100, 120, 120],
+        [0, -12, -9, -12, -18],
+      ),
+      vowel(
+        "i",
+        I,
+        [250, 1750, 2600, 3050, 3340],
+        [60, 90, 100, 120, 120],
+        [0, -30, -16, -22, -28],
+      ),
+      vowel(
+        "o",
+        O,
+        [400, 750, 2400, 2600, 2900],
+        [40, 80, 100, 120, 120],
+        [0, -11, -21, -20, -40],
+      ),
+      vowel(
+        "u",
+        U,
+        [350, 600, 2400, 2675, 2950],
+        [40, 80, 100, 120, 120],
+        [0, -20, -32, -28, -36],
+      ),
+    ],
+  },
+
+  tenor: {
+    label: "tenor",
+    points: [
+      vowel(
+        "a",
+        A,
+        [650, 1080, 2650, 2900, 3250],
+        [80, 90, 120, 130, 140],
+        [0, -6, -7, -8, -22],
+      ),
+      vowel(
+        "e",
+        E,
+        [400, 1700, 2600, 3200, 3580],
+        [70, 80, 100, 120, 120],
+        [0, -14, -12, -14, -20],
+      ),
+      vowel(
+        "i",
+        I,
+        [290, 1870, 2800, 3250, 3540],
+        [40, 90, 100, 120, 120],
+        [0, -15, -18, -20, -30],
+      ),
+      vowel(
+        "o",
+        O,
+        [400, 800, 2600, 2800, 3000],
+        [40, 80, 100, 120, 120],
+        [0, -10, -12, -12, -26],
+      ),
+      vowel(
+        "u",
+        U,
+        [350, 600, 2700, 2900, 3300],
+        [40, 60, 100, 120, 120],
+        [0, -20, -17, -14, -26],
+      ),
+    ],
+  },
+
+  alto: {
+    label: "alto",
+    points: [
+      vowel(
+        "a",
+        A,
+        [800, 1150, 2800, 3500, 4950],
+        [80, 90, 120, 130, 140],
+        [0, -4, -20, -36, -60],
+      ),
+      vowel(
+        "e",
+        E,
+        [400, 1600, 2700, 3300, 4950],
+        [60, 80, 120, 150, 200],
+        [0, -24, -30, -35, -60],
+      ),
+      vowel(
+        "i",
+        I,
+        [350, 1700, 2700, 3700, 4950],
+        [50, 100, 120, 150, 200],
+        [0, -20, -30, -36, -60],
+      ),
+      vowel(
+        "o",
+        O,
+        [450, 800, 2830, 3500, 4950],
+        [70, 80, 100, 130, 135],
+        [0, -9, -16, -28, -55],
+      ),
+      vowel(
+        "u",
+        U,
+        [325, 700, 2530, 3500, 4950],
+        [50, 60, 170, 180, 200],
+        [0, -12, -30, -40, -64],
+      ),
+    ],
+  },
+
+  soprano: {
+    label: "soprano",
+    points: [
+      vowel(
+        "a",
+        A,
+        [800, 1150, 2900, 3900, 4950],
+        [80, 90, 120, 130, 140],
+        [0, -6, -32, -20, -50],
+      ),
+      vowel(
+        "e",
+        E,
+        [350, 2000, 2800, 3600, 4950],
+        [60, 100, 120, 150, 200],
+        [0, -20, -15, -40, -56],
+      ),
+      vowel(
+        "i",
+        I,
+        [270, 2140, 2950, 3900, 4950],
+        [60, 90, 100, 120, 120],
+        [0, -12, -26, -26, -44],
+      ),
+      vowel(
+        "o",
+        O,
+        [450, 800, 2830, 3800, 4950],
+        [70, 80, 100, 130, 135],
+        [0, -11, -22, -22, -50],
+      ),
+      vowel(
+        "u",
+        U,
+        [325, 700, 2700, 3800, 4950],
+        [50, 60, 170, 180, 200],
+        [0, -16, -35, -40, -60],
+      ),
+    ],
+  },
+};
+
+export const VOWEL_TABLE_NAMES = Object.keys(VOWEL_TABLES);
+
+/**
+ * Pad a per-formant array to FORMANT_COUNT
+ * @param {number[]|undefined} values
+ * @param {number} fill
+ * @returns {number[]}
+ */
+function padFormants(values, fill) {
+  const padded = [];
+  for (let f = 0; f < FORMANT_COUNT; f++) {
+    padded.push(values?.[f] ?? fill);
+  }
+  return padded;
+}
+
+/**
+ * The four corner points in bilinear order, if that is all the table has
+ * @param {VowelPoint[]} points
+ * @returns {VowelPoint[]|null}
+ */
+function gridCorners(points) {
+  if (points.length !== 4) return null;
+  const corner = (x, y) => points.find((p) => p.x === x && p.y === y);
+  const corners = [corner(0, 0), corner(0, 1), corner(1, 0), corner(1, 1)];
+  return corners.every(Boolean) ? corners : null;
+}
+
+/**
+ * Resolve a table name or custom table into points with exactly
+ * FORMANT_COUNT formants each (missing formants are silent)
+ * @param {string|VowelTable} table - Name in VOWEL_TABLES or a custom table
+ * @returns {VowelTable} - Unknown names fall back to the default table
+ */
+export function resolveVowelTable(table) {
+  let name, source;
+  if (typeof table === "string") {
+    name = VOWEL_TABLES[table] ? table : DEFAULT_VOWEL_TABLE;
+    source = VOWEL_TABLES[name];
+  } else {
+    name = table.name || "custom";
+    source = table;
+  }
+
+  const points = source.points.map((point) => {
+    const formants = point.freqs.length;
+    return {
+      ipa: point.ipa,
+      x: point.x,
+      y: point.y,
+      // Repeat the top formant so blends with fuller points stay in range
+      freqs: padFormants(point.freqs, point.freqs[formants - 1]),
+      bandwidths: padFormants(point.bandwidths, DEFAULT_BANDWIDTH),
+      // Formants the point doesn't define get no energy
+      amps: padFormants(point.amps, 1).map((amp, f) => f < formants ? amp : 0),
+    };
+  });
+
+  return {
+    name,
+    label: source.label || name,
+    points,
+    corners: gridCorners(points),
+  };
+}
+
+/**
+ * @typedef {Object} FormantSet
+ * @property {number[]} freqs
+ * @property {number[]} bandwidths
+ * @property {number[]} amps
+ */
+
+/**
+ * Formants at a point on the vowel plane. A four-corner table blends
+ * bilinearly. Otherwise a position on a vowel point returns that vowel
+ * exactly; elsewhere every point contributes with weight
+ * 1/distance^IDW_POWER.
+ * @param {VowelTable} table - From resolveVowelTable
+ * @param {number} x
+ * @param {number} y
+ * @param {FormantSet} [out] - Reused to avoid allocating per sample
+ * @returns {FormantSet}
+ */
+export function interpolateVowel(table, x, y, out) {
+  const result = out || {
+    freqs: new Array(FORMANT_COUNT).fill(0),
+    bandwidths: new Array(FORMANT_COUNT).fill(0),
+    amps: new Array(FORMANT_COUNT).fill(0),
+  };
+  result.freqs.fill(0);
+  result.bandwidths.fill(0);
+  result.amps.fill(0);
+
+  if (table.corners) {
+    for (let c = 0; c < 4; c++) {
+      const point = table.corners[c];
+      const weight = (c < 2 ? 1 - x : x) * (c % 2 ? y : 1 - y);
+      for (let f = 0; f < FORMANT_COUNT; f++) {
+        result.freqs[f] += weight * point.freqs[f];
+        result.bandwidths[f] += weight * point.bandwidths[f];
+        result.amps[f] += weight * point.amps[f];
+      }
+    }
+    return result;
+  }
+
+  let totalWeight = 0;
+  for (const point of table.points) {
+    const dx = x - point.x;
+    const dy = y - point.y;
+    const distanceSq = dx * dx + dy * dy;
+
+    if (distanceSq < 1e-12) {
+      for (let f = 0; f < FORMANT_COUNT; f++) {
+        result.freqs[f] = point.freqs[f];
+        result.bandwidths[f] = point.bandwidths[f];
+        result.amps[f] = point.amps[f];
+      }
+      return result;
+    }
+
+    const weight = 1 / Math.pow(distanceSq, IDW_POWER / 2);
+    totalWeight += weight;
+    for (let f = 0; f < FORMANT_COUNT; f++) {
+      result.freqs[f] += weight * point.freqs[f];
+      result.bandwidths[f] += weight * point.bandwidths[f];
+      result.amps[f] += weight * point.amps[f];
+    }
+  }
+
+  for (let f = 0; f < FORMANT_COUNT; f++) {
+    result.freqs[f] /= totalWeight;
+    result.bandwidths[f] /= totalWeight;
+    result.amps[f] /= totalWeight;
+  }
+  return result;
+}
+
+/**
+ * @typedef {Object} VoiceType
+ * @property {string} label
+ * @property {string} table - Name in VOWEL_TABLES
+ * @property {number[]} range - Comfortable f0 range [low, high] in Hz
+ */
+
+/** @type {Record<string, VoiceType>} */
+export const VOICE_TYPES = {
+  bass: { label: "bass", table: "bass", range: [82, 262] }, // E2–C4
+  tenor: { label: "tenor", table: "tenor", range: [131, 440] }, // C3–A4
+  alto: { label: "alto", table: "alto", range: [175, 587] }, // F3–D5
+  soprano: { label: "soprano", table: "soprano", range: [262, 880] }, // C4–A5
+};
+
+export const VOICE_TYPE_NAMES = Object.keys(VOICE_TYPES);
+
+/**
+ * Table a synth should sing from. A voice type replaces the program's
+ * built-in table with its own; custom tables are kept as written.
+ * @param {string|VowelTable} programTable
+ * @param {string|null} voiceType - Name in VOICE_TYPES
+ * @returns {string|VowelTable}
+ */
+export function tableForVoice(programTable, voiceType) {
+  const voice = voiceType ? VOICE_TYPES[voiceType] : null;
+  if (!voice || typeof programTable !== "string") return programTable;
+  return voice.table;
+}
+
+/**
+ * Shift formant frequencies for a voice singing at f0
+ * @param {number[]} freqs - Interpolated formant frequencies (F1 first)
+ * @param {VoiceType} voice
+ * @param {number} f0 - Fundamental in Hz
+ * @param {number[]} [out] - Reused to avoid allocating per sample
+ * @returns {number[]}
+ */
+export function registerFormants(freqs, voice, f0, out) {
+  const result = out || new Array(freqs.length);
+  const [low, high] = voice.range;
+
+  let scale = 1;
+  if (f0 > high) scale = Math.pow(f0 / high, REGISTER_EXPONENT);
+  else if (f0 > 0 && f0 < low) scale = Math.pow(f0 / low, REGISTER_EXPONENT);
+
+  for (let f = 0; f < freqs.length; f++) {
+    result[f] = freqs[f] * scale;
+  }
+  // F1 tuning: keep the first resonance on or above the fundamental,
+  // pushing any higher formant it overtakes along with it
+  if (result[0] < f0) result[0] = f0;
+  for (let f = 1; f < result.length; f++) {
+    if (result[f] < result[f - 1]) result[f] = result[f - 1];
+  }
+  return result;
+}
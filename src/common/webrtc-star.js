@@ -3,9 +3,16 @@
  * Handles peer-to-peer connections and data channels in star topology
  */
 
+import { decodeBinaryMessage, encodeBinaryMessage } from "./binary-codec.js";
 import {
+  channelFor,
+  checkProtocolCompatibility,
+  DATA_CHANNELS,
   MessageBuilder,
   MessageTypes,
+  migrateMessage,
+  negotiateFeatures,
+  readProtocolInfo,
   validateMessage,
 } from "./message-protocol.js";
 
@@ -16,6 +23,8 @@ export class WebRTCStar extends EventTarget {
     this.peerType = peerType; // 'ctrl' or 'synth'
     this.verbose = false; // toggle for noisy logs
     this.forceTakeover = false; // will be set by connect()
+    this.room = DEFAULT_ROOM; // Session on the signaling server (see setRoom)
+    this.ctrlRole = CtrlRoles.PRIMARY; // Ctrl only: primary hub or secondary editor
 
     // Network state
     this.peers = new Map(); // peerId -> PeerConnection
@@ -26,6 +35,9 @@ export class WebRTCStar extends EventTarget {
     this.pingInterval = null;
     this.pingTimeouts = new Map();
 
+    // Optional AudioContext clock for clock-offset estimation (see setAudioClock)
+    this.audioClock = null;
+
     // Ctrl list retry mechanism (for synths)
     this.ctrlRetryCount = 0;
     this.maxCtrlRetries = 3;
@@ -94,8 +106,10 @@ export class WebRTCStar extends EventTarget {
    * Star topology: ctrl connects to synths, synths connect to ctrl
    */
   shouldConnectToPeer(peerType) {
-    if (this.peerType === "ctrl") {
-      return peerType === "synth"; // Ctrl connects to synths
+    if (this.isSecondaryCtrl()) {
+      return peerType === "ctrl"; // Secondary ctrls connect to the primary only
+    } else if (this.peerType === "ctrl") {
+      return peerType === "synth" || peerType === "ctrl"; // Synths + secondaries
     } else if (this.peerType === "synth") {
       return peerType === "ctrl"; // Synths connect to ctrl
     }
@@ -139,6 +153,38 @@ export class WebRTCStar extends EventTarget {
     );
   }
 
+  /**
+   * Set the room (session) to register in; call before connect()
+   * @param {string} room - Room name
+   */
+  setRoom(room) {
+    this.room = normalizeRoom(room);
+  }
+
+  /**
+   * Set the ctrl role (primary or secondary); call before connect()
+   * @param {string} role - One of CtrlRoles
+   */
+  setCtrlRole(role) {
+    this.ctrlRole = role === CtrlRoles.SECONDARY
+      ? CtrlRoles.SECONDARY
+      : CtrlRoles.PRIMARY;
+  }
+
+  /**
+   * Secondary ctrls join like synths: they discover and dial the primary
+   */
+  isSecondaryCtrl() {
+    return this.peerType === "ctrl" && this.ctrlRole === CtrlRoles.SECONDARY;
+  }
+
+  /**
+   * Whether this peer discovers controllers via request-ctrls
+   */
+  discoversCtrls() {
+    return this.peerType === "synth" || this.isSecondaryCtrl();
+  }
+
   /**
    * Connect to signaling server and register
    */
@@ -161,8 +207,13 @@ export class WebRTCStar extends EventTarget {
         const registerMessage = {
           type: "register",
           client_id: this.peerId,
+          room: this.room,
         };
 
+        if (this.peerType === "ctrl") {
+          registerMessage.ctrl_role = this.ctrlRole;
+        }
+
         if (this.peerType === "ctrl" && forceTakeover) {
           registerMessage.force_takeover = true;
         }
@@ -171,7 +222,7 @@ export class WebRTCStar extends EventTarget {
 
         // Request peer lists after registration
         setTimeout(() => {
-          if (this.peerType === "synth") {
+          if (this.discoversCtrls()) {
             this.sendSignalingMessage({
               type: "request-ctrls",
             });
@@ -232,7 +283,7 @@ export class WebRTCStar extends EventTarget {
   async handleSignalingMessage(message) {
     switch (message.type) {
       case "ctrls-list":
-        if (this.peerType === "synth") {
+        if (this.discoversCtrls()) {
           if (this.verbose) {
             console.log("SYNTH-DISCOVERY: Received ctrls list:", message.ctrls);
           }
@@ -308,7 +359,7 @@ export class WebRTCStar extends EventTarget {
         break;
 
       case "ctrl-joined":
-        if (this.peerType === "synth") {
+        if (this.discoversCtrls()) {
           // Reset retry counter since a controller is now available
           this.ctrlRetryCount = 0;
           if (this.ctrlRetryTimeout) {
@@ -354,6 +405,28 @@ export class WebRTCStar extends EventTarget {
         }
         break;
 
+      case "secondary-joined":
+        if (this.peerType === "ctrl" && !this.isSecondaryCtrl()) {
+          if (this.verbose) {
+            console.log(
+              `🎛️ Secondary ctrl joined: ${message.ctrl_id} (waiting for offer)`,
+            );
+          }
+          if (!this.peers.has(message.ctrl_id)) {
+            await this.createPeerConnection(message.ctrl_id, false);
+          }
+        }
+        break;
+
+      case "secondary-left":
+        if (message.ctrl_id !== this.peerId) {
+          if (this.verbose) {
+            console.log(`👋 Secondary ctrl left: ${message.ctrl_id}`);
+          }
+          this.removePeer(message.ctrl_id);
+        }
+        break;
+
       case "synths-list":
         if (this.peerType === "ctrl") {
           if (this.verbose) {
@@ -449,13 +522,8 @@ export class WebRTCStar extends EventTarget {
       return;
     }
 
-    // Determine peer type based on star topology
-    let targetPeerType;
-    if (this.peerType === "ctrl") {
-      targetPeerType = "synth"; // Ctrl connects to synths
-    } else {
-      targetPeerType = "ctrl"; // Synths connect to ctrl
-    }
+    // Determine peer type from the ID prefix (ctrls also link to secondary ctrls)
+    const targetPeerType = peerId.startsWith("ctrl-") ? "ctrl" : "synth";
 
     const peerConnection = new RTCPeerConnection({
       iceServers: this.iceServers,
@@ -467,6 +535,7 @@ export class WebRTCStar extends EventTarget {
       peerType: targetPeerType, // Store the peer type
       syncChannel: null,
       controlChannel: null,
+      channelStats: createChannelStats(),
       connectedEventSent: false,
       initiator: shouldInitiate, // Track who initiated for reconnection
       pendingCandidates: [], // Buffer ICE candidates when no remote description
@@ -482,25 +551,11 @@ export class WebRTCStar extends EventTarget {
     });
 
     // Create data channels if we're initiating
-    let syncChannel, controlChannel;
-
     if (shouldInitiate) {
       if (this.verbose) {
         console.log(`📡 Creating data channels for ${peerId} (initiator)`);
       }
-
-      syncChannel = peerConnection.createDataChannel("sync", {
-        ordered: false,
-        maxRetransmits: 0,
-      });
-
-      controlChannel = peerConnection.createDataChannel("control", {
-        ordered: true,
-      });
-
-      // Set up channels immediately after creation
-      this.setupDataChannel(syncChannel, peerId);
-      this.setupDataChannel(controlChannel, peerId);
+      this.createDataChannels(peerConnection, peerId);
     }
 
     // Set up all connection event handlers
@@ -525,6 +580,16 @@ export class WebRTCStar extends EventTarget {
     }
   }
 
+  /**
+   * Create and set up every channel in DATA_CHANNELS (initiator side)
+   */
+  createDataChannels(peerConnection, peerId) {
+    for (const [label, options] of Object.entries(DATA_CHANNELS)) {
+      const channel = peerConnection.createDataChannel(label, options);
+      this.setupDataChannel(channel, peerId);
+    }
+  }
+
   /**
    * Set up connection event handlers for a peer connection
    */
@@ -637,6 +702,9 @@ export class WebRTCStar extends EventTarget {
     const peer = this.peers.get(peerId);
     if (!peer) return;
 
+    // Binary-codec messages arrive as ArrayBuffers rather than Blobs
+    channel.binaryType = "arraybuffer";
+
     // Store channel reference
     if (channel.label === "sync") {
       peer.syncChannel = channel;
@@ -676,8 +744,11 @@ export class WebRTCStar extends EventTarget {
     );
 
     channel.addEventListener("message", (event) => {
+      countChannel(peer, channel.label, "received", event.data);
       try {
-        const message = JSON.parse(event.data);
+        const message = typeof event.data === "string"
+          ? migrateMessage(JSON.parse(event.data))
+          : decodeBinaryMessage(event.data);
         validateMessage(message);
         this.handleDataChannelMessage(peerId, channel.label, message);
       } catch (error) {
@@ -895,11 +966,26 @@ export class WebRTCStar extends EventTarget {
       return; // Discard invalid message
     }
 
+    // Version handshake between synths and the ctrl
+    if (message.type === MessageTypes.SYNTH_READY) {
+      this.handleSynthReady(peerId, message);
+    } else if (message.type === MessageTypes.SYNTH_WELCOME) {
+      this.handleSynthWelcome(peerId, message);
+    } else if (this.peers.get(peerId)?.protocol?.compatible === false) {
+      return; // Nothing but the handshake from incompatible peers
+    }
+
     // Handle ping/pong at network level
     if (message.type === MessageTypes.PING) {
-      // Respond to ping automatically
-      const pongMessage = MessageBuilder.pong(message.id, message.timestamp);
-      this.sendToPeer(peerId, pongMessage, channelType);
+      // Respond to ping automatically, echoing audio time for clock sync
+      const pongMessage = MessageBuilder.pong(
+        message.id,
+        message.timestamp,
+        performance.now(),
+        message.audioTime,
+        this.getAudioTime(),
+      );
+      this.sendToPeer(peerId, pongMessage);
       return; // Don't emit ping messages to application layer
     }
 
@@ -916,6 +1002,67 @@ export class WebRTCStar extends EventTarget {
     );
   }
 
+  /**
+   * Ctrl side of the handshake: check a synth's version and reply
+   */
+  handleSynthReady(peerId, message) {
+    const remote = readProtocolInfo(message);
+    const { compatible, reason } = checkProtocolCompatibility(remote);
+    const features = compatible ? negotiateFeatures(remote.features) : [];
+    this.setPeerProtocol(peerId, remote, compatible, reason, features);
+
+    this.sendToPeer(
+      peerId,
+      MessageBuilder.synthWelcome(compatible, features, reason),
+    );
+  }
+
+  /**
+   * Synth side of the handshake: the ctrl's verdict, double-checked here
+   * in case the ctrl is older than this synth
+   */
+  handleSynthWelcome(peerId, message) {
+    const remote = readProtocolInfo(message);
+    let { compatible, reason } = checkProtocolCompatibility(remote);
+    if (!message.accepted) {
+      compatible = false;
+      reason = message.reason || "rejected by controller";
+    }
+    const features = compatible ? negotiateFeatures(remote.features) : [];
+    this.setPeerProtocol(peerId, remote, compatible, reason, features);
+  }
+
+  /**
+   * Record a peer's negotiated protocol and announce it
+   */
+  setPeerProtocol(peerId, remote, compatible, reason, features) {
+    const peer = this.peers.get(peerId);
+    if (!peer) return;
+
+    peer.protocol = {
+      version: remote.protocolVersion,
+      compatible,
+      reason,
+      features,
+    };
+
+    if (compatible) {
+      console.log(
+        `🤝 ${peerId} speaks protocol v${remote.protocolVersion} (${
+          features.join(", ") || "no features"
+        })`,
+      );
+    } else {
+      console.error(`⛔ Incompatible peer ${peerId}: ${reason}`);
+    }
+
+    this.dispatchEvent(
+      new CustomEvent("peer-protocol", {
+        detail: { peerId, ...peer.protocol },
+      }),
+    );
+  }
+
   /**
    * Handle pong message for network health tracking
    */
@@ -939,9 +1086,47 @@ export class WebRTCStar extends EventTarget {
       if (this.verbose) {
         console.log(`🏓 Pong from ${peerId}: ${Math.round(rtt)}ms`);
       }
+
+      // Audio-clock sample for offset estimation (both ends had a clock)
+      const localReceive = this.getAudioTime();
+      if (
+        typeof pongMessage.pingAudioTime === "number" &&
+        typeof pongMessage.audioTime === "number" &&
+        localReceive !== null
+      ) {
+        this.dispatchEvent(
+          new CustomEvent("clock-sample", {
+            detail: {
+              peerId,
+              peerType: peer?.peerType,
+              localSend: pongMessage.pingAudioTime,
+              remoteTime: pongMessage.audioTime,
+              localReceive,
+            },
+          }),
+        );
+      }
     }
   }
 
+  /**
+   * Provide an AudioContext clock so pings carry audio timestamps
+   * @param {function(): (number|null)} clock - Returns current audio time, or null if unavailable
+   */
+  setAudioClock(clock) {
+    this.audioClock = clock;
+  }
+
+  /**
+   * Current audio time from the registered clock
+   * @returns {number|null}
+   */
+  getAudioTime() {
+    if (!this.audioClock) return null;
+    const time = this.audioClock();
+    return typeof time === "number" ? time : null;
+  }
+
   /**
    * Send message via signaling server
    */
@@ -953,10 +1138,25 @@ export class WebRTCStar extends EventTarget {
     }
   }
 
+  /**
+   * Throw if a message would be rejected by its receivers, so a malformed
+   * program fails at the sender instead of being dropped by every peer
+   */
+  validateOutgoing(message) {
+    try {
+      validateMessage(message);
+    } catch (error) {
+      console.error("❌ Refusing to send invalid message:", error.message);
+      throw error;
+    }
+  }
+
   /**
    * Send message to specific peer via data channel
    */
-  sendToPeer(peerId, message, channelType = "sync") {
+  sendToPeer(peerId, message, channelType = channelFor(message.type)) {
+    this.validateOutgoing(message);
+
     const peer = this.peers.get(peerId);
     if (!peer) {
       console.warn(`⚠️ Cannot send to unknown peer: ${peerId}`);
@@ -989,6 +1189,7 @@ export class WebRTCStar extends EventTarget {
         // Track dropped messages for diagnostics
         if (!peer.droppedSyncCount) peer.droppedSyncCount = 0;
         peer.droppedSyncCount++;
+        countChannel(peer, channelType, "dropped");
 
         // Log only first few drops to avoid spam
         if (peer.droppedSyncCount <= 3) {
@@ -1001,7 +1202,9 @@ export class WebRTCStar extends EventTarget {
     }
 
     try {
-      channel.send(JSON.stringify(message));
+      const data = this.encodeForPeer(peer, message);
+      channel.send(data);
+      countChannel(peer, channelType, "sent", data);
 
       // Reset warning count on successful send
       if (peer.channelWarningCount) {
@@ -1015,28 +1218,49 @@ export class WebRTCStar extends EventTarget {
     }
   }
 
+  /**
+   * Wire form of a message for a peer: binary when the peer negotiated
+   * the codec and the message has a binary form, JSON otherwise
+   */
+  encodeForPeer(peer, message) {
+    if (peer.protocol?.features.includes("binary-codec")) {
+      const binary = encodeBinaryMessage(message);
+      if (binary) return binary;
+    }
+    return JSON.stringify(message);
+  }
+
   /**
    * Broadcast message to all connected peers
    */
-  broadcast(message, channelType = "sync") {
+  broadcast(message, channelType = channelFor(message.type)) {
+    this.validateOutgoing(message); // Before any peer gets it
     let successCount = 0;
 
-    for (const [peerId] of this.peers) {
+    for (const [peerId, peer] of this.peers) {
+      if (peer.protocol?.compatible === false) continue;
       if (this.sendToPeer(peerId, message, channelType)) {
         successCount++;
       }
     }
 
+    this.dispatchBroadcast(message, channelType, null);
     return successCount;
   }
 
   /**
    * Broadcast message to peers of a specific type (e.g., 'synth', 'ctrl')
    */
-  broadcastToType(targetType, message, channelType = "sync") {
+  broadcastToType(
+    targetType,
+    message,
+    channelType = channelFor(message.type),
+  ) {
+    this.validateOutgoing(message); // Before any peer gets it
     let successCount = 0;
 
     for (const [peerId, peer] of this.peers) {
+      if (peer.protocol?.compatible === false) continue;
       if (peer.peerType === targetType) {
         if (this.sendToPeer(peerId, message, channelType)) {
           successCount++;
@@ -1044,9 +1268,22 @@ export class WebRTCStar extends EventTarget {
       }
     }
 
+    this.dispatchBroadcast(message, channelType, targetType);
     return successCount;
   }
 
+  /**
+   * Announce an outgoing broadcast (e.g. for the ctrl's session recorder)
+   * Fired even when no peers are connected, so journals don't depend on the ensemble
+   */
+  dispatchBroadcast(message, channelType, targetType) {
+    this.dispatchEvent(
+      new CustomEvent("broadcast", {
+        detail: { message, channelType, targetType },
+      }),
+    );
+  }
+
   /**
    * Start periodic ping timer
    */
@@ -1079,7 +1316,10 @@ export class WebRTCStar extends EventTarget {
       return;
     }
 
-    const pingMessage = MessageBuilder.ping();
+    const pingMessage = MessageBuilder.ping(
+      performance.now(),
+      this.getAudioTime(),
+    );
 
     // Set timeout for ping response
     const timeout = setTimeout(() => {
@@ -1091,7 +1331,7 @@ export class WebRTCStar extends EventTarget {
     }, 5000); // 5 second timeout
 
     this.pingTimeouts.set(pingMessage.id, timeout);
-    this.sendToPeer(peerId, pingMessage, "sync");
+    this.sendToPeer(peerId, pingMessage);
   }
 
   /**
@@ -1143,6 +1383,12 @@ export class WebRTCStar extends EventTarget {
       // Prevent duplicate events
       if (!peer.connectedEventSent) {
         peer.connectedEventSent = true;
+
+        // Synths open the version handshake with each ctrl
+        if (this.peerType === "synth" && peer.peerType === "ctrl") {
+          this.sendToPeer(peerId, MessageBuilder.synthReady());
+        }
+
         this.dispatchEvent(
           new CustomEvent("peer-connected", {
             detail: {
@@ -1362,15 +1608,7 @@ export class WebRTCStar extends EventTarget {
         peer.initiator = true;
 
         // Create data channels exactly once
-        const syncChannel = pc.createDataChannel("sync", {
-          ordered: false,
-          maxRetransmits: 0,
-        });
-        const controlChannel = pc.createDataChannel("control", {
-          ordered: true,
-        });
-        this.setupDataChannel(syncChannel, peerId);
-        this.setupDataChannel(controlChannel, peerId);
+        this.createDataChannels(pc, peerId);
 
         // Create and send offer
         const offer = await pc.createOffer();
@@ -1429,7 +1667,7 @@ export class WebRTCStar extends EventTarget {
     );
 
     // If synth loses its last controller, proactively request new list
-    if (this.peerType === "synth" && peerId.startsWith("ctrl-")) {
+    if (this.discoversCtrls() && peerId.startsWith("ctrl-")) {
       const remainingCtrlPeers = [...this.peers.keys()].filter((id) =>
         id.startsWith("ctrl-")
       );
@@ -1461,6 +1699,8 @@ export class WebRTCStar extends EventTarget {
       peerStats[peerId] = {
         connectionState: peer.connection.connectionState,
         peerType: peer.peerType,
+        protocol: peer.protocol || null, // null until the handshake
+        channels: this.getChannelStats(peer),
       };
     }
 
@@ -1472,6 +1712,24 @@ export class WebRTCStar extends EventTarget {
     };
   }
 
+  /**
+   * Per-channel state and traffic counters for one peer
+   */
+  getChannelStats(peer) {
+    const channels = {};
+    for (const [label, options] of Object.entries(DATA_CHANNELS)) {
+      const channel = label === "sync" ? peer.syncChannel : peer.controlChannel;
+      channels[label] = {
+        reliable: options.maxRetransmits === undefined,
+        ordered: options.ordered,
+        readyState: channel?.readyState || "none",
+        bufferedAmount: channel?.bufferedAmount || 0,
+        ...peer.channelStats[label],
+      };
+    }
+    return channels;
+  }
+
   /**
    * Get detailed peer diagnostics including ICE type and RTT
    */
@@ -1595,6 +1853,67 @@ export class WebRTCStar extends EventTarget {
   }
 }
 
+/**
+ * Zeroed traffic counters for every data channel
+ */
+function createChannelStats() {
+  const stats = {};
+  for (const label of Object.keys(DATA_CHANNELS)) {
+    stats[label] = {
+      sent: 0,
+      received: 0,
+      dropped: 0, // Skipped by sync-channel pacing
+      bytesSent: 0,
+      bytesReceived: 0,
+    };
+  }
+  return stats;
+}
+
+/**
+ * Count a message on a peer's channel
+ * @param {Object} peer
+ * @param {string} label - Channel label
+ * @param {"sent"|"received"|"dropped"} counter
+ * @param {string|ArrayBuffer} [data] - Payload, for byte counts (strings are mostly ASCII JSON, so length ≈ bytes)
+ */
+function countChannel(peer, label, counter, data) {
+  const stats = peer.channelStats?.[label];
+  if (!stats) return;
+  stats[counter]++;
+  if (data === undefined) return;
+  const bytes = typeof data === "string" ? data.length : data.byteLength;
+  if (counter === "sent") stats.bytesSent += bytes;
+  if (counter === "received") stats.bytesReceived += bytes;
+}
+
+export const DEFAULT_ROOM = "default";
+
+export const CtrlRoles = {
+  PRIMARY: "primary", // Owns transport, timing and the synth connections
+  SECONDARY: "secondary", // Edits assigned parameters through the primary
+};
+
+/**
+ * Sanitize a room name (must match the server's normalizeRoom)
+ * @param {string|null|undefined} room - Raw room name
+ * @returns {string}
+ */
+export function normalizeRoom(room) {
+  if (typeof room !== "string") return DEFAULT_ROOM;
+  const name = room.toLowerCase().replace(/[^a-z0-9_-]/g, "").slice(0, 32);
+  return name || DEFAULT_ROOM;
+}
+
+/**
+ * Room from the page URL (?room=name), falling back to the default room
+ * @returns {string}
+ */
+export function getRoomFromLocation() {
+  const params = new URLSearchParams(globalThis.location?.search || "");
+  return normalizeRoom(params.get("room"));
+}
+
 /**
  * Generate unique peer ID
  */
@@ -76,6 +76,12 @@ export async function handleStaticFiles(
     if (response) return response;
   }
 
+  // Handle emulator (virtual synth voices for load testing)
+  if (pathname === "/emulator" || pathname === "/emulator/") {
+    const response = await getStaticFile("public/emulator/index.html");
+    if (response) return response;
+  }
+
   // Handle ctrl client files
   if (pathname.startsWith("/ctrl/")) {
     const filePath = pathname.replace("/ctrl/", "public/ctrl/");
@@ -2,6 +2,14 @@
  * KV store operations for Voice.Assembly.FM signaling server
  */
 
+import { load } from "std/dotenv/mod.ts";
+
+// Load environment variables
+const env = await load();
+
+// Presence backend: "memory" or "kv" (default)
+const PRESENCE_STORE = env.PRESENCE_STORE || Deno.env.get("PRESENCE_STORE");
+
 // Types for KV entries
 export interface KVCtrlEntry {
   client_id: string;
@@ -27,7 +35,7 @@ export interface KVOperations {
 }
 
 /**
- * Create KV operations wrapper
+ * Create KV operations wrapper backed by Deno KV
  */
 export async function createKVOperations(): Promise<KVOperations> {
   const kv = await Deno.openKv();
@@ -61,6 +69,95 @@ export async function createKVOperations(): Promise<KVOperations> {
   };
 }
 
+/**
+ * Create in-memory KV operations (single process, no persistence)
+ * Lets the server run offline, e.g. on a laptop in a rehearsal room
+ */
+export function createMemoryOperations(): KVOperations {
+  const entries = new Map<
+    string,
+    { key: (string | number)[]; value: unknown; expiresAt: number | null }
+  >();
+
+  const encode = (key: (string | number)[]) => JSON.stringify(key);
+
+  const isExpired = (entry: { expiresAt: number | null }) =>
+    entry.expiresAt !== null && entry.expiresAt <= Date.now();
+
+  return {
+    get: (key: (string | number)[]) => {
+      const entry = entries.get(encode(key));
+      if (!entry) return Promise.resolve(null);
+      if (isExpired(entry)) {
+        entries.delete(encode(key));
+        return Promise.resolve(null);
+      }
+      return Promise.resolve(entry.value ? { value: entry.value } : null);
+    },
+
+    set: (
+      key: (string | number)[],
+      value: unknown,
+      options?: { expireIn?: number },
+    ) => {
+      entries.set(encode(key), {
+        key: [...key],
+        value,
+        expiresAt: options?.expireIn ? Date.now() + options.expireIn : null,
+      });
+      return Promise.resolve();
+    },
+
+    delete: (key: (string | number)[]) => {
+      entries.delete(encode(key));
+      return Promise.resolve();
+    },
+
+    list: async function* (options: { prefix: (string | number)[] }) {
+      const { prefix } = options;
+      // Snapshot so callers can delete while iterating (as with Deno KV)
+      for (const [id, entry] of [...entries]) {
+        if (isExpired(entry)) {
+          entries.delete(id);
+          continue;
+        }
+        if (
+          entry.key.length > prefix.length &&
+          prefix.every((part, i) => entry.key[i] === part)
+        ) {
+          yield { key: [...entry.key], value: entry.value };
+        }
+      }
+    },
+  };
+}
+
+/**
+ * Create the presence store used by the signaling server
+ * PRESENCE_STORE=memory forces the in-memory backend; otherwise Deno KV is
+ * used, falling back to memory when KV is unavailable (e.g. no --unstable-kv)
+ */
+export async function createPresenceStore(
+  backend: string | undefined = PRESENCE_STORE,
+): Promise<KVOperations> {
+  if (backend === "memory") {
+    console.log("🗄️ Presence store: in-memory");
+    return createMemoryOperations();
+  }
+
+  try {
+    const kv = await createKVOperations();
+    console.log("🗄️ Presence store: Deno KV");
+    return kv;
+  } catch (error) {
+    console.warn(
+      "⚠️ Deno KV unavailable, falling back to in-memory presence store:",
+      error,
+    );
+    return createMemoryOperations();
+  }
+}
+
 /**
  * Cleanup stale KV entries on startup
  */
@@ -0,0 +1,152 @@
+/**
+ * OSC 1.0 encoding/decoding for the Voice.Assembly.FM OSC bridge
+ * Supports the argument types Max, SuperCollider and TouchDesigner send by
+ * default: int32, float32, string, blob, true/false, nil; bundles are flattened
+ */
+
+export type OscArg = number | string | boolean | null | Uint8Array;
+
+export interface OscMessage {
+  address: string;
+  args: OscArg[];
+}
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// OSC strings and blobs are padded to 4-byte boundaries
+const pad4 = (n: number) => (n + 3) & ~3;
+
+function readString(
+  view: DataView,
+  offset: number,
+): { value: string; next: number } {
+  let end = offset;
+  while (end < view.byteLength && view.getUint8(end) !== 0) end++;
+  const bytes = new Uint8Array(
+    view.buffer,
+    view.byteOffset + offset,
+    end - offset,
+  );
+  return { value: decoder.decode(bytes), next: pad4(end + 1) };
+}
+
+/**
+ * Decode an OSC packet (message or bundle) into a flat list of messages
+ */
+export function decodeOsc(data: Uint8Array): OscMessage[] {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const head = readString(view, 0);
+
+  if (head.value === "#bundle") {
+    const messages: OscMessage[] = [];
+    let offset = head.next + 8; // Skip timetag - bridge delivers immediately
+    while (offset + 4 <= data.byteLength) {
+      const size = view.getInt32(offset);
+      offset += 4;
+      messages.push(...decodeOsc(data.subarray(offset, offset + size)));
+      offset += size;
+    }
+    return messages;
+  }
+
+  const address = head.value;
+  if (!address.startsWith("/")) {
+    throw new Error(`Invalid OSC address: ${address}`);
+  }
+
+  const args: OscArg[] = [];
+  if (head.next >= data.byteLength) return [{ address, args }];
+
+  const tags = readString(view, head.next);
+  let offset = tags.next;
+  for (const tag of tags.value.slice(1)) {
+    switch (tag) {
+      case "i":
+        args.push(view.getInt32(offset));
+        offset += 4;
+        break;
+      case "f":
+        args.push(view.getFloat32(offset));
+        offset += 4;
+        break;
+      case "d":
+        args.push(view.getFloat64(offset));
+        offset += 8;
+        break;
+      case "s":
+      case "S": {
+        const str = readString(view, offset);
+        args.push(str.value);
+        offset = str.next;
+        break;
+      }
+      case "b": {
+        const size = view.getInt32(offset);
+        args.push(data.slice(offset + 4, offset + 4 + size));
+        offset = pad4(offset + 4 + size);
+        break;
+      }
+      case "T":
+        args.push(true);
+        break;
+      case "F":
+        args.push(false);
+        break;
+      case "N":
+        args.push(null);
+        break;
+      default:
+        throw new Error(`Unsupported OSC type tag: ${tag}`);
+    }
+  }
+
+  return [{ address, args }];
+}
+
+function encodeString(value: string): Uint8Array {
+  const bytes = encoder.encode(value);
+  const out = new Uint8Array(pad4(bytes.length + 1));
+  out.set(bytes);
+  return out;
+}
+
+/**
+ * Encode a single OSC message
+ * Numbers are sent as float32 (what Max/TouchDesigner expect for continuous data)
+ */
+export function encodeOsc(message: OscMessage): Uint8Array {
+  let tags = ",";
+  const parts: Uint8Array[] = [];
+
+  for (const arg of message.args) {
+    if (typeof arg === "number") {
+      tags += "f";
+      const buf = new Uint8Array(4);
+      new DataView(buf.buffer).setFloat32(0, arg);
+      parts.push(buf);
+    } else if (typeof arg === "string") {
+      tags += "s";
+      parts.push(encodeString(arg));
+    } else if (typeof arg === "boolean") {
+      tags += arg ? "T" : "F";
+    } else if (arg === null) {
+      tags += "N";
+    } else {
+      tags += "b";
+      const buf = new Uint8Array(4 + pad4(arg.length));
+      new DataView(buf.buffer).setInt32(0, arg.length);
+      buf.set(arg, 4);
+      parts.push(buf);
+    }
+  }
+
+  const chunks = [encodeString(message.address), encodeString(tags), ...parts];
+  const out = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
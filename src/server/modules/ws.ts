@@ -2,12 +2,14 @@
  * WebSocket handling for Voice.Assembly.FM signaling server
  */
 
-import { createKVOperations } from "./kv.ts";
+import { createPresenceStore } from "./kv.ts";
 
 // Types for WebSocket connections and messages
 interface Connection {
   socket: WebSocket;
   actual_id: string | null;
+  room: string;
+  ctrl_role?: string;
 }
 
 interface Message {
@@ -19,6 +21,8 @@ interface Message {
 interface RegisterMessage extends Message {
   client_id: string;
   force_takeover?: boolean;
+  room?: string;
+  ctrl_role?: "primary" | "secondary";
 }
 
 interface SignalingMessage extends Message {
@@ -53,10 +57,99 @@ interface KVCtrlEntry {
 
 // Global connection tracking
 const connections = new Map<string, Connection>();
-const synthKeepAliveTimers = new Map<string, number>();
+const rosterKeepAliveTimers = new Map<string, number>();
 
-// Initialize KV operations
-const kv = await createKVOperations();
+// Initialize presence store (Deno KV or in-memory, see PRESENCE_STORE)
+const kv = await createPresenceStore();
+
+// Rooms let several ensembles share one deployment; presence is scoped per room
+const DEFAULT_ROOM = "default";
+
+/**
+ * Sanitize a room name from a registration message
+ */
+function normalizeRoom(room: unknown): string {
+  if (typeof room !== "string") return DEFAULT_ROOM;
+  const name = room.toLowerCase().replace(/[^a-z0-9_-]/g, "").slice(0, 32);
+  return name || DEFAULT_ROOM;
+}
+
+const activeCtrlKey = (room: string) => ["rooms", room, "active_ctrl"];
+const synthsPrefix = (room: string) => ["rooms", room, "synths"];
+const secondariesPrefix = (room: string) => ["rooms", room, "secondaries"];
+
+/**
+ * Room a connected client registered in
+ */
+function roomOf(client_id: string): string {
+  return connections.get(client_id)?.room ?? DEFAULT_ROOM;
+}
+
+/**
+ * Peer IDs in a room roster (synths or secondary ctrls)
+ */
+async function listRoster(
+  prefix: (string | number)[],
+  idPrefix: string,
+): Promise<string[]> {
+  const ids: string[] = [];
+  for await (const entry of kv.list({ prefix })) {
+    const id = String(entry.key[entry.key.length - 1]);
+    if (id.startsWith(idPrefix)) ids.push(id);
+  }
+  return ids;
+}
+
+/**
+ * Synth IDs in a room's KV roster
+ */
+function listRoomSynths(room: string): Promise<string[]> {
+  return listRoster(synthsPrefix(room), "synth-");
+}
+
+/**
+ * Secondary ctrl IDs in a room's KV roster
+ */
+function listRoomSecondaries(room: string): Promise<string[]> {
+  return listRoster(secondariesPrefix(room), "ctrl-");
+}
+
+/**
+ * Add a client to a KV roster with TTL and keep it fresh while connected
+ */
+async function joinRoster(
+  key: (string | number)[],
+  client_id: string,
+): Promise<void> {
+  await kv.set(key, { ts: Date.now() }, { expireIn: 30_000 });
+  const timerId = setInterval(async () => {
+    try {
+      await kv.set(key, { ts: Date.now() }, { expireIn: 30_000 });
+    } catch (e) {
+      console.error(`[ROSTER-KA] Failed to refresh TTL for ${client_id}:`, e);
+    }
+  }, 10_000) as unknown as number;
+  rosterKeepAliveTimers.set(client_id, timerId);
+}
+
+/**
+ * Remove a client from a KV roster and stop its keepalive
+ */
+async function leaveRoster(
+  key: (string | number)[],
+  client_id: string,
+): Promise<void> {
+  const timerId = rosterKeepAliveTimers.get(client_id);
+  if (timerId) {
+    clearInterval(timerId);
+    rosterKeepAliveTimers.delete(client_id);
+  }
+  try {
+    await kv.delete(key);
+  } catch (e) {
+    console.error(`[ROSTER-CLEANUP] Failed to delete ${client_id} from KV:`, e);
+  }
+}
 
 /**
  * Send message directly or queue for cross-edge delivery
@@ -93,9 +186,10 @@ async function handleWebSocketMessage(
     // Handle synth requesting ctrl list - trust KV (multi-region)
     if (message.type === "request-ctrls") {
       const ctrlsList: string[] = [];
-      const activeCtrlEntry = await kv.get(["active_ctrl"]);
+      const room = roomOf(sender_id);
+      const activeCtrlEntry = await kv.get(activeCtrlKey(room));
       console.log(
-        `[SERVER-STATE] SYNTH REQUEST from ${sender_id}. Active controller in DB is: ${
+        `[SERVER-STATE] SYNTH REQUEST from ${sender_id} (${room}). Active controller in DB is: ${
           (activeCtrlEntry?.value as KVCtrlEntry)?.client_id ?? "null"
         }`,
       );
@@ -120,15 +214,10 @@ async function handleWebSocketMessage(
 
     // Handle ctrl requesting synth list (KV roster across regions)
     if (message.type === "request-synths") {
-      const synthsList: string[] = [];
+      let synthsList: string[] = [];
       // Prefer KV-backed roster so we see synths connected to other regions
       try {
-        const synthEntries = kv.list({ prefix: ["synths"] });
-        for await (const entry of synthEntries) {
-          const key = entry.key as (string | unknown)[];
-          const synthId = String(key[1]);
-          if (synthId?.startsWith("synth-")) synthsList.push(synthId);
-        }
+        synthsList = await listRoomSynths(roomOf(sender_id));
       } catch (e) {
         console.error("[SYNTHS-LIST] Failed to read KV synth roster:", e);
       }
@@ -238,15 +327,46 @@ async function handleRegistration(
 ): Promise<string> {
   const old_id = temp_id;
   const client_id = regMessage.client_id;
+  const room = normalizeRoom(regMessage.room);
+
+  console.log(`✅ Peer ${client_id} registering in room ${room}...`);
 
-  console.log(`✅ Peer ${client_id} registering...`);
+  const isSecondaryCtrl = client_id.startsWith("ctrl-") &&
+    regMessage.ctrl_role === "secondary";
 
   connections.delete(old_id);
-  connections.set(client_id, { socket, actual_id: client_id });
+  connections.set(client_id, {
+    socket,
+    actual_id: client_id,
+    room,
+    ctrl_role: client_id.startsWith("ctrl-")
+      ? (isSecondaryCtrl ? "secondary" : "primary")
+      : undefined,
+  });
 
-  // Controller registration logic
-  if (client_id.startsWith("ctrl-")) {
-    const oldCtrlEntry = await kv.get(["active_ctrl"]);
+  // Secondary controllers join alongside the active one instead of replacing it
+  if (isSecondaryCtrl) {
+    try {
+      await joinRoster([...secondariesPrefix(room), client_id], client_id);
+    } catch (e) {
+      console.error(
+        `[SECONDARY-REGISTER] Failed to register ${client_id} in KV:`,
+        e,
+      );
+    }
+
+    const activeCtrlEntry = await kv.get(activeCtrlKey(room));
+    if (activeCtrlEntry?.value) {
+      const activeCtrl = activeCtrlEntry.value as KVCtrlEntry;
+      await sendOrQueue(activeCtrl.client_id, {
+        type: "secondary-joined",
+        ctrl_id: client_id,
+        timestamp: Date.now(),
+      });
+    }
+    console.log(`🎛️ ${client_id} joined ${room} as a secondary controller`);
+  } else if (client_id.startsWith("ctrl-")) {
+    const oldCtrlEntry = await kv.get(activeCtrlKey(room));
     const oldCtrl = oldCtrlEntry?.value as (KVCtrlEntry | null);
     console.log(
       `[SERVER-STATE] REGISTRATION from ${client_id}. Current active_ctrl in DB is: ${
@@ -279,14 +399,15 @@ async function handleRegistration(
     console.log(
       `[SERVER-STATE] Setting active_ctrl in DB to: ${client_id}`,
     );
-    await kv.set(["active_ctrl"], value);
-    console.log(`👑 ${client_id} is now the active controller`);
+    await kv.set(activeCtrlKey(room), value);
+    console.log(`👑 ${client_id} is now the active controller in ${room}`);
 
-    // Send the new controller a list of all current synths
+    // Send the new controller a list of all current synths in its room
     const synthsList = [];
     for (const [id, conn] of connections.entries()) {
       if (
         id.startsWith("synth-") &&
+        conn.room === room &&
         conn.socket.readyState === WebSocket.OPEN
       ) {
         synthsList.push(id);
@@ -317,18 +438,20 @@ async function handleRegistration(
     for (const [conn_id, conn_info] of connections) {
       if (
         conn_id.startsWith("synth-") &&
+        conn_info.room === room &&
         conn_info.socket.readyState === WebSocket.OPEN
       ) {
         conn_info.socket.send(JSON.stringify(notification));
       }
     }
 
-    // Cross-edge synths via KV mailbox
+    // Cross-edge synths (and secondary ctrls, which dial the primary) via KV mailbox
     try {
-      const synthEntries = kv.list({ prefix: ["synths"] });
-      for await (const entry of synthEntries) {
-        const key = entry.key as (string | unknown)[];
-        const synthId = String(key[1]);
+      const peerIds = [
+        ...await listRoomSynths(room),
+        ...await listRoomSecondaries(room),
+      ];
+      for (const synthId of peerIds) {
         await sendOrQueue(
           synthId,
           notification as unknown as Record<string, unknown>,
@@ -340,22 +463,7 @@ async function handleRegistration(
   } else if (client_id.startsWith("synth-")) {
     // Register synth in KV roster with TTL and start keepalive refresh
     try {
-      await kv.set(["synths", client_id], { ts: Date.now() }, {
-        expireIn: 30_000,
-      });
-      const timerId = setInterval(async () => {
-        try {
-          await kv.set(["synths", client_id], { ts: Date.now() }, {
-            expireIn: 30_000,
-          });
-        } catch (e) {
-          console.error(
-            `[SYNTH-KA] Failed to refresh TTL for ${client_id}:`,
-            e,
-          );
-        }
-      }, 10_000) as unknown as number;
-      synthKeepAliveTimers.set(client_id, timerId);
+      await joinRoster([...synthsPrefix(room), client_id], client_id);
     } catch (e) {
       console.error(
         `[SYNTH-REGISTER] Failed to register ${client_id} in KV:`,
@@ -364,7 +472,7 @@ async function handleRegistration(
     }
 
     // Notify active ctrl about new synth
-    const activeCtrlEntry = await kv.get(["active_ctrl"]);
+    const activeCtrlEntry = await kv.get(activeCtrlKey(room));
     if (activeCtrlEntry && activeCtrlEntry.value) {
       const activeCtrl = activeCtrlEntry.value as KVCtrlEntry;
       const notification: SynthJoinedMessage = {
@@ -396,26 +504,32 @@ async function handleRegistration(
 async function handleDisconnection(client_id: string): Promise<void> {
   console.log(`👋 Peer ${client_id} disconnected`);
 
+  const room = roomOf(client_id);
+  const isSecondaryCtrl = connections.get(client_id)?.ctrl_role === "secondary";
   connections.delete(client_id);
 
+  // Clean up secondary controller registration (synths never saw it)
+  if (isSecondaryCtrl) {
+    await leaveRoster([...secondariesPrefix(room), client_id], client_id);
+
+    const activeCtrlEntry = await kv.get(activeCtrlKey(room));
+    if (activeCtrlEntry?.value) {
+      const activeCtrl = activeCtrlEntry.value as KVCtrlEntry;
+      await sendOrQueue(activeCtrl.client_id, {
+        type: "secondary-left",
+        ctrl_id: client_id,
+        timestamp: Date.now(),
+      });
+    }
+    return;
+  }
+
   // Clean up synth registration
   if (client_id.startsWith("synth-")) {
-    const timerId = synthKeepAliveTimers.get(client_id);
-    if (timerId) {
-      clearInterval(timerId);
-      synthKeepAliveTimers.delete(client_id);
-    }
-    try {
-      await kv.delete(["synths", client_id]);
-    } catch (e) {
-      console.error(
-        `[SYNTH-CLEANUP] Failed to delete ${client_id} from KV:`,
-        e,
-      );
-    }
+    await leaveRoster([...synthsPrefix(room), client_id], client_id);
 
     // Notify active controller about synth disconnection
-    const activeCtrlEntry = await kv.get(["active_ctrl"]);
+    const activeCtrlEntry = await kv.get(activeCtrlKey(room));
     if (activeCtrlEntry?.value) {
       const activeCtrl = activeCtrlEntry.value as KVCtrlEntry;
       const notification = {
@@ -435,23 +549,24 @@ async function handleDisconnection(client_id: string): Promise<void> {
 
   // Clean up controller registration
   if (client_id.startsWith("ctrl-")) {
-    const activeCtrlEntry = await kv.get(["active_ctrl"]);
+    const activeCtrlEntry = await kv.get(activeCtrlKey(room));
     if (activeCtrlEntry?.value) {
       const activeCtrl = activeCtrlEntry.value as KVCtrlEntry;
       if (activeCtrl.client_id === client_id) {
         console.log(
           `[SERVER-STATE] Active controller ${client_id} disconnected`,
         );
-        await kv.delete(["active_ctrl"]);
+        await kv.delete(activeCtrlKey(room));
       }
     }
 
-    // Notify all synths about controller disconnection
+    // Notify the room's synths and secondary ctrls about controller disconnection
     try {
-      const synthEntries = kv.list({ prefix: ["synths"] });
-      for await (const entry of synthEntries) {
-        const key = entry.key as (string | unknown)[];
-        const synthId = String(key[1]);
+      const peerIds = [
+        ...await listRoomSynths(room),
+        ...await listRoomSecondaries(room),
+      ];
+      for (const synthId of peerIds) {
         const notification = {
           type: "ctrl-left",
           ctrl_id: client_id,
@@ -478,7 +593,11 @@ export function handleWebSocketUpgrade(request: Request): Response {
   let client_id: string = temp_id;
 
   socket.addEventListener("open", () => {
-    connections.set(temp_id, { socket, actual_id: null });
+    connections.set(temp_id, {
+      socket,
+      actual_id: null,
+      room: DEFAULT_ROOM,
+    });
     console.log("📡 WebSocket connection opened");
   });
 
@@ -0,0 +1,125 @@
+/**
+ * Voice.Assembly.FM OSC Bridge
+ * Runs alongside the signaling server: relays OSC/UDP from Max, SuperCollider,
+ * TouchDesigner etc. to ctrl clients over WebSocket, and sends the ctrl's
+ * phasor/EOC events back out as OSC
+ *
+ *   OSC in (UDP :OSC_IN_PORT) -> WebSocket :OSC_WS_PORT -> ctrl (/ctrl/?osc)
+ *   ctrl -> WebSocket :OSC_WS_PORT -> OSC out (UDP OSC_OUT_HOST:OSC_OUT_PORT)
+ */
+
+import { load } from "std/dotenv/mod.ts";
+import { decodeOsc, encodeOsc, type OscMessage } from "./modules/osc.ts";
+
+let env: Record<string, string> = {};
+try {
+  env = await load();
+} catch {
+  // No .env file - use environment variables
+}
+
+const setting = (name: string, fallback: string) =>
+  env[name] || Deno.env.get(name) || fallback;
+
+const OSC_IN_PORT = parseInt(setting("OSC_IN_PORT", "9000"));
+const OSC_OUT_HOST = setting("OSC_OUT_HOST", "127.0.0.1");
+const OSC_OUT_PORT = parseInt(setting("OSC_OUT_PORT", "9001"));
+const OSC_WS_PORT = parseInt(setting("OSC_WS_PORT", "8765"));
+
+const clients = new Set<WebSocket>();
+
+const udp = Deno.listenDatagram({
+  port: OSC_IN_PORT,
+  hostname: "0.0.0.0",
+  transport: "udp",
+});
+
+const outAddr: Deno.NetAddr = {
+  transport: "udp",
+  hostname: OSC_OUT_HOST,
+  port: OSC_OUT_PORT,
+};
+
+/**
+ * Forward a ctrl event out as OSC
+ */
+async function sendOsc(message: OscMessage): Promise<void> {
+  try {
+    await udp.send(encodeOsc(message), outAddr);
+  } catch (error) {
+    console.error(`❌ OSC send failed for ${message.address}:`, error);
+  }
+}
+
+/**
+ * Relay incoming OSC packets to every connected ctrl
+ */
+async function receiveOsc(): Promise<void> {
+  for await (const [data, remote] of udp) {
+    let messages: OscMessage[];
+    try {
+      messages = decodeOsc(data);
+    } catch (error) {
+      const from = (remote as Deno.NetAddr).hostname;
+      console.error(`❌ Bad OSC packet from ${from}:`, error);
+      continue;
+    }
+
+    for (const message of messages) {
+      // Blobs have no meaning for the ctrl and don't survive JSON
+      const args = message.args.filter((arg) => !(arg instanceof Uint8Array));
+      const payload = JSON.stringify({
+        type: "osc",
+        address: message.address,
+        args,
+      });
+      for (const socket of clients) {
+        if (socket.readyState === WebSocket.OPEN) socket.send(payload);
+      }
+    }
+  }
+}
+
+Deno.serve({ port: OSC_WS_PORT }, (request) => {
+  if (request.headers.get("upgrade") !== "websocket") {
+    return new Response(
+      "Voice.Assembly.FM OSC bridge - connect via WebSocket",
+      { status: 426 },
+    );
+  }
+
+  const { socket, response } = Deno.upgradeWebSocket(request);
+
+  socket.addEventListener("open", () => {
+    clients.add(socket);
+    console.log(`🎛️ Ctrl connected to OSC bridge (${clients.size} total)`);
+  });
+
+  socket.addEventListener("message", (event) => {
+    try {
+      const message = JSON.parse(event.data);
+      if (
+        message.type === "osc" && typeof message.address === "string" &&
+        Array.isArray(message.args)
+      ) {
+        sendOsc({ address: message.address, args: message.args });
+      }
+    } catch (error) {
+      console.error("❌ Bad message from ctrl:", error);
+    }
+  });
+
+  socket.addEventListener("close", () => {
+    clients.delete(socket);
+    console.log(`👋 Ctrl left OSC bridge (${clients.size} remaining)`);
+  });
+
+  return response;
+});
+
+console.log(`🎚️ Voice.Assembly.FM OSC bridge`);
+console.log(`   OSC in:    udp://0.0.0.0:${OSC_IN_PORT}`);
+console.log(`   OSC out:   udp://${OSC_OUT_HOST}:${OSC_OUT_PORT}`);
+console.log(`   Ctrl link: ws://localhost:${OSC_WS_PORT} (open /ctrl/?osc)`);
+
+await receiveOsc();